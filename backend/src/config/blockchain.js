@@ -1,267 +1,183 @@
 const { ethers } = require('ethers');
+const BatchAllocationRepository = require('../models/postgres/BatchAllocationRepository');
+const { createProviderPool } = require('../services/rpcProviderPool');
+const { createFakeChain } = require('../services/fakeChain');
+const { loadChainRegistry } = require('./chainRegistry');
+const {
+  VAULT_ABI,
+  STRATEGY_MANAGER_ABI,
+  USDC_ABI,
+  SMART_ACCOUNT_ABI,
+  BUNDLER_ABI,
+  PAYMASTER_ABI
+} = require('./contractAbis');
+const { strategyRegistry } = require('../services/strategies');
+const money = require('../utils/money');
 const logger = require('../utils/logger');
-const path = require('path');
-const fs = require('fs');
-
-// Load contract ABIs directly from submodule
-function loadContractABI(contractName) {
-  try {
-    // Load directly from contracts submodule
-    const contractsPath = path.join(__dirname, '../../../contracts-submodule/exports', `${contractName}.json`);
-    if (fs.existsSync(contractsPath)) {
-      const contractData = JSON.parse(fs.readFileSync(contractsPath, 'utf8'));
-      return contractData.abi;
-    }
-
-    // Try to load from index.json (consolidated ABIs)
-    const indexPath = path.join(__dirname, '../../../contracts-submodule/exports/index.json');
-    if (fs.existsSync(indexPath)) {
-      const allContracts = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
-      if (allContracts[contractName] && allContracts[contractName].abi) {
-        return allContracts[contractName].abi;
-      }
-    }
-
-    throw new Error(`Contract ABI not found: ${contractName}`);
-  } catch (error) {
-    logger.warn(`Failed to load ABI for ${contractName}, using fallback:`, error.message);
-    return getFallbackABI(contractName);
-  }
-}
-
-// Fallback ABIs for development/testing
-function getFallbackABI(contractName) {
-  const fallbackABIs = {
-    AbunfiVault: [
-      "function deposit(uint256 amount, address receiver) external returns (uint256)",
-      "function withdraw(uint256 shares, address receiver, address owner) external returns (uint256)",
-      "function balanceOf(address user) external view returns (uint256)",
-      "function totalAssets() external view returns (uint256)",
-      "function userShares(address user) external view returns (uint256)",
-      "function userDeposits(address user) external view returns (uint256)",
-      "function asset() external view returns (address)",
-      "function MINIMUM_DEPOSIT() external view returns (uint256)",
-      "event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)",
-      "event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)"
-    ],
-    MockERC20: [
-      "function balanceOf(address owner) external view returns (uint256)",
-      "function transfer(address to, uint256 amount) external returns (bool)",
-      "function approve(address spender, uint256 amount) external returns (bool)",
-      "function allowance(address owner, address spender) external view returns (uint256)",
-      "function decimals() external view returns (uint8)",
-      "function name() external view returns (string)",
-      "function symbol() external view returns (string)"
-    ],
-    AaveStrategy: [
-      "function totalAssets() external view returns (uint256)",
-      "function getAPY() external view returns (uint256)",
-      "function name() external view returns (string)",
-      "function asset() external view returns (address)",
-      "function vault() external view returns (address)"
-    ],
-    CompoundStrategy: [
-      "function totalAssets() external view returns (uint256)",
-      "function getAPY() external view returns (uint256)",
-      "function name() external view returns (string)",
-      "function asset() external view returns (address)",
-      "function vault() external view returns (address)"
-    ],
-    LiquidStakingStrategy: [
-      "function totalAssets() external view returns (uint256)",
-      "function getAPY() external view returns (uint256)",
-      "function name() external view returns (string)",
-      "function asset() external view returns (address)",
-      "function vault() external view returns (address)"
-    ],
-    LiquidityProvidingStrategy: [
-      "function totalAssets() external view returns (uint256)",
-      "function getAPY() external view returns (uint256)",
-      "function name() external view returns (string)",
-      "function asset() external view returns (address)",
-      "function vault() external view returns (address)"
-    ],
-    UniswapV4FairFlowStablecoinStrategy: [
-      "function totalAssets() external view returns (uint256)",
-      "function getAPY() external view returns (uint256)",
-      "function name() external view returns (string)",
-      "function asset() external view returns (address)",
-      "function vault() external view returns (address)"
-    ],
-    StrategyManager: [
-      "function addStrategy(address strategy, uint256 weight) external",
-      "function removeStrategy(address strategy) external",
-      "function updateStrategyWeight(address strategy, uint256 newWeight) external",
-      "function getAllStrategies() external view returns (address[])"
-    ],
-    AbunfiSmartAccount: [
-      "function execute(address target, uint256 value, bytes calldata data) external",
-      "function executeBatch(address[] calldata targets, uint256[] calldata values, bytes[] calldata datas) external"
-    ],
-    EIP7702Bundler: [
-      "function bundleTransactions(bytes[] calldata transactions) external",
-      "function estimateGas(bytes[] calldata transactions) external view returns (uint256)"
-    ],
-    EIP7702Paymaster: [
-      "function sponsorTransaction(address user, bytes calldata transaction) external",
-      "function getBalance() external view returns (uint256)"
-    ]
-  };
-
-  return fallbackABIs[contractName] || [];
-}
 
-// Load ABIs
-const VAULT_ABI = loadContractABI('AbunfiVault');
-const STRATEGY_MANAGER_ABI = loadContractABI('StrategyManager');
-const USDC_ABI = loadContractABI('MockERC20'); // Using MockERC20 ABI for USDC
+// Risk score (0-100) of vault strategies without a registered adapter
+const DEFAULT_RISK_SCORE = 50;
 
-// Strategy ABIs
-const AAVE_STRATEGY_ABI = loadContractABI('AaveStrategy');
-const COMPOUND_STRATEGY_ABI = loadContractABI('CompoundStrategy');
-const LIQUID_STAKING_STRATEGY_ABI = loadContractABI('LiquidStakingStrategy');
-const LIQUIDITY_PROVIDING_STRATEGY_ABI = loadContractABI('LiquidityProvidingStrategy');
-const UNISWAP_V4_FAIRFLOW_STRATEGY_ABI = loadContractABI('UniswapV4FairFlowStablecoinStrategy');
+// RiskLevel enum of the vault's pending allocation buckets
+const RISK_LEVELS = { low: 0, medium: 1, high: 2 };
 
-// EIP-7702 ABIs
-const SMART_ACCOUNT_ABI = loadContractABI('AbunfiSmartAccount');
-const BUNDLER_ABI = loadContractABI('EIP7702Bundler');
-const PAYMASTER_ABI = loadContractABI('EIP7702Paymaster');
+// Errors after which the locally tracked admin nonce must be re-read from the node
+const NONCE_ERRORS = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
 
 class BlockchainService {
   constructor() {
+    this.chainId = null;
+    this.chainName = null;
     this.provider = null;
     this.signer = null;
     this.vaultContract = null;
     this.strategyManagerContract = null;
     this.usdcContract = null;
-    this.strategyContracts = {
-      aave: null,
-      compound: null,
-      liquidStaking: null,
-      liquidityProviding: null,
-      uniswapV4FairFlow: null
-    };
+    // Strategy contracts by adapter type (see services/strategies)
+    this.strategyContracts = Object.fromEntries(strategyRegistry.types().map(type => [type, null]));
     this.eip7702Contracts = {
       smartAccount: null,
       bundler: null,
       paymaster: null
     };
     this.initialized = false;
+
+    // Chain registry: every configured deployment, and a service per connected chain.
+    // The default chain is this instance; the others inherit from it (see connectChain).
+    this.deployments = new Map();
+    this.chains = new Map();
+
+    // In-process fake chain, when FAKE_CHAIN=true
+    this.fakeChain = null;
+
+    // Admin transactions are sent one at a time with a locally tracked nonce
+    this.adminNonce = null;
+    this.adminTxQueue = Promise.resolve();
   }
 
   async initialize() {
     try {
-      // Initialize provider
-      this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-      
-      // Initialize signer (for admin operations)
-      if (process.env.PRIVATE_KEY && process.env.PRIVATE_KEY !== 'your_private_key_here') {
-        this.signer = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-      } else {
-        console.warn('No private key provided - admin operations will not be available');
-      }
-
-      // Initialize core contracts
-      if (process.env.VAULT_CONTRACT_ADDRESS && process.env.VAULT_CONTRACT_ADDRESS !== '0x...') {
-        this.vaultContract = new ethers.Contract(
-          process.env.VAULT_CONTRACT_ADDRESS,
-          VAULT_ABI,
-          this.provider
-        );
-      }
-
-      if (process.env.STRATEGY_MANAGER_ADDRESS && process.env.STRATEGY_MANAGER_ADDRESS !== '0x...') {
-        this.strategyManagerContract = new ethers.Contract(
-          process.env.STRATEGY_MANAGER_ADDRESS,
-          STRATEGY_MANAGER_ABI,
-          this.provider
-        );
-      }
+      const privateKey = process.env.PRIVATE_KEY && process.env.PRIVATE_KEY !== 'your_private_key_here'
+        ? process.env.PRIVATE_KEY
+        : null;
+
+      // Deployments to connect to: the in-process fake chain, or the chain registry
+      let registry;
+      if (process.env.FAKE_CHAIN === 'true') {
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('FAKE_CHAIN cannot be used in production');
+        }
 
-      if (process.env.USDC_CONTRACT_ADDRESS && process.env.USDC_CONTRACT_ADDRESS !== '0x...') {
-        this.usdcContract = new ethers.Contract(
-          process.env.USDC_CONTRACT_ADDRESS,
-          USDC_ABI,
-          this.provider
-        );
+        this.fakeChain = createFakeChain({
+          chainId: parseInt(process.env.CHAIN_ID || '31337'),
+          ...(privateKey ? { ownerPrivateKey: privateKey } : {})
+        });
+        const deployment = this.fakeChain.getDeployment();
+        registry = { defaultChainId: deployment.chainId, deployments: [deployment] };
+        logger.warn(`Using the in-process fake chain; contracts: ${JSON.stringify(deployment.contracts)}`);
+      } else {
+        registry = loadChainRegistry();
       }
 
-      // Initialize strategy contracts
-      if (process.env.AAVE_STRATEGY_ADDRESS && process.env.AAVE_STRATEGY_ADDRESS !== '0x...') {
-        this.strategyContracts.aave = new ethers.Contract(
-          process.env.AAVE_STRATEGY_ADDRESS,
-          AAVE_STRATEGY_ABI,
-          this.provider
-        );
+      // Admin signer; the same key is used on every chain, and the fake chain has a default admin
+      const signerKey = privateKey || (this.fakeChain ? this.fakeChain.ownerPrivateKey : null);
+      if (!signerKey) {
+        console.warn('No private key provided - admin operations will not be available');
       }
 
-      if (process.env.COMPOUND_STRATEGY_ADDRESS && process.env.COMPOUND_STRATEGY_ADDRESS !== '0x...') {
-        this.strategyContracts.compound = new ethers.Contract(
-          process.env.COMPOUND_STRATEGY_ADDRESS,
-          COMPOUND_STRATEGY_ABI,
-          this.provider
-        );
-      }
+      for (const deployment of registry.deployments) {
+        this.deployments.set(deployment.chainId, deployment);
+        const isDefault = deployment.chainId === registry.defaultChainId;
 
-      if (process.env.LIQUID_STAKING_STRATEGY_ADDRESS && process.env.LIQUID_STAKING_STRATEGY_ADDRESS !== '0x...') {
-        this.strategyContracts.liquidStaking = new ethers.Contract(
-          process.env.LIQUID_STAKING_STRATEGY_ADDRESS,
-          LIQUID_STAKING_STRATEGY_ABI,
-          this.provider
-        );
+        try {
+          await this.connectChain(deployment, signerKey, isDefault);
+        } catch (error) {
+          // Only the default chain is required; others are left out until the next start
+          if (isDefault) throw error;
+          logger.error(`Could not connect to chain ${deployment.chainId} (${deployment.name}):`, error);
+        }
       }
 
-      if (process.env.LIQUIDITY_PROVIDING_STRATEGY_ADDRESS && process.env.LIQUIDITY_PROVIDING_STRATEGY_ADDRESS !== '0x...') {
-        this.strategyContracts.liquidityProviding = new ethers.Contract(
-          process.env.LIQUIDITY_PROVIDING_STRATEGY_ADDRESS,
-          LIQUIDITY_PROVIDING_STRATEGY_ABI,
-          this.provider
-        );
-      }
+      this.initialized = true;
+    } catch (error) {
+      logger.error('Blockchain initialization error:', error);
+      throw error;
+    }
+  }
 
-      if (process.env.UNISWAP_V4_FAIRFLOW_STRATEGY_ADDRESS && process.env.UNISWAP_V4_FAIRFLOW_STRATEGY_ADDRESS !== '0x...') {
-        this.strategyContracts.uniswapV4FairFlow = new ethers.Contract(
-          process.env.UNISWAP_V4_FAIRFLOW_STRATEGY_ADDRESS,
-          UNISWAP_V4_FAIRFLOW_STRATEGY_ABI,
-          this.provider
-        );
-      }
+  /**
+   * Connect to a deployment and register its chain service. The default chain's
+   * provider and contracts are set on this instance; other chains get an object
+   * inheriting every method from it, with their own provider, contracts and admin
+   * nonce, so all reads and admin transactions work unchanged on any chain.
+   * @private
+   */
+  async connectChain(deployment, signerKey, isDefault) {
+    const provider = this.fakeChain ? this.fakeChain.provider : await createProviderPool(deployment.rpcUrls);
+
+    const network = await provider.getNetwork();
+    if (Number(network.chainId) !== deployment.chainId) {
+      provider.destroy();
+      throw new Error(`RPC endpoints are on chain ${network.chainId}, expected ${deployment.chainId}`);
+    }
 
-      // Initialize EIP-7702 contracts
-      if (process.env.SMART_ACCOUNT_ADDRESS && process.env.SMART_ACCOUNT_ADDRESS !== '0x...') {
-        this.eip7702Contracts.smartAccount = new ethers.Contract(
-          process.env.SMART_ACCOUNT_ADDRESS,
-          SMART_ACCOUNT_ABI,
-          this.provider
-        );
-      }
+    const { contracts } = deployment;
+    const contract = (address, abi) => (address ? new ethers.Contract(address, abi, provider) : null);
+
+    Object.keys(contracts.strategies)
+      .filter(type => !strategyRegistry.get(type))
+      .forEach(type => logger.warn(`No strategy adapter registered for ${type} on chain ${deployment.chainId}; ignoring it`));
+
+    const chain = isDefault ? this : Object.create(this);
+    Object.assign(chain, {
+      chainId: deployment.chainId,
+      chainName: deployment.name,
+      provider,
+      signer: signerKey ? new ethers.Wallet(signerKey, provider) : null,
+      vaultContract: contract(contracts.vault, VAULT_ABI),
+      strategyManagerContract: contract(contracts.strategyManager, STRATEGY_MANAGER_ABI),
+      usdcContract: contract(contracts.usdc, USDC_ABI),
+      strategyContracts: Object.fromEntries(
+        strategyRegistry.list().map(adapter => [adapter.type, contract(contracts.strategies[adapter.type], adapter.abi)])
+      ),
+      eip7702Contracts: {
+        smartAccount: contract(contracts.smartAccount, SMART_ACCOUNT_ABI),
+        bundler: contract(contracts.bundler, BUNDLER_ABI),
+        paymaster: contract(contracts.paymaster, PAYMASTER_ABI)
+      },
+      adminNonce: null,
+      adminTxQueue: Promise.resolve()
+    });
 
-      if (process.env.EIP7702_BUNDLER_ADDRESS && process.env.EIP7702_BUNDLER_ADDRESS !== '0x...') {
-        this.eip7702Contracts.bundler = new ethers.Contract(
-          process.env.EIP7702_BUNDLER_ADDRESS,
-          BUNDLER_ABI,
-          this.provider
-        );
-      }
+    this.chains.set(deployment.chainId, chain);
+    logger.info(`Connected to blockchain network: ${deployment.name} (${network.chainId})${isDefault ? ' [default]' : ''}`);
+    return chain;
+  }
 
-      if (process.env.EIP7702_PAYMASTER_ADDRESS && process.env.EIP7702_PAYMASTER_ADDRESS !== '0x...') {
-        this.eip7702Contracts.paymaster = new ethers.Contract(
-          process.env.EIP7702_PAYMASTER_ADDRESS,
-          PAYMASTER_ABI,
-          this.provider
-        );
-      }
+  /**
+   * Service for a connected chain, or null when the chain is unknown or unreachable
+   * @param {number|string} chainId
+   */
+  getChain(chainId) {
+    return this.chains.get(Number(chainId)) || null;
+  }
 
-      // Test connection
-      const network = await this.provider.getNetwork();
-      logger.info(`Connected to blockchain network: ${network.name} (${network.chainId})`);
+  getChainIds() {
+    return [...this.chains.keys()];
+  }
 
-      this.initialized = true;
-    } catch (error) {
-      logger.error('Blockchain initialization error:', error);
-      throw error;
-    }
+  /**
+   * Registry entries for the API: deployment addresses and whether the chain is connected
+   */
+  getChainRegistry() {
+    return [...this.deployments.values()].map(deployment => ({
+      chainId: deployment.chainId,
+      name: deployment.name,
+      explorerUrl: deployment.explorerUrl,
+      isDefault: deployment.chainId === this.chainId,
+      status: this.chains.has(deployment.chainId) ? 'connected' : 'unavailable',
+      contracts: deployment.contracts
+    }));
   }
 
   // User balance and portfolio methods
@@ -288,6 +204,47 @@ class BlockchainService {
     }
   }
 
+  /**
+   * A user's vault positions on the given chains (default: every connected chain)
+   * with USDC totals. Shares belong to one vault each, so they are only reported
+   * per chain. A chain that cannot be read is listed as unavailable, left out of
+   * the totals, and marks the portfolio incomplete.
+   */
+  async getUserPortfolio(userAddress, chainIds = this.getChainIds()) {
+    const chains = chainIds.map(chainId => this.getChain(chainId)).filter(chain => chain && chain.vaultContract);
+    if (chains.length === 0) {
+      throw new Error('Vault contract not initialized');
+    }
+
+    const positions = await Promise.all(chains.map(async (chain) => {
+      const position = { chainId: chain.chainId, name: chain.chainName };
+      try {
+        return { ...position, status: 'ok', ...(await chain.getUserBalance(userAddress)) };
+      } catch (error) {
+        logger.warn(`Portfolio read failed on chain ${chain.chainId}: ${error.message}`);
+        return { ...position, status: 'unavailable' };
+      }
+    }));
+
+    const available = positions.filter(position => position.status === 'ok');
+    if (available.length === 0) {
+      throw new Error('No chain could be read');
+    }
+
+    const total = (field) => ethers.formatUnits(
+      available.reduce((sum, position) => sum + ethers.parseUnits(position[field], 6), 0n),
+      6
+    );
+
+    return {
+      totalBalance: total('totalBalance'),
+      deposits: total('deposits'),
+      earnedYield: total('earnedYield'),
+      complete: available.length === positions.length,
+      chains: positions
+    };
+  }
+
   async getVaultStats() {
     try {
       if (!this.vaultContract) {
@@ -343,25 +300,13 @@ class BlockchainService {
     try {
       const strategies = [];
 
-      // Get info from each strategy contract
-      for (const [strategyType, contract] of Object.entries(this.strategyContracts)) {
-        if (contract) {
+      // Get info from each registered strategy deployed on this chain
+      for (const adapter of strategyRegistry.list()) {
+        if (this.strategyContracts[adapter.type]) {
           try {
-            const [totalAssets, apy, name] = await Promise.all([
-              contract.totalAssets(),
-              contract.getAPY(),
-              contract.name()
-            ]);
-
-            strategies.push({
-              type: strategyType,
-              name,
-              totalAssets: ethers.formatUnits(totalAssets, 6),
-              apy: Number(apy) / 100, // Convert from basis points
-              address: await contract.getAddress()
-            });
+            strategies.push(await this.getStrategyInfo(adapter.type));
           } catch (error) {
-            logger.warn(`Failed to get info for ${strategyType} strategy:`, error.message);
+            logger.warn(`Failed to get info for ${adapter.type} strategy:`, error.message);
           }
         }
       }
@@ -375,22 +320,26 @@ class BlockchainService {
 
   async getStrategyInfo(strategyType) {
     try {
+      const adapter = strategyRegistry.get(strategyType);
       const contract = this.strategyContracts[strategyType];
-      if (!contract) {
+      if (!adapter || !contract) {
         throw new Error(`Strategy contract not found: ${strategyType}`);
       }
 
       const [totalAssets, apy, name] = await Promise.all([
-        contract.totalAssets(),
-        contract.getAPY(),
+        adapter.readTVL(contract),
+        adapter.readAPY(contract),
         contract.name()
       ]);
 
       return {
         type: strategyType,
         name,
-        totalAssets: ethers.formatUnits(totalAssets, 6),
-        apy: Number(apy) / 100, // Convert from basis points
+        protocol: adapter.protocol,
+        totalAssets,
+        apy,
+        riskScore: adapter.risk.score,
+        color: adapter.color,
         address: await contract.getAddress()
       };
     } catch (error) {
@@ -399,11 +348,93 @@ class BlockchainService {
     }
   }
 
+  // Vault strategies with their current allocation, as managed by the StrategyManager
+  async getAllStrategies() {
+    try {
+      if (!this.vaultContract) {
+        throw new Error('Vault contract not initialized');
+      }
+
+      const [addresses, names, totalAssetsAmounts, apys, weights] = await this.vaultContract.getAllStrategiesInfo();
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+      const lastUpdate = new Date().toISOString();
+
+      return addresses.map((address, i) => ({
+        address,
+        type: this.getStrategyAdapter(address)?.type || null,
+        name: names[i],
+        totalAssets: ethers.formatUnits(totalAssetsAmounts[i], 6),
+        apy: Number(apys[i]) / 100, // Convert from basis points
+        allocation: totalWeight > 0n ? Number(weights[i] * 10000n / totalWeight) / 100 : 0,
+        riskScore: this.getStrategyRiskScore(address),
+        isActive: weights[i] > 0n,
+        lastUpdate
+      }));
+    } catch (error) {
+      logger.error('Error getting vault strategies:', error);
+      throw error;
+    }
+  }
+
+  async getTotalAssets() {
+    try {
+      if (!this.vaultContract) {
+        throw new Error('Vault contract not initialized');
+      }
+
+      return ethers.formatUnits(await this.vaultContract.totalAssets(), 6);
+    } catch (error) {
+      logger.error('Error getting vault total assets:', error);
+      throw error;
+    }
+  }
+
+  // Adapter of the strategy contract at an address on this chain, null if none is registered
+  getStrategyAdapter(strategyAddress) {
+    for (const [strategyType, contract] of Object.entries(this.strategyContracts)) {
+      if (contract && contract.target.toLowerCase() === strategyAddress.toLowerCase()) {
+        return strategyRegistry.get(strategyType);
+      }
+    }
+    return null;
+  }
+
+  getStrategyRiskScore(strategyAddress) {
+    const adapter = this.getStrategyAdapter(strategyAddress);
+    return adapter ? adapter.risk.score : DEFAULT_RISK_SCORE;
+  }
+
+  // Admin transaction builders (unsigned requests for sendAdminTransaction)
+  async buildStrategyWeightUpdates(targets) {
+    if (!this.strategyManagerContract) {
+      throw new Error('Strategy manager contract not initialized');
+    }
+
+    const to = await this.strategyManagerContract.getAddress();
+
+    // Weights are expressed in basis points of the vault's assets
+    return targets.map(({ address, allocationBps }) => ({
+      to,
+      data: this.strategyManagerContract.interface.encodeFunctionData('updateStrategyWeight', [address, allocationBps])
+    }));
+  }
+
+  async buildRebalance() {
+    if (!this.vaultContract) {
+      throw new Error('Vault contract not initialized');
+    }
+
+    return [{
+      to: await this.vaultContract.getAddress(),
+      data: this.vaultContract.interface.encodeFunctionData('rebalance', [])
+    }];
+  }
+
   // Transaction methods
   async estimateDepositGas(userAddress, amount) {
     try {
-      const amountWei = ethers.parseUnits(amount.toString(), 6);
-      const gasEstimate = await this.vaultContract.deposit.estimateGas(amountWei, {
+      const amountWei = money.parse(amount, 'USDC');
+      const gasEstimate = await this.vaultContract.deposit.estimateGas(amountWei, userAddress, {
         from: userAddress
       });
       
@@ -423,8 +454,8 @@ class BlockchainService {
 
   async estimateWithdrawGas(userAddress, shares) {
     try {
-      const sharesWei = ethers.parseUnits(shares.toString(), 18);
-      const gasEstimate = await this.vaultContract.withdraw.estimateGas(sharesWei, {
+      const sharesWei = money.parse(shares, 'SHARES');
+      const gasEstimate = await this.vaultContract.withdraw.estimateGas(sharesWei, userAddress, userAddress, {
         from: userAddress
       });
       
@@ -465,7 +496,7 @@ class BlockchainService {
           const block = await event.getBlock();
           return {
             type: event.eventName.toLowerCase(),
-            amount: ethers.formatUnits(event.args.amount, 6),
+            amount: ethers.formatUnits(event.args.assets, 6),
             shares: ethers.formatUnits(event.args.shares, 18),
             timestamp: new Date(block.timestamp * 1000),
             txHash: event.transactionHash,
@@ -481,6 +512,270 @@ class BlockchainService {
     }
   }
 
+  // Per-endpoint RPC health, null before initialization
+  getProviderStatus() {
+    return this.provider && this.provider.getStatus ? this.provider.getStatus() : null;
+  }
+
+  // Block and vault event access (used by the vault indexer)
+  async getBlockNumber() {
+    try {
+      return await this.provider.getBlockNumber();
+    } catch (error) {
+      logger.error('Error getting block number:', error);
+      throw error;
+    }
+  }
+
+  async getBlock(blockNumber) {
+    try {
+      return await this.provider.getBlock(blockNumber);
+    } catch (error) {
+      logger.error(`Error getting block ${blockNumber}:`, error);
+      throw error;
+    }
+  }
+
+  async getTransactionReceipt(txHash) {
+    try {
+      return await this.provider.getTransactionReceipt(txHash);
+    } catch (error) {
+      logger.error(`Error getting receipt for ${txHash}:`, error);
+      throw error;
+    }
+  }
+
+  async getVaultEvents(fromBlock, toBlock) {
+    try {
+      if (!this.vaultContract) {
+        throw new Error('Vault contract not initialized');
+      }
+
+      const [depositEvents, withdrawEvents] = await Promise.all([
+        this.vaultContract.queryFilter(this.vaultContract.filters.Deposit(), fromBlock, toBlock),
+        this.vaultContract.queryFilter(this.vaultContract.filters.Withdraw(), fromBlock, toBlock)
+      ]);
+
+      return [...depositEvents, ...withdrawEvents]
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+        .map(event => ({
+          eventName: event.eventName,
+          owner: event.args.owner,
+          assets: event.args.assets, // 6 decimals
+          shares: event.args.shares, // 18 decimals
+          txHash: event.transactionHash,
+          logIndex: event.index,
+          blockNumber: event.blockNumber,
+          blockHash: event.blockHash
+        }));
+    } catch (error) {
+      logger.error(`Error getting vault events for blocks ${fromBlock}-${toBlock}:`, error);
+      throw error;
+    }
+  }
+
+  // Batch allocation (vault batching system)
+  async getBatchingConfig() {
+    try {
+      if (!this.vaultContract) {
+        throw new Error('Vault contract not initialized');
+      }
+
+      const [threshold, interval, emergencyThreshold, lastAllocationTime] = await Promise.all([
+        this.vaultContract.allocationThreshold(),
+        this.vaultContract.allocationInterval(),
+        this.vaultContract.emergencyAllocationThreshold(),
+        this.vaultContract.lastAllocationTime()
+      ]);
+
+      return {
+        threshold: parseFloat(ethers.formatUnits(threshold, 6)),
+        interval: Number(interval), // seconds
+        emergencyThreshold: parseFloat(ethers.formatUnits(emergencyThreshold, 6)),
+        lastAllocationTime: Number(lastAllocationTime) // unix seconds
+      };
+    } catch (error) {
+      logger.error('Error getting batching config:', error);
+      throw error;
+    }
+  }
+
+  async getPendingAllocations() {
+    try {
+      if (!this.vaultContract) {
+        throw new Error('Vault contract not initialized');
+      }
+
+      const [total, lowRisk, mediumRisk, highRisk] = await Promise.all([
+        this.vaultContract.totalPendingAllocation(),
+        this.vaultContract.pendingAllocationsByRisk(RISK_LEVELS.low),
+        this.vaultContract.pendingAllocationsByRisk(RISK_LEVELS.medium),
+        this.vaultContract.pendingAllocationsByRisk(RISK_LEVELS.high)
+      ]);
+
+      // Older vault deployments do not track depositors per batch
+      let userCount = null;
+      try {
+        userCount = Number(await this.vaultContract.pendingDepositorsCount());
+      } catch (error) {
+        logger.debug('Vault does not report pending depositors:', error.message);
+      }
+
+      return {
+        total: parseFloat(ethers.formatUnits(total, 6)),
+        lowRisk: parseFloat(ethers.formatUnits(lowRisk, 6)),
+        mediumRisk: parseFloat(ethers.formatUnits(mediumRisk, 6)),
+        highRisk: parseFloat(ethers.formatUnits(highRisk, 6)),
+        userCount
+      };
+    } catch (error) {
+      logger.error('Error getting pending allocations:', error);
+      throw error;
+    }
+  }
+
+  async shouldTriggerAllocation() {
+    try {
+      if (!this.vaultContract) {
+        throw new Error('Vault contract not initialized');
+      }
+
+      return await this.vaultContract.shouldTriggerAllocation();
+    } catch (error) {
+      logger.error('Error checking batch allocation trigger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dry-run triggerBatchAllocation from the admin signer with eth_call.
+   * Throws with the revert reason if the transaction would fail.
+   */
+  async simulateBatchAllocation() {
+    if (!this.vaultContract) {
+      throw new Error('Vault contract not initialized');
+    }
+
+    if (!this.signer) {
+      throw new Error('Admin signer not configured');
+    }
+
+    await this.provider.call({
+      from: await this.signer.getAddress(),
+      to: await this.vaultContract.getAddress(),
+      data: this.vaultContract.interface.encodeFunctionData('triggerBatchAllocation', [])
+    });
+  }
+
+  // Current gas price in wei (max fee per gas on EIP-1559 networks)
+  async getGasPrice() {
+    try {
+      const feeData = await this.provider.getFeeData();
+      return feeData.maxFeePerGas ?? feeData.gasPrice;
+    } catch (error) {
+      logger.error('Error getting gas price:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send triggerBatchAllocation from the admin signer, wait for it to be mined
+   * and record the batch. Reverted transactions are recorded as failed and rethrown.
+   * @param {{ reason?: string, triggeredBy?: string }} options - Why the batch was sent and by which user
+   */
+  async triggerBatchAllocation({ reason = 'manual', triggeredBy = null } = {}) {
+    if (!this.vaultContract) {
+      throw new Error('Vault contract not initialized');
+    }
+
+    const pending = await this.getPendingAllocations();
+
+    const tx = await this.sendAdminTransaction({
+      to: await this.vaultContract.getAddress(),
+      data: this.vaultContract.interface.encodeFunctionData('triggerBatchAllocation', [])
+    });
+
+    logger.info(`Batch allocation sent: ${tx.hash} (nonce ${tx.nonce}, ${pending.total} USDC pending, ${reason})`);
+
+    const batch = await BatchAllocationRepository.create({
+      tx_hash: tx.hash,
+      nonce: tx.nonce,
+      total_amount: pending.total,
+      low_risk_amount: pending.lowRisk,
+      medium_risk_amount: pending.mediumRisk,
+      high_risk_amount: pending.highRisk,
+      user_count: pending.userCount,
+      trigger_reason: reason,
+      triggered_by: triggeredBy
+    });
+
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      // ethers rejects reverted transactions with the receipt attached
+      await BatchAllocationRepository.markFailed(tx.hash, error.shortMessage || error.message, {
+        block_number: error.receipt?.blockNumber,
+        gas_used: error.receipt?.gasUsed?.toString()
+      });
+      logger.error(`Batch allocation ${tx.hash} failed:`, error);
+      throw error;
+    }
+
+    const confirmed = await BatchAllocationRepository.markConfirmed(tx.hash, {
+      block_number: receipt.blockNumber,
+      gas_used: receipt.gasUsed.toString(),
+      gas_price: receipt.gasPrice.toString(),
+      gas_fee: ethers.formatEther(receipt.fee)
+    });
+
+    logger.info(`Batch allocation ${tx.hash} confirmed in block ${receipt.blockNumber}`);
+
+    return this.formatBatchAllocation(confirmed || batch);
+  }
+
+  /**
+   * Broadcast an admin transaction. Sends are serialized so each one gets the
+   * next nonce without waiting for the previous transaction to be mined.
+   */
+  async sendAdminTransaction(txRequest) {
+    const send = this.adminTxQueue.then(() => this.sendWithManagedNonce(txRequest));
+    this.adminTxQueue = send.catch(() => {});
+    return send;
+  }
+
+  /**
+   * @private
+   */
+  async sendWithManagedNonce(txRequest, retried = false) {
+    if (!this.signer) {
+      throw new Error('Admin signer not configured');
+    }
+
+    if (this.adminNonce === null) {
+      this.adminNonce = await this.signer.getNonce('pending');
+    }
+
+    const nonce = this.adminNonce;
+
+    try {
+      const tx = await this.signer.sendTransaction({ ...txRequest, nonce });
+      this.adminNonce = nonce + 1;
+      return tx;
+    } catch (error) {
+      // The nonce may or may not have been used; resync from the node
+      this.adminNonce = null;
+
+      if (!retried && NONCE_ERRORS.includes(error.code)) {
+        logger.warn(`Admin nonce ${nonce} rejected (${error.code}), retrying with a fresh nonce`);
+        return await this.sendWithManagedNonce(txRequest, true);
+      }
+
+      logger.error('Error sending admin transaction:', error);
+      throw error;
+    }
+  }
+
   // EIP-7702 Paymaster methods
   async getSecurityStatus(walletAddress) {
     try {
@@ -546,7 +841,7 @@ class BlockchainService {
 
       // Calculate next reset time
       const now = Math.floor(Date.now() / 1000);
-      const lastReset = lastResetTimestamp.toNumber(); // Safe conversion for timestamp
+      const lastReset = Number(lastResetTimestamp);
       const nextReset = lastReset + (24 * 60 * 60); // 24 hours
 
       return {
@@ -560,7 +855,7 @@ class BlockchainService {
         },
         usage: {
           dailyGasUsed: ethers.formatEther(dailyGasUsed),
-          dailyTxCount: dailyTxCount.toNumber(), // Safe conversion for transaction count
+          dailyTxCount: Number(dailyTxCount),
           gasUsedPercentage: gasUsedPercentage.toFixed(2),
           txUsedPercentage: txUsedPercentage.toFixed(2)
         },
@@ -668,7 +963,27 @@ class BlockchainService {
   }
 
   parseUSDC(amount) {
-    return ethers.parseUnits(amount.toString(), 6);
+    return money.parse(amount, 'USDC');
+  }
+
+  // API shape of a batch_allocations row
+  formatBatchAllocation(batch) {
+    return {
+      id: batch.id,
+      transactionHash: batch.tx_hash,
+      status: batch.status,
+      blockNumber: batch.block_number ? Number(batch.block_number) : null,
+      allocatedAmount: parseFloat(batch.total_amount),
+      lowRisk: parseFloat(batch.low_risk_amount),
+      mediumRisk: parseFloat(batch.medium_risk_amount),
+      highRisk: parseFloat(batch.high_risk_amount),
+      userCount: batch.user_count ?? null,
+      gasUsed: batch.gas_used ? String(batch.gas_used) : null,
+      gasFee: batch.gas_fee ? String(batch.gas_fee) : null,
+      reason: batch.trigger_reason,
+      error: batch.error_message || null,
+      timestamp: new Date(batch.confirmed_at || batch.created_at).toISOString()
+    };
   }
 }
 
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { strategyRegistry } = require('../services/strategies');
+const logger = require('../utils/logger');
+
+// Deployment artifacts, one <chainId>.json per chain
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, '../../deployments');
+
+// Contracts a deployment may list, with the environment variable the single-chain setup reads
+const CONTRACT_VARIABLES = {
+  vault: 'VAULT_CONTRACT_ADDRESS',
+  strategyManager: 'STRATEGY_MANAGER_ADDRESS',
+  usdc: 'USDC_CONTRACT_ADDRESS',
+  smartAccount: 'SMART_ACCOUNT_ADDRESS',
+  bundler: 'EIP7702_BUNDLER_ADDRESS',
+  paymaster: 'EIP7702_PAYMASTER_ADDRESS',
+  socialAccountRegistry: 'SOCIAL_ACCOUNT_REGISTRY_ADDRESS',
+  riscZeroSocialVerifier: 'RISC_ZERO_SOCIAL_VERIFIER_ADDRESS'
+};
+
+const deploymentError = (source, message) => {
+  const error = new Error(`Invalid deployment ${source}: ${message}`);
+  error.code = 'INVALID_DEPLOYMENT';
+  return error;
+};
+
+// Unset and placeholder ("0x...") addresses mean "not deployed"
+const isUnset = (address) => !address || address === '0x...';
+
+function parseAddresses(addresses, source, keyPath) {
+  const parsed = {};
+
+  for (const [key, address] of Object.entries(addresses || {})) {
+    if (isUnset(address)) continue;
+
+    if (!ethers.isAddress(address)) {
+      throw deploymentError(source, `${keyPath}${key} is not an address: ${address}`);
+    }
+    parsed[key] = ethers.getAddress(address);
+  }
+
+  return parsed;
+}
+
+function splitUrls(value) {
+  return (value || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate a deployment artifact
+ * @param {Object} artifact - { chainId, name, explorerUrl, rpcUrls, contracts: { vault, ..., strategies: { aave, ... } } }
+ * @param {string} source - File name or origin, for errors
+ * @returns {Object} Deployment with checksummed addresses
+ */
+function parseDeployment(artifact, source) {
+  const chainId = Number(artifact.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw deploymentError(source, `chainId must be a positive integer, got ${artifact.chainId}`);
+  }
+
+  const { strategies, ...contracts } = artifact.contracts || {};
+
+  const unknown = Object.keys(contracts).filter(key => !CONTRACT_VARIABLES[key]);
+  if (unknown.length > 0) {
+    throw deploymentError(source, `unknown contracts ${unknown.join(', ')}`);
+  }
+
+  return {
+    chainId,
+    name: artifact.name || `Chain ${chainId}`,
+    explorerUrl: artifact.explorerUrl || null,
+    rpcUrls: Array.isArray(artifact.rpcUrls) ? artifact.rpcUrls : splitUrls(artifact.rpcUrls),
+    contracts: {
+      ...parseAddresses(contracts, source, ''),
+      strategies: parseAddresses(strategies, source, 'strategies.')
+    }
+  };
+}
+
+/**
+ * Read every <chainId>.json in a directory
+ * @returns {Object[]} Deployments, in chain id order
+ */
+function loadDeployments(dir = DEFAULT_DEPLOYMENTS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const deployments = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const deployment = parseDeployment(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file);
+
+      if (path.basename(file, '.json') !== String(deployment.chainId)) {
+        throw deploymentError(file, `file must be named ${deployment.chainId}.json`);
+      }
+      return deployment;
+    });
+
+  return deployments.sort((a, b) => a.chainId - b.chainId);
+}
+
+/**
+ * Single-chain deployment from CHAIN_ID and the *_ADDRESS variables
+ * (strategy addresses from each registered adapter's addressVariable)
+ */
+function deploymentFromEnv(env = process.env) {
+  const pick = (variables) => Object.fromEntries(
+    variables.filter(([, variable]) => variable).map(([key, variable]) => [key, env[variable]])
+  );
+
+  return parseDeployment({
+    chainId: env.CHAIN_ID,
+    contracts: {
+      ...pick(Object.entries(CONTRACT_VARIABLES)),
+      strategies: pick(strategyRegistry.list().map(adapter => [adapter.type, adapter.addressVariable]))
+    }
+  }, 'from environment');
+}
+
+/**
+ * Chain registry: the deployments BlockchainService connects to
+ * Deployments come from DEPLOYMENTS_DIR. The default chain (CHAIN_ID) falls back
+ * to the *_ADDRESS environment variables when it has no deployment file.
+ * RPC endpoints for a chain are RPC_URLS_<chainId>, then (default chain only)
+ * RPC_URLS / RPC_URL, then the deployment's public rpcUrls.
+ * @returns {{ defaultChainId: number, deployments: Object[] }}
+ */
+function loadChainRegistry(env = process.env) {
+  const deployments = loadDeployments(env.DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR);
+
+  const defaultChainId = env.CHAIN_ID ? Number(env.CHAIN_ID) : (deployments[0] && deployments[0].chainId);
+  if (!defaultChainId) {
+    throw new Error('No chain configured: set CHAIN_ID or add a deployment file');
+  }
+
+  if (!deployments.some(deployment => deployment.chainId === defaultChainId)) {
+    deployments.unshift(deploymentFromEnv({ ...env, CHAIN_ID: String(defaultChainId) }));
+  }
+
+  const withRpcUrls = deployments.map(deployment => {
+    const candidates = [
+      splitUrls(env[`RPC_URLS_${deployment.chainId}`]),
+      deployment.chainId === defaultChainId ? splitUrls(env.RPC_URLS || env.RPC_URL) : [],
+      deployment.rpcUrls
+    ];
+
+    return {
+      ...deployment,
+      rpcUrls: candidates.find(urls => urls.length > 0) || []
+    };
+  });
+
+  withRpcUrls
+    .filter(deployment => deployment.rpcUrls.length === 0)
+    .forEach(deployment => logger.warn(`No RPC URLs for chain ${deployment.chainId} (${deployment.name})`));
+
+  return { defaultChainId, deployments: withRpcUrls };
+}
+
+module.exports = {
+  loadChainRegistry,
+  loadDeployments,
+  parseDeployment,
+  deploymentFromEnv,
+  CONTRACT_VARIABLES
+};
@@ -0,0 +1,136 @@
+const logger = require('../utils/logger');
+const path = require('path');
+const fs = require('fs');
+
+// Load contract ABIs directly from submodule
+function loadContractABI(contractName) {
+  try {
+    // Load directly from contracts submodule
+    const contractsPath = path.join(__dirname, '../../../contracts-submodule/exports', `${contractName}.json`);
+    if (fs.existsSync(contractsPath)) {
+      const contractData = JSON.parse(fs.readFileSync(contractsPath, 'utf8'));
+      return contractData.abi;
+    }
+
+    // Try to load from index.json (consolidated ABIs)
+    const indexPath = path.join(__dirname, '../../../contracts-submodule/exports/index.json');
+    if (fs.existsSync(indexPath)) {
+      const allContracts = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      if (allContracts[contractName] && allContracts[contractName].abi) {
+        return allContracts[contractName].abi;
+      }
+    }
+
+    throw new Error(`Contract ABI not found: ${contractName}`);
+  } catch (error) {
+    logger.warn(`Failed to load ABI for ${contractName}, using fallback:`, error.message);
+    return getFallbackABI(contractName);
+  }
+}
+
+// Interface every strategy contract implements (see services/strategies)
+const STRATEGY_BASE_ABI = [
+  "function totalAssets() external view returns (uint256)",
+  "function getAPY() external view returns (uint256)",
+  "function name() external view returns (string)",
+  "function asset() external view returns (address)",
+  "function vault() external view returns (address)"
+];
+
+// Fallback ABIs for development/testing
+function getFallbackABI(contractName) {
+  const fallbackABIs = {
+    AbunfiVault: [
+      "function deposit(uint256 amount, address receiver) external returns (uint256)",
+      "function withdraw(uint256 shares, address receiver, address owner) external returns (uint256)",
+      "function balanceOf(address user) external view returns (uint256)",
+      "function totalAssets() external view returns (uint256)",
+      "function userShares(address user) external view returns (uint256)",
+      "function userDeposits(address user) external view returns (uint256)",
+      "function earnedYield(address user) external view returns (uint256)",
+      "function asset() external view returns (address)",
+      "function MINIMUM_DEPOSIT() external view returns (uint256)",
+      "function getAllStrategiesInfo() external view returns (address[], string[], uint256[], uint256[], uint256[])",
+      "function rebalance() external",
+      // Batching system
+      "function allocationThreshold() external view returns (uint256)",
+      "function allocationInterval() external view returns (uint256)",
+      "function emergencyAllocationThreshold() external view returns (uint256)",
+      "function lastAllocationTime() external view returns (uint256)",
+      "function totalPendingAllocation() external view returns (uint256)",
+      "function pendingAllocationsByRisk(uint8 riskLevel) external view returns (uint256)",
+      "function pendingDepositorsCount() external view returns (uint256)",
+      "function shouldTriggerAllocation() external view returns (bool)",
+      "function triggerBatchAllocation() external",
+      "event BatchAllocationExecuted(uint256 totalAmount, uint256 timestamp)",
+      "event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)",
+      "event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)"
+    ],
+    MockERC20: [
+      "function balanceOf(address owner) external view returns (uint256)",
+      "function transfer(address to, uint256 amount) external returns (bool)",
+      "function approve(address spender, uint256 amount) external returns (bool)",
+      "function transferFrom(address from, address to, uint256 amount) external returns (bool)",
+      "function allowance(address owner, address spender) external view returns (uint256)",
+      "function totalSupply() external view returns (uint256)",
+      "function decimals() external view returns (uint8)",
+      "function name() external view returns (string)",
+      "function symbol() external view returns (string)",
+      "function mint(address to, uint256 amount) external",
+      "event Transfer(address indexed from, address indexed to, uint256 value)",
+      "event Approval(address indexed owner, address indexed spender, uint256 value)"
+    ],
+    AaveStrategy: STRATEGY_BASE_ABI,
+    CompoundStrategy: STRATEGY_BASE_ABI,
+    LiquidStakingStrategy: STRATEGY_BASE_ABI,
+    LiquidityProvidingStrategy: STRATEGY_BASE_ABI,
+    UniswapV4FairFlowStablecoinStrategy: STRATEGY_BASE_ABI,
+    StrategyManager: [
+      "function addStrategy(address strategy, uint256 weight) external",
+      "function removeStrategy(address strategy) external",
+      "function updateStrategyWeight(address strategy, uint256 newWeight) external",
+      "function getAllStrategies() external view returns (address[])"
+    ],
+    AbunfiSmartAccount: [
+      "function execute(address target, uint256 value, bytes calldata data) external",
+      "function executeBatch(address[] calldata targets, uint256[] calldata values, bytes[] calldata datas) external"
+    ],
+    EIP7702Bundler: [
+      "function bundleTransactions(bytes[] calldata transactions) external",
+      "function estimateGas(bytes[] calldata transactions) external view returns (uint256)"
+    ],
+    EIP7702Paymaster: [
+      "function sponsorTransaction(address user, bytes calldata transaction) external",
+      "function getBalance() external view returns (uint256)",
+      "function isWhitelisted(address user) external view returns (bool)",
+      "function dailyGasUsed(address user) external view returns (uint256)",
+      "function dailyTxCount(address user) external view returns (uint256)",
+      "function lastResetTimestamp(address user) external view returns (uint256)",
+      "function setWhitelisted(address user, bool whitelisted) external",
+      "event TransactionSponsored(address indexed user, uint256 gasCost)"
+    ]
+  };
+
+  return fallbackABIs[contractName] || [];
+}
+
+// Load ABIs
+const VAULT_ABI = loadContractABI('AbunfiVault');
+const STRATEGY_MANAGER_ABI = loadContractABI('StrategyManager');
+const USDC_ABI = loadContractABI('MockERC20'); // Using MockERC20 ABI for USDC
+
+// EIP-7702 ABIs
+const SMART_ACCOUNT_ABI = loadContractABI('AbunfiSmartAccount');
+const BUNDLER_ABI = loadContractABI('EIP7702Bundler');
+const PAYMASTER_ABI = loadContractABI('EIP7702Paymaster');
+
+module.exports = {
+  VAULT_ABI,
+  STRATEGY_MANAGER_ABI,
+  USDC_ABI,
+  SMART_ACCOUNT_ABI,
+  BUNDLER_ABI,
+  PAYMASTER_ABI,
+  STRATEGY_BASE_ABI,
+  loadContractABI
+};
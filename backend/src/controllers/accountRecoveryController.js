@@ -0,0 +1,253 @@
+const UserRepository = require('../models/postgres/UserRepository');
+const accountRecoveryService = require('../services/accountRecoveryService');
+const tokenService = require('../services/tokenService');
+const websocketService = require('../services/websocketService');
+const authController = require('./authController');
+const logger = require('../utils/logger');
+
+const accountRecoveryController = {
+  // Open a recovery request for the signed-in (possibly 2FA-pending) user
+  requestRecovery: async (req, res) => {
+    try {
+      const request = await accountRecoveryService.requestRecovery(req.user, {
+        reason: req.body.reason,
+        ipAddress: req.ip || req.connection?.remoteAddress,
+        userAgent: req.get('User-Agent')
+      });
+
+      await authController.logSecurityEvent(req.user.id, 'account_recovery_requested', 'attempt', req, {
+        requestId: request.id
+      });
+
+      // Warn any session the owner still has so they can cancel
+      notifyRecovery(req.user.id, request, { ipAddress: req.ip || null });
+
+      res.status(201).json({
+        success: true,
+        message: 'Check your email to confirm the recovery request',
+        data: accountRecoveryService.toPublicJSON(request)
+      });
+    } catch (error) {
+      if (RECOVERY_ERRORS[error.code]) {
+        return res.status(RECOVERY_ERRORS[error.code]).json({ error: error.message, code: error.code });
+      }
+      logger.error('Request account recovery error:', error);
+      res.status(500).json({ error: 'Failed to request account recovery' });
+    }
+  },
+
+  // Confirm a request from the emailed link; starts the cooling-off period
+  confirmRecovery: async (req, res) => {
+    try {
+      const request = await accountRecoveryService.confirmEmail(req.body.token);
+
+      await authController.logSecurityEvent(request.user_id, 'account_recovery_email_confirmed', 'success', req, {
+        requestId: request.id,
+        coolingOffEndsAt: request.cooling_off_ends_at
+      });
+
+      notifyRecovery(request.user_id, request);
+
+      res.json({
+        success: true,
+        message: 'Email confirmed. Your request will be reviewed after the waiting period.',
+        data: accountRecoveryService.toPublicJSON(request)
+      });
+    } catch (error) {
+      if (RECOVERY_ERRORS[error.code]) {
+        return res.status(RECOVERY_ERRORS[error.code]).json({ error: error.message, code: error.code });
+      }
+      logger.error('Confirm account recovery error:', error);
+      res.status(500).json({ error: 'Failed to confirm account recovery' });
+    }
+  },
+
+  // Current open request, if any
+  getRecoveryStatus: async (req, res) => {
+    try {
+      const request = await accountRecoveryService.getOpenRequest(req.user.id);
+
+      res.json({
+        success: true,
+        data: request ? accountRecoveryService.toPublicJSON(request) : null
+      });
+    } catch (error) {
+      logger.error('Get account recovery status error:', error);
+      res.status(500).json({ error: 'Failed to get account recovery status' });
+    }
+  },
+
+  // Cancel the open request (e.g. the owner did not ask for it)
+  cancelRecovery: async (req, res) => {
+    try {
+      const request = await accountRecoveryService.cancel(req.user.id);
+
+      if (!request) {
+        return res.status(404).json({ error: 'No recovery request in progress' });
+      }
+
+      await authController.logSecurityEvent(req.user.id, 'account_recovery_cancelled', 'success', req, {
+        requestId: request.id,
+        fromTemporarySession: req.tokenInfo.isTemporary
+      });
+
+      notifyRecovery(req.user.id, request);
+
+      res.json({
+        success: true,
+        message: 'Recovery request cancelled',
+        data: accountRecoveryService.toPublicJSON(request)
+      });
+    } catch (error) {
+      logger.error('Cancel account recovery error:', error);
+      res.status(500).json({ error: 'Failed to cancel account recovery' });
+    }
+  },
+
+  // Use an approved request: reset second factors, sign out everywhere and open a new session
+  completeRecovery: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const request = await accountRecoveryService.complete(userId);
+
+      const revoked = await tokenService.revokeUserSessions(userId, 'account_recovery');
+      websocketService.closeSessions(revoked);
+
+      const session = await tokenService.createSession(userId, {
+        deviceLabel: req.body.deviceLabel,
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip || req.connection?.remoteAddress
+      });
+
+      await authController.logSecurityEvent(userId, 'account_recovery_completed', 'success', req, {
+        requestId: request.id,
+        revokedSessions: revoked.length
+      });
+
+      const user = await UserRepository.findById(userId);
+
+      res.json({
+        success: true,
+        message: 'Account recovered. Set up a new passkey or authenticator app.',
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        user: UserRepository.toPublicJSON(user)
+      });
+    } catch (error) {
+      if (RECOVERY_ERRORS[error.code]) {
+        return res.status(RECOVERY_ERRORS[error.code]).json({ error: error.message, code: error.code });
+      }
+      logger.error('Complete account recovery error:', error);
+      res.status(500).json({ error: 'Failed to complete account recovery' });
+    }
+  },
+
+  // Admin review queue
+  getReviewQueue: async (req, res) => {
+    try {
+      const { status = 'cooling_off', limit = 50, offset = 0 } = req.query;
+      const requests = await accountRecoveryService.listForReview(status, parseInt(limit), parseInt(offset));
+
+      res.json({
+        success: true,
+        data: requests.map(request => ({
+          ...accountRecoveryService.toPublicJSON(request),
+          user: {
+            id: request.user_id,
+            email: request.email,
+            name: request.name,
+            walletAddress: request.wallet_address
+          },
+          reason: request.reason,
+          ipAddress: request.ip_address,
+          userAgent: request.user_agent,
+          coolingOffElapsed: request.cooling_off_elapsed,
+          reviewNotes: request.review_notes
+        }))
+      });
+    } catch (error) {
+      logger.error('Get account recovery queue error:', error);
+      res.status(500).json({ error: 'Failed to get recovery requests' });
+    }
+  },
+
+  // Admin: approve once the cooling-off period has elapsed
+  approveRequest: async (req, res) => {
+    try {
+      const request = await accountRecoveryService.approve(req.params.requestId, req.user.id, req.body.notes);
+
+      await authController.logSecurityEvent(request.user_id, 'account_recovery_approved', 'success', req, {
+        requestId: request.id,
+        reviewedBy: req.user.id
+      });
+
+      notifyRecovery(request.user_id, request);
+
+      res.json({
+        success: true,
+        message: 'Recovery request approved',
+        data: accountRecoveryService.toPublicJSON(request)
+      });
+    } catch (error) {
+      if (RECOVERY_ERRORS[error.code]) {
+        return res.status(RECOVERY_ERRORS[error.code]).json({ error: error.message, code: error.code });
+      }
+      logger.error('Approve account recovery error:', error);
+      res.status(500).json({ error: 'Failed to approve recovery request' });
+    }
+  },
+
+  // Admin: reject an open request
+  rejectRequest: async (req, res) => {
+    try {
+      const request = await accountRecoveryService.reject(req.params.requestId, req.user.id, req.body.notes);
+
+      await authController.logSecurityEvent(request.user_id, 'account_recovery_rejected', 'failure', req, {
+        requestId: request.id,
+        reviewedBy: req.user.id
+      });
+
+      notifyRecovery(request.user_id, request);
+
+      res.json({
+        success: true,
+        message: 'Recovery request rejected',
+        data: accountRecoveryService.toPublicJSON(request)
+      });
+    } catch (error) {
+      if (RECOVERY_ERRORS[error.code]) {
+        return res.status(RECOVERY_ERRORS[error.code]).json({ error: error.message, code: error.code });
+      }
+      logger.error('Reject account recovery error:', error);
+      res.status(500).json({ error: 'Failed to reject recovery request' });
+    }
+  }
+};
+
+// HTTP status per accountRecoveryService error code
+const RECOVERY_ERRORS = {
+  EMAIL_REQUIRED: 400,
+  INVALID_TOKEN: 400,
+  NOT_APPROVED: 403,
+  SELF_REVIEW: 403,
+  NOT_FOUND: 404,
+  RECOVERY_IN_PROGRESS: 409,
+  INVALID_STATUS: 409,
+  COOLING_OFF: 409
+};
+
+// Push recovery status changes to the account owner's open sessions
+function notifyRecovery(userId, request, details = {}) {
+  websocketService.sendToUser(userId, {
+    type: 'account_recovery',
+    data: {
+      requestId: request.id,
+      status: request.status,
+      coolingOffEndsAt: request.cooling_off_ends_at,
+      ...details
+    },
+    timestamp: Date.now()
+  });
+}
+
+module.exports = accountRecoveryController;
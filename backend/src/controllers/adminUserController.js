@@ -0,0 +1,222 @@
+const adminUserService = require('../services/adminUserService');
+const adminAuditService = require('../services/adminAuditService');
+const logger = require('../utils/logger');
+
+// HTTP status per admin user error
+const ADMIN_USER_ERRORS = {
+  USER_NOT_FOUND: 404,
+  SELF_ACTION: 400,
+  INVALID_KYC_STATUS: 400,
+  INVALID_CURSOR: 400,
+  ALREADY_SUSPENDED: 409,
+  NOT_SUSPENDED: 409,
+  LAST_ROLE_ADMIN: 409
+};
+
+function sendAdminUserError(res, error) {
+  const status = ADMIN_USER_ERRORS[error.code];
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+const adminUserController = {
+  // Search accounts by email, name, wallet or phone
+  searchUsers: async (req, res) => {
+    try {
+      const { q, status, role, page = 1, limit = 20 } = req.query;
+
+      const data = await adminUserService.search(
+        { query: q, status, role },
+        { page: parseInt(page), limit: parseInt(limit) }
+      );
+
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error('Search users error:', error);
+      res.status(500).json({ error: 'Failed to search users' });
+    }
+  },
+
+  // Account details, balance and transaction totals
+  getUser: async (req, res) => {
+    try {
+      const data = await adminUserService.getUser(req.params.userId);
+
+      res.json({ success: true, data });
+    } catch (error) {
+      if (sendAdminUserError(res, error)) return;
+      logger.error('Get user error:', error);
+      res.status(500).json({ error: 'Failed to get user' });
+    }
+  },
+
+  getUserTransactions: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, type, status } = req.query;
+
+      const data = await adminUserService.getTransactions(req.params.userId, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        type,
+        status
+      });
+
+      res.json({ success: true, data });
+    } catch (error) {
+      if (sendAdminUserError(res, error)) return;
+      logger.error('Get user transactions error:', error);
+      res.status(500).json({ error: 'Failed to get transactions' });
+    }
+  },
+
+  getUserSecurityEvents: async (req, res) => {
+    try {
+      const { limit = 50, cursor } = req.query;
+
+      const data = await adminUserService.getSecurityEvents(req.params.userId, {
+        limit: parseInt(limit),
+        cursor
+      });
+
+      res.json({ success: true, data });
+    } catch (error) {
+      if (sendAdminUserError(res, error)) return;
+      logger.error('Get user security events error:', error);
+      res.status(500).json({ error: 'Failed to get security events' });
+    }
+  },
+
+  // Suspend an account and sign it out everywhere
+  suspendUser: async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+
+      const data = await adminUserService.suspend(userId, req.user, reason);
+
+      await adminAuditService.record({
+        actorId: req.user.id,
+        action: 'user_suspended',
+        targetUserId: userId,
+        details: { reason, revokedSessions: data.revokedSessions },
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'User suspended',
+        data
+      });
+    } catch (error) {
+      if (sendAdminUserError(res, error)) return;
+      logger.error('Suspend user error:', error);
+      res.status(500).json({ error: 'Failed to suspend user' });
+    }
+  },
+
+  reactivateUser: async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const lifted = await adminUserService.reactivate(userId);
+
+      await adminAuditService.record({
+        actorId: req.user.id,
+        action: 'user_reactivated',
+        targetUserId: userId,
+        details: { notes: req.body.notes || null, ...lifted },
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'User reactivated'
+      });
+    } catch (error) {
+      if (sendAdminUserError(res, error)) return;
+      logger.error('Reactivate user error:', error);
+      res.status(500).json({ error: 'Failed to reactivate user' });
+    }
+  },
+
+  // Revoke every session of a user
+  forceLogout: async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const revokedSessions = await adminUserService.forceLogout(userId);
+
+      await adminAuditService.record({
+        actorId: req.user.id,
+        action: 'sessions_revoked',
+        targetUserId: userId,
+        details: { revokedSessions },
+        req
+      });
+
+      res.json({
+        success: true,
+        message: `Signed out of ${revokedSessions} session(s)`,
+        data: { revokedSessions }
+      });
+    } catch (error) {
+      if (sendAdminUserError(res, error)) return;
+      logger.error('Force logout error:', error);
+      res.status(500).json({ error: 'Failed to sign user out' });
+    }
+  },
+
+  updateKycStatus: async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { kycStatus, notes } = req.body;
+
+      const change = await adminUserService.setKycStatus(userId, kycStatus);
+
+      await adminAuditService.record({
+        actorId: req.user.id,
+        action: 'kyc_status_changed',
+        targetUserId: userId,
+        details: { ...change, notes: notes || null },
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'KYC status updated successfully',
+        kycStatus: change.status
+      });
+    } catch (error) {
+      if (sendAdminUserError(res, error)) return;
+      logger.error('Update KYC status error:', error);
+      res.status(500).json({ error: 'Failed to update KYC status' });
+    }
+  },
+
+  // Admin actions, newest first
+  getAuditLog: async (req, res) => {
+    try {
+      const { userId, actorId, action, page = 1, limit = 50 } = req.query;
+
+      const data = await adminAuditService.list(
+        {
+          targetUserId: userId,
+          actorId,
+          actions: action ? [].concat(action) : []
+        },
+        { page: parseInt(page), limit: parseInt(limit) }
+      );
+
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error('Get audit log error:', error);
+      res.status(500).json({ error: 'Failed to get audit log' });
+    }
+  }
+};
+
+module.exports = adminUserController;
@@ -1,23 +1,23 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const UserRepository = require('../models/postgres/UserRepository');
+const RecoveryCodeRepository = require('../models/postgres/RecoveryCodeRepository');
 const databaseService = require('../services/DatabaseService');
+const tokenService = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
+const otpService = require('../services/otpService');
+const siweService = require('../services/siweService');
+const websocketService = require('../services/websocketService');
+const securityEventService = require('../services/securityEventService');
+const mailService = require('../services/mailService');
 const logger = require('../utils/logger');
 
-const generateToken = (userId, isTemporary = false) => {
-  const expiresIn = isTemporary ? '10m' : (process.env.JWT_EXPIRE || '7d');
-  const payload = { userId };
-  if (isTemporary) {
-    payload.temporary = true;
-    payload.requires2FA = true;
-  }
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+// Temporary token for completing 2FA; full sessions come from tokenService
+const generateTemporaryToken = (userId) => {
+  return jwt.sign({ userId, temporary: true, requires2FA: true }, process.env.JWT_SECRET, { expiresIn: '10m' });
 };
 
-const generateFullToken = (userId) => {
-  return jwt.sign({ userId, verified2FA: true }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
+const PASSWORD_RESET_TTL_MINUTES = 60;
 
 const authController = {
   // Social login (Google, Apple, Facebook) with 2FA support
@@ -54,13 +54,7 @@ const authController = {
           });
           isNewUser = true;
 
-          // Create security preferences for new user
-          await databaseService.executeQuery(
-            `INSERT INTO user_security_preferences (user_id, security_level, trust_score)
-             VALUES ($1, 'basic', 50)
-             ON CONFLICT (user_id) DO NOTHING`,
-            [user.id]
-          );
+          await createSecurityPreferences(user.id);
         }
       } else {
         // Update login info
@@ -68,75 +62,21 @@ const authController = {
         user = await UserRepository.findById(user.id);
       }
 
-      // Check if 2FA is enabled for this user
-      const requires2FA = user.two_factor_enabled && user.two_factor_method === 'passkey';
-
-      if (requires2FA) {
-        // Check if user has active passkeys
-        const passkeyQuery = `
-          SELECT COUNT(*) as count FROM user_passkeys
-          WHERE user_id = $1 AND is_active = true
-        `;
-        const passkeyResult = await databaseService.executeQuery(passkeyQuery, [user.id]);
-        const hasPasskeys = parseInt(passkeyResult.rows[0].count) > 0;
-
-        if (hasPasskeys) {
-          // Issue temporary token that requires 2FA completion
-          const temporaryToken = generateToken(user.id, true);
-
-          // Log 2FA required event
-          await this.logSecurityEvent(user.id, 'login_2fa_required', 'attempt', req);
-
-          return res.json({
-            success: true,
-            requires2FA: true,
-            temporaryToken,
-            message: 'Please complete passkey authentication',
-            user: UserRepository.toPublicJSON(user)
-          });
-        }
-      }
-
-      // Generate full access token (no 2FA required or new user)
-      const token = generateFullToken(user.id);
-
-      // Log successful login
-      await this.logSecurityEvent(user.id, 'social_login_success', 'success', req, {
-        socialProvider,
+      await completeLogin(req, res, user, {
+        eventType: 'social_login_success',
         isNewUser,
-        requires2FA: false
+        metadata: { socialProvider }
       });
-
-      // For new users, suggest 2FA setup
-      const response = {
-        success: true,
-        token,
-        user: UserRepository.toPublicJSON(user)
-      };
-
-      if (isNewUser) {
-        response.suggestions = {
-          setup2FA: {
-            title: 'Secure Your Account',
-            description: 'Set up passkey authentication for enhanced security and earn rewards!',
-            rewards: ['0.005 USDC bonus', '30-day yield boost', 'Enhanced transaction limits'],
-            action: 'setup_passkey'
-          }
-        };
-      }
-
-      res.json(response);
-
     } catch (error) {
       logger.error('Social login error:', error);
       res.status(500).json({ error: 'Login failed' });
     }
   },
 
-  // Complete 2FA authentication after social login
+  // Complete 2FA authentication after social login (passkey, authenticator code or recovery code)
   complete2FA: async (req, res) => {
     try {
-      const { temporaryToken } = req.body;
+      const { temporaryToken, method = 'passkey', code, passkeyProof } = req.body;
 
       if (!temporaryToken) {
         return res.status(400).json({ error: 'Temporary token is required' });
@@ -162,38 +102,52 @@ const authController = {
         return res.status(404).json({ error: 'User not found' });
       }
 
-      // Verify that 2FA was actually completed (this would be set by the passkey verification)
-      // For now, we'll check if there's a recent successful passkey authentication
-      const recentAuthQuery = `
-        SELECT id FROM security_events
-        WHERE user_id = $1
-        AND event_type = 'passkey_authentication_success'
-        AND event_status = 'success'
-        AND created_at > NOW() - INTERVAL '5 minutes'
-        ORDER BY created_at DESC LIMIT 1
-      `;
-
-      const recentAuth = await databaseService.executeQuery(recentAuthQuery, [userId]);
-
-      if (recentAuth.rows.length === 0) {
-        return res.status(400).json({
-          error: 'Passkey authentication required',
-          message: 'Please complete passkey authentication first'
-        });
+      let passkeyId = null;
+
+      if (method === 'totp' || method === 'recovery_code') {
+        const valid = await twoFactorService.verifySecondFactor(user, method, code);
+
+        if (!valid) {
+          await authController.logSecurityEvent(userId, 'login_2fa_failed', 'failure', req, { method });
+          return res.status(401).json({ error: 'Invalid verification code' });
+        }
+      } else {
+        // Passkey: the proof issued by /passkey/authenticate/complete for this user
+        passkeyId = twoFactorService.verifyPasskeyProof(user, passkeyProof);
+
+        if (!passkeyId) {
+          await authController.logSecurityEvent(userId, 'login_2fa_failed', 'failure', req, { method });
+          return res.status(401).json({
+            error: 'Passkey authentication required',
+            message: 'Please complete passkey authentication first'
+          });
+        }
       }
 
-      // Generate full access token
-      const fullToken = generateFullToken(userId);
+      // Open a 2FA-verified session
+      const session = await tokenService.createSession(userId, getRequestContext(req), {
+        verified2FA: true,
+        passkeyId
+      });
+      await notifyNewDevice(userId, session, req);
 
       // Log successful 2FA completion
-      await this.logSecurityEvent(userId, 'login_2fa_completed', 'success', req);
+      await authController.logSecurityEvent(userId, 'login_2fa_completed', 'success', req, { method });
 
-      res.json({
+      const response = {
         success: true,
-        token: fullToken,
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
         user: UserRepository.toPublicJSON(user),
         message: '2FA authentication completed successfully'
-      });
+      };
+
+      // Let the client warn when recovery codes are running out
+      if (method === 'recovery_code') {
+        response.recoveryCodesRemaining = await RecoveryCodeRepository.countRemaining(userId);
+      }
+
+      res.json(response);
 
     } catch (error) {
       logger.error('Complete 2FA error:', error);
@@ -201,37 +155,42 @@ const authController = {
     }
   },
 
-  // Phone login
+  // Phone login: verify the SMS code, then sign in or register the number
   phoneLogin: async (req, res) => {
     try {
       const { phone, verificationCode, walletAddress } = req.body;
 
-      // TODO: Verify phone verification code
-      // For MVP, we'll skip actual SMS verification
+      let verifiedPhone;
+      try {
+        verifiedPhone = await otpService.verifyCode(phone, verificationCode);
+      } catch (error) {
+        if (sendOtpError(res, error)) return;
+        throw error;
+      }
 
-      // Find user by phone in metadata
-      const users = await UserRepository.findByPreferences({ phone });
-      let user = users.length > 0 ? users[0] : null;
+      let user = await UserRepository.findBySocial(verifiedPhone, 'phone');
+      let isNewUser = false;
 
       if (!user) {
         user = await UserRepository.create({
-          name: `User ${phone.slice(-4)}`,
-          email: `${phone}@abunfi.local`,
+          name: `User ${verifiedPhone.slice(-4)}`,
+          email: `${verifiedPhone}@abunfi.local`,
+          social_id: verifiedPhone,
           social_provider: 'phone',
           wallet_address: walletAddress.toLowerCase(),
-          metadata: { phone }
+          metadata: { phone: verifiedPhone }
         });
+        isNewUser = true;
+
+        await createSecurityPreferences(user.id);
       } else {
         await UserRepository.updateLoginInfo(user.id);
         user = await UserRepository.findById(user.id);
       }
 
-      const token = generateToken(user.id);
-
-      res.json({
-        success: true,
-        token,
-        user: UserRepository.toPublicJSON(user)
+      await completeLogin(req, res, user, {
+        eventType: 'phone_login_success',
+        isNewUser
       });
     } catch (error) {
       logger.error('Phone login error:', error);
@@ -239,37 +198,132 @@ const authController = {
     }
   },
 
-  // Send phone verification
+  // Send an SMS verification code
   sendPhoneVerification: async (req, res) => {
     try {
-      const { phone } = req.body;
-
-      // TODO: Implement actual SMS sending
-      // For MVP, we'll just return success
-      
-      logger.info(`Verification code sent to ${phone}`);
+      const { phone, expiresAt } = await otpService.sendCode(req.body.phone, {
+        ipAddress: req.ip || req.connection?.remoteAddress
+      });
 
       res.json({
         success: true,
-        message: 'Verification code sent'
+        message: 'Verification code sent',
+        phone,
+        expiresAt
       });
     } catch (error) {
+      if (sendOtpError(res, error)) return;
       logger.error('Send verification error:', error);
       res.status(500).json({ error: 'Failed to send verification code' });
     }
   },
 
-  // Refresh token
+  // Issue a nonce and the message parameters for Sign-In With Ethereum
+  siweNonce: async (req, res) => {
+    try {
+      const params = await siweService.createNonce({
+        ipAddress: req.ip || req.connection?.remoteAddress
+      });
+
+      res.json({ success: true, ...params });
+    } catch (error) {
+      logger.error('SIWE nonce error:', error);
+      res.status(500).json({ error: 'Failed to start wallet sign-in' });
+    }
+  },
+
+  // Sign-In With Ethereum: verify the signed message, then sign in or register the wallet
+  siweLogin: async (req, res) => {
+    try {
+      const { message, signature } = req.body;
+
+      let verified;
+      try {
+        verified = await siweService.verify(message, signature);
+      } catch (error) {
+        const status = SIWE_ERROR_STATUS[error.code];
+        if (!status) throw error;
+
+        await authController.logSecurityEvent(null, 'siwe_login_failed', 'failure', req, { code: error.code });
+        return res.status(status).json({ error: error.message, code: error.code });
+      }
+
+      const walletAddress = verified.address.toLowerCase();
+
+      // An account that already uses this wallet (any login method) is the one signed into
+      let user = await UserRepository.findByWalletAddress(walletAddress);
+      let isNewUser = false;
+
+      if (!user) {
+        user = await UserRepository.create({
+          name: `Wallet ${verified.address.slice(0, 6)}…${verified.address.slice(-4)}`,
+          email: `${walletAddress}@abunfi.local`,
+          social_id: walletAddress,
+          social_provider: 'wallet',
+          wallet_address: walletAddress,
+          metadata: { signatureType: verified.signatureType }
+        });
+        isNewUser = true;
+
+        await createSecurityPreferences(user.id);
+      } else {
+        await UserRepository.updateLoginInfo(user.id);
+        user = await UserRepository.findById(user.id);
+      }
+
+      await completeLogin(req, res, user, {
+        eventType: 'siwe_login_success',
+        isNewUser,
+        metadata: {
+          chainId: verified.chainId,
+          signatureType: verified.signatureType,
+          linked: !isNewUser && user.social_provider !== 'wallet'
+        }
+      });
+    } catch (error) {
+      logger.error('SIWE login error:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  },
+
+  // Exchange a refresh token for a new access/refresh token pair
   refreshToken: async (req, res) => {
     try {
       const { refreshToken } = req.body;
 
-      // TODO: Implement refresh token logic
-      // For MVP, we'll just return a new token
+      let session;
+      try {
+        session = await tokenService.rotateRefreshToken(refreshToken, getRequestContext(req));
+      } catch (error) {
+        if (!REFRESH_ERRORS[error.code]) {
+          throw error;
+        }
+
+        if (error.code === 'REFRESH_TOKEN_REUSED') {
+          websocketService.closeSessions([error.sessionId]);
+          await authController.logSecurityEvent(error.userId, 'refresh_token_reuse', 'failure', req, {
+            sessionId: error.sessionId
+          });
+        }
+
+        return res.status(401).json({ error: REFRESH_ERRORS[error.code], code: error.code });
+      }
+
+      const user = await UserRepository.findById(session.userId);
+      if (!user || !user.is_active) {
+        await tokenService.revokeSession(session.sessionId, 'user_inactive');
+        return res.status(401).json({ error: 'User not found' });
+      }
+
+      if (user.suspended_at) {
+        await tokenService.revokeSession(session.sessionId, 'account_suspended');
+        return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+      }
 
       res.json({
         success: true,
-        token: refreshToken
+        token: session.accessToken,
+        refreshToken: session.refreshToken
       });
     } catch (error) {
       logger.error('Refresh token error:', error);
@@ -277,11 +331,15 @@ const authController = {
     }
   },
 
-  // Logout
+  // Logout: revoke the current session
   logout: async (req, res) => {
     try {
-      // TODO: Implement token blacklisting
-      // For MVP, client-side token removal is sufficient
+      const { sessionId } = req.tokenInfo;
+
+      if (sessionId) {
+        await tokenService.revokeSession(sessionId, 'logout');
+        websocketService.closeSessions([sessionId]);
+      }
 
       res.json({
         success: true,
@@ -315,30 +373,70 @@ const authController = {
     }
   },
 
-  // Forgot password
+  // Email a verification link to the signed-in user's address
+  sendVerificationEmail: async (req, res) => {
+    try {
+      const user = req.user;
+
+      if (!user.email || user.email.endsWith('@abunfi.local')) {
+        return res.status(400).json({ error: 'Add an email address to your profile first' });
+      }
+
+      if (user.is_email_verified) {
+        return res.status(400).json({ error: 'Email is already verified' });
+      }
+
+      const { allowed } = await databaseService.checkRateLimit(`verify_email:${user.id}`, 3, 60 * 60);
+      if (!allowed) {
+        return res.status(429).json({ error: 'Too many verification emails, please try again later' });
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      await UserRepository.setEmailVerificationToken(user.id, token);
+
+      await mailService.sendToUser(user, 'email_verification', {
+        link: mailService.link(`/verify-email?token=${encodeURIComponent(token)}`)
+      });
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      logger.error('Send verification email error:', error);
+      res.status(500).json({ error: 'Failed to send verification email' });
+    }
+  },
+
+  // Forgot password. The reset email links to a page that only works once
+  // resetPassword sets passwords, so it is sent only with PASSWORD_RESET_EMAIL_ENABLED=true.
   forgotPassword: async (req, res) => {
     try {
       const { email } = req.body;
 
-      const user = await UserRepository.findByEmail(email);
-
-      if (!user) {
-        // Don't reveal if email exists
-        return res.json({
-          success: true,
-          message: 'If email exists, reset instructions have been sent'
-        });
+      // Limit by address whether or not it exists, so the limit does not reveal it
+      const { allowed } = await databaseService.checkRateLimit(`forgot_password:${email.toLowerCase()}`, 3, 60 * 60);
+      if (!allowed) {
+        return res.status(429).json({ error: 'Too many password reset requests, please try again later' });
       }
 
-      // TODO: Generate reset token and send email
-      // For MVP, we'll just log it
-      const resetToken = Math.random().toString(36).substring(2, 15);
-      const expiresAt = new Date(Date.now() + 3600000); // 1 hour
+      const user = await UserRepository.findByEmail(email);
+
+      if (user) {
+        const resetToken = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
 
-      await UserRepository.setPasswordResetToken(user.id, resetToken, expiresAt);
+        await UserRepository.setPasswordResetToken(user.id, resetToken, expiresAt);
 
-      logger.info(`Password reset requested for ${email}, token: ${resetToken}`);
+        if (process.env.PASSWORD_RESET_EMAIL_ENABLED === 'true') {
+          await mailService.sendToUser(user, 'password_reset', {
+            link: mailService.link(`/reset-password?token=${encodeURIComponent(resetToken)}`),
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+          });
+        }
+      }
 
+      // Don't reveal if email exists
       res.json({
         success: true,
         message: 'If email exists, reset instructions have been sent'
@@ -376,25 +474,175 @@ const authController = {
 
   // Security event logging helper
   logSecurityEvent: async (userId, eventType, eventStatus, req, metadata = {}) => {
-    try {
-      const eventQuery = `
-        INSERT INTO security_events (
-          user_id, event_type, event_status, ip_address, user_agent, metadata
-        ) VALUES ($1, $2, $3, $4, $5, $6)
-      `;
-
-      await databaseService.executeQuery(eventQuery, [
-        userId,
-        eventType,
-        eventStatus,
-        req.ip || req.connection?.remoteAddress,
-        req.get('User-Agent'),
-        JSON.stringify(metadata)
-      ]);
-    } catch (error) {
-      logger.error('Log security event error:', error);
-    }
+    await securityEventService.record({ userId, eventType, eventStatus, req, metadata });
+  }
+};
+
+const REFRESH_ERRORS = {
+  INVALID_REFRESH_TOKEN: 'Invalid or expired refresh token',
+  SESSION_REVOKED: 'Session has been revoked',
+  REFRESH_TOKEN_REUSED: 'Refresh token reuse detected, please login again'
+};
+
+// HTTP status per phone verification error
+const OTP_ERROR_STATUS = {
+  INVALID_PHONE: 400,
+  INVALID_CODE: 401,
+  CODE_EXPIRED: 401,
+  TOO_MANY_ATTEMPTS: 429,
+  RATE_LIMITED: 429,
+  SMS_FAILED: 502
+};
+
+function sendOtpError(res, error) {
+  const status = OTP_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
   }
+
+  res.status(status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+  });
+  return true;
+}
+
+// HTTP status per Sign-In With Ethereum error
+const SIWE_ERROR_STATUS = {
+  INVALID_MESSAGE: 400,
+  UNSUPPORTED_CHAIN: 400,
+  MESSAGE_EXPIRED: 401,
+  INVALID_NONCE: 401,
+  INVALID_SIGNATURE: 401
 };
 
+async function createSecurityPreferences(userId) {
+  await databaseService.executeQuery(
+    `INSERT INTO user_security_preferences (user_id, security_level, trust_score)
+     VALUES ($1, 'basic', 50)
+     ON CONFLICT (user_id) DO NOTHING`,
+    [userId]
+  );
+}
+
+// Finish a first-factor login: require 2FA when the user has it, otherwise open a session
+async function completeLogin(req, res, user, { eventType, isNewUser = false, metadata = {} }) {
+  // Suspended accounts pass the first factor but get no session or 2FA challenge
+  if (user.suspended_at) {
+    await authController.logSecurityEvent(user.id, 'login_blocked_suspended', 'failure', req, { loginType: eventType });
+    return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+  }
+
+  // Check if 2FA is enabled for this user (passkey and/or authenticator app)
+  const methods = user.two_factor_enabled ? await twoFactorService.getMethods(user) : [];
+
+  if (methods.length > 0) {
+    // Issue temporary token that requires 2FA completion
+    const temporaryToken = generateTemporaryToken(user.id);
+
+    await authController.logSecurityEvent(user.id, 'login_2fa_required', 'attempt', req, { methods });
+
+    return res.json({
+      success: true,
+      requires2FA: true,
+      methods,
+      temporaryToken,
+      message: 'Please complete two-factor authentication',
+      user: UserRepository.toPublicJSON(user)
+    });
+  }
+
+  // 2FA is on but every factor is gone: only account recovery may continue
+  if (user.two_factor_enabled) {
+    const temporaryToken = generateTemporaryToken(user.id);
+
+    await authController.logSecurityEvent(user.id, 'login_2fa_unavailable', 'failure', req, metadata);
+
+    return res.json({
+      success: true,
+      requires2FA: true,
+      recoveryRequired: true,
+      methods: [],
+      temporaryToken,
+      message: 'No second factor is available. Start account recovery to regain access.',
+      user: UserRepository.toPublicJSON(user)
+    });
+  }
+
+  // Open a session (no 2FA required or new user)
+  const session = await tokenService.createSession(user.id, getRequestContext(req));
+  await notifyNewDevice(user.id, session, req);
+
+  await authController.logSecurityEvent(user.id, eventType, 'success', req, {
+    ...metadata,
+    isNewUser,
+    requires2FA: false
+  });
+
+  const response = {
+    success: true,
+    token: session.accessToken,
+    refreshToken: session.refreshToken,
+    user: UserRepository.toPublicJSON(user)
+  };
+
+  // For new users, suggest 2FA setup
+  if (isNewUser) {
+    response.suggestions = {
+      setup2FA: {
+        title: 'Secure Your Account',
+        description: 'Set up passkey authentication for enhanced security and earn rewards!',
+        rewards: ['0.005 USDC bonus', '30-day yield boost', 'Enhanced transaction limits'],
+        action: 'setup_passkey'
+      }
+    };
+  }
+
+  return res.json(response);
+}
+
+// Device context stored with new sessions
+function getRequestContext(req) {
+  return {
+    deviceLabel: req.body && req.body.deviceLabel,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip || req.connection?.remoteAddress
+  };
+}
+
+// Record and push a security alert when a session starts on an unseen device
+async function notifyNewDevice(userId, session, req) {
+  if (!session.newDevice) {
+    return;
+  }
+
+  await authController.logSecurityEvent(userId, 'new_device_login', 'success', req, {
+    sessionId: session.sessionId,
+    deviceLabel: session.deviceLabel
+  });
+
+  const user = await UserRepository.findById(userId);
+  await mailService.sendToUser(user, 'new_device_login', {
+    deviceLabel: session.deviceLabel,
+    ipAddress: req.ip || null,
+    time: new Date(),
+    link: mailService.link('/security')
+  }, { dedupeKey: `new_device_login:${session.sessionId}` });
+
+  websocketService.sendToUser(userId, {
+    type: 'new_device_login',
+    data: {
+      sessionId: session.sessionId,
+      deviceLabel: session.deviceLabel,
+      ipAddress: req.ip || null
+    },
+    timestamp: Date.now()
+  });
+}
+
 module.exports = authController;
@@ -0,0 +1,40 @@
+const blockchainService = require('../config/blockchain');
+const logger = require('../utils/logger');
+
+// Chain registry: deployed contract addresses per chain, shared with the frontend
+const chainController = {
+  // All configured chains
+  getChains: (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          defaultChainId: blockchainService.chainId,
+          chains: blockchainService.getChainRegistry()
+        }
+      });
+    } catch (error) {
+      logger.error('Get chains error:', error);
+      res.status(500).json({ error: 'Failed to get chains' });
+    }
+  },
+
+  // One chain's deployment
+  getChain: (req, res) => {
+    try {
+      const chain = blockchainService.getChainRegistry()
+        .find(entry => entry.chainId === Number(req.params.chainId));
+
+      if (!chain) {
+        return res.status(404).json({ error: 'Chain not found', code: 'UNSUPPORTED_CHAIN' });
+      }
+
+      res.json({ success: true, data: chain });
+    } catch (error) {
+      logger.error('Get chain error:', error);
+      res.status(500).json({ error: 'Failed to get chain' });
+    }
+  }
+};
+
+module.exports = chainController;
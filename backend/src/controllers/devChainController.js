@@ -0,0 +1,38 @@
+const blockchainService = require('../config/blockchain');
+
+// JSON-RPC access to the in-process fake chain (FAKE_CHAIN=true), for wallets and the frontend in development
+const devChainController = {
+  // Chain id, head block and deployed contract addresses
+  getInfo: (req, res) => {
+    const fakeChain = blockchainService.fakeChain;
+    if (!fakeChain) {
+      return res.status(503).json({ error: 'Fake chain not started' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        chainId: Number(fakeChain.chain.chainId),
+        blockNumber: fakeChain.chain.latestBlock.number,
+        admin: fakeChain.owner,
+        contracts: fakeChain.getDeployment().contracts
+      }
+    });
+  },
+
+  // Answer a JSON-RPC request or batch
+  handleRpc: (req, res) => {
+    const fakeChain = blockchainService.fakeChain;
+    if (!fakeChain) {
+      return res.status(503).json({
+        jsonrpc: '2.0',
+        id: req.body?.id ?? null,
+        error: { code: -32603, message: 'Fake chain not started' }
+      });
+    }
+
+    res.json(fakeChain.chain.handle(req.body));
+  }
+};
+
+module.exports = devChainController;
@@ -6,6 +6,9 @@ const {
 } = require('@simplewebauthn/server');
 const { v4: uuidv4 } = require('uuid');
 const databaseService = require('../services/DatabaseService');
+const UserRepository = require('../models/postgres/UserRepository');
+const securityEventService = require('../services/securityEventService');
+const twoFactorService = require('../services/twoFactorService');
 const logger = require('../utils/logger');
 
 class PasskeyController {
@@ -242,7 +245,7 @@ class PasskeyController {
    */
   async generateAuthenticationOptions(req, res) {
     try {
-      const { userId } = req.user;
+      const userId = req.user.id;
 
       // Get user's active passkeys
       const passkeysQuery = `
@@ -303,7 +306,7 @@ class PasskeyController {
    */
   async verifyAuthentication(req, res) {
     try {
-      const { userId } = req.user;
+      const userId = req.user.id;
       const { credential } = req.body;
 
       if (!credential) {
@@ -385,12 +388,14 @@ class PasskeyController {
       res.json({
         success: true,
         message: 'Authentication successful',
-        verified: true
+        verified: true,
+        // Completes a pending 2FA login through /auth/complete-2fa
+        passkeyProof: twoFactorService.issuePasskeyProof(userId, passkey.id)
       });
 
     } catch (error) {
       logger.error('Verify authentication error:', error);
-      await this.logSecurityEvent(req.user?.userId, 'passkey_authentication_error', 'failure', req, {
+      await this.logSecurityEvent(req.user?.id, 'passkey_authentication_error', 'failure', req, {
         error: error.message
       });
       res.status(500).json({ error: 'Authentication verification failed' });
@@ -428,11 +433,12 @@ class PasskeyController {
   }
 
   /**
-   * Delete a passkey
+   * Delete a passkey. The last passkey can only go while another second
+   * factor (authenticator app) remains enrolled.
    */
   async deletePasskey(req, res) {
     try {
-      const { userId } = req.user;
+      const userId = req.user.id;
       const { passkeyId } = req.params;
 
       // Check if this is the user's last passkey
@@ -442,10 +448,11 @@ class PasskeyController {
       `;
       const countResult = await databaseService.executeQuery(countQuery, [userId]);
       const activeCount = parseInt(countResult.rows[0].count);
+      const isLastPasskey = activeCount <= 1;
 
-      if (activeCount <= 1) {
+      if (isLastPasskey && !req.user.totp_confirmed_at) {
         return res.status(400).json({ 
-          error: 'Cannot delete the last passkey. Add another passkey first.' 
+          error: 'Cannot delete the last passkey. Add another passkey or an authenticator app first.' 
         });
       }
 
@@ -463,6 +470,11 @@ class PasskeyController {
         return res.status(404).json({ error: 'Passkey not found' });
       }
 
+      // The authenticator app is now the only second factor
+      if (isLastPasskey) {
+        await UserRepository.setTwoFactorMethod(userId, 'totp');
+      }
+
       // Log the deletion
       await this.logSecurityEvent(userId, 'passkey_deleted', 'success', req, {
         passkeyId,
@@ -484,24 +496,7 @@ class PasskeyController {
    * Log security events
    */
   async logSecurityEvent(userId, eventType, eventStatus, req, metadata = {}) {
-    try {
-      const eventQuery = `
-        INSERT INTO security_events (
-          user_id, event_type, event_status, ip_address, user_agent, metadata
-        ) VALUES ($1, $2, $3, $4, $5, $6)
-      `;
-      
-      await databaseService.executeQuery(eventQuery, [
-        userId,
-        eventType,
-        eventStatus,
-        req.ip || req.connection?.remoteAddress,
-        req.get('User-Agent'),
-        JSON.stringify(metadata)
-      ]);
-    } catch (error) {
-      logger.error('Log security event error:', error);
-    }
+    await securityEventService.record({ userId, eventType, eventStatus, req, metadata });
   }
 
   /**
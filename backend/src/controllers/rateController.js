@@ -0,0 +1,50 @@
+const exchangeRateService = require('../services/exchangeRateService');
+const logger = require('../utils/logger');
+
+const sendRateError = (res, error) => {
+  if (error.code === 'UNSUPPORTED_PAIR') {
+    res.status(400).json({ error: error.message, code: error.code });
+    return true;
+  }
+  if (error.code === 'RATE_UNAVAILABLE') {
+    res.status(404).json({ error: error.message, code: error.code });
+    return true;
+  }
+  return false;
+};
+
+// Exchange rates: latest, at a point in time, and history
+const rateController = {
+  // Rate now, or in effect at ?at=
+  getRate: async (req, res) => {
+    try {
+      const { base = 'USD', quote = 'VND', at } = req.query;
+      const rate = await exchangeRateService.getRate(base, quote, at ? new Date(at) : null);
+
+      res.json({ success: true, data: rate });
+    } catch (error) {
+      if (sendRateError(res, error)) return;
+      logger.error('Get exchange rate error:', error);
+      res.status(500).json({ error: 'Failed to get exchange rate' });
+    }
+  },
+
+  // Downsampled history over ?period=
+  getRateHistory: async (req, res) => {
+    try {
+      const { base = 'USD', quote = 'VND', period = '30d' } = req.query;
+      const history = await exchangeRateService.getHistory(base, quote, period);
+
+      res.json({
+        success: true,
+        data: { base, quote, period, history }
+      });
+    } catch (error) {
+      if (sendRateError(res, error)) return;
+      logger.error('Get exchange rate history error:', error);
+      res.status(500).json({ error: 'Failed to get exchange rate history' });
+    }
+  }
+};
+
+module.exports = rateController;
@@ -0,0 +1,81 @@
+const authorizationService = require('../services/authorizationService');
+const adminAuditService = require('../services/adminAuditService');
+const authController = require('./authController');
+const logger = require('../utils/logger');
+
+// HTTP status per authorization error
+const ROLE_ERRORS = {
+  USER_NOT_FOUND: 404,
+  UNKNOWN_ROLE: 400,
+  LAST_ROLE_ADMIN: 409
+};
+
+const roleController = {
+  // Roles with the permissions they bundle, and every known permission
+  getRoles: async (req, res) => {
+    try {
+      const data = await authorizationService.getRoles();
+
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error('Get roles error:', error);
+      res.status(500).json({ error: 'Failed to get roles' });
+    }
+  },
+
+  // A user's roles and effective permissions
+  getUserRoles: async (req, res) => {
+    try {
+      const data = await authorizationService.getUserAccess(req.params.userId);
+
+      res.json({ success: true, data });
+    } catch (error) {
+      if (ROLE_ERRORS[error.code]) {
+        return res.status(ROLE_ERRORS[error.code]).json({ error: error.message, code: error.code });
+      }
+      logger.error('Get user roles error:', error);
+      res.status(500).json({ error: 'Failed to get user roles' });
+    }
+  },
+
+  // Replace a user's roles
+  setUserRoles: async (req, res) => {
+    try {
+      const { previousRoles, ...data } = await authorizationService.setUserRoles(
+        req.params.userId,
+        req.body.roles,
+        req.user
+      );
+
+      const roles = data.roles.map(role => role.name);
+
+      await adminAuditService.record({
+        actorId: req.user.id,
+        action: 'roles_changed',
+        targetUserId: req.params.userId,
+        details: { previousRoles, roles },
+        req
+      });
+
+      await authController.logSecurityEvent(req.params.userId, 'roles_changed', 'success', req, {
+        previousRoles,
+        roles,
+        changedBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Roles updated',
+        data
+      });
+    } catch (error) {
+      if (ROLE_ERRORS[error.code]) {
+        return res.status(ROLE_ERRORS[error.code]).json({ error: error.message, code: error.code });
+      }
+      logger.error('Set user roles error:', error);
+      res.status(500).json({ error: 'Failed to update roles' });
+    }
+  }
+};
+
+module.exports = roleController;
@@ -2,6 +2,7 @@ const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const memoryCache = require('../utils/memoryCache');
 const blockchainService = require('../config/blockchain');
+const securityEventService = require('../services/securityEventService');
 
 /**
  * Security Controller
@@ -133,45 +134,52 @@ class SecurityController {
   }
 
   /**
-   * Record a security event
+   * Record a client-reported (`client_*`) security event for a wallet the caller owns (security:write: any wallet)
    */
   async recordSecurityEvent(req, res) {
     try {
-      const { walletAddress, eventType, severity, message, metadata } = req.body;
+      const { walletAddress, eventType, eventStatus = 'attempt', severity, message, metadata = {} } = req.body;
 
-      if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+      if (!securityEventService.isClientEventType(eventType)) {
         return res.status(400).json({
-          error: 'Invalid wallet address'
+          error: `Event type must start with ${securityEventService.CLIENT_EVENT_PREFIX}`,
+          code: 'RESERVED_EVENT_TYPE'
+        });
+      }
+
+      if (!securityEventService.canAccessWallet(req.user, walletAddress, 'security:write')) {
+        return res.status(403).json({
+          error: 'Access denied'
         });
       }
 
-      const securityEvent = {
+      const ownsWallet = securityEventService.ownsWallet(req.user, walletAddress);
+      const { userId } = ownsWallet
+        ? { userId: req.user.id }
+        : await securityEventService.getWalletScope(walletAddress);
+
+      const securityEvent = await securityEventService.record({
+        userId,
         walletAddress,
         eventType,
+        eventStatus,
         severity,
         message,
-        metadata,
-        timestamp: new Date().toISOString(),
-        id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      };
+        metadata: ownsWallet ? metadata : { ...metadata, reportedBy: req.user.id },
+        req
+      });
 
-      // Store event (in real implementation, this would go to a database)
-      const eventsKey = `security_events_${walletAddress}`;
-      const existingEvents = this.cache.get(eventsKey) || [];
-      existingEvents.push(securityEvent);
-      
-      // Keep only last 100 events
-      if (existingEvents.length > 100) {
-        existingEvents.splice(0, existingEvents.length - 100);
+      if (!securityEvent) {
+        return res.status(500).json({
+          error: 'Failed to record security event'
+        });
       }
-      
-      this.cache.set(eventsKey, existingEvents, 24 * 60 * 60 * 1000); // 24 hours
 
-      logger.info('Security event recorded:', securityEvent);
+      logger.info(`Security event recorded: ${eventType} (${securityEvent.severity}) for ${walletAddress}`);
 
       res.json({
         success: true,
-        data: securityEvent
+        data: securityEventService.toPublicJSON(securityEvent)
       });
 
     } catch (error) {
@@ -184,36 +192,66 @@ class SecurityController {
   }
 
   /**
-   * Get security events for a wallet
+   * Get security events for a wallet the caller owns (security:read: any wallet)
    */
   async getSecurityEvents(req, res) {
     try {
       const { walletAddress } = req.params;
-      const { limit = 50, offset = 0 } = req.query;
 
-      if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
-        return res.status(400).json({
-          error: 'Invalid wallet address'
+      if (!securityEventService.canAccessWallet(req.user, walletAddress)) {
+        return res.status(403).json({
+          error: 'Access denied'
         });
       }
 
-      const eventsKey = `security_events_${walletAddress}`;
-      const allEvents = this.cache.get(eventsKey) || [];
-      
-      // Apply pagination
-      const startIndex = parseInt(offset);
-      const endIndex = startIndex + parseInt(limit);
-      const events = allEvents.slice(startIndex, endIndex);
+      const scope = await securityEventService.getWalletScope(walletAddress);
+      await this.sendEventPage(req, res, { ...scope, ...parseEventFilters(req.query) });
+
+    } catch (error) {
+      logger.error('Error getting security events:', error);
+      res.status(500).json({
+        error: 'Failed to get security events',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Daily event counts per severity for a wallet the caller owns (security:read: any wallet)
+   */
+  async getSecurityEventSummary(req, res) {
+    try {
+      const { walletAddress } = req.params;
+
+      if (!securityEventService.canAccessWallet(req.user, walletAddress)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      const scope = await securityEventService.getWalletScope(walletAddress);
+      const days = await securityEventService.summarize({ ...scope, ...parseEventFilters(req.query) });
 
       res.json({
         success: true,
-        data: {
-          events,
-          total: allEvents.length,
-          limit: parseInt(limit),
-          offset: parseInt(offset)
-        }
+        data: { days }
+      });
+
+    } catch (error) {
+      logger.error('Error summarizing security events:', error);
+      res.status(500).json({
+        error: 'Failed to summarize security events',
+        message: error.message
       });
+    }
+  }
+
+  /**
+   * Get security events across all users (admin)
+   */
+  async getAllSecurityEvents(req, res) {
+    try {
+      await this.sendEventPage(req, res, parseEventFilters(req.query));
 
     } catch (error) {
       logger.error('Error getting security events:', error);
@@ -224,7 +262,54 @@ class SecurityController {
     }
   }
 
+  /**
+   * Daily event counts per severity across all users (admin)
+   */
+  async getAllSecurityEventSummary(req, res) {
+    try {
+      const days = await securityEventService.summarize(parseEventFilters(req.query));
+
+      res.json({
+        success: true,
+        data: { days }
+      });
+
+    } catch (error) {
+      logger.error('Error summarizing security events:', error);
+      res.status(500).json({
+        error: 'Failed to summarize security events',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Respond with one cursor page of events matching the filters
+   */
+  async sendEventPage(req, res, filters) {
+    const limit = parseInt(req.query.limit || '50');
+
+    try {
+      const { events, nextCursor } = await securityEventService.list(filters, {
+        limit,
+        cursor: req.query.cursor
+      });
 
+      res.json({
+        success: true,
+        data: {
+          events,
+          nextCursor,
+          limit
+        }
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+  }
 
   /**
    * Check transaction eligibility based on security status
@@ -329,6 +414,18 @@ class SecurityController {
   }
 }
 
+// Event filters from the query string; `type` and `severity` accept comma-separated lists
+function parseEventFilters(query) {
+  const list = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+  return {
+    eventTypes: list(query.type),
+    severities: list(query.severity),
+    from: query.from ? new Date(query.from) : null,
+    to: query.to ? new Date(query.to) : null
+  };
+}
+
 const securityController = new SecurityController();
 
 // Export bound methods to preserve 'this' context
@@ -337,5 +434,8 @@ module.exports = {
   checkTransactionEligibility: securityController.checkTransactionEligibility.bind(securityController),
   getSecurityRecommendations: securityController.getSecurityRecommendations.bind(securityController),
   recordSecurityEvent: securityController.recordSecurityEvent.bind(securityController),
-  getSecurityEvents: securityController.getSecurityEvents.bind(securityController)
+  getSecurityEvents: securityController.getSecurityEvents.bind(securityController),
+  getSecurityEventSummary: securityController.getSecurityEventSummary.bind(securityController),
+  getAllSecurityEvents: securityController.getAllSecurityEvents.bind(securityController),
+  getAllSecurityEventSummary: securityController.getAllSecurityEventSummary.bind(securityController)
 };
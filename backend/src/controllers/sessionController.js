@@ -0,0 +1,95 @@
+const AuthSessionRepository = require('../models/postgres/AuthSessionRepository');
+const tokenService = require('../services/tokenService');
+const websocketService = require('../services/websocketService');
+const authController = require('./authController');
+const logger = require('../utils/logger');
+
+const sessionController = {
+  // List the user's active sessions
+  getSessions: async (req, res) => {
+    try {
+      const sessions = await AuthSessionRepository.findActiveByUser(req.user.id);
+      const currentSessionId = req.tokenInfo.sessionId;
+
+      res.json({
+        success: true,
+        data: sessions.map(session => formatSession(session, currentSessionId))
+      });
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      res.status(500).json({ error: 'Failed to get sessions' });
+    }
+  },
+
+  // Revoke one of the user's sessions
+  revokeSession: async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+
+      const session = await AuthSessionRepository.findSessionById(sessionId);
+      if (!session || session.user_id !== req.user.id || session.revoked_at) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      await tokenService.revokeSession(sessionId, 'user_revoked');
+      websocketService.closeSessions([sessionId]);
+
+      await authController.logSecurityEvent(req.user.id, 'session_revoked', 'success', req, {
+        sessionId,
+        deviceLabel: session.device_label
+      });
+
+      res.json({
+        success: true,
+        message: 'Session revoked',
+        data: { sessionId, current: sessionId === req.tokenInfo.sessionId }
+      });
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
+  },
+
+  // Sign out everywhere; the current session is kept unless includeCurrent is set
+  revokeAllSessions: async (req, res) => {
+    try {
+      const includeCurrent = req.body.includeCurrent === true;
+      const keepSessionId = includeCurrent ? null : req.tokenInfo.sessionId;
+
+      const revoked = await tokenService.revokeUserSessions(req.user.id, 'logout_all', keepSessionId);
+      websocketService.closeSessions(revoked);
+
+      await authController.logSecurityEvent(req.user.id, 'sessions_revoked_all', 'success', req, {
+        revokedCount: revoked.length,
+        includeCurrent
+      });
+
+      res.json({
+        success: true,
+        message: `Signed out of ${revoked.length} session(s)`,
+        data: { revokedCount: revoked.length }
+      });
+    } catch (error) {
+      logger.error('Revoke all sessions error:', error);
+      res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+  }
+};
+
+function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    deviceLabel: session.device_label,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    passkeyName: session.passkey_name || null,
+    verified2FA: session.verified_2fa,
+    newDevice: session.new_device,
+    current: session.id === currentSessionId,
+    lastSeenAt: session.last_used_at,
+    createdAt: session.created_at,
+    expiresAt: session.expires_at
+  };
+}
+
+module.exports = sessionController;
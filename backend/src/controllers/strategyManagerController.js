@@ -1,6 +1,20 @@
 const logger = require('../utils/logger');
 const blockchainService = require('../config/blockchain');
+const StrategyProposalRepository = require('../models/postgres/StrategyProposalRepository');
+const strategySnapshotService = require('../services/strategySnapshotService');
+const dataSourceService = require('../services/dataSourceService');
+const { strategyRegistry } = require('../services/strategies');
 const { cacheWithTTL } = require('../utils/cache');
+const money = require('../utils/money');
+const {
+  getAllocationCap,
+  findStrategy,
+  validateAllocations,
+  diffAllocations
+} = require('../utils/strategyAllocation');
+
+// Chart colour of strategies without a registered adapter
+const DEFAULT_STRATEGY_COLOR = '#757575';
 
 const strategyManagerController = {
   // Get overall strategy statistics and overview
@@ -8,108 +22,47 @@ const strategyManagerController = {
     try {
       const overview = await cacheWithTTL(
         'strategies:overview',
-        async () => {
-          let blockchainData = null;
-          
-          try {
-            if (blockchainService.initialized) {
-              // Get data from blockchain
-              const strategies = await blockchainService.getAllStrategies();
-              const totalAssets = await blockchainService.getTotalAssets();
-              
-              blockchainData = {
-                totalAssets,
-                strategiesCount: strategies.length,
-                activeStrategies: strategies.filter(s => s.isActive).length,
-                totalAPY: strategies.reduce((sum, s) => sum + s.apy, 0) / strategies.length,
-                strategies: strategies.map(strategy => ({
-                  address: strategy.address,
-                  name: strategy.name,
-                  totalAssets: strategy.totalAssets,
-                  apy: strategy.apy,
-                  allocation: strategy.allocation,
-                  riskScore: strategy.riskScore,
-                  isActive: strategy.isActive,
-                  lastUpdate: strategy.lastUpdate
-                }))
-              };
-            }
-          } catch (blockchainError) {
-            logger.warn('Blockchain service unavailable for strategies overview');
-          }
+        () => dataSourceService.readChain(
+          'strategies overview',
+          async () => {
+            const strategies = await blockchainService.getAllStrategies();
+            const totalAssets = await blockchainService.getTotalAssets();
 
-          // Mock data if blockchain is not available
-          if (!blockchainData) {
-            blockchainData = {
-              totalAssets: '95000000', // $95M total
-              strategiesCount: 5,
-              activeStrategies: 5,
-              totalAPY: 8.84,
-              strategies: [
-                {
-                  address: '0x1234...aave',
-                  name: 'Aave USDC Strategy',
-                  totalAssets: '25000000', // $25M
-                  apy: 7.8,
-                  allocation: 26.3,
-                  riskScore: 25,
-                  isActive: true,
-                  lastUpdate: new Date().toISOString()
-                },
-                {
-                  address: '0x1234...compound',
-                  name: 'Compound V3 USDC Strategy',
-                  totalAssets: '20000000', // $20M
-                  apy: 8.9,
-                  allocation: 21.1,
-                  riskScore: 30,
-                  isActive: true,
-                  lastUpdate: new Date().toISOString()
-                },
-                {
-                  address: '0x1234...uniswapv4',
-                  name: 'Uniswap V4 FairFlow Stablecoin Strategy',
-                  totalAssets: '30000000', // $30M
-                  apy: 10.2,
-                  allocation: 31.6,
-                  riskScore: 30,
-                  isActive: true,
-                  lastUpdate: new Date().toISOString()
-                },
-                {
-                  address: '0x1234...lido',
-                  name: 'Lido Liquid Staking',
-                  totalAssets: '15000000', // $15M
-                  apy: 5.2,
-                  allocation: 15.8,
-                  riskScore: 15,
-                  isActive: true,
-                  lastUpdate: new Date().toISOString()
-                },
-                {
-                  address: '0x1234...uniswap',
-                  name: 'Uniswap V3 LP Strategy',
-                  totalAssets: '5000000', // $5M
-                  apy: 12.1,
-                  allocation: 5.3,
-                  riskScore: 65,
-                  isActive: true,
-                  lastUpdate: new Date().toISOString()
-                }
-              ]
+            return {
+              totalAssets,
+              strategiesCount: strategies.length,
+              activeStrategies: strategies.filter(s => s.isActive).length,
+              totalAPY: strategies.reduce((sum, s) => sum + s.apy, 0) / strategies.length,
+              strategies: strategies.map(strategy => withAdapterMetadata({
+                address: strategy.address,
+                type: strategy.type,
+                name: strategy.name,
+                totalAssets: strategy.totalAssets,
+                apy: strategy.apy,
+                allocation: strategy.allocation,
+                riskScore: strategy.riskScore,
+                isActive: strategy.isActive,
+                lastUpdate: strategy.lastUpdate
+              }))
+            };
+          },
+          () => {
+            const strategies = getMockStrategies();
+            return {
+              totalAssets: money.format(money.sum(strategies.map(s => s.totalAssets), 'USDC'), 'USDC'),
+              strategiesCount: strategies.length,
+              activeStrategies: strategies.length,
+              totalAPY: strategies.reduce((sum, s) => sum + s.apy, 0) / strategies.length,
+              strategies: strategies.map(withAdapterMetadata)
             };
           }
-
-          return blockchainData;
-        },
+        ),
         120 // 2 minutes cache
       );
 
-      res.json({
-        success: true,
-        data: overview
-      });
+      dataSourceService.send(res, overview);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Get strategies overview error:', error);
       res.status(500).json({ error: 'Failed to get strategies overview' });
     }
@@ -121,86 +74,30 @@ const strategyManagerController = {
       const distribution = await cacheWithTTL(
         'strategies:distribution',
         async () => {
-          let blockchainData = null;
-          
-          try {
-            if (blockchainService.initialized) {
+          const result = await dataSourceService.readChain(
+            'funds distribution',
+            async () => {
               const strategies = await blockchainService.getAllStrategies();
-              const totalAssets = strategies.reduce((sum, s) => sum + parseFloat(s.totalAssets), 0);
-              
-              blockchainData = strategies.map(strategy => ({
-                name: strategy.name,
-                value: parseFloat(strategy.totalAssets),
-                percentage: (parseFloat(strategy.totalAssets) / totalAssets) * 100,
-                apy: strategy.apy,
-                riskScore: strategy.riskScore,
-                color: getStrategyColor(strategy.name)
-              }));
-            }
-          } catch (blockchainError) {
-            logger.warn('Blockchain service unavailable for funds distribution');
-          }
-
-          // Mock data if blockchain is not available
-          if (!blockchainData) {
-            blockchainData = [
-              {
-                name: 'Uniswap V4 FairFlow',
-                value: 30000000,
-                percentage: 31.6,
-                apy: 10.2,
-                riskScore: 30,
-                color: '#9c27b0'
-              },
-              {
-                name: 'Aave USDC',
-                value: 25000000,
-                percentage: 26.3,
-                apy: 7.8,
-                riskScore: 25,
-                color: '#1976d2'
-              },
-              {
-                name: 'Compound V3',
-                value: 20000000,
-                percentage: 21.1,
-                apy: 8.9,
-                riskScore: 30,
-                color: '#388e3c'
-              },
-              {
-                name: 'Lido Staking',
-                value: 15000000,
-                percentage: 15.8,
-                apy: 5.2,
-                riskScore: 15,
-                color: '#f57c00'
-              },
-              {
-                name: 'Uniswap V3 LP',
-                value: 5000000,
-                percentage: 5.3,
-                apy: 12.1,
-                riskScore: 65,
-                color: '#d32f2f'
-              }
-            ];
-          }
+              return toDistribution(strategies);
+            },
+            () => toDistribution(getMockStrategies())
+          );
 
           return {
-            distribution: blockchainData,
-            totalValue: blockchainData.reduce((sum, item) => sum + item.value, 0),
-            lastUpdate: new Date().toISOString()
+            ...result,
+            data: {
+              distribution: result.data,
+              totalValue: Number(money.format(money.sum(result.data.map(item => item.value), 'USDC'), 'USDC')),
+              lastUpdate: result.asOf
+            }
           };
         },
         60 // 1 minute cache
       );
 
-      res.json({
-        success: true,
-        data: distribution
-      });
+      dataSourceService.send(res, distribution);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Get funds distribution error:', error);
       res.status(500).json({ error: 'Failed to get funds distribution' });
     }
@@ -214,52 +111,32 @@ const strategyManagerController = {
       const performance = await cacheWithTTL(
         `strategies:performance:${period}`,
         async () => {
-          let blockchainData = null;
-          
-          try {
-            if (blockchainService.initialized) {
-              const strategies = await blockchainService.getAllStrategies();
-              const performanceData = await Promise.all(
-                strategies.map(async (strategy) => {
-                  const history = await blockchainService.getStrategyPerformanceHistory(strategy.address, period);
-                  return {
-                    address: strategy.address,
-                    name: strategy.name,
-                    currentAPY: strategy.apy,
-                    averageAPY: history.reduce((sum, h) => sum + h.apy, 0) / history.length,
-                    totalYield: history.reduce((sum, h) => sum + h.yield, 0),
-                    volatility: calculateVolatility(history.map(h => h.apy)),
-                    sharpeRatio: calculateSharpeRatio(history.map(h => h.apy)),
-                    maxDrawdown: calculateMaxDrawdown(history.map(h => h.apy)),
-                    history: history
-                  };
-                })
-              );
-              
-              blockchainData = performanceData;
-            }
-          } catch (blockchainError) {
-            logger.warn('Blockchain service unavailable for strategy performance');
-          }
+          const histories = await strategySnapshotService.getStrategyHistories(period);
 
-          // Mock data if blockchain is not available
-          if (!blockchainData) {
-            blockchainData = generateMockPerformanceData(period);
-          }
+          const performanceData = histories.map(({ address, type, name, history }) => {
+            const apyHistory = history.map(h => h.apy);
+            return {
+              ...withAdapterMetadata({ address, type, name }),
+              currentAPY: apyHistory.length > 0 ? apyHistory[apyHistory.length - 1] : 0,
+              averageAPY: apyHistory.length > 0 ? apyHistory.reduce((sum, apy) => sum + apy, 0) / apyHistory.length : 0,
+              totalYield: history.reduce((sum, h) => sum + h.yield, 0),
+              volatility: calculateVolatility(apyHistory),
+              sharpeRatio: calculateSharpeRatio(apyHistory),
+              maxDrawdown: calculateMaxDrawdown(apyHistory),
+              history
+            };
+          });
 
-          return {
-            strategies: blockchainData,
+          return dataSourceService.result({
+            strategies: performanceData,
             period,
             lastUpdate: new Date().toISOString()
-          };
+          }, 'database');
         },
         300 // 5 minutes cache
       );
 
-      res.json({
-        success: true,
-        data: performance
-      });
+      dataSourceService.send(res, performance);
     } catch (error) {
       logger.error('Get strategy performance error:', error);
       res.status(500).json({ error: 'Failed to get strategy performance' });
@@ -274,8 +151,8 @@ const strategyManagerController = {
       const compoundData = await cacheWithTTL(
         `strategies:compound:${period}:${principal}`,
         async () => {
-          const strategies = await getStrategiesData();
-          
+          const { data: strategies, dataSource, asOf } = await getCurrentStrategies();
+
           const compoundCalculations = strategies.map(strategy => {
             const projections = calculateCompoundInterest(
               parseFloat(principal),
@@ -293,37 +170,445 @@ const strategyManagerController = {
             };
           });
 
-          return {
+          return dataSourceService.result({
             calculations: compoundCalculations,
             period,
             principal: parseFloat(principal),
-            lastUpdate: new Date().toISOString()
-          };
+            lastUpdate: asOf
+          }, dataSource, asOf);
         },
         600 // 10 minutes cache
       );
 
-      res.json({
-        success: true,
-        data: compoundData
-      });
+      dataSourceService.send(res, compoundData);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Get compound interest error:', error);
       res.status(500).json({ error: 'Failed to get compound interest data' });
     }
+  },
+
+  // Propose a new allocation across all strategies
+  updateStrategyAllocation: async (req, res) => {
+    try {
+      const { allocations } = req.body;
+      const { data: strategies, dataSource, asOf } = await getCurrentStrategies();
+
+      const validation = validateAllocations(strategies, allocations);
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Invalid allocation',
+          details: validation.errors
+        });
+      }
+
+      const diff = diffAllocations(strategies, validation.targets);
+      const changedAddresses = diff.filter(d => d.change !== 0).map(d => d.strategyAddress);
+
+      if (changedAddresses.length === 0) {
+        return res.status(400).json({ error: 'Proposed allocation matches the current allocation' });
+      }
+
+      const changedTargets = validation.targets.filter(t => changedAddresses.includes(t.address));
+      const proposal = await createProposal(req.user, 'allocation', diff, () =>
+        blockchainService.buildStrategyWeightUpdates(changedTargets)
+      );
+
+      logger.info(`Allocation proposal ${proposal.id} (${proposal.status}) created by ${req.user.email}`);
+
+      dataSourceService.send(res, dataSourceService.result({
+        proposal: formatProposal(proposal),
+        diff
+      }, dataSource, asOf));
+    } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
+      logger.error('Update strategy allocation error:', error);
+      res.status(500).json({ error: 'Failed to update strategy allocation' });
+    }
+  },
+
+  // Propose a rebalance of the vault to its current target allocation
+  rebalanceStrategies: async (req, res) => {
+    try {
+      const { data: strategies, dataSource, asOf } = await getCurrentStrategies();
+      const diff = diffAllocations(strategies, []);
+
+      const proposal = await createProposal(req.user, 'rebalance', diff, () =>
+        blockchainService.buildRebalance()
+      );
+
+      logger.info(`Rebalance proposal ${proposal.id} (${proposal.status}) created by ${req.user.email}`);
+
+      dataSourceService.send(res, dataSourceService.result({
+        proposal: formatProposal(proposal),
+        diff
+      }, dataSource, asOf));
+    } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
+      logger.error('Rebalance strategies error:', error);
+      res.status(500).json({ error: 'Failed to rebalance strategies' });
+    }
+  },
+
+  // Get recent allocation proposals
+  getStrategyProposals: async (req, res) => {
+    try {
+      const { limit = 20, offset = 0, status } = req.query;
+
+      const proposals = await StrategyProposalRepository.findRecent({
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        status
+      });
+
+      dataSourceService.send(res, dataSourceService.result({
+        proposals: proposals.map(formatProposal)
+      }, 'database'));
+    } catch (error) {
+      logger.error('Get strategy proposals error:', error);
+      res.status(500).json({ error: 'Failed to get strategy proposals' });
+    }
+  },
+
+  // Sign and broadcast a queued proposal's transactions
+  submitStrategyProposal: async (req, res) => {
+    try {
+      const proposal = await StrategyProposalRepository.findById(req.params.proposalId);
+
+      if (!proposal) {
+        return res.status(404).json({ error: 'Proposal not found' });
+      }
+
+      if (proposal.transactions.length === 0) {
+        return res.status(409).json({ error: 'Proposal has no transactions to submit', code: 'NO_TRANSACTIONS' });
+      }
+
+      if (!blockchainService.initialized || !blockchainService.signer) {
+        return res.status(503).json({ error: 'Admin signer not configured', code: 'SIGNER_UNAVAILABLE' });
+      }
+
+      const claimed = await StrategyProposalRepository.claimForSubmission(proposal.id, req.user.id);
+      if (!claimed) {
+        return res.status(409).json({ error: 'Proposal is not queued', code: 'NOT_QUEUED' });
+      }
+
+      const submitted = await submitProposal(claimed);
+
+      logger.info(`Strategy proposal ${submitted.id} submitted by ${req.user.email} (${submitted.status})`);
+
+      if (submitted.status !== 'executed') {
+        return res.status(502).json({
+          error: 'Failed to broadcast proposal transactions',
+          code: 'SUBMISSION_FAILED',
+          details: formatProposal(submitted)
+        });
+      }
+
+      dataSourceService.send(res, dataSourceService.result({
+        proposal: formatProposal(submitted)
+      }, 'chain'));
+    } catch (error) {
+      logger.error('Submit strategy proposal error:', error);
+      res.status(500).json({ error: 'Failed to submit strategy proposal' });
+    }
+  },
+
+  // Get risk metrics per strategy and for the whole portfolio
+  getRiskMetrics: async (req, res) => {
+    try {
+      const riskMetrics = await cacheWithTTL(
+        'strategies:risk-metrics',
+        async () => {
+          const { data: strategies, dataSource, asOf } = await getCurrentStrategies();
+
+          const metrics = await Promise.all(
+            strategies.map(async (strategy) => {
+              const apyHistory = (await getStrategyHistory(strategy, '30d')).map(h => h.apy);
+              return {
+                address: strategy.address,
+                name: strategy.name,
+                riskScore: strategy.riskScore,
+                allocation: strategy.allocation,
+                allocationCap: getAllocationCap(strategy.riskScore),
+                volatility: calculateVolatility(apyHistory),
+                sharpeRatio: calculateSharpeRatio(apyHistory),
+                maxDrawdown: calculateMaxDrawdown(apyHistory)
+              };
+            })
+          );
+
+          const totalAllocation = strategies.reduce((sum, s) => sum + s.allocation, 0) || 1;
+          const weighted = (field) =>
+            strategies.reduce((sum, s) => sum + s[field] * s.allocation, 0) / totalAllocation;
+
+          return dataSourceService.result({
+            strategies: metrics,
+            portfolio: {
+              weightedRiskScore: weighted('riskScore'),
+              weightedAPY: weighted('apy'),
+              // Herfindahl-Hirschman index of the allocation (10000 = single strategy)
+              concentrationIndex: strategies.reduce((sum, s) => sum + Math.pow(s.allocation, 2), 0),
+              strategiesOverCap: metrics.filter(m => m.allocation > m.allocationCap).map(m => m.address)
+            },
+            lastUpdate: asOf
+          }, dataSource, asOf);
+        },
+        300 // 5 minutes cache
+      );
+
+      dataSourceService.send(res, riskMetrics);
+    } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
+      logger.error('Get risk metrics error:', error);
+      res.status(500).json({ error: 'Failed to get risk metrics' });
+    }
+  },
+
+  // Rank strategies by risk-adjusted yield and show remaining room under their caps
+  getYieldOpportunities: async (req, res) => {
+    try {
+      const opportunities = await cacheWithTTL(
+        'strategies:yield-opportunities',
+        async () => {
+          const { data: strategies, dataSource, asOf } = await getCurrentStrategies();
+
+          const ranked = await Promise.all(
+            strategies.map(async (strategy) => {
+              const apyHistory = (await getStrategyHistory(strategy, '30d')).map(h => h.apy);
+              const allocationCap = getAllocationCap(strategy.riskScore);
+              return {
+                address: strategy.address,
+                name: strategy.name,
+                apy: strategy.apy,
+                riskScore: strategy.riskScore,
+                allocation: strategy.allocation,
+                allocationCap,
+                headroom: Math.max(0, allocationCap - strategy.allocation),
+                sharpeRatio: calculateSharpeRatio(apyHistory)
+              };
+            })
+          );
+
+          const averageSharpe = ranked.reduce((sum, s) => sum + s.sharpeRatio, 0) / (ranked.length || 1);
+
+          return dataSourceService.result({
+            opportunities: ranked
+              .map(strategy => ({
+                ...strategy,
+                suggestedAction: strategy.allocation > strategy.allocationCap
+                  ? 'reduce'
+                  : strategy.headroom > 0 && strategy.sharpeRatio > averageSharpe ? 'increase' : 'hold'
+              }))
+              .sort((a, b) => b.sharpeRatio - a.sharpeRatio),
+            lastUpdate: asOf
+          }, dataSource, asOf);
+        },
+        300 // 5 minutes cache
+      );
+
+      dataSourceService.send(res, opportunities);
+    } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
+      logger.error('Get yield opportunities error:', error);
+      res.status(500).json({ error: 'Failed to get yield opportunities' });
+    }
+  },
+
+  // Get a single strategy with its allocation cap and recent performance
+  getStrategyDetails: async (req, res) => {
+    try {
+      const { data: strategies, dataSource, asOf } = await getCurrentStrategies();
+      const strategy = findStrategy(strategies, req.params.strategyAddress);
+      if (!strategy) {
+        return res.status(404).json({ error: 'Strategy not found' });
+      }
+
+      const apyHistory = (await getStrategyHistory(strategy, '30d')).map(h => h.apy);
+
+      dataSourceService.send(res, dataSourceService.result({
+        ...strategy,
+        allocationCap: getAllocationCap(strategy.riskScore),
+        performance: {
+          averageAPY: apyHistory.reduce((sum, apy) => sum + apy, 0) / (apyHistory.length || 1),
+          volatility: calculateVolatility(apyHistory),
+          sharpeRatio: calculateSharpeRatio(apyHistory),
+          maxDrawdown: calculateMaxDrawdown(apyHistory)
+        }
+      }, dataSource, asOf));
+    } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
+      logger.error('Get strategy details error:', error);
+      res.status(500).json({ error: 'Failed to get strategy details' });
+    }
+  },
+
+  // Get APY history for a single strategy
+  getStrategyAPYHistory: async (req, res) => {
+    try {
+      const { period = '30d' } = req.query;
+
+      const { data: strategies } = await getCurrentStrategies();
+      const strategy = findStrategy(strategies, req.params.strategyAddress);
+      if (!strategy) {
+        return res.status(404).json({ error: 'Strategy not found' });
+      }
+
+      const history = await getStrategyHistory(strategy, period);
+
+      dataSourceService.send(res, dataSourceService.result({
+        address: strategy.address,
+        name: strategy.name,
+        period,
+        history: history.map(h => ({ date: h.date, apy: h.apy }))
+      }, 'database', history.length > 0 ? history[history.length - 1].date : new Date()));
+    } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
+      logger.error('Get strategy APY history error:', error);
+      res.status(500).json({ error: 'Failed to get strategy APY history' });
+    }
   }
 };
 
 // Helper functions
-function getStrategyColor(strategyName) {
-  const colors = {
-    'Aave USDC Strategy': '#1976d2',
-    'Compound V3 USDC Strategy': '#388e3c',
-    'Uniswap V4 FairFlow Stablecoin Strategy': '#9c27b0',
-    'Lido Liquid Staking': '#f57c00',
-    'Uniswap V3 LP Strategy': '#d32f2f'
+
+// Demo figures of every registered strategy
+function getMockStrategies() {
+  const lastUpdate = new Date().toISOString();
+  return strategyRegistry.list()
+    .filter(adapter => adapter.demo)
+    .map(adapter => ({
+      address: `0x1234...${adapter.type}`,
+      type: adapter.type,
+      name: adapter.name,
+      totalAssets: adapter.demo.totalAssets,
+      apy: adapter.demo.apy,
+      allocation: adapter.demo.allocation,
+      riskScore: adapter.risk.score,
+      isActive: true,
+      lastUpdate
+    }));
+}
+
+function toDistribution(strategies) {
+  const assets = strategies.map(strategy => money.parse(strategy.totalAssets, 'USDC'));
+  const totalAssets = assets.reduce((sum, amount) => sum + amount, 0n);
+
+  return strategies.map((strategy, index) => ({
+    name: strategy.name,
+    value: Number(money.format(assets[index], 'USDC')),
+    percentage: money.percentage(assets[index], totalAssets),
+    apy: strategy.apy,
+    riskScore: strategy.riskScore,
+    color: getStrategyAdapter(strategy)?.color || DEFAULT_STRATEGY_COLOR
+  }));
+}
+
+// Current strategies from the vault, or the mock set in demo mode
+async function getCurrentStrategies() {
+  return await dataSourceService.readChain(
+    'strategies',
+    () => {
+      if (!blockchainService.vaultContract) {
+        throw new Error('Vault contract not initialized');
+      }
+      return blockchainService.getAllStrategies();
+    },
+    getMockStrategies
+  );
+}
+
+// Stored APY history for one strategy
+async function getStrategyHistory(strategy, period) {
+  return await strategySnapshotService.getStrategyHistory(strategy.address, period);
+}
+
+/**
+ * Record a proposal with the unsigned admin transactions that carry it out.
+ * Nothing is signed here: signing happens on submission, through the managed
+ * nonce queue, so queued proposals never hold nonces of their own.
+ */
+async function createProposal(user, kind, diff, buildTransactions) {
+  let transactions = [];
+  let signingError = null;
+
+  if (blockchainService.initialized) {
+    try {
+      transactions = await buildTransactions();
+    } catch (error) {
+      signingError = error.message;
+      logger.warn(`Could not build ${kind} proposal transactions:`, error.message);
+    }
+  }
+
+  return await StrategyProposalRepository.create({
+    proposed_by: user.id,
+    kind,
+    status: 'queued',
+    diff,
+    transactions,
+    signing_error: signingError
+  });
+}
+
+/**
+ * Sign and broadcast a claimed proposal's transactions with the admin signer.
+ * Transactions already broadcast by an earlier attempt are skipped; a failure
+ * puts the proposal back in the queue with the error.
+ */
+async function submitProposal(proposal) {
+  const sent = [...proposal.signed_transactions];
+
+  try {
+    for (const request of proposal.transactions.slice(sent.length)) {
+      const tx = await blockchainService.sendAdminTransaction(request);
+      sent.push({ to: tx.to, data: tx.data, nonce: tx.nonce, hash: tx.hash });
+    }
+  } catch (error) {
+    logger.error(`Submitting strategy proposal ${proposal.id} failed:`, error);
+    return await StrategyProposalRepository.recordSubmission(proposal.id, {
+      status: 'queued',
+      signedTransactions: sent,
+      signingError: error.message
+    });
+  }
+
+  return await StrategyProposalRepository.recordSubmission(proposal.id, {
+    status: 'executed',
+    signedTransactions: sent
+  });
+}
+
+function formatProposal(proposal) {
+  return {
+    id: proposal.id,
+    kind: proposal.kind,
+    status: proposal.status,
+    diff: proposal.diff,
+    transactions: proposal.transactions,
+    signedTransactions: proposal.signed_transactions,
+    signingError: proposal.signing_error,
+    proposedBy: proposal.proposed_by_name || proposal.proposed_by,
+    submittedAt: proposal.submitted_at,
+    createdAt: proposal.created_at
+  };
+}
+
+// Registered adapter of a strategy, by type or (for snapshots taken before types were stored) by name
+function getStrategyAdapter(strategy) {
+  return strategyRegistry.get(strategy.type) || strategyRegistry.findByName(strategy.name);
+}
+
+// Protocol, colour and risk level from the strategy's adapter
+function withAdapterMetadata(strategy) {
+  const adapter = getStrategyAdapter(strategy);
+
+  return {
+    ...strategy,
+    type: adapter ? adapter.type : strategy.type || null,
+    protocol: adapter ? adapter.protocol : null,
+    color: adapter ? adapter.color : DEFAULT_STRATEGY_COLOR,
+    riskLevel: adapter ? adapter.risk.level : null
   };
-  return colors[strategyName] || '#757575';
 }
 
 function calculateVolatility(apyHistory) {
@@ -350,7 +635,7 @@ function calculateMaxDrawdown(apyHistory) {
     if (apyHistory[i] > peak) {
       peak = apyHistory[i];
     } else {
-      const drawdown = (peak - apyHistory[i]) / peak;
+      const drawdown = peak > 0 ? (peak - apyHistory[i]) / peak : 0;
       maxDrawdown = Math.max(maxDrawdown, drawdown);
     }
   }
@@ -376,56 +661,4 @@ function calculateCompoundInterest(principal, annualRate, period) {
   return projections;
 }
 
-async function getStrategiesData() {
-  // This would normally fetch from blockchain, using mock data for now
-  return [
-    { name: 'Aave USDC Strategy', apy: 7.8 },
-    { name: 'Compound V3 USDC Strategy', apy: 8.9 },
-    { name: 'Uniswap V4 FairFlow Stablecoin Strategy', apy: 10.2 },
-    { name: 'Lido Liquid Staking', apy: 5.2 },
-    { name: 'Uniswap V3 LP Strategy', apy: 12.1 }
-  ];
-}
-
-function generateMockPerformanceData(period) {
-  const strategies = [
-    { name: 'Aave USDC Strategy', baseAPY: 7.8, volatility: 0.5 },
-    { name: 'Compound V3 USDC Strategy', baseAPY: 8.9, volatility: 0.7 },
-    { name: 'Uniswap V4 FairFlow Stablecoin Strategy', baseAPY: 10.2, volatility: 0.8 },
-    { name: 'Lido Liquid Staking', baseAPY: 5.2, volatility: 0.3 },
-    { name: 'Uniswap V3 LP Strategy', baseAPY: 12.1, volatility: 2.1 }
-  ];
-
-  const days = period === '30d' ? 30 : period === '7d' ? 7 : 90;
-  
-  return strategies.map(strategy => {
-    const history = [];
-    let currentAPY = strategy.baseAPY;
-    
-    for (let i = 0; i < days; i++) {
-      // Add some random variation
-      const variation = (Math.random() - 0.5) * strategy.volatility;
-      currentAPY = Math.max(0, currentAPY + variation);
-      
-      history.push({
-        date: new Date(Date.now() - (days - i) * 24 * 60 * 60 * 1000).toISOString(),
-        apy: currentAPY,
-        yield: currentAPY * 1000 * (1 + Math.random() * 0.1) // Mock yield calculation
-      });
-    }
-    
-    return {
-      address: `0x${strategy.name.slice(0, 8).toLowerCase()}`,
-      name: strategy.name,
-      currentAPY: currentAPY,
-      averageAPY: history.reduce((sum, h) => sum + h.apy, 0) / history.length,
-      totalYield: history.reduce((sum, h) => sum + h.yield, 0),
-      volatility: strategy.volatility,
-      sharpeRatio: (currentAPY - 2.0) / strategy.volatility,
-      maxDrawdown: Math.random() * 5, // Random drawdown 0-5%
-      history: history
-    };
-  });
-}
-
 module.exports = strategyManagerController;
@@ -2,6 +2,7 @@ const TransactionRepository = require('../models/postgres/TransactionRepository'
 const UserRepository = require('../models/postgres/UserRepository');
 const databaseService = require('../services/DatabaseService');
 const blockchainService = require('../config/blockchain');
+const money = require('../utils/money');
 const logger = require('../utils/logger');
 
 const transactionController = {
@@ -100,32 +101,20 @@ const transactionController = {
           // Get monthly stats for the last 6 months
           const monthlyStats = await TransactionRepository.getMonthlyStats(userId, 6);
 
-          // Calculate totals
+          // Calculate totals (USDC, as decimal strings)
+          const confirmed = stats.filter(stat => stat.status === 'confirmed');
+          const totalOf = (type) => money.format(
+            money.sum(confirmed.filter(stat => stat.type === type).map(stat => stat.total_amount), 'USDC'),
+            'USDC'
+          );
+
           const totals = {
-            totalDeposits: 0,
-            totalWithdrawals: 0,
-            totalYield: 0,
-            totalTransactions: 0
+            totalDeposits: totalOf('deposit'),
+            totalWithdrawals: totalOf('withdraw'),
+            totalYield: totalOf('yield_harvest'),
+            totalTransactions: confirmed.reduce((count, stat) => count + parseInt(stat.count), 0)
           };
 
-          stats.forEach(stat => {
-            if (stat.status === 'confirmed') {
-              totals.totalTransactions += parseInt(stat.count);
-
-              switch (stat.type) {
-                case 'deposit':
-                  totals.totalDeposits += parseFloat(stat.total_amount);
-                  break;
-                case 'withdraw':
-                  totals.totalWithdrawals += parseFloat(stat.total_amount);
-                  break;
-                case 'yield_harvest':
-                  totals.totalYield += parseFloat(stat.total_amount);
-                  break;
-              }
-            }
-          });
-
           return {
             byType: stats,
             total: totals,
@@ -154,7 +143,7 @@ const transactionController = {
       const transactionData = {
         user_id: userId,
         type,
-        amount: parseFloat(amount),
+        amount: money.parse(amount, 'USDC'),
         status: 'pending',
         metadata: metadata || {}
       };
@@ -166,6 +155,9 @@ const transactionController = {
         data: transaction
       });
     } catch (error) {
+      if (error.code === 'INVALID_AMOUNT') {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Create transaction error:', error);
       res.status(500).json({ error: 'Failed to create transaction' });
     }
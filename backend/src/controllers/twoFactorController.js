@@ -0,0 +1,123 @@
+const twoFactorService = require('../services/twoFactorService');
+const RecoveryCodeRepository = require('../models/postgres/RecoveryCodeRepository');
+const authController = require('./authController');
+const logger = require('../utils/logger');
+
+const twoFactorController = {
+  // 2FA methods configured for the current user
+  getStatus: async (req, res) => {
+    try {
+      const status = await twoFactorService.getStatus(req.user);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      logger.error('Get 2FA status error:', error);
+      res.status(500).json({ error: 'Failed to get 2FA status' });
+    }
+  },
+
+  // Start authenticator app enrollment
+  setupTotp: async (req, res) => {
+    try {
+      const setup = await twoFactorService.beginTotpSetup(req.user);
+
+      res.json({
+        success: true,
+        data: setup
+      });
+    } catch (error) {
+      if (error.code === 'TOTP_ALREADY_ENABLED') {
+        return res.status(409).json({ error: error.message });
+      }
+
+      logger.error('TOTP setup error:', error);
+      res.status(500).json({ error: 'Failed to start authenticator setup' });
+    }
+  },
+
+  // Verify the first authenticator code and enable TOTP
+  verifyTotpSetup: async (req, res) => {
+    try {
+      const { recoveryCodes } = await twoFactorService.confirmTotpSetup(req.user, req.body.code);
+
+      await authController.logSecurityEvent(req.user.id, 'totp_enabled', 'success', req);
+
+      res.json({
+        success: true,
+        message: 'Authenticator app enabled',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_CODE' || error.code === 'TOTP_NOT_STARTED') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.code === 'TOTP_ALREADY_ENABLED') {
+        return res.status(409).json({ error: error.message });
+      }
+
+      logger.error('TOTP verify setup error:', error);
+      res.status(500).json({ error: 'Failed to enable authenticator app' });
+    }
+  },
+
+  // Remove the authenticator app (requires a current code)
+  disableTotp: async (req, res) => {
+    try {
+      const valid = await twoFactorService.verifyTotp(req.user, req.body.code);
+
+      if (!valid) {
+        await authController.logSecurityEvent(req.user.id, 'totp_disable_failed', 'failure', req);
+        return res.status(400).json({ error: 'Invalid verification code' });
+      }
+
+      await twoFactorService.disableTotp(req.user);
+      await authController.logSecurityEvent(req.user.id, 'totp_disabled', 'success', req);
+
+      res.json({
+        success: true,
+        message: 'Authenticator app removed'
+      });
+    } catch (error) {
+      logger.error('TOTP disable error:', error);
+      res.status(500).json({ error: 'Failed to remove authenticator app' });
+    }
+  },
+
+  // Issue a new set of recovery codes, invalidating the old ones
+  regenerateRecoveryCodes: async (req, res) => {
+    try {
+      if (!req.user.two_factor_enabled) {
+        return res.status(400).json({ error: 'Enable two-factor authentication first' });
+      }
+
+      // Replacing existing codes needs a 2FA-verified session or a current TOTP code
+      const remaining = await RecoveryCodeRepository.countRemaining(req.user.id);
+      const verified = remaining === 0 ||
+        req.tokenInfo.verified2FA ||
+        (req.body.code && await twoFactorService.verifyTotp(req.user, req.body.code));
+
+      if (!verified) {
+        return res.status(403).json({
+          error: 'Second factor required',
+          message: 'Provide an authenticator code or sign in with 2FA to replace recovery codes'
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.generateRecoveryCodes(req.user.id);
+      await authController.logSecurityEvent(req.user.id, 'recovery_codes_generated', 'success', req);
+
+      res.json({
+        success: true,
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      logger.error('Regenerate recovery codes error:', error);
+      res.status(500).json({ error: 'Failed to generate recovery codes' });
+    }
+  }
+};
+
+module.exports = twoFactorController;
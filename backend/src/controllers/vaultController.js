@@ -1,37 +1,34 @@
 const blockchainService = require('../config/blockchain');
+const BatchAllocationRepository = require('../models/postgres/BatchAllocationRepository');
 const TransactionRepository = require('../models/postgres/TransactionRepository');
 const UserRepository = require('../models/postgres/UserRepository');
 const databaseService = require('../services/DatabaseService');
+const strategySnapshotService = require('../services/strategySnapshotService');
+const batchAllocationService = require('../services/batchAllocationService');
+const dataSourceService = require('../services/dataSourceService');
+const money = require('../utils/money');
 const logger = require('../utils/logger');
 
+// Blockchain service of the chain selected by ?chainId= (resolveChain), else the default chain
+const chainOf = (req) => req.chain || blockchainService;
+
 const vaultController = {
   // Get vault statistics
   getVaultStats: async (req, res) => {
     try {
-      let stats = null;
-      
-      try {
-        if (blockchainService.initialized) {
-          stats = await blockchainService.getVaultStats();
-        }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable, using mock data');
-      }
-
-      // Mock data if blockchain is not available
-      if (!stats) {
-        stats = {
+      const result = await dataSourceService.readChain(
+        'vault stats',
+        () => chainOf(req).getVaultStats(),
+        () => ({
           totalAssets: '50000000', // $50M
           currentAPY: 8.2,
           strategyName: 'Aave USDC Lending Strategy'
-        };
-      }
+        })
+      );
 
-      res.json({
-        success: true,
-        data: stats
-      });
+      dataSourceService.send(res, result);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Get vault stats error:', error);
       res.status(500).json({ error: 'Failed to get vault stats' });
     }
@@ -41,31 +38,33 @@ const vaultController = {
   getUserPortfolio: async (req, res) => {
     try {
       const user = req.user;
-      let portfolio = null;
 
-      try {
-        if (blockchainService.initialized) {
-          portfolio = await blockchainService.getUserBalance(user.walletAddress);
-        }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable, using mock data');
-      }
+      // Every connected chain, or only the one asked for
+      const chainIds = req.query?.chainId !== undefined ? [chainOf(req).chainId] : undefined;
 
-      // Mock data if blockchain is not available
-      if (!portfolio) {
-        portfolio = {
+      const result = await dataSourceService.readChain(
+        'user portfolio',
+        () => blockchainService.getUserPortfolio(user.wallet_address, chainIds),
+        () => ({
           totalBalance: '1250000',
           deposits: '1000000',
-          shares: '1.25',
-          earnedYield: '250000'
-        };
-      }
-
-      res.json({
-        success: true,
-        data: portfolio
-      });
+          earnedYield: '250000',
+          complete: true,
+          chains: [{
+            chainId: blockchainService.chainId,
+            name: blockchainService.chainName,
+            status: 'ok',
+            totalBalance: '1250000',
+            deposits: '1000000',
+            shares: '1.25',
+            earnedYield: '250000'
+          }]
+        })
+      );
+
+      dataSourceService.send(res, result);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Get user portfolio error:', error);
       res.status(500).json({ error: 'Failed to get portfolio' });
     }
@@ -77,34 +76,24 @@ const vaultController = {
       const { amount } = req.body;
       const user = req.user;
 
-      let estimation = null;
-
-      try {
-        if (blockchainService.initialized) {
-          estimation = await blockchainService.estimateDepositGas(user.walletAddress, amount);
+      const result = await dataSourceService.readChain(
+        'deposit estimate',
+        () => chainOf(req).estimateDepositGas(user.wallet_address, amount),
+        () => {
+          const estimatedShares = money.sharesForAssets(money.parse(amount, 'USDC'));
+
+          return {
+            estimatedShares: money.format(estimatedShares, 'SHARES'),
+            gasLimit: '150000',
+            gasPrice: '0.1',
+            gasCost: '0.000015'
+          };
         }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable, using mock data');
-      }
+      );
 
-      // Mock data if blockchain is not available
-      if (!estimation) {
-        const sharePrice = 1000000; // 1 share = 1,000,000 VND
-        const estimatedShares = amount / sharePrice;
-        
-        estimation = {
-          estimatedShares: estimatedShares.toFixed(4),
-          gasLimit: '150000',
-          gasPrice: '0.1',
-          gasCost: '0.000015'
-        };
-      }
-
-      res.json({
-        success: true,
-        data: estimation
-      });
+      dataSourceService.send(res, result);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Estimate deposit error:', error);
       res.status(500).json({ error: 'Failed to estimate deposit' });
     }
@@ -116,34 +105,24 @@ const vaultController = {
       const { shares } = req.body;
       const user = req.user;
 
-      let estimation = null;
-
-      try {
-        if (blockchainService.initialized) {
-          estimation = await blockchainService.estimateWithdrawGas(user.walletAddress, shares);
+      const result = await dataSourceService.readChain(
+        'withdraw estimate',
+        () => chainOf(req).estimateWithdrawGas(user.wallet_address, shares),
+        () => {
+          const estimatedAmount = money.assetsForShares(money.parse(shares, 'SHARES'));
+
+          return {
+            estimatedAmount: money.format(estimatedAmount, 'USDC'),
+            gasLimit: '120000',
+            gasPrice: '0.1',
+            gasCost: '0.000012'
+          };
         }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable, using mock data');
-      }
-
-      // Mock data if blockchain is not available
-      if (!estimation) {
-        const sharePrice = 1000000; // 1 share = 1,000,000 VND
-        const estimatedAmount = shares * sharePrice;
-        
-        estimation = {
-          estimatedAmount: estimatedAmount.toFixed(0),
-          gasLimit: '120000',
-          gasPrice: '0.1',
-          gasCost: '0.000012'
-        };
-      }
+      );
 
-      res.json({
-        success: true,
-        data: estimation
-      });
+      dataSourceService.send(res, result);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Estimate withdraw error:', error);
       res.status(500).json({ error: 'Failed to estimate withdraw' });
     }
@@ -155,28 +134,26 @@ const vaultController = {
       const { amount } = req.body;
       const userId = req.user.id;
 
-      const estimatedShares = (parseFloat(amount) / 1000000).toFixed(4);
+      const assets = money.parse(amount, 'USDC');
+      const estimatedShares = money.format(money.sharesForAssets(assets), 'SHARES');
 
       // Create pending transaction record
       const transaction = await TransactionRepository.create({
         user_id: userId,
         type: 'deposit',
-        amount: parseFloat(amount),
+        amount: assets,
         status: 'pending',
         metadata: {
           estimatedShares
         }
       });
 
-      res.json({
-        success: true,
-        data: {
-          transactionId: transaction.id,
-          amount,
-          estimatedShares,
-          message: 'Transaction prepared. Please confirm in your wallet.'
-        }
-      });
+      dataSourceService.send(res, dataSourceService.result({
+        transactionId: transaction.id,
+        amount: money.format(assets, 'USDC'),
+        estimatedShares,
+        message: 'Transaction prepared. Please confirm in your wallet.'
+      }, 'estimate', transaction.created_at));
     } catch (error) {
       logger.error('Prepare deposit error:', error);
       res.status(500).json({ error: 'Failed to prepare deposit' });
@@ -189,29 +166,27 @@ const vaultController = {
       const { shares } = req.body;
       const userId = req.user.id;
 
-      const estimatedAmount = parseFloat(shares) * 1000000; // Estimated amount
+      const requestedShares = money.parse(shares, 'SHARES');
+      const estimatedAmount = money.assetsForShares(requestedShares);
 
       // Create pending transaction record
       const transaction = await TransactionRepository.create({
         user_id: userId,
         type: 'withdraw',
-        shares: parseFloat(shares),
+        shares: requestedShares,
         amount: estimatedAmount,
         status: 'pending',
         metadata: {
-          requestedShares: shares
+          requestedShares: money.format(requestedShares, 'SHARES')
         }
       });
 
-      res.json({
-        success: true,
-        data: {
-          transactionId: transaction.id,
-          shares,
-          estimatedAmount,
-          message: 'Transaction prepared. Please confirm in your wallet.'
-        }
-      });
+      dataSourceService.send(res, dataSourceService.result({
+        transactionId: transaction.id,
+        shares: money.format(requestedShares, 'SHARES'),
+        estimatedAmount: money.format(estimatedAmount, 'USDC'),
+        message: 'Transaction prepared. Please confirm in your wallet.'
+      }, 'estimate', transaction.created_at));
     } catch (error) {
       logger.error('Prepare withdraw error:', error);
       res.status(500).json({ error: 'Failed to prepare withdraw' });
@@ -221,30 +196,21 @@ const vaultController = {
   // Get current APY
   getCurrentAPY: async (req, res) => {
     try {
-      let apy = null;
-
-      try {
-        if (blockchainService.initialized) {
-          const stats = await blockchainService.getVaultStats();
-          apy = stats.currentAPY;
-        }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable, using mock data');
-      }
-
-      // Mock data if blockchain is not available
-      if (!apy) {
-        apy = 8.2;
-      }
-
-      res.json({
-        success: true,
+      const result = await dataSourceService.readChain(
+        'current APY',
+        async () => (await chainOf(req).getVaultStats()).currentAPY,
+        () => 8.2
+      );
+
+      dataSourceService.send(res, {
+        ...result,
         data: {
-          currentAPY: apy,
-          timestamp: new Date().toISOString()
+          currentAPY: result.data,
+          timestamp: result.asOf
         }
       });
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Get current APY error:', error);
       res.status(500).json({ error: 'Failed to get current APY' });
     }
@@ -254,25 +220,19 @@ const vaultController = {
   getYieldHistory: async (req, res) => {
     try {
       const { period = '30d' } = req.query;
-      const user = req.user;
 
-      // Mock yield history data
-      const mockHistory = [
-        { date: '2024-01-01', yield: 50000, apy: 7.8 },
-        { date: '2024-01-15', yield: 120000, apy: 8.0 },
-        { date: '2024-02-01', yield: 180000, apy: 8.1 },
-        { date: '2024-02-15', yield: 250000, apy: 8.2 }
-      ];
-
-      res.json({
-        success: true,
-        data: {
-          period,
-          history: mockHistory,
-          totalYield: 250000,
-          averageAPY: 8.0
-        }
-      });
+      const history = await strategySnapshotService.getVaultHistory(period);
+      const totalYield = history.reduce((sum, point) => sum + point.yield, 0);
+      const averageAPY = history.length > 0
+        ? history.reduce((sum, point) => sum + point.apy, 0) / history.length
+        : 0;
+
+      dataSourceService.send(res, dataSourceService.result({
+        period,
+        history,
+        totalYield,
+        averageAPY
+      }, 'database', history.length > 0 ? history[history.length - 1].date : new Date()));
     } catch (error) {
       logger.error('Get yield history error:', error);
       res.status(500).json({ error: 'Failed to get yield history' });
@@ -284,31 +244,20 @@ const vaultController = {
   // Get batching configuration
   getBatchingConfig: async (req, res) => {
     try {
-      let config = null;
-
-      try {
-        if (blockchainService.initialized) {
-          config = await blockchainService.getBatchingConfig();
-        }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable, using mock data');
-      }
-
-      // Mock data if blockchain is not available
-      if (!config) {
-        config = {
+      const result = await dataSourceService.readChain(
+        'batching config',
+        () => chainOf(req).getBatchingConfig(),
+        () => ({
           threshold: 1000, // $1000 USDC
           interval: 14400, // 4 hours in seconds
           emergencyThreshold: 5000, // $5000 USDC
           lastAllocationTime: Math.floor(Date.now() / 1000) - 7200 // 2 hours ago
-        };
-      }
+        })
+      );
 
-      res.json({
-        success: true,
-        data: config
-      });
+      dataSourceService.send(res, result);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Get batching config error:', error);
       res.status(500).json({ error: 'Failed to get batching config' });
     }
@@ -317,32 +266,21 @@ const vaultController = {
   // Get pending allocations by risk level
   getPendingAllocations: async (req, res) => {
     try {
-      let pending = null;
-
-      try {
-        if (blockchainService.initialized) {
-          pending = await blockchainService.getPendingAllocations();
-        }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable, using mock data');
-      }
-
-      // Mock data if blockchain is not available
-      if (!pending) {
-        pending = {
+      const result = await dataSourceService.readChain(
+        'pending allocations',
+        () => chainOf(req).getPendingAllocations(),
+        () => ({
           total: 750, // $750 pending
           lowRisk: 300,
           mediumRisk: 350,
           highRisk: 100,
           userCount: 12
-        };
-      }
+        })
+      );
 
-      res.json({
-        success: true,
-        data: pending
-      });
+      dataSourceService.send(res, result);
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Get pending allocations error:', error);
       res.status(500).json({ error: 'Failed to get pending allocations' });
     }
@@ -351,57 +289,62 @@ const vaultController = {
   // Check if batch allocation should be triggered
   checkBatchAllocation: async (req, res) => {
     try {
-      let shouldTrigger = false;
+      const result = await dataSourceService.readChain(
+        'batch allocation check',
+        async () => {
+          const chain = chainOf(req);
+          const shouldTrigger = await chain.shouldTriggerAllocation();
+
+          // Which condition is met, as evaluated by the scheduler
+          let trigger = null;
+          if (shouldTrigger) {
+            try {
+              const [config, pending] = await Promise.all([
+                chain.getBatchingConfig(),
+                chain.getPendingAllocations()
+              ]);
+              trigger = batchAllocationService.getTriggerReason(config, pending);
+            } catch (blockchainError) {
+              logger.warn('Could not evaluate batch trigger reason:', blockchainError.message);
+            }
+          }
+
+          return { shouldTrigger, trigger };
+        },
+        () => ({ shouldTrigger: false, trigger: null })
+      );
 
-      try {
-        if (blockchainService.initialized) {
-          shouldTrigger = await blockchainService.shouldTriggerAllocation();
-        }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable');
-        // Return false if blockchain is not available
-        shouldTrigger = false;
-      }
+      const { shouldTrigger, trigger } = result.data;
 
-      res.json({
-        success: true,
+      dataSourceService.send(res, {
+        ...result,
         data: {
           shouldTrigger,
-          reason: shouldTrigger ? 'Threshold reached or time elapsed' : 'Conditions not met'
+          trigger,
+          reason: shouldTrigger ? (BATCH_TRIGGER_DESCRIPTIONS[trigger] || 'Threshold reached or time elapsed') : 'Conditions not met'
         }
       });
     } catch (error) {
+      if (dataSourceService.sendUnavailable(res, error)) return;
       logger.error('Check batch allocation error:', error);
       res.status(500).json({ error: 'Failed to check batch allocation' });
     }
   },
 
-  // Trigger batch allocation manually
+  // Trigger batch allocation manually (strategy managers); same guard rails as the scheduler
   triggerBatchAllocation: async (req, res) => {
     try {
-      let result = null;
-
-      try {
-        if (blockchainService.initialized) {
-          result = await blockchainService.triggerBatchAllocation();
-        }
-      } catch (blockchainError) {
-        logger.warn('Blockchain service unavailable, using mock data');
-      }
+      const result = await batchAllocationService.run({ manual: true, triggeredBy: req.user.id });
 
-      // Mock data if blockchain is not available
-      if (!result) {
-        result = {
-          transactionHash: '0x' + Math.random().toString(16).substr(2, 64),
-          allocatedAmount: 750,
-          gasUsed: '180000',
-          timestamp: new Date().toISOString()
-        };
+      if (result.status === 'executed') {
+        return dataSourceService.send(res, dataSourceService.result(result.batch, 'chain'));
       }
 
-      res.json({
-        success: true,
-        data: result
+      const statusCode = BATCH_RESULT_STATUS[result.reason] || 500;
+      res.status(statusCode).json({
+        error: BATCH_RESULT_MESSAGES[result.reason] || 'Failed to trigger batch allocation',
+        code: result.reason,
+        details: result
       });
     } catch (error) {
       logger.error('Trigger batch allocation error:', error);
@@ -414,33 +357,15 @@ const vaultController = {
     try {
       const { limit = 10 } = req.query;
 
-      // Mock batch history data
-      const mockHistory = [
-        {
-          id: 1,
-          timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), // 2 hours ago
-          allocatedAmount: 1250,
-          userCount: 15,
-          gasUsed: '185000',
-          transactionHash: '0x1234567890abcdef1234567890abcdef12345678'
-        },
-        {
-          id: 2,
-          timestamp: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(), // 6 hours ago
-          allocatedAmount: 980,
-          userCount: 12,
-          gasUsed: '178000',
-          transactionHash: '0xabcdef1234567890abcdef1234567890abcdef12'
-        }
-      ];
+      const [batches, totalBatches] = await Promise.all([
+        BatchAllocationRepository.getHistory(parseInt(limit)),
+        BatchAllocationRepository.count()
+      ]);
 
-      res.json({
-        success: true,
-        data: {
-          history: mockHistory.slice(0, parseInt(limit)),
-          totalBatches: mockHistory.length
-        }
-      });
+      dataSourceService.send(res, dataSourceService.result({
+        history: batches.map(batch => blockchainService.formatBatchAllocation(batch)),
+        totalBatches
+      }, 'database'));
     } catch (error) {
       logger.error('Get batch history error:', error);
       res.status(500).json({ error: 'Failed to get batch history' });
@@ -466,10 +391,7 @@ const vaultController = {
         estimatedUsers: Math.floor(Math.random() * 10) + 5 // 5-15 users
       };
 
-      res.json({
-        success: true,
-        data: savings
-      });
+      dataSourceService.send(res, dataSourceService.result(savings, 'estimate'));
     } catch (error) {
       logger.error('Get gas savings estimate error:', error);
       res.status(500).json({ error: 'Failed to estimate gas savings' });
@@ -477,4 +399,27 @@ const vaultController = {
   }
 };
 
+// HTTP status and message per batchAllocationService result reason
+const BATCH_RESULT_STATUS = {
+  blockchain_unavailable: 503,
+  locked: 409,
+  nothing_pending: 409,
+  gas_price_too_high: 409,
+  simulation_failed: 422
+};
+
+const BATCH_RESULT_MESSAGES = {
+  blockchain_unavailable: 'Blockchain service unavailable',
+  locked: 'Another batch allocation is in progress',
+  nothing_pending: 'No pending deposits to allocate',
+  gas_price_too_high: 'Gas price is above the configured ceiling',
+  simulation_failed: 'Batch allocation would revert'
+};
+
+const BATCH_TRIGGER_DESCRIPTIONS = {
+  emergency: 'Emergency threshold reached',
+  threshold: 'Batch threshold reached',
+  interval: 'Batch interval elapsed'
+};
+
 module.exports = vaultController;
@@ -35,7 +35,8 @@ const zkVMController = {
         platform,
         oauth_token,
         wallet_address,
-        request_id
+        request_id,
+        req.user.id
       );
 
       res.json(result);
@@ -65,7 +66,7 @@ const zkVMController = {
         });
       }
 
-      const status = zkVMService.getVerificationStatus(verificationId);
+      const status = await zkVMService.getVerificationStatus(verificationId);
 
       if (!status.success) {
         return res.status(404).json(status);
@@ -83,16 +84,48 @@ const zkVMController = {
     }
   },
 
+  /**
+   * Record the on-chain submission of a completed proof
+   * POST /api/zkvm/status/:verificationId/submitted
+   */
+  markSubmitted: async (req, res) => {
+    try {
+      const { verificationId } = req.params;
+      const { tx_hash } = req.body;
+
+      const status = await zkVMService.markSubmitted(verificationId, tx_hash, req.user.id);
+
+      if (!status.success) {
+        const code = status.error === 'Verification request not found' ? 404 : 409;
+        return res.status(code).json(status);
+      }
+
+      res.json(status);
+
+    } catch (error) {
+      logger.error('Mark submitted error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record proof submission',
+        message: error.message
+      });
+    }
+  },
+
   /**
    * Health check for zkVM service
    * GET /api/zkvm/health
    */
   healthCheck: async (req, res) => {
     try {
-      res.json({
-        success: true,
+      const prover = await zkVMService.getProverStatus();
+
+      res.status(prover.ready ? 200 : 503).json({
+        success: prover.ready,
         service: 'zkVM',
-        status: 'operational',
+        status: prover.ready ? 'operational' : 'degraded',
+        prover,
+        worker: zkVMService.getWorkerStatus(),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -9,6 +9,12 @@ const rateLimit = require('express-rate-limit');
 const { connectDB, disconnectDB, databaseService } = require('./config/database');
 const blockchainService = require('./config/blockchain');
 const websocketService = require('./services/websocketService');
+const vaultIndexerService = require('./services/vaultIndexerService');
+const strategySnapshotService = require('./services/strategySnapshotService');
+const batchAllocationService = require('./services/batchAllocationService');
+const exchangeRateService = require('./services/exchangeRateService');
+const mailService = require('./services/mailService');
+const zkVMService = require('./services/zkVMService');
 const logger = require('./utils/logger');
 
 // Import routes
@@ -20,16 +26,33 @@ const strategyManagerRoutes = require('./routes/strategyManager');
 const securityRoutes = require('./routes/security');
 const passkeyRoutes = require('./routes/passkey');
 const zkVMRoutes = require('./routes/zkvm');
+const adminRecoveryRoutes = require('./routes/adminRecovery');
+const roleRoutes = require('./routes/roles');
+const adminUserRoutes = require('./routes/adminUsers');
+const chainRoutes = require('./routes/chain');
+const rateRoutes = require('./routes/rates');
+const devChainRoutes = require('./routes/devChain');
 
 const app = express();
 
-// Connect to database
-connectDB();
+// Connect to database, then resume queued zkVM verifications, start sampling exchange rates and sending queued email
+connectDB()
+  .then(() => {
+    zkVMService.start();
+    exchangeRateService.start();
+    mailService.start();
+  });
 
-// Initialize blockchain service
-blockchainService.initialize().catch(err => {
-  logger.error('Failed to initialize blockchain service:', err);
-});
+// Initialize blockchain service, then start reconciling vault events, sampling strategies and batch allocation
+blockchainService.initialize()
+  .then(() => {
+    vaultIndexerService.start();
+    strategySnapshotService.start();
+    batchAllocationService.start();
+  })
+  .catch(err => {
+    logger.error('Failed to initialize blockchain service:', err);
+  });
 
 // Trust proxy for rate limiting (needed for development proxy)
 app.set('trust proxy', 1);
@@ -92,8 +115,21 @@ app.get('/health', async (req, res) => {
         }
       },
       blockchain: {
-        status: blockchainService.initialized ? 'connected' : 'disconnected'
+        status: blockchainService.initialized ? 'connected' : 'disconnected',
+        rpc: blockchainService.getProviderStatus(),
+        chains: blockchainService.getChainRegistry().map(({ chainId, name, isDefault, status }) => ({
+          chainId,
+          name,
+          isDefault,
+          status,
+          rpc: status === 'connected' ? blockchainService.getChain(chainId).getProviderStatus() : null
+        })),
+        indexer: vaultIndexerService.getStatus(),
+        snapshots: strategySnapshotService.getStatus(),
+        batchAllocation: batchAllocationService.getStatus()
       },
+      exchangeRates: exchangeRateService.getStatus(),
+      mail: mailService.getStatus(),
       websocket: websocketService.getStats()
     };
 
@@ -113,12 +149,22 @@ app.get('/health', async (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/vault', vaultRoutes);
+app.use('/api/chains', chainRoutes);
+app.use('/api/rates', rateRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/admin/strategies', strategyManagerRoutes);
+app.use('/api/admin/recovery-requests', adminRecoveryRoutes);
+app.use('/api/admin', roleRoutes);
+app.use('/api/admin', adminUserRoutes);
 app.use('/api/security', securityRoutes);
 app.use('/api/passkey', passkeyRoutes);
 app.use('/api/zkvm', zkVMRoutes);
 
+// Fake chain JSON-RPC; outside /api so wallet polling is not rate limited
+if (process.env.FAKE_CHAIN === 'true') {
+  app.use('/dev/rpc', devChainRoutes);
+}
+
 // Welcome endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -131,7 +177,9 @@ app.get('/', (req, res) => {
       user: '/api/user',
       vault: '/api/vault',
       transactions: '/api/transactions',
+      rates: '/api/rates',
       strategyManager: '/api/admin/strategies',
+      recoveryReview: '/api/admin/recovery-requests',
       security: '/api/security',
       zkvm: '/api/zkvm'
     }
@@ -170,6 +218,12 @@ app.use((err, req, res, next) => {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   websocketService.cleanup();
+  vaultIndexerService.stop();
+  strategySnapshotService.stop();
+  batchAllocationService.stop();
+  exchangeRateService.stop();
+  mailService.stop();
+  zkVMService.stop();
   await disconnectDB();
   process.exit(0);
 });
@@ -177,6 +231,12 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   websocketService.cleanup();
+  vaultIndexerService.stop();
+  strategySnapshotService.stop();
+  batchAllocationService.stop();
+  exchangeRateService.stop();
+  mailService.stop();
+  zkVMService.stop();
   await disconnectDB();
   process.exit(0);
 });
@@ -1,5 +1,6 @@
-const jwt = require('jsonwebtoken');
 const UserRepository = require('../models/postgres/UserRepository');
+const tokenService = require('../services/tokenService');
+const { hasPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
 const authenticate = async (req, res, next) => {
@@ -10,23 +11,43 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let decoded;
+    try {
+      decoded = await tokenService.verifyAccessToken(token);
+    } catch (error) {
+      if (error.code === 'SESSION_REVOKED' || error.code === 'SESSION_REQUIRED') {
+        return res.status(401).json({ error: 'Session expired or revoked', code: error.code });
+      }
+      throw error;
+    }
+
     const user = await UserRepository.findById(decoded.userId);
 
     if (!user || !user.is_active) {
       return res.status(401).json({ error: 'Invalid token or user not found' });
     }
 
+    if (user.suspended_at) {
+      return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+    }
+
     // Check if this is a temporary token that requires 2FA completion
     if (decoded.temporary && decoded.requires2FA) {
-      // Only allow access to 2FA completion and passkey endpoints
+      // Only allow access to 2FA completion, passkey and account recovery endpoints
       const allowedPaths = [
         '/api/auth/complete-2fa',
         '/api/passkey/authenticate/begin',
-        '/api/passkey/authenticate/complete'
+        '/api/passkey/authenticate/complete',
+        '/api/auth/recovery/request',
+        '/api/auth/recovery/status',
+        '/api/auth/recovery/cancel',
+        '/api/auth/recovery/complete'
       ];
 
-      if (!allowedPaths.some(path => req.path.startsWith(path))) {
+      // req.path is relative to the router's mount point
+      const fullPath = req.baseUrl + req.path;
+
+      if (!allowedPaths.some(path => fullPath.startsWith(path))) {
         return res.status(403).json({
           error: 'Two-factor authentication required',
           requires2FA: true,
@@ -39,7 +60,8 @@ const authenticate = async (req, res, next) => {
     req.tokenInfo = {
       isTemporary: decoded.temporary || false,
       requires2FA: decoded.requires2FA || false,
-      verified2FA: decoded.verified2FA || false
+      verified2FA: decoded.verified2FA || false,
+      sessionId: decoded.sid || null
     };
 
     next();
@@ -49,22 +71,21 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
-const requireRole = (allowedRoles) => {
+// Permission-based authorization middleware: the user needs every listed permission
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     try {
       if (!req.user) {
         return res.status(401).json({ error: 'Authentication required' });
       }
 
-      const userRole = req.user.role || 'user';
-
-      if (!allowedRoles.includes(userRole)) {
-        logger.warn(`Access denied for user ${req.user.id} with role ${userRole}. Required roles: ${allowedRoles.join(', ')}`);
+      if (!hasPermission(req.user, ...permissions)) {
+        const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+        logger.warn(`Access denied for user ${req.user.id} to ${req.method} ${req.originalUrl}. Missing permissions: ${missing.join(', ')}`);
         return res.status(403).json({
           error: 'Insufficient permissions',
-          required: allowedRoles,
-          current: userRole
+          required: permissions,
+          missing
         });
       }
 
@@ -76,13 +97,7 @@ const requireRole = (allowedRoles) => {
   };
 };
 
-// Specific role check middlewares for common use cases
-const requireAdmin = requireRole(['admin']);
-const requireStrategyManager = requireRole(['admin', 'strategy_manager']);
-
 module.exports = {
   authenticate,
-  requireRole,
-  requireAdmin,
-  requireStrategyManager
+  requirePermission
 };
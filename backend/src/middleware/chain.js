@@ -0,0 +1,26 @@
+const blockchainService = require('../config/blockchain');
+
+// Resolve the optional ?chainId= query parameter to that chain's blockchain service (req.chain).
+// Without it, or before the blockchain service is up, requests go to the default chain.
+const resolveChain = (req, res, next) => {
+  const { chainId } = req.query;
+
+  if (chainId === undefined || !blockchainService.initialized) {
+    req.chain = blockchainService;
+    return next();
+  }
+
+  const chain = blockchainService.getChain(chainId);
+  if (!chain) {
+    return res.status(400).json({
+      error: `Unsupported chain: ${chainId}`,
+      code: 'UNSUPPORTED_CHAIN',
+      supportedChains: blockchainService.getChainIds()
+    });
+  }
+
+  req.chain = chain;
+  next();
+};
+
+module.exports = { resolveChain };
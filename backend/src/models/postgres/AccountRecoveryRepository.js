@@ -0,0 +1,156 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+const OPEN_STATUSES = ['pending_email', 'cooling_off', 'approved'];
+
+class AccountRecoveryRepository {
+  // Create a recovery request awaiting email confirmation
+  async create(requestData) {
+    const query = `
+      INSERT INTO account_recovery_requests (
+        user_id, reason, email_token_hash, email_token_expires_at, ip_address, user_agent
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      requestData.user_id,
+      requestData.reason || null,
+      requestData.email_token_hash,
+      requestData.email_token_expires_at,
+      requestData.ip_address || null,
+      requestData.user_agent || null
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating account recovery request:', error);
+      throw error;
+    }
+  }
+
+  // Find request by ID
+  async findById(requestId) {
+    const query = 'SELECT * FROM account_recovery_requests WHERE id = $1';
+
+    try {
+      const result = await databaseService.executeQuery(query, [requestId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding account recovery request:', error);
+      throw error;
+    }
+  }
+
+  // The user's open request, if any
+  async findOpenByUser(userId) {
+    const query = `
+      SELECT * FROM account_recovery_requests
+      WHERE user_id = $1 AND status = ANY($2)
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, OPEN_STATUSES]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding open account recovery request:', error);
+      throw error;
+    }
+  }
+
+  // Find a request awaiting email confirmation by token hash
+  async findByEmailToken(tokenHash) {
+    const query = `
+      SELECT * FROM account_recovery_requests
+      WHERE email_token_hash = $1 AND status = 'pending_email'
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [tokenHash]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding account recovery request by token:', error);
+      throw error;
+    }
+  }
+
+  // Record email confirmation and start the cooling-off period
+  async confirmEmail(requestId, coolingOffEndsAt) {
+    const query = `
+      UPDATE account_recovery_requests
+      SET status = 'cooling_off',
+          email_confirmed_at = NOW(),
+          email_token_hash = NULL,
+          cooling_off_ends_at = $2
+      WHERE id = $1 AND status = 'pending_email'
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [requestId, coolingOffEndsAt]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error confirming account recovery request:', error);
+      throw error;
+    }
+  }
+
+  // Move a request to a new status if it is currently in one of `fromStatuses`
+  async transition(requestId, fromStatuses, toStatus, fields = {}) {
+    const query = `
+      UPDATE account_recovery_requests
+      SET status = $3,
+          reviewed_by = COALESCE($4, reviewed_by),
+          reviewed_at = CASE WHEN $4::uuid IS NULL THEN reviewed_at ELSE NOW() END,
+          review_notes = COALESCE($5, review_notes),
+          completed_at = CASE WHEN $3 = 'completed' THEN NOW() ELSE completed_at END
+      WHERE id = $1 AND status = ANY($2)
+      RETURNING *
+    `;
+
+    const values = [
+      requestId,
+      fromStatuses,
+      toStatus,
+      fields.reviewed_by || null,
+      fields.review_notes || null
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating account recovery request:', error);
+      throw error;
+    }
+  }
+
+  // Admin review queue
+  async findForReview(status, limit = 50, offset = 0) {
+    const query = `
+      SELECT r.*, u.email, u.name, u.wallet_address,
+             (r.cooling_off_ends_at IS NOT NULL AND r.cooling_off_ends_at <= NOW()) AS cooling_off_elapsed
+      FROM account_recovery_requests r
+      JOIN users u ON u.id = r.user_id
+      WHERE r.status = $1
+      ORDER BY r.cooling_off_ends_at ASC NULLS LAST, r.created_at ASC
+      LIMIT $2 OFFSET $3
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [status, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting account recovery queue:', error);
+      throw error;
+    }
+  }
+}
+
+AccountRecoveryRepository.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = new AccountRecoveryRepository();
@@ -0,0 +1,100 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+// WHERE clause shared by the list query and its count
+function buildConditions(filters, values) {
+  const conditions = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (filters.targetUserId) {
+    add('a.target_user_id = ?', filters.targetUserId);
+  }
+
+  if (filters.actorId) {
+    add('a.actor_id = ?', filters.actorId);
+  }
+
+  if (filters.actions && filters.actions.length > 0) {
+    add('a.action = ANY(?)', filters.actions);
+  }
+
+  return conditions;
+}
+
+class AdminAuditRepository {
+  async create(entry) {
+    const query = `
+      INSERT INTO admin_audit_log (
+        actor_id, action, target_user_id, details, ip_address, user_agent
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      entry.actor_id,
+      entry.action,
+      entry.target_user_id || null,
+      JSON.stringify(entry.details || {}),
+      entry.ip_address || null,
+      entry.user_agent || null
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating audit log entry:', error);
+      throw error;
+    }
+  }
+
+  // Entries matching the filters, newest first, with the actor's and target's emails
+  async find(filters = {}, limit = 50, offset = 0) {
+    const values = [];
+    const conditions = buildConditions(filters, values);
+
+    values.push(limit, offset);
+
+    const query = `
+      SELECT a.*, actor.email AS actor_email, target.email AS target_email
+      FROM admin_audit_log a
+      LEFT JOIN users actor ON actor.id = a.actor_id
+      LEFT JOIN users target ON target.id = a.target_user_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding audit log entries:', error);
+      throw error;
+    }
+  }
+
+  async count(filters = {}) {
+    const values = [];
+    const conditions = buildConditions(filters, values);
+
+    const query = `
+      SELECT COUNT(*) AS total
+      FROM admin_audit_log a
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      logger.error('Error counting audit log entries:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdminAuditRepository();
@@ -0,0 +1,216 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class AuthSessionRepository {
+  // Start a session (refresh token family) for a signed-in device
+  async createSession(sessionData) {
+    const query = `
+      INSERT INTO auth_sessions (
+        user_id, device_label, user_agent, ip_address, verified_2fa, passkey_id, new_device, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const values = [
+      sessionData.user_id,
+      sessionData.device_label || null,
+      sessionData.user_agent || null,
+      sessionData.ip_address || null,
+      sessionData.verified_2fa || false,
+      sessionData.passkey_id || null,
+      sessionData.new_device || false,
+      sessionData.expires_at
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating auth session:', error);
+      throw error;
+    }
+  }
+
+  // Find session by ID
+  async findSessionById(sessionId) {
+    const query = 'SELECT * FROM auth_sessions WHERE id = $1';
+
+    try {
+      const result = await databaseService.executeQuery(query, [sessionId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding auth session:', error);
+      throw error;
+    }
+  }
+
+  // Active sessions of a user, most recently used first
+  async findActiveByUser(userId) {
+    const query = `
+      SELECT s.id, s.device_label, s.user_agent, s.ip_address, s.verified_2fa, s.new_device,
+             s.last_used_at, s.expires_at, s.created_at,
+             p.device_name AS passkey_name
+      FROM auth_sessions s
+      LEFT JOIN user_passkeys p ON p.id = s.passkey_id
+      WHERE s.user_id = $1
+        AND s.revoked_at IS NULL
+        AND s.expires_at > NOW()
+      ORDER BY s.last_used_at DESC
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding user sessions:', error);
+      throw error;
+    }
+  }
+
+  // How many sessions a user has opened, in total and from this user agent
+  async getDeviceHistory(userId, userAgent) {
+    const query = `
+      SELECT COUNT(*) AS total,
+             COUNT(*) FILTER (WHERE user_agent = $2) AS matching
+      FROM auth_sessions
+      WHERE user_id = $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, userAgent || null]);
+      return {
+        total: parseInt(result.rows[0].total),
+        matching: parseInt(result.rows[0].matching)
+      };
+    } catch (error) {
+      logger.error('Error reading device history:', error);
+      throw error;
+    }
+  }
+
+  // Store a new refresh token hash in a family
+  async createRefreshToken(familyId, tokenHash, expiresAt) {
+    const query = `
+      INSERT INTO refresh_tokens (family_id, token_hash, expires_at)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [familyId, tokenHash, expiresAt]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Find a refresh token by hash together with its session
+  async findRefreshToken(tokenHash) {
+    const query = `
+      SELECT rt.id, rt.family_id, rt.used_at, rt.expires_at,
+             s.user_id, s.device_label, s.verified_2fa, s.revoked_at,
+             s.expires_at AS session_expires_at
+      FROM refresh_tokens rt
+      JOIN auth_sessions s ON s.id = rt.family_id
+      WHERE rt.token_hash = $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [tokenHash]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Mark a refresh token as exchanged. Returns false if it was already used.
+  async markRefreshTokenUsed(tokenId) {
+    const query = `
+      UPDATE refresh_tokens
+      SET used_at = NOW()
+      WHERE id = $1 AND used_at IS NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [tokenId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error marking refresh token used:', error);
+      throw error;
+    }
+  }
+
+  // Link a used refresh token to the token that replaced it
+  async setReplacedBy(tokenId, replacementId) {
+    const query = 'UPDATE refresh_tokens SET replaced_by = $2 WHERE id = $1';
+
+    try {
+      await databaseService.executeQuery(query, [tokenId, replacementId]);
+    } catch (error) {
+      logger.error('Error linking refresh token replacement:', error);
+      throw error;
+    }
+  }
+
+  // Record session activity
+  async touchSession(sessionId, ipAddress = null) {
+    const query = `
+      UPDATE auth_sessions
+      SET last_used_at = NOW(),
+          ip_address = COALESCE($2, ip_address)
+      WHERE id = $1
+    `;
+
+    try {
+      await databaseService.executeQuery(query, [sessionId, ipAddress]);
+    } catch (error) {
+      logger.error('Error updating auth session activity:', error);
+      throw error;
+    }
+  }
+
+  // Revoke a session; its refresh tokens stop working immediately
+  async revokeSession(sessionId, reason) {
+    const query = `
+      UPDATE auth_sessions
+      SET revoked_at = NOW(),
+          revoked_reason = $2
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [sessionId, reason]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error revoking auth session:', error);
+      throw error;
+    }
+  }
+
+  // Revoke every active session of a user, optionally keeping one
+  async revokeUserSessions(userId, reason, exceptSessionId = null) {
+    const query = `
+      UPDATE auth_sessions
+      SET revoked_at = NOW(),
+          revoked_reason = $2
+      WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND ($3::uuid IS NULL OR id <> $3::uuid)
+      RETURNING id
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, reason, exceptSessionId]);
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error revoking user sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuthSessionRepository();
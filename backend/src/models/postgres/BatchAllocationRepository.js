@@ -0,0 +1,120 @@
+const databaseService = require('../../services/DatabaseService');
+const money = require('../../utils/money');
+const logger = require('../../utils/logger');
+
+class BatchAllocationRepository {
+  // Record a batch allocation transaction once it has been broadcast
+  async create(batchData) {
+    const query = `
+      INSERT INTO batch_allocations (
+        tx_hash, nonce, total_amount, low_risk_amount, medium_risk_amount,
+        high_risk_amount, user_count, trigger_reason, triggered_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const values = [
+      batchData.tx_hash,
+      batchData.nonce,
+      money.toFixed(money.parse(batchData.total_amount, 'USDC'), 'USDC'),
+      money.toFixed(money.parse(batchData.low_risk_amount || 0, 'USDC'), 'USDC'),
+      money.toFixed(money.parse(batchData.medium_risk_amount || 0, 'USDC'), 'USDC'),
+      money.toFixed(money.parse(batchData.high_risk_amount || 0, 'USDC'), 'USDC'),
+      batchData.user_count,
+      batchData.trigger_reason || 'manual',
+      batchData.triggered_by || null
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating batch allocation:', error);
+      throw error;
+    }
+  }
+
+  // Record the receipt of a mined batch transaction
+  async markConfirmed(txHash, receiptData) {
+    const query = `
+      UPDATE batch_allocations
+      SET status = 'confirmed',
+          block_number = $2,
+          gas_used = $3,
+          gas_price = $4,
+          gas_fee = $5,
+          confirmed_at = NOW()
+      WHERE tx_hash = $1
+      RETURNING *
+    `;
+
+    const values = [
+      txHash,
+      receiptData.block_number,
+      receiptData.gas_used,
+      receiptData.gas_price,
+      receiptData.gas_fee
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error confirming batch allocation:', error);
+      throw error;
+    }
+  }
+
+  async markFailed(txHash, errorMessage, receiptData = {}) {
+    const query = `
+      UPDATE batch_allocations
+      SET status = 'failed',
+          error_message = $2,
+          block_number = COALESCE($3, block_number),
+          gas_used = COALESCE($4, gas_used)
+      WHERE tx_hash = $1
+      RETURNING *
+    `;
+
+    const values = [txHash, errorMessage, receiptData.block_number || null, receiptData.gas_used || null];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error failing batch allocation:', error);
+      throw error;
+    }
+  }
+
+  // Most recent batches first
+  async getHistory(limit = 10, offset = 0) {
+    const query = `
+      SELECT * FROM batch_allocations
+      ORDER BY created_at DESC
+      LIMIT $1 OFFSET $2
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [limit, offset]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting batch allocation history:', error);
+      throw error;
+    }
+  }
+
+  async count() {
+    const query = 'SELECT COUNT(*) AS count FROM batch_allocations';
+
+    try {
+      const result = await databaseService.executeQuery(query);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting batch allocations:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BatchAllocationRepository();
@@ -0,0 +1,124 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class EmailOutboxRepository {
+  // Queue a rendered email. Returns null if one with the same dedupe key exists.
+  async enqueue(email) {
+    const query = `
+      INSERT INTO email_outbox (
+        user_id, to_address, template, locale, subject, text_body, html_body,
+        dedupe_key, max_attempts
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (dedupe_key) DO NOTHING
+      RETURNING *
+    `;
+
+    const values = [
+      email.user_id || null,
+      email.to_address,
+      email.template,
+      email.locale,
+      email.subject,
+      email.text_body,
+      email.html_body,
+      email.dedupe_key || null,
+      email.max_attempts || 8
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error queueing email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lease due emails for sending: pending ones whose retry time has come, and
+   * ones left in 'sending' by a worker whose lease ran out
+   */
+  async claimDue(limit, leaseSeconds) {
+    const query = `
+      UPDATE email_outbox
+      SET status = 'sending',
+          attempts = attempts + 1,
+          locked_until = NOW() + ($2 * INTERVAL '1 second')
+      WHERE id IN (
+        SELECT id FROM email_outbox
+        WHERE next_attempt_at <= NOW()
+          AND (status = 'pending' OR (status = 'sending' AND locked_until < NOW()))
+        ORDER BY next_attempt_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [limit, leaseSeconds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error claiming outbox emails:', error);
+      throw error;
+    }
+  }
+
+  async markSent(id, transport, messageId) {
+    const query = `
+      UPDATE email_outbox
+      SET status = 'sent', sent_at = NOW(), locked_until = NULL,
+          transport = $2, message_id = $3, last_error = NULL
+      WHERE id = $1
+    `;
+
+    try {
+      await databaseService.executeQuery(query, [id, transport, messageId || null]);
+    } catch (error) {
+      logger.error('Error marking email sent:', error);
+      throw error;
+    }
+  }
+
+  // Record a failed send: retry at nextAttemptAt, or give up when it is null
+  async markFailed(id, errorMessage, nextAttemptAt) {
+    const query = `
+      UPDATE email_outbox
+      SET status = $3,
+          last_error = $2,
+          locked_until = NULL,
+          next_attempt_at = COALESCE($4, next_attempt_at)
+      WHERE id = $1
+    `;
+
+    try {
+      await databaseService.executeQuery(query, [
+        id,
+        errorMessage,
+        nextAttemptAt ? 'pending' : 'failed',
+        nextAttemptAt
+      ]);
+    } catch (error) {
+      logger.error('Error marking email failed:', error);
+      throw error;
+    }
+  }
+
+  // Delete sent emails older than the retention window
+  async deleteSentBefore(cutoff) {
+    const query = `
+      DELETE FROM email_outbox
+      WHERE status = 'sent' AND sent_at < $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [cutoff]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error pruning outbox emails:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EmailOutboxRepository();
@@ -0,0 +1,92 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class ExchangeRateRepository {
+  // Store one rate snapshot
+  async create(snapshot) {
+    const query = `
+      INSERT INTO exchange_rates (
+        base_currency, quote_currency, rate, source, quoted_at, fetched_at
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (base_currency, quote_currency, fetched_at) DO NOTHING
+      RETURNING *
+    `;
+
+    const values = [
+      snapshot.base_currency,
+      snapshot.quote_currency,
+      snapshot.rate,
+      snapshot.source,
+      snapshot.quoted_at,
+      snapshot.fetched_at || new Date()
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating exchange rate snapshot:', error);
+      throw error;
+    }
+  }
+
+  // Rate in effect at a time: the last snapshot fetched at or before it
+  async findAt(base, quote, at = new Date()) {
+    const query = `
+      SELECT * FROM exchange_rates
+      WHERE base_currency = $1 AND quote_currency = $2 AND fetched_at <= $3
+      ORDER BY fetched_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [base, quote, at]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding exchange rate:', error);
+      throw error;
+    }
+  }
+
+  // Closing, lowest and highest rate per fixed-size bucket
+  async getHistory(base, quote, since, bucketSeconds) {
+    const query = `
+      SELECT
+        to_timestamp(floor(extract(epoch FROM fetched_at) / $4) * $4) AS bucket,
+        (array_agg(rate ORDER BY fetched_at DESC))[1] AS rate,
+        MIN(rate) AS low,
+        MAX(rate) AS high,
+        COUNT(*) AS samples
+      FROM exchange_rates
+      WHERE base_currency = $1 AND quote_currency = $2 AND fetched_at >= $3
+      GROUP BY bucket
+      ORDER BY bucket ASC
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [base, quote, since, bucketSeconds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting exchange rate history:', error);
+      throw error;
+    }
+  }
+
+  // Delete snapshots older than the retention window
+  async deleteOlderThan(cutoff) {
+    const query = `
+      DELETE FROM exchange_rates
+      WHERE fetched_at < $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [cutoff]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error pruning exchange rates:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExchangeRateRepository();
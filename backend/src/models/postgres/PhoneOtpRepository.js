@@ -0,0 +1,118 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class PhoneOtpRepository {
+  // Store a new code, superseding the number's earlier unused codes
+  async create(otp) {
+    try {
+      return await databaseService.executeTransaction(async (client) => {
+        await client.query(
+          `UPDATE phone_otps SET superseded_at = NOW()
+           WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL AND superseded_at IS NULL`,
+          [otp.phone, otp.purpose]
+        );
+
+        const result = await client.query(
+          `INSERT INTO phone_otps (phone, purpose, code_hash, expires_at, ip_address)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [otp.phone, otp.purpose, otp.code_hash, otp.expires_at, otp.ip_address || null]
+        );
+
+        return result.rows[0];
+      });
+    } catch (error) {
+      logger.error('Error creating phone OTP:', error);
+      throw error;
+    }
+  }
+
+  // The number's current code (latest, neither consumed nor superseded)
+  async findActive(phone, purpose) {
+    const query = `
+      SELECT * FROM phone_otps
+      WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL AND superseded_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [phone, purpose]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding phone OTP:', error);
+      throw error;
+    }
+  }
+
+  // Record the SMS that delivered a code
+  async recordDelivery(id, provider, messageId) {
+    const query = `
+      UPDATE phone_otps
+      SET provider = $2, provider_message_id = $3
+      WHERE id = $1
+    `;
+
+    try {
+      await databaseService.executeQuery(query, [id, provider, messageId || null]);
+    } catch (error) {
+      logger.error('Error recording phone OTP delivery:', error);
+      throw error;
+    }
+  }
+
+  // Count a guess before it is checked. Returns the new attempt count, or null
+  // once maxAttempts guesses have been made.
+  async incrementAttempts(id, maxAttempts) {
+    const query = `
+      UPDATE phone_otps
+      SET attempts = attempts + 1
+      WHERE id = $1 AND attempts < $2
+      RETURNING attempts
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [id, maxAttempts]);
+      return result.rows.length > 0 ? result.rows[0].attempts : null;
+    } catch (error) {
+      logger.error('Error counting phone OTP attempt:', error);
+      throw error;
+    }
+  }
+
+  // Use a code. Returns false if it was already used, replaced or guessed too often.
+  async consume(id, maxAttempts) {
+    const query = `
+      UPDATE phone_otps
+      SET consumed_at = NOW()
+      WHERE id = $1 AND consumed_at IS NULL AND superseded_at IS NULL AND attempts <= $2
+      RETURNING id
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [id, maxAttempts]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error consuming phone OTP:', error);
+      throw error;
+    }
+  }
+
+  // Invalidate a code that could not be delivered
+  async supersede(id) {
+    const query = `
+      UPDATE phone_otps
+      SET superseded_at = NOW()
+      WHERE id = $1 AND superseded_at IS NULL
+    `;
+
+    try {
+      await databaseService.executeQuery(query, [id]);
+    } catch (error) {
+      logger.error('Error superseding phone OTP:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PhoneOtpRepository();
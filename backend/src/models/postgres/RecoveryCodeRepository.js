@@ -0,0 +1,73 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class RecoveryCodeRepository {
+  // Replace all recovery codes of a user
+  async replaceForUser(userId, codeHashes) {
+    try {
+      return await databaseService.executeTransaction(async (client) => {
+        await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+        const result = await client.query(
+          `INSERT INTO user_recovery_codes (user_id, code_hash)
+           SELECT $1, UNNEST($2::varchar[])
+           RETURNING id`,
+          [userId, codeHashes]
+        );
+
+        return result.rows.length;
+      });
+    } catch (error) {
+      logger.error('Error replacing recovery codes:', error);
+      throw error;
+    }
+  }
+
+  // Use a recovery code. Returns false if it does not exist or was already used.
+  async consume(userId, codeHash) {
+    const query = `
+      UPDATE user_recovery_codes
+      SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, codeHash]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error consuming recovery code:', error);
+      throw error;
+    }
+  }
+
+  // Count unused recovery codes
+  async countRemaining(userId) {
+    const query = `
+      SELECT COUNT(*) AS count FROM user_recovery_codes
+      WHERE user_id = $1 AND used_at IS NULL
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting recovery codes:', error);
+      throw error;
+    }
+  }
+
+  // Delete all recovery codes of a user
+  async deleteForUser(userId) {
+    const query = 'DELETE FROM user_recovery_codes WHERE user_id = $1';
+
+    try {
+      await databaseService.executeQuery(query, [userId]);
+    } catch (error) {
+      logger.error('Error deleting recovery codes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RecoveryCodeRepository();
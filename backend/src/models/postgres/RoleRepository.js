@@ -0,0 +1,110 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class RoleRepository {
+  // Every role with its permissions and how many users hold it
+  async findAll() {
+    const query = `
+      SELECT r.name, r.description,
+             ARRAY(
+               SELECT rp.permission FROM role_permissions rp
+               WHERE rp.role = r.name
+               ORDER BY rp.permission
+             ) AS permissions,
+             (SELECT COUNT(*) FROM user_roles ur WHERE ur.role = r.name)::int AS user_count
+      FROM roles r
+      ORDER BY r.name
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding roles:', error);
+      throw error;
+    }
+  }
+
+  async findAllPermissions() {
+    const query = `
+      SELECT name, description FROM permissions
+      ORDER BY name
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding permissions:', error);
+      throw error;
+    }
+  }
+
+  // Roles a user holds, with who granted them
+  async findByUser(userId) {
+    const query = `
+      SELECT ur.role, ur.granted_by, ur.granted_at
+      FROM user_roles ur
+      WHERE ur.user_id = $1
+      ORDER BY ur.role
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding user roles:', error);
+      throw error;
+    }
+  }
+
+  // Active, unsuspended users other than excludeUserId holding a permission through any role
+  async countUsersWithPermission(permission, excludeUserId = null) {
+    const query = `
+      SELECT COUNT(DISTINCT ur.user_id)::int AS count
+      FROM user_roles ur
+      JOIN role_permissions rp ON rp.role = ur.role
+      JOIN users u ON u.id = ur.user_id
+      WHERE rp.permission = $1 AND u.is_active = true AND u.suspended_at IS NULL
+        AND ($2::uuid IS NULL OR ur.user_id <> $2::uuid)
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [permission, excludeUserId]);
+      return result.rows[0].count;
+    } catch (error) {
+      logger.error('Error counting users with permission:', error);
+      throw error;
+    }
+  }
+
+  // Replace a user's roles. Roles kept keep their original grant.
+  async setUserRoles(userId, roles, grantedBy) {
+    try {
+      return await databaseService.executeTransaction(async (client) => {
+        await client.query(
+          'DELETE FROM user_roles WHERE user_id = $1 AND NOT (role = ANY($2::varchar[]))',
+          [userId, roles]
+        );
+
+        await client.query(
+          `INSERT INTO user_roles (user_id, role, granted_by)
+           SELECT $1, unnest($2::varchar[]), $3
+           ON CONFLICT (user_id, role) DO NOTHING`,
+          [userId, roles, grantedBy]
+        );
+
+        const result = await client.query(
+          'SELECT role, granted_by, granted_at FROM user_roles WHERE user_id = $1 ORDER BY role',
+          [userId]
+        );
+        return result.rows;
+      });
+    } catch (error) {
+      logger.error('Error setting user roles:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RoleRepository();
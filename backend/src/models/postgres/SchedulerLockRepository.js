@@ -0,0 +1,42 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class SchedulerLockRepository {
+  // Take the named lease if it is free or expired. Returns true on success.
+  // A held lease is never re-granted, so owners should be unique per run.
+  async acquire(name, owner, ttlMs) {
+    const query = `
+      INSERT INTO scheduler_locks (name, owner, acquired_at, expires_at)
+      VALUES ($1, $2, NOW(), NOW() + $3 * INTERVAL '1 millisecond')
+      ON CONFLICT (name) DO UPDATE
+      SET owner = EXCLUDED.owner,
+          acquired_at = EXCLUDED.acquired_at,
+          expires_at = EXCLUDED.expires_at
+      WHERE scheduler_locks.expires_at < NOW()
+      RETURNING name
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [name, owner, ttlMs]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error acquiring scheduler lock:', error);
+      throw error;
+    }
+  }
+
+  // Release the lease if we still hold it
+  async release(name, owner) {
+    const query = 'DELETE FROM scheduler_locks WHERE name = $1 AND owner = $2';
+
+    try {
+      const result = await databaseService.executeQuery(query, [name, owner]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error releasing scheduler lock:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SchedulerLockRepository();
@@ -0,0 +1,130 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+// WHERE clause shared by the list and aggregation queries.
+// A wallet scope matches events logged for its owner and events reported for the wallet.
+function buildConditions(filters, values) {
+  const conditions = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (filters.walletAddress && filters.userId) {
+    values.push(filters.userId, filters.walletAddress.toLowerCase());
+    conditions.push(`(user_id = $${values.length - 1} OR wallet_address = $${values.length})`);
+  } else if (filters.walletAddress) {
+    add('wallet_address = ?', filters.walletAddress.toLowerCase());
+  } else if (filters.userId) {
+    add('user_id = ?', filters.userId);
+  }
+
+  if (filters.eventTypes && filters.eventTypes.length > 0) {
+    add('event_type = ANY(?)', filters.eventTypes);
+  }
+
+  if (filters.severities && filters.severities.length > 0) {
+    add('severity = ANY(?)', filters.severities);
+  }
+
+  if (filters.from) {
+    add('created_at >= ?', filters.from);
+  }
+
+  if (filters.to) {
+    add('created_at < ?', filters.to);
+  }
+
+  return conditions;
+}
+
+class SecurityEventRepository {
+  // Record a security event
+  async create(eventData) {
+    const query = `
+      INSERT INTO security_events (
+        user_id, wallet_address, event_type, event_status, severity, message,
+        ip_address, user_agent, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *, created_at::text AS cursor_created_at
+    `;
+
+    const values = [
+      eventData.user_id || null,
+      eventData.wallet_address ? eventData.wallet_address.toLowerCase() : null,
+      eventData.event_type,
+      eventData.event_status,
+      eventData.severity || 'info',
+      eventData.message || null,
+      eventData.ip_address || null,
+      eventData.user_agent || null,
+      JSON.stringify(eventData.metadata || {})
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating security event:', error);
+      throw error;
+    }
+  }
+
+  // Events matching the filters, newest first, starting after the given
+  // (created_at, id) position. created_at is also returned as text so the
+  // cursor keeps microsecond precision.
+  async find(filters = {}, limit = 50, after = null) {
+    const values = [];
+    const conditions = buildConditions(filters, values);
+
+    if (after) {
+      values.push(after.createdAt, after.id);
+      conditions.push(`(created_at, id) < ($${values.length - 1}::timestamp, $${values.length}::uuid)`);
+    }
+
+    values.push(limit);
+
+    const query = `
+      SELECT *, created_at::text AS cursor_created_at
+      FROM security_events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${values.length}
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding security events:', error);
+      throw error;
+    }
+  }
+
+  // Event counts per day and severity
+  async countBySeverityPerDay(filters = {}) {
+    const values = [];
+    const conditions = buildConditions(filters, values);
+
+    const query = `
+      SELECT
+        to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day,
+        severity,
+        COUNT(*) AS count
+      FROM security_events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY 1, 2
+      ORDER BY 1 ASC
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error aggregating security events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SecurityEventRepository();
@@ -0,0 +1,55 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class SiweNonceRepository {
+  async create(nonce) {
+    const query = `
+      INSERT INTO siwe_nonces (nonce, expires_at, ip_address)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [nonce.nonce, nonce.expires_at, nonce.ip_address || null]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating SIWE nonce:', error);
+      throw error;
+    }
+  }
+
+  // Use a nonce for a verified message. Returns false if it is unknown, used or expired.
+  async consume(nonce, walletAddress, chainId) {
+    const query = `
+      UPDATE siwe_nonces
+      SET consumed_at = NOW(), wallet_address = $2, chain_id = $3
+      WHERE nonce = $1 AND consumed_at IS NULL AND expires_at > NOW()
+      RETURNING nonce
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [nonce, walletAddress.toLowerCase(), chainId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error consuming SIWE nonce:', error);
+      throw error;
+    }
+  }
+
+  async deleteExpired() {
+    const query = `
+      DELETE FROM siwe_nonces
+      WHERE expires_at < NOW() - INTERVAL '1 day'
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error deleting expired SIWE nonces:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SiweNonceRepository();
@@ -0,0 +1,119 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class StrategyProposalRepository {
+  // Create a new allocation proposal
+  async create(proposalData) {
+    const query = `
+      INSERT INTO strategy_allocation_proposals (
+        proposed_by, kind, status, diff, transactions, signing_error
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      proposalData.proposed_by,
+      proposalData.kind,
+      proposalData.status || 'queued',
+      JSON.stringify(proposalData.diff || []),
+      JSON.stringify(proposalData.transactions || []),
+      proposalData.signing_error || null
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      logger.info(`Strategy proposal created: ${result.rows[0].id} (${result.rows[0].status})`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating strategy proposal:', error);
+      throw error;
+    }
+  }
+
+  // Find proposal by ID
+  async findById(proposalId) {
+    const query = 'SELECT * FROM strategy_allocation_proposals WHERE id = $1';
+
+    try {
+      const result = await databaseService.executeQuery(query, [proposalId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding strategy proposal:', error);
+      throw error;
+    }
+  }
+
+  // Atomically move a queued proposal to 'submitting'; null if it is not queued
+  async claimForSubmission(proposalId, submittedBy) {
+    const query = `
+      UPDATE strategy_allocation_proposals
+      SET status = 'submitting', submitted_by = $2, signing_error = NULL
+      WHERE id = $1 AND status = 'queued'
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [proposalId, submittedBy]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error claiming strategy proposal:', error);
+      throw error;
+    }
+  }
+
+  // Store the transactions broadcast so far and the resulting status
+  async recordSubmission(proposalId, { status, signedTransactions, signingError = null }) {
+    const query = `
+      UPDATE strategy_allocation_proposals
+      SET status = $2,
+          signed_transactions = $3,
+          signing_error = $4,
+          submitted_at = CASE WHEN $2 = 'executed' THEN NOW() ELSE submitted_at END
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [
+        proposalId,
+        status,
+        JSON.stringify(signedTransactions),
+        signingError
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error recording strategy proposal submission:', error);
+      throw error;
+    }
+  }
+
+  // Get recent proposals with the proposer's details
+  async findRecent(options = {}) {
+    const { limit = 20, offset = 0, status } = options;
+
+    let query = `
+      SELECT p.*, u.name AS proposed_by_name, u.email AS proposed_by_email
+      FROM strategy_allocation_proposals p
+      JOIN users u ON p.proposed_by = u.id
+    `;
+    const values = [];
+
+    if (status) {
+      values.push(status);
+      query += ` WHERE p.status = $${values.length}`;
+    }
+
+    values.push(limit, offset);
+    query += ` ORDER BY p.created_at DESC LIMIT $${values.length - 1} OFFSET $${values.length}`;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting strategy proposals:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StrategyProposalRepository();
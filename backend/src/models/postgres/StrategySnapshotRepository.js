@@ -0,0 +1,129 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class StrategySnapshotRepository {
+  // Store one sample per strategy, all stamped with the same time
+  async createMany(snapshots, sampledAt = new Date()) {
+    if (snapshots.length === 0) {
+      return [];
+    }
+
+    const values = [sampledAt];
+    const rows = snapshots.map(snapshot => {
+      values.push(
+        snapshot.strategy_address.toLowerCase(),
+        snapshot.strategy_type || null,
+        snapshot.strategy_name,
+        snapshot.total_assets,
+        snapshot.apy,
+        snapshot.allocation
+      );
+      const offset = values.length - 6;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $1)`;
+    });
+
+    const query = `
+      INSERT INTO strategy_snapshots (
+        strategy_address, strategy_type, strategy_name,
+        total_assets, apy, allocation, sampled_at
+      ) VALUES ${rows.join(', ')}
+      ON CONFLICT (strategy_address, sampled_at) DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error creating strategy snapshots:', error);
+      throw error;
+    }
+  }
+
+  // Per-strategy history averaged into fixed-size buckets
+  async getStrategyHistory(since, bucketSeconds, strategyAddress = null) {
+    const values = [since, bucketSeconds];
+    let addressFilter = '';
+
+    if (strategyAddress) {
+      values.push(strategyAddress.toLowerCase());
+      addressFilter = 'AND strategy_address = $3';
+    }
+
+    const query = `
+      SELECT
+        strategy_address,
+        MAX(strategy_type) AS strategy_type,
+        MAX(strategy_name) AS strategy_name,
+        to_timestamp(floor(extract(epoch FROM sampled_at) / $2) * $2) AS bucket,
+        AVG(total_assets) AS total_assets,
+        AVG(apy) AS apy,
+        AVG(allocation) AS allocation,
+        COUNT(*) AS samples
+      FROM strategy_snapshots
+      WHERE sampled_at >= $1 ${addressFilter}
+      GROUP BY strategy_address, bucket
+      ORDER BY strategy_address, bucket ASC
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting strategy snapshot history:', error);
+      throw error;
+    }
+  }
+
+  // Vault-wide TVL and asset-weighted APY per bucket
+  async getVaultHistory(since, bucketSeconds) {
+    const query = `
+      WITH buckets AS (
+        SELECT
+          strategy_address,
+          to_timestamp(floor(extract(epoch FROM sampled_at) / $2) * $2) AS bucket,
+          AVG(total_assets) AS total_assets,
+          AVG(apy) AS apy
+        FROM strategy_snapshots
+        WHERE sampled_at >= $1
+        GROUP BY strategy_address, bucket
+      )
+      SELECT
+        bucket,
+        SUM(total_assets) AS tvl,
+        CASE WHEN SUM(total_assets) > 0
+          THEN SUM(apy * total_assets) / SUM(total_assets)
+          ELSE 0
+        END AS apy
+      FROM buckets
+      GROUP BY bucket
+      ORDER BY bucket ASC
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [since, bucketSeconds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting vault snapshot history:', error);
+      throw error;
+    }
+  }
+
+  // Delete samples older than the retention window
+  async deleteOlderThan(cutoff) {
+    const query = `
+      DELETE FROM strategy_snapshots
+      WHERE sampled_at < $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [cutoff]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error pruning strategy snapshots:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StrategySnapshotRepository();
@@ -1,7 +1,42 @@
 const databaseService = require('../../services/DatabaseService');
+const exchangeRateService = require('../../services/exchangeRateService');
+const money = require('../../utils/money');
 const logger = require('../../utils/logger');
 
+// DECIMAL column value of an amount given as a decimal string, number or bigint base units
+const toColumn = (value, unit) => (
+  value === null || value === undefined ? null : money.toFixed(money.parse(value, unit), unit)
+);
+
 class TransactionRepository {
+  /**
+   * INSERT values for a new transaction
+   * Unless the caller supplies one, the transaction is stamped with the current
+   * USD/VND rate (exchange_rate.created) and its amount in VND.
+   * @private
+   */
+  async getInsertValues(transactionData) {
+    const stamp = transactionData.exchange_rate
+      ? null
+      : await exchangeRateService.stamp(transactionData.amount);
+
+    return [
+      transactionData.user_id,
+      transactionData.type,
+      toColumn(transactionData.amount, 'USDC'),
+      toColumn(transactionData.shares || 0n, 'SHARES'),
+      transactionData.tx_hash,
+      transactionData.block_number,
+      transactionData.gas_used,
+      transactionData.gas_fee,
+      JSON.stringify(transactionData.exchange_rate || (stamp ? { created: stamp.rate } : {})),
+      toColumn(transactionData.amount_vnd ?? (stamp && stamp.amountVnd), 'VND'),
+      JSON.stringify(transactionData.metadata || {}),
+      transactionData.status || 'pending',
+      transactionData.submitted_at || new Date()
+    ];
+  }
+
   // Create a new transaction
   async create(transactionData) {
     const query = `
@@ -13,21 +48,7 @@ class TransactionRepository {
       RETURNING *
     `;
 
-    const values = [
-      transactionData.user_id,
-      transactionData.type,
-      transactionData.amount,
-      transactionData.shares || 0,
-      transactionData.tx_hash,
-      transactionData.block_number,
-      transactionData.gas_used,
-      transactionData.gas_fee,
-      JSON.stringify(transactionData.exchange_rate || {}),
-      transactionData.amount_vnd,
-      JSON.stringify(transactionData.metadata || {}),
-      transactionData.status || 'pending',
-      transactionData.submitted_at || new Date()
-    ];
+    const values = await this.getInsertValues(transactionData);
 
     try {
       const result = await databaseService.executeQuery(query, values);
@@ -202,6 +223,15 @@ class TransactionRepository {
     if (status === 'confirmed') {
       updateFields.push(`confirmed_at = NOW()`);
       updateFields.push(`processed_at = NOW()`);
+
+      // Stamp the rate at confirmation; amount_vnd follows the confirmed amount
+      const stamp = await exchangeRateService.stamp();
+      if (stamp) {
+        updateFields.push(`exchange_rate = COALESCE(exchange_rate, '{}'::jsonb) || jsonb_build_object('confirmed', $${paramIndex}::jsonb)`);
+        updateFields.push(`amount_vnd = ROUND(amount * $${paramIndex + 1}::numeric)`);
+        values.push(JSON.stringify(stamp.rate), stamp.rate.rate);
+        paramIndex += 2;
+      }
       
       if (additionalData.tx_hash) {
         updateFields.push(`tx_hash = $${paramIndex}`);
@@ -226,6 +256,12 @@ class TransactionRepository {
         values.push(additionalData.gas_fee);
         paramIndex++;
       }
+
+      if (additionalData.confirmations !== undefined) {
+        updateFields.push(`confirmations = $${paramIndex}`);
+        values.push(additionalData.confirmations);
+        paramIndex++;
+      }
     }
 
     if (status === 'failed' && additionalData.error_message) {
@@ -243,7 +279,14 @@ class TransactionRepository {
     `;
 
     try {
-      const result = await databaseService.executeQuery(query, values);
+      const result = await databaseService.executeTransaction(async (client) => {
+        // Read by the transaction_history trigger (scoped to this transaction)
+        await client.query(
+          `SELECT set_config('abunfi.changed_by', $1, true), set_config('abunfi.change_reason', $2, true)`,
+          [additionalData.changed_by || 'system', additionalData.change_reason || 'Status updated']
+        );
+        return await client.query(query, values);
+      });
       
       if (result.rows.length > 0) {
         const transaction = result.rows[0];
@@ -334,8 +377,133 @@ class TransactionRepository {
     }
   }
 
+  // Find the oldest pending transaction an on-chain event can be matched to
+  async findPendingMatch(userId, type, { amount = null, shares = null } = {}) {
+    // Columns hold exact USDC (6) and share (18) decimals, so compare exact values
+    const matchCondition = type === 'withdraw'
+      ? 'shares = $3::numeric'
+      : 'amount = $3::numeric';
+
+    const query = `
+      SELECT * FROM transactions
+      WHERE user_id = $1
+        AND type = $2
+        AND status = 'pending'
+        AND tx_hash IS NULL
+        AND ${matchCondition}
+      ORDER BY submitted_at ASC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [
+        userId,
+        type,
+        type === 'withdraw' ? toColumn(shares, 'SHARES') : toColumn(amount, 'USDC')
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding pending transaction match:', error);
+      throw error;
+    }
+  }
+
+  // Attach on-chain data to a pending transaction without changing its status
+  async recordChainData(transactionId, chainData) {
+    const query = `
+      UPDATE transactions
+      SET tx_hash = $2, block_number = $3, gas_used = $4, gas_fee = $5,
+          confirmations = $6, updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [
+        transactionId,
+        chainData.tx_hash,
+        chainData.block_number,
+        chainData.gas_used,
+        chainData.gas_fee,
+        chainData.confirmations || 0
+      ]);
+
+      if (result.rows.length > 0) {
+        await databaseService.deleteCache(`user:${result.rows[0].user_id}`);
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error recording transaction chain data:', error);
+      throw error;
+    }
+  }
+
+  // Update the confirmation count of a pending transaction
+  async updateConfirmations(transactionId, confirmations) {
+    const query = `
+      UPDATE transactions
+      SET confirmations = $2, updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING id, confirmations
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [transactionId, confirmations]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating transaction confirmations:', error);
+      throw error;
+    }
+  }
+
+  // Detach on-chain data from a pending transaction (its block was reorged out)
+  async clearChainData(transactionId) {
+    const query = `
+      UPDATE transactions
+      SET tx_hash = NULL, block_number = NULL, gas_used = NULL, gas_fee = NULL,
+          confirmations = 0, updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [transactionId]);
+
+      if (result.rows.length > 0) {
+        await databaseService.deleteCache(`user:${result.rows[0].user_id}`);
+        logger.info(`Transaction ${transactionId} chain data cleared after reorg`);
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error clearing transaction chain data:', error);
+      throw error;
+    }
+  }
+
+  // Get pending transactions already seen on-chain and waiting for confirmations
+  async getAwaitingConfirmation(limit = 500) {
+    const query = `
+      SELECT * FROM transactions
+      WHERE status = 'pending' AND block_number IS NOT NULL
+      ORDER BY block_number ASC
+      LIMIT $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting transactions awaiting confirmation:', error);
+      throw error;
+    }
+  }
+
   // Create transaction with balance update (atomic operation)
   async createWithBalanceUpdate(transactionData, balanceChanges) {
+    const transactionValues = await this.getInsertValues(transactionData);
+
     return await databaseService.executeTransaction(async (client) => {
       // Create transaction
       const transactionQuery = `
@@ -347,22 +515,6 @@ class TransactionRepository {
         RETURNING *
       `;
 
-      const transactionValues = [
-        transactionData.user_id,
-        transactionData.type,
-        transactionData.amount,
-        transactionData.shares || 0,
-        transactionData.tx_hash,
-        transactionData.block_number,
-        transactionData.gas_used,
-        transactionData.gas_fee,
-        JSON.stringify(transactionData.exchange_rate || {}),
-        transactionData.amount_vnd,
-        JSON.stringify(transactionData.metadata || {}),
-        transactionData.status || 'pending',
-        transactionData.submitted_at || new Date()
-      ];
-
       const transactionResult = await client.query(transactionQuery, transactionValues);
       const transaction = transactionResult.rows[0];
 
@@ -380,10 +532,10 @@ class TransactionRepository {
         `;
 
         const balanceValues = [
-          balanceChanges.total_balance || 0,
-          balanceChanges.available_balance || 0,
-          balanceChanges.locked_balance || 0,
-          balanceChanges.total_shares || 0,
+          toColumn(balanceChanges.total_balance || 0n, 'USDC'),
+          toColumn(balanceChanges.available_balance || 0n, 'USDC'),
+          toColumn(balanceChanges.locked_balance || 0n, 'USDC'),
+          toColumn(balanceChanges.total_shares || 0n, 'SHARES'),
           transactionData.user_id
         ];
 
@@ -1,6 +1,49 @@
 const databaseService = require('../../services/DatabaseService');
 const logger = require('../../utils/logger');
 
+// Escape LIKE wildcards in user input
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// WHERE clause shared by the admin search and its count.
+// `term` matches email, name or a wallet address prefix; `phone` is an E.164 number.
+function buildSearchConditions(filters, values) {
+  const conditions = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (filters.term) {
+    values.push(`%${escapeLike(filters.term)}%`, `${escapeLike(filters.term.toLowerCase())}%`);
+    const matches = [
+      `u.email ILIKE $${values.length - 1}`,
+      `u.name ILIKE $${values.length - 1}`,
+      `u.wallet_address LIKE $${values.length}`
+    ];
+
+    if (filters.phone) {
+      values.push(filters.phone);
+      matches.push(`(u.social_provider = 'phone' AND u.social_id = $${values.length})`);
+    }
+
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+
+  if (filters.status === 'active') {
+    conditions.push('u.is_active = true AND u.suspended_at IS NULL');
+  } else if (filters.status === 'suspended') {
+    conditions.push('u.is_active = true AND u.suspended_at IS NOT NULL');
+  } else if (filters.status === 'deleted') {
+    conditions.push('u.is_active = false');
+  }
+
+  if (filters.role) {
+    add('EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role = ?)', filters.role);
+  }
+
+  return conditions;
+}
+
 class UserRepository {
   // Create a new user in PostgreSQL
   async create(userData) {
@@ -8,8 +51,8 @@ class UserRepository {
       INSERT INTO users (
         email, wallet_address, name, social_id, social_provider,
         kyc_status, kyc_data, preferences, metadata, two_factor_enabled,
-        is_active, is_email_verified, referral_code, referred_by, role
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        is_active, is_email_verified, referral_code, referred_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *
     `;
 
@@ -37,8 +80,7 @@ class UserRepository {
       userData.is_active !== false, // Default to true
       userData.is_email_verified || false,
       userData.referral_code,
-      userData.referred_by,
-      userData.role || 'user'
+      userData.referred_by
     ];
 
     try {
@@ -51,12 +93,23 @@ class UserRepository {
     }
   }
 
-  // Find user by ID
+  // Find user by ID, with the roles it holds and the permissions they grant
   async findById(userId) {
     const query = `
       SELECT u.*, ub.total_balance, ub.available_balance, ub.locked_balance,
              ub.total_shares, ub.share_price, ub.total_yield_earned,
-             ub.last_yield_calculation
+             ub.last_yield_calculation,
+             ARRAY(
+               SELECT ur.role FROM user_roles ur
+               WHERE ur.user_id = u.id
+               ORDER BY ur.role
+             ) AS roles,
+             ARRAY(
+               SELECT DISTINCT rp.permission FROM user_roles ur
+               JOIN role_permissions rp ON rp.role = ur.role
+               WHERE ur.user_id = u.id
+               ORDER BY rp.permission
+             ) AS permissions
       FROM users u
       LEFT JOIN user_balances ub ON u.id = ub.user_id
       WHERE u.id = $1 AND u.is_active = true
@@ -134,7 +187,7 @@ class UserRepository {
       'name', 'social_id', 'social_provider', 'kyc_status', 'kyc_data',
       'preferences', 'metadata', 'two_factor_enabled', 'two_factor_secret',
       'is_email_verified', 'email_verification_token', 'password_reset_token',
-      'password_reset_expires', 'last_login_at', 'login_count', 'role'
+      'password_reset_expires', 'last_login_at', 'login_count'
     ];
 
     const updates = [];
@@ -490,6 +543,219 @@ class UserRepository {
     }
   }
 
+  // Mark the pending TOTP secret as verified and enable 2FA
+  async confirmTotp(userId, step) {
+    const query = `
+      UPDATE users
+      SET totp_confirmed_at = NOW(),
+          totp_last_used_step = $2,
+          two_factor_enabled = true,
+          two_factor_method = CASE WHEN two_factor_method = 'none' THEN 'totp' ELSE two_factor_method END,
+          two_factor_setup_at = COALESCE(two_factor_setup_at, NOW()),
+          updated_at = NOW()
+      WHERE id = $1 AND is_active = true AND two_factor_secret IS NOT NULL
+      RETURNING two_factor_enabled, two_factor_method
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, step]);
+
+      // Invalidate cache
+      await databaseService.deleteCache(`user:${userId}`);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error confirming TOTP:', error);
+      throw error;
+    }
+  }
+
+  // Accept a TOTP time step once. Returns false for replayed or older steps.
+  async recordTotpStep(userId, step) {
+    const query = `
+      UPDATE users
+      SET totp_last_used_step = $2
+      WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+      RETURNING id
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, step]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error recording TOTP step:', error);
+      throw error;
+    }
+  }
+
+  // Remove the TOTP method; 2FA stays on while passkeys remain
+  async clearTotp(userId, hasPasskeys) {
+    const query = `
+      UPDATE users
+      SET two_factor_secret = NULL,
+          totp_confirmed_at = NULL,
+          totp_last_used_step = NULL,
+          two_factor_enabled = $2,
+          two_factor_method = CASE WHEN $2 THEN 'passkey' ELSE 'none' END,
+          updated_at = NOW()
+      WHERE id = $1 AND is_active = true
+      RETURNING two_factor_enabled, two_factor_method
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, hasPasskeys]);
+
+      // Invalidate cache
+      await databaseService.deleteCache(`user:${userId}`);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error clearing TOTP:', error);
+      throw error;
+    }
+  }
+
+  // Switch the primary 2FA method, e.g. after the last passkey is removed
+  async setTwoFactorMethod(userId, method) {
+    const query = `
+      UPDATE users
+      SET two_factor_method = $2, updated_at = NOW()
+      WHERE id = $1 AND is_active = true
+      RETURNING two_factor_enabled, two_factor_method
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, method]);
+
+      // Invalidate cache
+      await databaseService.deleteCache(`user:${userId}`);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error setting 2FA method:', error);
+      throw error;
+    }
+  }
+
+  // Admin search over every account, including suspended and deleted ones, newest first
+  async search(filters = {}, limit = 20, offset = 0) {
+    const values = [];
+    const conditions = buildSearchConditions(filters, values);
+
+    values.push(limit, offset);
+
+    const query = `
+      SELECT u.id, u.email, u.name, u.wallet_address, u.social_provider, u.social_id,
+             u.kyc_status, u.is_active, u.suspended_at, u.two_factor_enabled,
+             u.created_at, u.last_login_at, ub.total_balance,
+             ARRAY(
+               SELECT ur.role FROM user_roles ur
+               WHERE ur.user_id = u.id
+               ORDER BY ur.role
+             ) AS roles
+      FROM users u
+      LEFT JOIN user_balances ub ON u.id = ub.user_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY u.created_at DESC, u.id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error searching users:', error);
+      throw error;
+    }
+  }
+
+  async countSearch(filters = {}) {
+    const values = [];
+    const conditions = buildSearchConditions(filters, values);
+
+    const query = `
+      SELECT COUNT(*) AS total
+      FROM users u
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      logger.error('Error counting users:', error);
+      throw error;
+    }
+  }
+
+  // Find any user by ID for the admin console, deleted accounts included
+  async findForAdmin(userId) {
+    const query = `
+      SELECT u.*, ub.total_balance, ub.available_balance, ub.locked_balance,
+             ub.total_shares, ub.share_price, ub.total_yield_earned,
+             ARRAY(
+               SELECT ur.role FROM user_roles ur
+               WHERE ur.user_id = u.id
+               ORDER BY ur.role
+             ) AS roles
+      FROM users u
+      LEFT JOIN user_balances ub ON u.id = ub.user_id
+      WHERE u.id = $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding user for admin:', error);
+      throw error;
+    }
+  }
+
+  // Suspend an active account. Returns null if it is missing, deleted or already suspended.
+  async suspend(userId, suspendedBy, reason) {
+    const query = `
+      UPDATE users
+      SET suspended_at = NOW(), suspended_by = $2, suspension_reason = $3, updated_at = NOW()
+      WHERE id = $1 AND is_active = true AND suspended_at IS NULL
+      RETURNING id, suspended_at, suspended_by, suspension_reason
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId, suspendedBy, reason]);
+
+      // Invalidate cache
+      await databaseService.deleteCache(`user:${userId}`);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error suspending user:', error);
+      throw error;
+    }
+  }
+
+  // Lift a suspension. Returns null if the account is not suspended.
+  async reactivate(userId) {
+    const query = `
+      UPDATE users
+      SET suspended_at = NULL, suspended_by = NULL, suspension_reason = NULL, updated_at = NOW()
+      WHERE id = $1 AND is_active = true AND suspended_at IS NOT NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [userId]);
+
+      // Invalidate cache
+      await databaseService.deleteCache(`user:${userId}`);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error reactivating user:', error);
+      throw error;
+    }
+  }
+
   // Get users by preferences (e.g., for notifications)
   async findByPreferences(preferenceQuery, limit = 100) {
     const query = `
@@ -514,6 +780,7 @@ class UserRepository {
 
     const publicUser = { ...user };
     delete publicUser.two_factor_secret;
+    delete publicUser.totp_last_used_step;
     delete publicUser.email_verification_token;
     delete publicUser.password_reset_token;
     delete publicUser.password_reset_expires;
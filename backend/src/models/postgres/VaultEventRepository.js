@@ -0,0 +1,133 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class VaultEventRepository {
+  // Get the last processed block for an indexer
+  async getCursor(name) {
+    const query = `
+      SELECT name, last_block, last_block_hash, updated_at
+      FROM indexer_cursors
+      WHERE name = $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [name]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting indexer cursor:', error);
+      throw error;
+    }
+  }
+
+  // Persist the last processed block for an indexer
+  async saveCursor(name, lastBlock, lastBlockHash = null) {
+    const query = `
+      INSERT INTO indexer_cursors (name, last_block, last_block_hash, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (name) DO UPDATE SET
+        last_block = EXCLUDED.last_block,
+        last_block_hash = EXCLUDED.last_block_hash,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [name, lastBlock, lastBlockHash]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error saving indexer cursor:', error);
+      throw error;
+    }
+  }
+
+  // Insert an event, or revive it with its new block if it was re-mined after a reorg
+  async upsert(event) {
+    const query = `
+      INSERT INTO vault_events (
+        event_name, tx_hash, log_index, block_number, block_hash,
+        owner_address, assets, shares
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (tx_hash, log_index) DO UPDATE SET
+        block_number = EXCLUDED.block_number,
+        block_hash = EXCLUDED.block_hash,
+        removed = false,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    const values = [
+      event.eventName,
+      event.txHash,
+      event.logIndex,
+      event.blockNumber,
+      event.blockHash,
+      event.owner.toLowerCase(),
+      event.assets.toString(),
+      event.shares.toString()
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error upserting vault event:', error);
+      throw error;
+    }
+  }
+
+  // Link an event to the transaction it was matched with
+  async linkTransaction(eventId, transactionId) {
+    const query = `
+      UPDATE vault_events
+      SET transaction_id = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, transaction_id
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [eventId, transactionId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error linking vault event to transaction:', error);
+      throw error;
+    }
+  }
+
+  // Get the distinct blocks holding live events from a block onwards (for reorg checks)
+  async getActiveBlocksSince(fromBlock) {
+    const query = `
+      SELECT DISTINCT block_number, block_hash
+      FROM vault_events
+      WHERE block_number >= $1 AND removed = false
+      ORDER BY block_number ASC
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [fromBlock]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting active vault event blocks:', error);
+      throw error;
+    }
+  }
+
+  // Mark every event after a block as removed and return them
+  async markRemovedAfter(blockNumber) {
+    const query = `
+      UPDATE vault_events
+      SET removed = true, updated_at = NOW()
+      WHERE block_number > $1 AND removed = false
+      RETURNING id, tx_hash, log_index, block_number, transaction_id
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [blockNumber]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error marking vault events as removed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new VaultEventRepository();
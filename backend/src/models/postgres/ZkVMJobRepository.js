@@ -0,0 +1,192 @@
+const databaseService = require('../../services/DatabaseService');
+const logger = require('../../utils/logger');
+
+class ZkVMJobRepository {
+  // Queue a new verification job (existing jobs with the same ID are left untouched)
+  async create(jobData) {
+    const query = `
+      INSERT INTO zkvm_verification_jobs (id, user_id, platform, wallet_address, oauth_token, max_attempts)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (id) DO NOTHING
+      RETURNING *
+    `;
+
+    const values = [
+      jobData.id,
+      jobData.user_id || null,
+      jobData.platform,
+      jobData.wallet_address,
+      jobData.oauth_token,
+      jobData.max_attempts || 3
+    ];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating zkVM job:', error);
+      throw error;
+    }
+  }
+
+  // Find job by ID
+  async findById(jobId) {
+    const query = `
+      SELECT id, user_id, platform, wallet_address, status, attempts, max_attempts,
+             next_run_at, result, error, submitted_tx_hash, submitted_at,
+             started_at, completed_at, created_at, updated_at
+      FROM zkvm_verification_jobs
+      WHERE id = $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [jobId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding zkVM job:', error);
+      throw error;
+    }
+  }
+
+  // Atomically claim the next runnable job for a worker
+  async claimNext(workerId) {
+    const query = `
+      UPDATE zkvm_verification_jobs
+      SET status = 'running',
+          attempts = attempts + 1,
+          locked_by = $1,
+          started_at = NOW(),
+          error = NULL
+      WHERE id = (
+        SELECT id FROM zkvm_verification_jobs
+        WHERE status = 'queued' AND next_run_at <= NOW()
+        ORDER BY next_run_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [workerId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error claiming zkVM job:', error);
+      throw error;
+    }
+  }
+
+  // Move a job to a final state and drop its OAuth token
+  async complete(jobId, status, { result = null, error = null } = {}) {
+    const query = `
+      UPDATE zkvm_verification_jobs
+      SET status = $2,
+          result = $3,
+          error = $4,
+          oauth_token = NULL,
+          locked_by = NULL,
+          completed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const queryResult = await databaseService.executeQuery(query, [
+        jobId,
+        status,
+        result ? JSON.stringify(result) : null,
+        error
+      ]);
+      return queryResult.rows[0] || null;
+    } catch (queryError) {
+      logger.error('Error completing zkVM job:', queryError);
+      throw queryError;
+    }
+  }
+
+  // Put a job back in the queue after a transient failure
+  async scheduleRetry(jobId, error, nextRunAt) {
+    const query = `
+      UPDATE zkvm_verification_jobs
+      SET status = 'queued',
+          error = $2,
+          next_run_at = $3,
+          locked_by = NULL
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [jobId, error, nextRunAt]);
+      return result.rows[0] || null;
+    } catch (queryError) {
+      logger.error('Error scheduling zkVM job retry:', queryError);
+      throw queryError;
+    }
+  }
+
+  // Record the transaction that submitted a succeeded job's proof on-chain
+  async markSubmitted(jobId, txHash) {
+    const query = `
+      UPDATE zkvm_verification_jobs
+      SET submitted_tx_hash = $2, submitted_at = NOW()
+      WHERE id = $1 AND status = 'succeeded'
+      RETURNING id, user_id, submitted_tx_hash, submitted_at
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [jobId, txHash]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error marking zkVM job as submitted:', error);
+      throw error;
+    }
+  }
+
+  // Requeue running jobs whose worker is gone: anything running since before
+  // staleBefore, plus (on startup) jobs a previous process on this host left behind.
+  // Jobs without attempts left are failed instead.
+  async recoverOrphaned(currentWorkerId, staleBefore, hostPrefix = null) {
+    const query = `
+      UPDATE zkvm_verification_jobs
+      SET status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+          error = 'Worker stopped while the job was running',
+          oauth_token = CASE WHEN attempts < max_attempts THEN oauth_token ELSE NULL END,
+          completed_at = CASE WHEN attempts < max_attempts THEN NULL ELSE NOW() END,
+          next_run_at = NOW(),
+          locked_by = NULL
+      WHERE status = 'running'
+        AND locked_by IS DISTINCT FROM $1
+        AND (started_at < $2 OR locked_by LIKE $3)
+      RETURNING id, status
+    `;
+
+    const values = [currentWorkerId, staleBefore, hostPrefix ? `${hostPrefix}:%` : null];
+
+    try {
+      const result = await databaseService.executeQuery(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error recovering orphaned zkVM jobs:', error);
+      throw error;
+    }
+  }
+
+  // Delete finished jobs older than the cutoff
+  async deleteFinishedBefore(cutoff) {
+    const query = `
+      DELETE FROM zkvm_verification_jobs
+      WHERE status IN ('succeeded', 'failed', 'timed_out') AND completed_at < $1
+    `;
+
+    try {
+      const result = await databaseService.executeQuery(query, [cutoff]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error cleaning up zkVM jobs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ZkVMJobRepository();
@@ -0,0 +1,47 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const accountRecoveryController = require('../controllers/accountRecoveryController');
+const { validateRequest } = require('../middleware/validation');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Account recovery review queue
+router.get('/',
+  authenticate,
+  requirePermission('recovery:review'),
+  [
+    query('status').optional().isIn(['pending_email', 'cooling_off', 'approved', 'completed', 'rejected', 'cancelled', 'expired'])
+      .withMessage('Invalid status'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+  ],
+  validateRequest,
+  accountRecoveryController.getReviewQueue
+);
+
+// Approve a request whose cooling-off period has elapsed
+router.post('/:requestId/approve',
+  authenticate,
+  requirePermission('recovery:review'),
+  [
+    param('requestId').isUUID().withMessage('Invalid request ID'),
+    body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+  ],
+  validateRequest,
+  accountRecoveryController.approveRequest
+);
+
+// Reject an open request
+router.post('/:requestId/reject',
+  authenticate,
+  requirePermission('recovery:review'),
+  [
+    param('requestId').isUUID().withMessage('Invalid request ID'),
+    body('notes').isString().notEmpty().isLength({ max: 1000 }).withMessage('Review notes are required')
+  ],
+  validateRequest,
+  accountRecoveryController.rejectRequest
+);
+
+module.exports = router;
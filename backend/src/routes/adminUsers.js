@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const adminUserController = require('../controllers/adminUserController');
+const adminUserService = require('../services/adminUserService');
+const adminAuditService = require('../services/adminAuditService');
+const { validateRequest } = require('../middleware/validation');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const validateUserId = param('userId').isUUID().withMessage('Invalid user ID');
+
+const validatePage = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// Search accounts by email, name, wallet address prefix or phone number
+router.get('/users',
+  authenticate,
+  requirePermission('users:read'),
+  [
+    query('q').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+    query('status').optional().isIn(['active', 'suspended', 'deleted']).withMessage('Invalid status'),
+    query('role').optional().matches(/^[a-z][a-z0-9_]{0,49}$/).withMessage('Invalid role name'),
+    ...validatePage
+  ],
+  validateRequest,
+  adminUserController.searchUsers
+);
+
+// Account details, balance and transaction totals
+router.get('/users/:userId',
+  authenticate,
+  requirePermission('users:read'),
+  [validateUserId],
+  validateRequest,
+  adminUserController.getUser
+);
+
+router.get('/users/:userId/transactions',
+  authenticate,
+  requirePermission('users:read'),
+  [
+    validateUserId,
+    query('type').optional().isIn(['deposit', 'withdraw', 'yield_harvest', 'referral_bonus']).withMessage('Invalid transaction type'),
+    query('status').optional().isIn(['pending', 'confirmed', 'failed', 'cancelled']).withMessage('Invalid transaction status'),
+    ...validatePage
+  ],
+  validateRequest,
+  adminUserController.getUserTransactions
+);
+
+router.get('/users/:userId/security-events',
+  authenticate,
+  requirePermission('users:read', 'security:read'),
+  [
+    validateUserId,
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('cursor').optional().isString().isLength({ max: 200 }).withMessage('Invalid cursor')
+  ],
+  validateRequest,
+  adminUserController.getUserSecurityEvents
+);
+
+// Suspend an account and revoke its sessions
+router.post('/users/:userId/suspend',
+  authenticate,
+  requirePermission('users:write'),
+  [
+    validateUserId,
+    body('reason').isString().trim().notEmpty().isLength({ max: 1000 }).withMessage('A suspension reason is required')
+  ],
+  validateRequest,
+  adminUserController.suspendUser
+);
+
+router.post('/users/:userId/reactivate',
+  authenticate,
+  requirePermission('users:write'),
+  [
+    validateUserId,
+    body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+  ],
+  validateRequest,
+  adminUserController.reactivateUser
+);
+
+// Sign a user out of every session
+router.post('/users/:userId/logout',
+  authenticate,
+  requirePermission('users:write'),
+  [validateUserId],
+  validateRequest,
+  adminUserController.forceLogout
+);
+
+router.put('/users/:userId/kyc',
+  authenticate,
+  requirePermission('kyc:review'),
+  [
+    validateUserId,
+    body('kycStatus').isIn(adminUserService.KYC_STATUSES).withMessage('Invalid KYC status'),
+    body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+  ],
+  validateRequest,
+  adminUserController.updateKycStatus
+);
+
+// Admin actions, newest first
+router.get('/audit-log',
+  authenticate,
+  requirePermission('audit:read'),
+  [
+    query('userId').optional().isUUID().withMessage('Invalid user ID'),
+    query('actorId').optional().isUUID().withMessage('Invalid actor ID'),
+    query('action').optional().isIn(adminAuditService.ACTIONS).withMessage('Invalid action'),
+    ...validatePage
+  ],
+  validateRequest,
+  adminUserController.getAuditLog
+);
+
+module.exports = router;
@@ -1,10 +1,36 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
+const sessionController = require('../controllers/sessionController');
+const twoFactorController = require('../controllers/twoFactorController');
+const accountRecoveryController = require('../controllers/accountRecoveryController');
 const { validateRequest } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { normalizePhone } = require('../utils/phone');
+const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
 
+// Rate limiting for one-time code checks (authenticator and recovery codes)
+const twoFactorRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 code attempts per windowMs
+  message: {
+    error: 'Too many verification attempts from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const validateCode = body('code')
+  .isString()
+  .isLength({ min: 6, max: 20 })
+  .withMessage('Verification code is required');
+
+const validatePhone = body('phone')
+  .custom(value => normalizePhone(value) !== null)
+  .withMessage('Valid Vietnamese mobile number is required');
+
 // Social login/register
 router.post('/social-login',
   [
@@ -12,7 +38,8 @@ router.post('/social-login',
     body('socialProvider').isIn(['google', 'apple', 'facebook']).withMessage('Invalid social provider'),
     body('email').isEmail().withMessage('Valid email is required'),
     body('name').notEmpty().withMessage('Name is required'),
-    body('walletAddress').isEthereumAddress().withMessage('Valid wallet address is required')
+    body('walletAddress').isEthereumAddress().withMessage('Valid wallet address is required'),
+    body('deviceLabel').optional().isString().isLength({ max: 100 }).withMessage('Device label must be at most 100 characters')
   ],
   validateRequest,
   authController.socialLogin
@@ -20,10 +47,12 @@ router.post('/social-login',
 
 // Phone login/register
 router.post('/phone-login',
+  twoFactorRateLimit,
   [
-    body('phone').isMobilePhone().withMessage('Valid phone number is required'),
-    body('verificationCode').isLength({ min: 6, max: 6 }).withMessage('Verification code must be 6 digits'),
-    body('walletAddress').isEthereumAddress().withMessage('Valid wallet address is required')
+    validatePhone,
+    body('verificationCode').isString().matches(/^\d{6}$/).withMessage('Verification code must be 6 digits'),
+    body('walletAddress').isEthereumAddress().withMessage('Valid wallet address is required'),
+    body('deviceLabel').optional().isString().isLength({ max: 100 }).withMessage('Device label must be at most 100 characters')
   ],
   validateRequest,
   authController.phoneLogin
@@ -32,22 +61,42 @@ router.post('/phone-login',
 // Send phone verification
 router.post('/send-phone-verification',
   [
-    body('phone').isMobilePhone().withMessage('Valid phone number is required')
+    validatePhone
   ],
   validateRequest,
   authController.sendPhoneVerification
 );
 
-// Complete 2FA authentication
+// Sign-In With Ethereum: nonce and message parameters
+router.post('/siwe/nonce', twoFactorRateLimit, authController.siweNonce);
+
+// Sign-In With Ethereum: verify the signed message and login/register
+router.post('/siwe/verify',
+  twoFactorRateLimit,
+  [
+    body('message').isString().isLength({ min: 1, max: 4000 }).withMessage('Signed message is required'),
+    body('signature').isString().matches(/^0x([0-9a-fA-F]{2})+$/).withMessage('Valid signature is required'),
+    body('deviceLabel').optional().isString().isLength({ max: 100 }).withMessage('Device label must be at most 100 characters')
+  ],
+  validateRequest,
+  authController.siweLogin
+);
+
+// Complete 2FA authentication (passkey, authenticator code or recovery code)
 router.post('/complete-2fa',
+  twoFactorRateLimit,
   [
-    body('temporaryToken').notEmpty().withMessage('Temporary token is required')
+    body('temporaryToken').notEmpty().withMessage('Temporary token is required'),
+    body('method').optional().isIn(['passkey', 'totp', 'recovery_code']).withMessage('Invalid 2FA method'),
+    body('code').if(body('method').isIn(['totp', 'recovery_code'])).isString().notEmpty().withMessage('Verification code is required'),
+    body('passkeyProof').optional().isString().withMessage('Passkey proof must be a string'),
+    body('deviceLabel').optional().isString().isLength({ max: 100 }).withMessage('Device label must be at most 100 characters')
   ],
   validateRequest,
   authController.complete2FA
 );
 
-// Refresh token
+// Rotate refresh token
 router.post('/refresh-token',
   [
     body('refreshToken').notEmpty().withMessage('Refresh token is required')
@@ -56,8 +105,108 @@ router.post('/refresh-token',
   authController.refreshToken
 );
 
-// Logout
-router.post('/logout', authController.logout);
+// Logout (revokes the current session)
+router.post('/logout', authenticate, authController.logout);
+
+// Active sessions and devices
+router.get('/sessions', authenticate, sessionController.getSessions);
+
+// Sign out everywhere (keeps the current session unless includeCurrent is true)
+router.delete('/sessions',
+  authenticate,
+  [
+    body('includeCurrent').optional().isBoolean().withMessage('includeCurrent must be a boolean')
+  ],
+  validateRequest,
+  sessionController.revokeAllSessions
+);
+
+// Revoke a single session
+router.delete('/sessions/:sessionId',
+  authenticate,
+  [
+    param('sessionId').isUUID().withMessage('Valid session ID is required')
+  ],
+  validateRequest,
+  sessionController.revokeSession
+);
+
+// Two-factor status
+router.get('/2fa/status', authenticate, twoFactorController.getStatus);
+
+// Start authenticator app setup (returns secret and otpauth:// URI for the QR code)
+router.post('/2fa/totp/setup', authenticate, twoFactorController.setupTotp);
+
+// Verify the first authenticator code and enable TOTP
+router.post('/2fa/totp/verify',
+  authenticate,
+  twoFactorRateLimit,
+  [validateCode],
+  validateRequest,
+  twoFactorController.verifyTotpSetup
+);
+
+// Remove the authenticator app
+router.delete('/2fa/totp',
+  authenticate,
+  twoFactorRateLimit,
+  [validateCode],
+  validateRequest,
+  twoFactorController.disableTotp
+);
+
+// Replace recovery codes
+router.post('/2fa/recovery-codes',
+  authenticate,
+  twoFactorRateLimit,
+  [
+    body('code').optional().isString().withMessage('Verification code must be a string')
+  ],
+  validateRequest,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+// Account recovery for users who lost their second factors.
+// request, status, cancel and complete accept the temporary token from social login.
+router.post('/recovery/request',
+  authenticate,
+  twoFactorRateLimit,
+  [
+    body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+  ],
+  validateRequest,
+  accountRecoveryController.requestRecovery
+);
+
+// Confirm a recovery request from the emailed link
+router.post('/recovery/confirm',
+  twoFactorRateLimit,
+  [
+    body('token').isString().notEmpty().withMessage('Confirmation token is required')
+  ],
+  validateRequest,
+  accountRecoveryController.confirmRecovery
+);
+
+router.get('/recovery/status', authenticate, accountRecoveryController.getRecoveryStatus);
+
+router.post('/recovery/cancel', authenticate, accountRecoveryController.cancelRecovery);
+
+// Reset second factors with an approved request and sign in
+router.post('/recovery/complete',
+  authenticate,
+  [
+    body('deviceLabel').optional().isString().isLength({ max: 100 }).withMessage('Device label must be at most 100 characters')
+  ],
+  validateRequest,
+  accountRecoveryController.completeRecovery
+);
+
+// Email a verification link to the signed-in user
+router.post('/verify-email',
+  authenticate,
+  authController.sendVerificationEmail
+);
 
 // Verify email
 router.get('/verify-email/:token', authController.verifyEmail);
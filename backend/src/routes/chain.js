@@ -0,0 +1,20 @@
+const express = require('express');
+const { param } = require('express-validator');
+const chainController = require('../controllers/chainController');
+const { validateRequest } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Get all chains with their contract addresses
+router.get('/', chainController.getChains);
+
+// Get one chain's contract addresses
+router.get('/:chainId',
+  [
+    param('chainId').isInt({ min: 1 }).withMessage('Invalid chain ID')
+  ],
+  validateRequest,
+  chainController.getChain
+);
+
+module.exports = router;
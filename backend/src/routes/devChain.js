@@ -0,0 +1,12 @@
+const express = require('express');
+const devChainController = require('../controllers/devChainController');
+
+const router = express.Router();
+
+// Deployment info of the fake chain
+router.get('/', devChainController.getInfo);
+
+// JSON-RPC endpoint (use as REACT_APP_RPC_URL or a wallet's custom network)
+router.post('/', devChainController.handleRpc);
+
+module.exports = router;
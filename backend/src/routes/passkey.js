@@ -138,7 +138,7 @@ router.delete('/:passkeyId',
   passkeyRateLimit,
   validatePasskeyId,
   validateRequest,
-  passkeyController.deletePasskey
+  passkeyController.deletePasskey.bind(passkeyController)
 );
 
 /**
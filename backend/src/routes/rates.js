@@ -0,0 +1,33 @@
+const express = require('express');
+const { query } = require('express-validator');
+const rateController = require('../controllers/rateController');
+const { validateRequest } = require('../middleware/validation');
+
+const router = express.Router();
+
+const pairValidators = [
+  query('base').optional().isIn(['USD']).withMessage('Unsupported base currency'),
+  query('quote').optional().isIn(['VND']).withMessage('Unsupported quote currency')
+];
+
+// Get the current exchange rate, or the rate in effect at a given time
+router.get('/',
+  [
+    ...pairValidators,
+    query('at').optional().isISO8601().withMessage('at must be an ISO 8601 date')
+  ],
+  validateRequest,
+  rateController.getRate
+);
+
+// Get exchange rate history
+router.get('/history',
+  [
+    ...pairValidators,
+    query('period').optional().isIn(['1d', '7d', '30d', '90d', '1y']).withMessage('Invalid period')
+  ],
+  validateRequest,
+  rateController.getRateHistory
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const roleController = require('../controllers/roleController');
+const { validateRequest } = require('../middleware/validation');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Roles and the permissions they bundle
+router.get('/roles',
+  authenticate,
+  requirePermission('users:read'),
+  roleController.getRoles
+);
+
+// A user's roles and effective permissions
+router.get('/users/:userId/roles',
+  authenticate,
+  requirePermission('users:read'),
+  [
+    param('userId').isUUID().withMessage('Invalid user ID')
+  ],
+  validateRequest,
+  roleController.getUserRoles
+);
+
+// Replace a user's roles
+router.put('/users/:userId/roles',
+  authenticate,
+  requirePermission('roles:assign'),
+  [
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    body('roles').isArray({ max: 20 }).withMessage('Roles must be an array'),
+    body('roles.*').isString().matches(/^[a-z][a-z0-9_]{0,49}$/).withMessage('Invalid role name')
+  ],
+  validateRequest,
+  roleController.setUserRoles
+);
+
+module.exports = router;
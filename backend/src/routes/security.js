@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const securityController = require('../controllers/securityController');
-const { authenticate } = require('../middleware/auth');
+const securityEventService = require('../services/securityEventService');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { body, param, query } = require('express-validator');
 const { validationResult } = require('express-validator');
 
@@ -51,8 +52,12 @@ const validateSecurityEvent = [
     .isString()
     .isLength({ min: 1, max: 50 })
     .withMessage('Event type must be a string between 1-50 characters'),
+  body('eventStatus')
+    .optional()
+    .isIn(['success', 'failure', 'attempt'])
+    .withMessage('Event status must be one of: success, failure, attempt'),
   body('severity')
-    .isIn(['info', 'warning', 'error', 'critical'])
+    .isIn(securityEventService.SEVERITIES)
     .withMessage('Severity must be one of: info, warning, error, critical'),
   body('message')
     .isString()
@@ -65,19 +70,65 @@ const validateSecurityEvent = [
   handleValidationErrors
 ];
 
-// Security events query validation
-const validateSecurityEventsQuery = [
-  param('walletAddress')
-    .isEthereumAddress()
-    .withMessage('Invalid Ethereum wallet address'),
+// Security event filters (type and severity take comma-separated lists)
+const eventFilterRules = [
+  query('type')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Type must be a comma-separated list of event types'),
+  query('severity')
+    .optional()
+    .custom(value => String(value).split(',').every(severity => securityEventService.SEVERITIES.includes(severity.trim())))
+    .withMessage('Severity must be a comma-separated list of: info, warning, error, critical'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+];
+
+const eventPageRules = [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be an integer between 1-100'),
-  query('offset')
+  query('cursor')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Offset must be a non-negative integer'),
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Invalid pagination cursor')
+];
+
+// Security events query validation
+const validateSecurityEventsQuery = [
+  param('walletAddress')
+    .isEthereumAddress()
+    .withMessage('Invalid Ethereum wallet address'),
+  ...eventFilterRules,
+  ...eventPageRules,
+  handleValidationErrors
+];
+
+const validateSecurityEventSummaryQuery = [
+  param('walletAddress')
+    .isEthereumAddress()
+    .withMessage('Invalid Ethereum wallet address'),
+  ...eventFilterRules,
+  handleValidationErrors
+];
+
+const validateAllSecurityEventsQuery = [
+  ...eventFilterRules,
+  ...eventPageRules,
+  handleValidationErrors
+];
+
+const validateAllSecurityEventSummaryQuery = [
+  ...eventFilterRules,
   handleValidationErrors
 ];
 
@@ -116,7 +167,7 @@ router.get('/recommendations/:walletAddress',
 
 /**
  * @route POST /api/security/events
- * @desc Record a security event
+ * @desc Record a client-reported `client_*` security event for the caller's wallet (security:write: any wallet)
  * @access Private
  */
 router.post('/events',
@@ -125,10 +176,34 @@ router.post('/events',
   securityController.recordSecurityEvent
 );
 
+/**
+ * @route GET /api/security/events
+ * @desc Get security events across all users, newest first (filters: type, severity, from, to; paginate with cursor)
+ * @access Admin (security:read)
+ */
+router.get('/events',
+  authenticate,
+  requirePermission('security:read'),
+  validateAllSecurityEventsQuery,
+  securityController.getAllSecurityEvents
+);
+
+/**
+ * @route GET /api/security/events/summary
+ * @desc Get daily security event counts per severity across all users
+ * @access Admin (security:read)
+ */
+router.get('/events/summary',
+  authenticate,
+  requirePermission('security:read'),
+  validateAllSecurityEventSummaryQuery,
+  securityController.getAllSecurityEventSummary
+);
+
 /**
  * @route GET /api/security/events/:walletAddress
- * @desc Get security events for a wallet
- * @access Private
+ * @desc Get security events for a wallet, newest first (filters: type, severity, from, to; paginate with cursor)
+ * @access Private (wallet owner or security:read)
  */
 router.get('/events/:walletAddress',
   authenticate,
@@ -136,6 +211,17 @@ router.get('/events/:walletAddress',
   securityController.getSecurityEvents
 );
 
+/**
+ * @route GET /api/security/events/:walletAddress/summary
+ * @desc Get daily security event counts per severity for a wallet
+ * @access Private (wallet owner or security:read)
+ */
+router.get('/events/:walletAddress/summary',
+  authenticate,
+  validateSecurityEventSummaryQuery,
+  securityController.getSecurityEventSummary
+);
+
 /**
  * @route GET /api/security/health
  * @desc Health check for security service
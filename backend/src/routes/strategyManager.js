@@ -1,32 +1,29 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const strategyManagerController = require('../controllers/strategyManagerController');
 const { validateRequest } = require('../middleware/validation');
-const { authenticate, requireRole } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Middleware to ensure only admins/strategy managers can access these endpoints
-const requireStrategyManagerRole = requireRole(['admin', 'strategy_manager']);
-
 // Get overall strategies overview
 router.get('/overview', 
   authenticate,
-  requireStrategyManagerRole,
+  requirePermission('strategies:read'),
   strategyManagerController.getStrategiesOverview
 );
 
 // Get current funds distribution across strategies
 router.get('/distribution',
   authenticate,
-  requireStrategyManagerRole,
+  requirePermission('strategies:read'),
   strategyManagerController.getFundsDistribution
 );
 
 // Get strategy performance metrics with historical data
 router.get('/performance',
   authenticate,
-  requireStrategyManagerRole,
+  requirePermission('strategies:read'),
   [
     query('period').optional().isIn(['7d', '30d', '90d', '1y']).withMessage('Period must be 7d, 30d, 90d, or 1y')
   ],
@@ -37,7 +34,7 @@ router.get('/performance',
 // Get compound interest calculations and projections
 router.get('/compound-interest',
   authenticate,
-  requireStrategyManagerRole,
+  requirePermission('strategies:read'),
   [
     query('period').optional().isIn(['3m', '6m', '1y', '2y']).withMessage('Period must be 3m, 6m, 1y, or 2y'),
     query('principal').optional().isFloat({ min: 1 }).withMessage('Principal must be a positive number')
@@ -46,4 +43,85 @@ router.get('/compound-interest',
   strategyManagerController.getCompoundInterest
 );
 
+// Get risk metrics per strategy and for the portfolio
+router.get('/risk-metrics',
+  authenticate,
+  requirePermission('strategies:read'),
+  strategyManagerController.getRiskMetrics
+);
+
+// Get strategies ranked by risk-adjusted yield
+router.get('/yield-opportunities',
+  authenticate,
+  requirePermission('strategies:read'),
+  strategyManagerController.getYieldOpportunities
+);
+
+// Get recent allocation proposals
+router.get('/proposals',
+  authenticate,
+  requirePermission('strategies:read'),
+  [
+    query('status').optional().isIn(['queued', 'submitting', 'executed', 'rejected']).withMessage('Invalid proposal status'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+  ],
+  validateRequest,
+  strategyManagerController.getStrategyProposals
+);
+
+// Propose a new allocation (queued until it is submitted)
+router.post('/update-allocation',
+  authenticate,
+  requirePermission('strategies:write'),
+  [
+    body('allocations').isArray({ min: 1 }).withMessage('Allocations must be a non-empty array'),
+    body('allocations.*.strategyAddress').isString().notEmpty().withMessage('Strategy address is required'),
+    body('allocations.*.allocation').isFloat({ min: 0, max: 100 }).withMessage('Allocation must be between 0 and 100')
+  ],
+  validateRequest,
+  strategyManagerController.updateStrategyAllocation
+);
+
+// Sign and broadcast a queued proposal with the admin signer
+router.post('/proposals/:proposalId/submit',
+  authenticate,
+  requirePermission('strategies:write'),
+  [
+    param('proposalId').isUUID().withMessage('Invalid proposal ID')
+  ],
+  validateRequest,
+  strategyManagerController.submitStrategyProposal
+);
+
+// Propose a rebalance to the current target allocation
+router.post('/rebalance',
+  authenticate,
+  requirePermission('strategies:write'),
+  strategyManagerController.rebalanceStrategies
+);
+
+// Get a single strategy (keep after the fixed paths above)
+router.get('/:strategyAddress',
+  authenticate,
+  requirePermission('strategies:read'),
+  [
+    param('strategyAddress').isString().notEmpty().withMessage('Strategy address is required')
+  ],
+  validateRequest,
+  strategyManagerController.getStrategyDetails
+);
+
+// Get APY history for a single strategy
+router.get('/:strategyAddress/apy-history',
+  authenticate,
+  requirePermission('strategies:read'),
+  [
+    param('strategyAddress').isString().notEmpty().withMessage('Strategy address is required'),
+    query('period').optional().isIn(['7d', '30d', '90d', '1y']).withMessage('Period must be 7d, 30d, 90d, or 1y')
+  ],
+  validateRequest,
+  strategyManagerController.getStrategyAPYHistory
+);
+
 module.exports = router;
@@ -2,23 +2,32 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const vaultController = require('../controllers/vaultController');
 const { validateRequest } = require('../middleware/validation');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveChain } = require('../middleware/chain');
+const money = require('../utils/money');
 
 const router = express.Router();
 
+const isUsdcAmount = (value) => money.isValid(value, 'USDC');
+const isShareAmount = (value) => money.isValid(value, 'SHARES');
+
+// Chain reads accept ?chainId= (see resolveChain) and default to the default chain
+
 // Get vault statistics
-router.get('/stats', vaultController.getVaultStats);
+router.get('/stats', resolveChain, vaultController.getVaultStats);
 
 // Get user portfolio
-router.get('/portfolio', authenticate, vaultController.getUserPortfolio);
+router.get('/portfolio', authenticate, resolveChain, vaultController.getUserPortfolio);
 
 // Get deposit estimation
 router.post('/estimate-deposit',
   authenticate,
   [
     body('amount').isFloat({ min: 4 }).withMessage('Minimum deposit is $4 USDC')
+      .bail().custom(isUsdcAmount).withMessage('USDC amounts have at most 6 decimals')
   ],
   validateRequest,
+  resolveChain,
   vaultController.estimateDeposit
 );
 
@@ -27,8 +36,10 @@ router.post('/estimate-withdraw',
   authenticate,
   [
     body('shares').isFloat({ min: 0 }).withMessage('Shares must be positive')
+      .bail().custom(isShareAmount).withMessage('Shares have at most 18 decimals')
   ],
   validateRequest,
+  resolveChain,
   vaultController.estimateWithdraw
 );
 
@@ -37,6 +48,7 @@ router.post('/prepare-deposit',
   authenticate,
   [
     body('amount').isFloat({ min: 4 }).withMessage('Minimum deposit is $4 USDC')
+      .bail().custom(isUsdcAmount).withMessage('USDC amounts have at most 6 decimals')
   ],
   validateRequest,
   vaultController.prepareDeposit
@@ -47,13 +59,14 @@ router.post('/prepare-withdraw',
   authenticate,
   [
     body('shares').isFloat({ min: 0 }).withMessage('Shares must be positive')
+      .bail().custom(isShareAmount).withMessage('Shares have at most 18 decimals')
   ],
   validateRequest,
   vaultController.prepareWithdraw
 );
 
 // Get current APY
-router.get('/apy', vaultController.getCurrentAPY);
+router.get('/apy', resolveChain, vaultController.getCurrentAPY);
 
 // Get yield history
 router.get('/yield-history',
@@ -68,16 +81,16 @@ router.get('/yield-history',
 // ============ BATCHING SYSTEM ROUTES ============
 
 // Get batching configuration
-router.get('/batching/config', vaultController.getBatchingConfig);
+router.get('/batching/config', resolveChain, vaultController.getBatchingConfig);
 
 // Get pending allocations by risk level
-router.get('/batching/pending', vaultController.getPendingAllocations);
+router.get('/batching/pending', resolveChain, vaultController.getPendingAllocations);
 
 // Check if batch allocation should be triggered
-router.get('/batching/check', vaultController.checkBatchAllocation);
+router.get('/batching/check', resolveChain, vaultController.checkBatchAllocation);
 
-// Trigger batch allocation manually
-router.post('/batching/trigger', authenticate, vaultController.triggerBatchAllocation);
+// Trigger batch allocation manually (strategy managers only)
+router.post('/batching/trigger', authenticate, requirePermission('batching:trigger'), vaultController.triggerBatchAllocation);
 
 // Get batch allocation history
 router.get('/batching/history',
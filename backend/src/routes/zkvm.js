@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param } = require('express-validator');
 const zkVMController = require('../controllers/zkVMController');
 const { validateRequest } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -10,6 +11,7 @@ const router = express.Router();
  * POST /api/zkvm/verify
  */
 router.post('/verify',
+  authenticate,
   [
     body('platform')
       .notEmpty()
@@ -47,6 +49,24 @@ router.get('/status/:verificationId',
   zkVMController.getStatus
 );
 
+/**
+ * Record on-chain submission of a completed proof
+ * POST /api/zkvm/status/:verificationId/submitted
+ */
+router.post('/status/:verificationId/submitted',
+  authenticate,
+  [
+    param('verificationId')
+      .notEmpty()
+      .withMessage('Verification ID is required'),
+    body('tx_hash')
+      .matches(/^0x[a-fA-F0-9]{64}$/)
+      .withMessage('Invalid transaction hash')
+  ],
+  validateRequest,
+  zkVMController.markSubmitted
+);
+
 /**
  * Health check
  * GET /api/zkvm/health
@@ -1,5 +1,6 @@
 const postgresDB = require('../config/postgres');
 const { memoryCache } = require('../utils/memoryCache');
+const money = require('../utils/money');
 const logger = require('../utils/logger');
 
 /**
@@ -236,18 +237,19 @@ class DatabaseService {
 
       const current = currentBalance.rows[0];
       
-      // Calculate new balances
-      const newTotalBalance = parseFloat(current.total_balance) + (balanceChanges.total_balance || 0);
-      const newAvailableBalance = parseFloat(current.available_balance) + (balanceChanges.available_balance || 0);
-      const newLockedBalance = parseFloat(current.locked_balance) + (balanceChanges.locked_balance || 0);
-      const newTotalShares = parseFloat(current.total_shares) + (balanceChanges.total_shares || 0);
+      // Calculate new balances in base units (changes are decimal strings, numbers or bigint base units)
+      const apply = (column, unit) => money.sum([current[column], balanceChanges[column]], unit);
+      const newTotalBalance = apply('total_balance', 'USDC');
+      const newAvailableBalance = apply('available_balance', 'USDC');
+      const newLockedBalance = apply('locked_balance', 'USDC');
+      const newTotalShares = apply('total_shares', 'SHARES');
 
       // Validate balance constraints
-      if (newTotalBalance < 0 || newAvailableBalance < 0 || newLockedBalance < 0 || newTotalShares < 0) {
+      if (newTotalBalance < 0n || newAvailableBalance < 0n || newLockedBalance < 0n || newTotalShares < 0n) {
         throw new Error('Invalid balance: cannot be negative');
       }
 
-      if (Math.abs(newTotalBalance - (newAvailableBalance + newLockedBalance)) > 0.000001) {
+      if (newTotalBalance !== newAvailableBalance + newLockedBalance) {
         throw new Error('Balance consistency check failed');
       }
 
@@ -261,7 +263,11 @@ class DatabaseService {
       `;
 
       const result = await client.query(updateQuery, [
-        newTotalBalance, newAvailableBalance, newLockedBalance, newTotalShares, userId
+        money.toFixed(newTotalBalance, 'USDC'),
+        money.toFixed(newAvailableBalance, 'USDC'),
+        money.toFixed(newLockedBalance, 'USDC'),
+        money.toFixed(newTotalShares, 'SHARES'),
+        userId
       ]);
 
       // Invalidate cache
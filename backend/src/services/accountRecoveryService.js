@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const AccountRecoveryRepository = require('../models/postgres/AccountRecoveryRepository');
+const twoFactorService = require('./twoFactorService');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const recoveryError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Account Recovery Service - Regains access to accounts that lost every second factor
+ * A request must be confirmed from the account email, then waits out a
+ * cooling-off period during which the owner's existing sessions are warned and
+ * can cancel it. An admin approves it once the period has elapsed, after which
+ * the requester can reset the account's second factors and sign in.
+ */
+class AccountRecoveryService {
+  constructor() {
+    this.coolingOffHours = parseInt(process.env.ACCOUNT_RECOVERY_COOLING_OFF_HOURS || '72');
+    this.emailTokenTtlHours = parseInt(process.env.ACCOUNT_RECOVERY_EMAIL_TTL_HOURS || '24');
+    this.frontendUrl = process.env.FRONTEND_URL || 'https://abunfi.com';
+  }
+
+  /**
+   * Open a recovery request and email the confirmation link
+   * @param {Object} user - Account to recover
+   * @param {{ reason, ipAddress, userAgent }} context
+   * @returns {Promise<Object>} The created request
+   */
+  async requestRecovery(user, { reason, ipAddress, userAgent } = {}) {
+    if (!user.email) {
+      throw recoveryError('EMAIL_REQUIRED', 'Account recovery requires an email address on the account');
+    }
+
+    const open = await AccountRecoveryRepository.findOpenByUser(user.id);
+    if (open) {
+      throw recoveryError('RECOVERY_IN_PROGRESS', 'A recovery request is already in progress');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const request = await AccountRecoveryRepository.create({
+      user_id: user.id,
+      reason,
+      email_token_hash: hashToken(token),
+      email_token_expires_at: new Date(Date.now() + this.emailTokenTtlHours * HOUR),
+      ip_address: ipAddress,
+      user_agent: userAgent
+    });
+
+    await this.sendConfirmationEmail(user, token);
+
+    return request;
+  }
+
+  /**
+   * Queue the confirmation email (delivered by the mail outbox)
+   * @private
+   */
+  async sendConfirmationEmail(user, token) {
+    await mailService.sendToUser(user, 'account_recovery', {
+      link: `${this.frontendUrl}/recovery/confirm?token=${encodeURIComponent(token)}`,
+      expiresInHours: this.emailTokenTtlHours
+    });
+    logger.info(`Account recovery requested for user ${user.id}, confirmation email queued`);
+  }
+
+  /**
+   * Confirm a request from the emailed link and start the cooling-off period
+   * @returns {Promise<Object>} The updated request
+   */
+  async confirmEmail(token) {
+    const request = await AccountRecoveryRepository.findByEmailToken(hashToken(token));
+    if (!request) {
+      throw recoveryError('INVALID_TOKEN', 'Invalid or expired confirmation link');
+    }
+
+    if (new Date(request.email_token_expires_at) <= new Date()) {
+      await AccountRecoveryRepository.transition(request.id, ['pending_email'], 'expired');
+      throw recoveryError('INVALID_TOKEN', 'Invalid or expired confirmation link');
+    }
+
+    const confirmed = await AccountRecoveryRepository.confirmEmail(
+      request.id,
+      new Date(Date.now() + this.coolingOffHours * HOUR)
+    );
+
+    if (!confirmed) {
+      throw recoveryError('INVALID_TOKEN', 'Invalid or expired confirmation link');
+    }
+
+    return confirmed;
+  }
+
+  /**
+   * The user's open request, or null
+   */
+  async getOpenRequest(userId) {
+    return await AccountRecoveryRepository.findOpenByUser(userId);
+  }
+
+  /**
+   * Cancel the user's open request
+   * @returns {Promise<Object|null>} The cancelled request, or null if none was open
+   */
+  async cancel(userId) {
+    const open = await AccountRecoveryRepository.findOpenByUser(userId);
+    if (!open) {
+      return null;
+    }
+
+    return await AccountRecoveryRepository.transition(
+      open.id,
+      AccountRecoveryRepository.OPEN_STATUSES,
+      'cancelled'
+    );
+  }
+
+  async listForReview(status = 'cooling_off', limit = 50, offset = 0) {
+    return await AccountRecoveryRepository.findForReview(status, limit, offset);
+  }
+
+  /**
+   * Approve a confirmed request whose cooling-off period has elapsed
+   */
+  async approve(requestId, adminId, notes) {
+    const request = await AccountRecoveryRepository.findById(requestId);
+    if (!request) {
+      throw recoveryError('NOT_FOUND', 'Recovery request not found');
+    }
+
+    if (request.status !== 'cooling_off') {
+      throw recoveryError('INVALID_STATUS', `Cannot approve a request in status ${request.status}`);
+    }
+
+    if (new Date(request.cooling_off_ends_at) > new Date()) {
+      throw recoveryError('COOLING_OFF', 'The cooling-off period has not ended yet');
+    }
+
+    if (request.user_id === adminId) {
+      throw recoveryError('SELF_REVIEW', 'Admins cannot review their own recovery request');
+    }
+
+    const approved = await AccountRecoveryRepository.transition(requestId, ['cooling_off'], 'approved', {
+      reviewed_by: adminId,
+      review_notes: notes
+    });
+
+    if (!approved) {
+      throw recoveryError('INVALID_STATUS', 'Recovery request was changed by someone else');
+    }
+
+    return approved;
+  }
+
+  async reject(requestId, adminId, notes) {
+    const request = await AccountRecoveryRepository.findById(requestId);
+    if (!request) {
+      throw recoveryError('NOT_FOUND', 'Recovery request not found');
+    }
+
+    if (request.user_id === adminId) {
+      throw recoveryError('SELF_REVIEW', 'Admins cannot review their own recovery request');
+    }
+
+    const rejected = await AccountRecoveryRepository.transition(
+      requestId,
+      AccountRecoveryRepository.OPEN_STATUSES,
+      'rejected',
+      { reviewed_by: adminId, review_notes: notes }
+    );
+
+    if (!rejected) {
+      throw recoveryError('INVALID_STATUS', `Cannot reject a request in status ${request.status}`);
+    }
+
+    return rejected;
+  }
+
+  /**
+   * Use an approved request: remove every second factor so the user can enrol
+   * new ones. Revoking existing sessions is left to the caller.
+   * @returns {Promise<Object>} The completed request
+   */
+  async complete(userId) {
+    const open = await AccountRecoveryRepository.findOpenByUser(userId);
+    if (!open || open.status !== 'approved') {
+      throw recoveryError('NOT_APPROVED', 'No approved recovery request');
+    }
+
+    const completed = await AccountRecoveryRepository.transition(open.id, ['approved'], 'completed');
+    if (!completed) {
+      throw recoveryError('NOT_APPROVED', 'No approved recovery request');
+    }
+
+    await twoFactorService.resetFactors(userId);
+
+    return completed;
+  }
+
+  /**
+   * Public view of a request
+   */
+  toPublicJSON(request) {
+    return {
+      id: request.id,
+      status: request.status,
+      emailConfirmedAt: request.email_confirmed_at,
+      coolingOffEndsAt: request.cooling_off_ends_at,
+      reviewedAt: request.reviewed_at,
+      completedAt: request.completed_at,
+      createdAt: request.created_at
+    };
+  }
+}
+
+module.exports = new AccountRecoveryService();
@@ -0,0 +1,78 @@
+const AdminAuditRepository = require('../models/postgres/AdminAuditRepository');
+const logger = require('../utils/logger');
+
+const ACTIONS = [
+  'user_suspended',
+  'user_reactivated',
+  'sessions_revoked',
+  'roles_changed',
+  'kyc_status_changed'
+];
+
+/**
+ * Admin Audit Service - Record of every change made through the admin API
+ * Unlike security events, writes are not best-effort: a failed write fails
+ * the request, so an admin never gets a success response for an action that
+ * left no trace.
+ */
+class AdminAuditService {
+  /**
+   * @param {{ actorId, action, targetUserId, details, req }} entry
+   * @returns {Promise<Object>} The stored entry
+   */
+  async record({ actorId, action, targetUserId = null, details = {}, req = null }) {
+    const entry = await AdminAuditRepository.create({
+      actor_id: actorId,
+      action,
+      target_user_id: targetUserId,
+      details,
+      ip_address: req ? req.ip || req.connection?.remoteAddress : null,
+      user_agent: req ? req.get('User-Agent') : null
+    });
+
+    logger.info(`Admin audit: ${action} on ${targetUserId || '-'} by ${actorId}`);
+    return this.toPublicJSON(entry);
+  }
+
+  /**
+   * One page of entries, newest first
+   * @param {Object} filters - { targetUserId, actorId, actions }
+   * @param {{ page, limit }} page
+   */
+  async list(filters, { page = 1, limit = 50 } = {}) {
+    const [entries, total] = await Promise.all([
+      AdminAuditRepository.find(filters, limit, (page - 1) * limit),
+      AdminAuditRepository.count(filters)
+    ]);
+
+    return {
+      entries: entries.map(entry => this.toPublicJSON(entry)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  toPublicJSON(entry) {
+    return {
+      id: entry.id,
+      action: entry.action,
+      actorId: entry.actor_id,
+      actorEmail: entry.actor_email || null,
+      targetUserId: entry.target_user_id,
+      targetEmail: entry.target_email || null,
+      details: entry.details,
+      ipAddress: entry.ip_address,
+      userAgent: entry.user_agent,
+      timestamp: entry.created_at
+    };
+  }
+}
+
+const adminAuditService = new AdminAuditService();
+adminAuditService.ACTIONS = ACTIONS;
+
+module.exports = adminAuditService;
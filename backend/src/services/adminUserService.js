@@ -0,0 +1,257 @@
+const UserRepository = require('../models/postgres/UserRepository');
+const RoleRepository = require('../models/postgres/RoleRepository');
+const TransactionRepository = require('../models/postgres/TransactionRepository');
+const securityEventService = require('./securityEventService');
+const tokenService = require('./tokenService');
+const websocketService = require('./websocketService');
+const { hasPermission } = require('../utils/permissions');
+const { normalizePhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+const KYC_STATUSES = ['pending', 'verified', 'rejected'];
+
+const adminUserError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const userStatus = (user) => {
+  if (!user.is_active) {
+    return 'deleted';
+  }
+  return user.suspended_at ? 'suspended' : 'active';
+};
+
+/**
+ * Admin User Service - Account lookup and moderation for the admin console
+ * Methods only act and report; the admin controller writes each change to
+ * the audit log (adminAuditService).
+ */
+class AdminUserService {
+  /**
+   * Search accounts by email, name, wallet address prefix or phone number
+   * @param {Object} filters - { query, status: active|suspended|deleted, role }
+   * @param {{ page, limit }} page
+   */
+  async search({ query = null, status = null, role = null } = {}, { page = 1, limit = 20 } = {}) {
+    const term = query ? query.trim() : '';
+    const filters = {
+      term: term || null,
+      phone: term ? normalizePhone(term) : null,
+      status,
+      role
+    };
+
+    const [users, total] = await Promise.all([
+      UserRepository.search(filters, limit, (page - 1) * limit),
+      UserRepository.countSearch(filters)
+    ]);
+
+    return {
+      users: users.map(user => this.toAdminJSON(user)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * An account with its balance and transaction totals
+   */
+  async getUser(userId) {
+    const user = await this.findUser(userId);
+    const stats = await UserRepository.getUserStats(userId);
+
+    return {
+      user: this.toAdminJSON(user),
+      balance: {
+        total: user.total_balance || '0',
+        available: user.available_balance || '0',
+        locked: user.locked_balance || '0',
+        shares: user.total_shares || '0',
+        totalYield: user.total_yield_earned || '0'
+      },
+      stats: {
+        totalDeposits: parseInt(stats.total_deposits || 0),
+        totalWithdrawals: parseInt(stats.total_withdrawals || 0),
+        totalDeposited: stats.total_deposited || '0',
+        totalWithdrawn: stats.total_withdrawn || '0',
+        totalYield: stats.total_yield || '0',
+        totalTransactions: parseInt(stats.total_transactions || 0)
+      }
+    };
+  }
+
+  async getTransactions(userId, { page = 1, limit = 20, type = null, status = null } = {}) {
+    await this.findUser(userId);
+
+    const options = { limit, offset: (page - 1) * limit, type, status };
+    const [transactions, total] = await Promise.all([
+      TransactionRepository.getUserTransactions(userId, options),
+      TransactionRepository.countUserTransactions(userId, options)
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Security events of the account and of its wallet
+   * @param {{ limit, cursor }} page - see securityEventService.list
+   */
+  async getSecurityEvents(userId, page = {}) {
+    const user = await this.findUser(userId);
+
+    return securityEventService.list({ userId, walletAddress: user.wallet_address }, page);
+  }
+
+  /**
+   * Suspend an account and end its sessions
+   * @returns {Promise<{ suspendedAt, reason, revokedSessions }>}
+   */
+  async suspend(userId, actor, reason) {
+    if (userId === actor.id) {
+      throw adminUserError('SELF_ACTION', 'You cannot suspend your own account');
+    }
+
+    // findById carries the permissions needed for the last-admin check
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      throw adminUserError('USER_NOT_FOUND', 'User not found');
+    }
+    if (user.suspended_at) {
+      throw adminUserError('ALREADY_SUSPENDED', 'User is already suspended');
+    }
+
+    if (hasPermission(user, 'roles:assign')) {
+      const others = await RoleRepository.countUsersWithPermission('roles:assign', userId);
+      if (others === 0) {
+        throw adminUserError('LAST_ROLE_ADMIN', 'At least one active user must keep the roles:assign permission');
+      }
+    }
+
+    const suspension = await UserRepository.suspend(userId, actor.id, reason);
+    if (!suspension) {
+      throw adminUserError('ALREADY_SUSPENDED', 'User is already suspended');
+    }
+
+    const revokedSessions = await this.endSessions(userId, 'account_suspended');
+
+    logger.info(`User ${userId} suspended by ${actor.id}`);
+
+    return {
+      suspendedAt: suspension.suspended_at,
+      reason: suspension.suspension_reason,
+      revokedSessions
+    };
+  }
+
+  /**
+   * Lift a suspension
+   * @returns {Promise<{ previousReason, suspendedAt }>} The suspension that was lifted
+   */
+  async reactivate(userId) {
+    const user = await this.findUser(userId);
+    if (!user.is_active || !user.suspended_at) {
+      throw adminUserError('NOT_SUSPENDED', 'User is not suspended');
+    }
+
+    if (!await UserRepository.reactivate(userId)) {
+      throw adminUserError('NOT_SUSPENDED', 'User is not suspended');
+    }
+
+    return {
+      previousReason: user.suspension_reason,
+      suspendedAt: user.suspended_at
+    };
+  }
+
+  /**
+   * Sign a user out everywhere
+   * @returns {Promise<number>} How many sessions were revoked
+   */
+  async forceLogout(userId) {
+    const user = await this.findUser(userId);
+    if (!user.is_active) {
+      throw adminUserError('USER_NOT_FOUND', 'User not found');
+    }
+
+    return this.endSessions(userId, 'admin_logout');
+  }
+
+  /**
+   * @returns {Promise<{ previousStatus, status }>}
+   */
+  async setKycStatus(userId, status) {
+    if (!KYC_STATUSES.includes(status)) {
+      throw adminUserError('INVALID_KYC_STATUS', 'Invalid KYC status');
+    }
+
+    const user = await this.findUser(userId);
+    const updated = await UserRepository.update(userId, { kyc_status: status });
+    if (!updated) {
+      throw adminUserError('USER_NOT_FOUND', 'User not found');
+    }
+
+    return { previousStatus: user.kyc_status, status: updated.kyc_status };
+  }
+
+  /**
+   * @private
+   */
+  async findUser(userId) {
+    const user = await UserRepository.findForAdmin(userId);
+    if (!user) {
+      throw adminUserError('USER_NOT_FOUND', 'User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Revoke every session and close the sockets opened with them
+   * @private
+   */
+  async endSessions(userId, reason) {
+    const sessionIds = await tokenService.revokeUserSessions(userId, reason);
+    websocketService.closeSessions(sessionIds);
+    return sessionIds.length;
+  }
+
+  toAdminJSON(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      walletAddress: user.wallet_address,
+      phone: user.social_provider === 'phone' ? user.social_id : null,
+      socialProvider: user.social_provider,
+      kycStatus: user.kyc_status,
+      status: userStatus(user),
+      suspendedAt: user.suspended_at || null,
+      suspensionReason: user.suspension_reason || null,
+      roles: user.roles || [],
+      twoFactorEnabled: user.two_factor_enabled,
+      isEmailVerified: user.is_email_verified,
+      totalBalance: user.total_balance || '0',
+      loginCount: user.login_count,
+      createdAt: user.created_at,
+      lastLoginAt: user.last_login_at
+    };
+  }
+}
+
+const adminUserService = new AdminUserService();
+adminUserService.KYC_STATUSES = KYC_STATUSES;
+
+module.exports = adminUserService;
@@ -0,0 +1,109 @@
+const RoleRepository = require('../models/postgres/RoleRepository');
+const UserRepository = require('../models/postgres/UserRepository');
+const { hasPermission } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Permission needed to change anyone's roles; someone must always keep it
+const ROLES_ASSIGN = 'roles:assign';
+
+const authorizationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Authorization Service - Named permissions granted through roles
+ * A user's permissions are the union of the permissions of every role it holds
+ * (user_roles -> role_permissions); UserRepository.findById loads both, so
+ * authenticated requests carry them on req.user and changes apply on the next
+ * request.
+ */
+class AuthorizationService {
+  /**
+   * Roles with their permissions, and every known permission
+   */
+  async getRoles() {
+    const [roles, permissions] = await Promise.all([
+      RoleRepository.findAll(),
+      RoleRepository.findAllPermissions()
+    ]);
+
+    return {
+      roles: roles.map(role => ({
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        userCount: role.user_count
+      })),
+      permissions
+    };
+  }
+
+  /**
+   * A user's roles and effective permissions
+   */
+  async getUserAccess(userId) {
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      throw authorizationError('USER_NOT_FOUND', 'User not found');
+    }
+
+    const grants = await RoleRepository.findByUser(userId);
+
+    return {
+      userId,
+      roles: grants.map(grant => ({
+        name: grant.role,
+        grantedBy: grant.granted_by,
+        grantedAt: grant.granted_at
+      })),
+      permissions: user.permissions || []
+    };
+  }
+
+  /**
+   * Replace a user's roles
+   * @param {string} userId - User whose roles change
+   * @param {string[]} roleNames - The complete set of roles it should hold
+   * @param {Object} actor - The admin making the change
+   * @returns {Promise<Object>} The user's new access, and the roles it held before
+   */
+  async setUserRoles(userId, roleNames, actor) {
+    const roles = [...new Set(roleNames)];
+
+    const [user, { roles: known }] = await Promise.all([
+      UserRepository.findById(userId),
+      this.getRoles()
+    ]);
+
+    if (!user) {
+      throw authorizationError('USER_NOT_FOUND', 'User not found');
+    }
+
+    const unknown = roles.filter(name => !known.some(role => role.name === name));
+    if (unknown.length > 0) {
+      throw authorizationError('UNKNOWN_ROLE', `Unknown role: ${unknown.join(', ')}`);
+    }
+
+    // Refuse to leave nobody able to assign roles
+    const keepsAssign = known.some(role => roles.includes(role.name) && role.permissions.includes(ROLES_ASSIGN));
+    if (hasPermission(user, ROLES_ASSIGN) && !keepsAssign) {
+      const others = await RoleRepository.countUsersWithPermission(ROLES_ASSIGN, userId);
+      if (others === 0) {
+        throw authorizationError('LAST_ROLE_ADMIN', `At least one user must keep the ${ROLES_ASSIGN} permission`);
+      }
+    }
+
+    await RoleRepository.setUserRoles(userId, roles, actor.id);
+
+    logger.info(`Roles of user ${userId} set to [${roles.join(', ')}] by ${actor.id}`);
+
+    return {
+      ...await this.getUserAccess(userId),
+      previousRoles: user.roles || []
+    };
+  }
+}
+
+module.exports = new AuthorizationService();
@@ -0,0 +1,197 @@
+const cron = require('node-cron');
+const crypto = require('crypto');
+const os = require('os');
+const { ethers } = require('ethers');
+const blockchainService = require('../config/blockchain');
+const SchedulerLockRepository = require('../models/postgres/SchedulerLockRepository');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const LOCK_NAME = 'batch_allocation';
+
+/**
+ * Batch Allocation Service - Triggers the vault's batch allocation
+ * A cron job checks the vault's emergency threshold, threshold and interval
+ * conditions and sends triggerBatchAllocation when one is met. Manual triggers
+ * by strategy managers take the same path without the condition check. Every
+ * send is guarded by a cross-instance lease, a gas price ceiling and an eth_call
+ * dry run, and its outcome is broadcast over WebSocket.
+ */
+class BatchAllocationService {
+  constructor() {
+    this.enabled = process.env.BATCH_ALLOCATION_ENABLED !== 'false';
+    this.schedule = process.env.BATCH_ALLOCATION_CRON || '*/5 * * * *';
+    this.maxGasPrice = ethers.parseUnits(process.env.BATCH_ALLOCATION_MAX_GAS_PRICE_GWEI || '50', 'gwei');
+    // Long enough to cover waiting for the transaction to be mined
+    this.lockTtl = parseInt(process.env.BATCH_ALLOCATION_LOCK_TTL_MS || '600000');
+
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.task = null;
+    this.lastRunAt = null;
+    this.lastResult = null;
+  }
+
+  start() {
+    if (!this.enabled) {
+      logger.info('Batch allocation scheduler disabled (BATCH_ALLOCATION_ENABLED=false)');
+      return;
+    }
+
+    if (this.task) {
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error(`Invalid BATCH_ALLOCATION_CRON expression: ${this.schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.run());
+
+    logger.info(`Batch allocation scheduler started (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Batch allocation scheduler stopped');
+    }
+  }
+
+  /**
+   * Which batching condition is met, if any
+   * @returns {'emergency'|'threshold'|'interval'|null}
+   */
+  getTriggerReason(config, pending, now = Date.now()) {
+    if (!pending || pending.total <= 0) {
+      return null;
+    }
+
+    if (pending.total >= config.emergencyThreshold) {
+      return 'emergency';
+    }
+
+    if (pending.total >= config.threshold) {
+      return 'threshold';
+    }
+
+    if (now / 1000 - config.lastAllocationTime >= config.interval) {
+      return 'interval';
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate and, if warranted, send one batch allocation.
+   * @param {{ manual?: boolean, triggeredBy?: string }} options - Manual runs skip the condition check
+   * @returns {Promise<Object>} `status` is 'executed', 'blocked' (refused by a guard rail),
+   *   'skipped' (nothing to do or another instance is running) or 'failed'
+   */
+  async run({ manual = false, triggeredBy = null } = {}) {
+    if (!blockchainService.initialized || !blockchainService.vaultContract) {
+      return { status: 'skipped', reason: 'blockchain_unavailable' };
+    }
+
+    // Unique per run, so a manual trigger during a cron run in this same
+    // process neither takes over the lease nor releases it early
+    const lockOwner = `${this.instanceId}:${crypto.randomUUID()}`;
+
+    let acquired = false;
+    try {
+      acquired = await SchedulerLockRepository.acquire(LOCK_NAME, lockOwner, this.lockTtl);
+    } catch (error) {
+      return this.finish({ status: 'failed', reason: 'lock_error', error: error.message });
+    }
+
+    if (!acquired) {
+      return { status: 'skipped', reason: 'locked' };
+    }
+
+    try {
+      return this.finish(await this.evaluateAndSend(manual, triggeredBy));
+    } catch (error) {
+      logger.error('Batch allocation failed:', error);
+      return this.finish({ status: 'failed', reason: 'transaction_failed', error: error.shortMessage || error.message });
+    } finally {
+      await SchedulerLockRepository.release(LOCK_NAME, lockOwner).catch(error => {
+        logger.warn('Failed to release batch allocation lock:', error.message);
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async evaluateAndSend(manual, triggeredBy) {
+    const [config, pending] = await Promise.all([
+      blockchainService.getBatchingConfig(),
+      blockchainService.getPendingAllocations()
+    ]);
+
+    if (pending.total <= 0) {
+      return { status: 'skipped', reason: 'nothing_pending' };
+    }
+
+    const reason = manual ? 'manual' : this.getTriggerReason(config, pending);
+    if (!reason) {
+      return { status: 'skipped', reason: 'conditions_not_met' };
+    }
+
+    const gasPrice = await blockchainService.getGasPrice();
+    if (gasPrice > this.maxGasPrice) {
+      logger.warn(`Batch allocation (${reason}) blocked: gas price ${ethers.formatUnits(gasPrice, 'gwei')} gwei above ceiling`);
+      return {
+        status: 'blocked',
+        reason: 'gas_price_too_high',
+        trigger: reason,
+        gasPriceGwei: ethers.formatUnits(gasPrice, 'gwei'),
+        maxGasPriceGwei: ethers.formatUnits(this.maxGasPrice, 'gwei')
+      };
+    }
+
+    try {
+      await blockchainService.simulateBatchAllocation();
+    } catch (error) {
+      logger.warn(`Batch allocation (${reason}) blocked: simulation reverted: ${error.shortMessage || error.message}`);
+      return { status: 'blocked', reason: 'simulation_failed', trigger: reason, error: error.shortMessage || error.message };
+    }
+
+    const batch = await blockchainService.triggerBatchAllocation({ reason, triggeredBy });
+
+    return { status: 'executed', reason, batch };
+  }
+
+  /**
+   * Remember and broadcast the outcome of a run that tried to allocate
+   * @private
+   */
+  finish(result) {
+    this.lastRunAt = new Date();
+    this.lastResult = result;
+
+    if (result.status !== 'skipped') {
+      websocketService.broadcast({
+        type: 'batch_allocation',
+        data: result,
+        timestamp: Date.now()
+      });
+    }
+
+    return result;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.task,
+      schedule: this.schedule,
+      maxGasPriceGwei: ethers.formatUnits(this.maxGasPrice, 'gwei'),
+      lastRunAt: this.lastRunAt ? this.lastRunAt.toISOString() : null,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+module.exports = new BatchAllocationService();
@@ -0,0 +1,108 @@
+const blockchainService = require('../config/blockchain');
+const logger = require('../utils/logger');
+
+const DATA_MODES = ['live', 'demo'];
+
+// Where the data in a response came from:
+//   chain    - read from the contracts just now (or from a short-lived cache of such a read)
+//   database - recorded history (snapshots, batches, transactions)
+//   estimate - computed from fixed assumptions, not from chain state
+//   demo     - made-up sample figures, only served in demo mode
+const DATA_SOURCES = ['chain', 'database', 'estimate', 'demo'];
+
+const chainUnavailableError = (cause) => {
+  const error = new Error('Blockchain data unavailable');
+  error.code = 'CHAIN_UNAVAILABLE';
+  error.cause = cause;
+  return error;
+};
+
+/**
+ * Data Source Service - Decides what to serve when chain reads fail
+ * DATA_MODE=live never substitutes figures: chain reads that fail surface as a
+ * CHAIN_UNAVAILABLE error (HTTP 503). DATA_MODE=demo falls back to the handler's
+ * sample data and labels it `dataSource: 'demo'` so clients can say so.
+ * Every result carries `dataSource` and `asOf` (ISO time the data was read).
+ */
+class DataSourceService {
+  constructor() {
+    this.mode = process.env.DATA_MODE || 'live';
+
+    if (!DATA_MODES.includes(this.mode)) {
+      logger.error(`Invalid DATA_MODE "${this.mode}", using live`);
+      this.mode = 'live';
+    }
+  }
+
+  isDemo() {
+    return this.mode === 'demo';
+  }
+
+  /**
+   * Read from the chain, falling back to demo data in demo mode
+   * @param {string} label - What is being read, for logs
+   * @param {function} read - Chain read; only called once the blockchain service is initialized
+   * @param {function} demoData - Builds the demo fallback
+   * @returns {Promise<{ data, dataSource, asOf }>}
+   * @throws CHAIN_UNAVAILABLE in live mode when the read fails
+   */
+  async readChain(label, read, demoData) {
+    try {
+      if (!blockchainService.initialized) {
+        throw new Error('Blockchain service not initialized');
+      }
+
+      const data = await read();
+      return this.result(data, 'chain');
+    } catch (error) {
+      if (this.isDemo() && demoData) {
+        logger.warn(`Serving demo data for ${label}: ${error.message}`);
+        return this.result(demoData(), 'demo');
+      }
+
+      logger.error(`Chain read failed for ${label}:`, error);
+      throw chainUnavailableError(error);
+    }
+  }
+
+  result(data, dataSource, asOf = new Date()) {
+    return {
+      data,
+      dataSource,
+      asOf: new Date(asOf).toISOString()
+    };
+  }
+
+  /**
+   * Send a result as `{ success, data, dataSource, asOf }`
+   */
+  send(res, { data, dataSource, asOf }) {
+    res.json({
+      success: true,
+      data,
+      dataSource,
+      asOf
+    });
+  }
+
+  /**
+   * Answer 503 for CHAIN_UNAVAILABLE errors. Returns false for any other error.
+   */
+  sendUnavailable(res, error) {
+    if (error.code !== 'CHAIN_UNAVAILABLE') {
+      return false;
+    }
+
+    res.status(503).json({
+      error: 'Blockchain data is temporarily unavailable',
+      code: 'CHAIN_UNAVAILABLE',
+      dataMode: this.mode
+    });
+    return true;
+  }
+}
+
+const dataSourceService = new DataSourceService();
+dataSourceService.DATA_SOURCES = DATA_SOURCES;
+
+module.exports = dataSourceService;
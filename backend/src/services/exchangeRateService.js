@@ -0,0 +1,285 @@
+const cron = require('node-cron');
+const ExchangeRateRepository = require('../models/postgres/ExchangeRateRepository');
+const { createRateSources } = require('./rateSources');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Decimals rates are kept to (exchange_rates.rate is DECIMAL(30,10))
+const RATE_DECIMALS = 10;
+
+// Pairs the service snapshots: 1 base = rate quote. USDC amounts are valued as USD.
+const PAIRS = [
+  { base: 'USD', quote: 'VND' }
+];
+
+// Range and downsampling bucket per supported period
+const PERIODS = {
+  '1d': { days: 1, bucketSeconds: HOUR },
+  '7d': { days: 7, bucketSeconds: 6 * HOUR },
+  '30d': { days: 30, bucketSeconds: DAY },
+  '90d': { days: 90, bucketSeconds: DAY },
+  '1y': { days: 365, bucketSeconds: 7 * DAY }
+};
+
+const rateError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const pairKey = (base, quote) => `${base}/${quote}`;
+
+// API shape of an exchange_rates row
+function formatRate(row) {
+  return {
+    base: row.base_currency,
+    quote: row.quote_currency,
+    rate: money.normalize(row.rate, RATE_DECIMALS, money.ROUNDING.HALF_UP),
+    source: row.source,
+    quotedAt: new Date(row.quoted_at).toISOString(),
+    fetchedAt: new Date(row.fetched_at).toISOString()
+  };
+}
+
+/**
+ * Exchange Rate Service - VND/USD (and other pair) rates over time
+ * Fetches rates from the configured sources (FX_RATE_SOURCES, first that answers wins)
+ * on a cron schedule, stores them as snapshots and answers latest and historical
+ * lookups. Transactions are stamped with the rate in effect through stamp().
+ */
+class ExchangeRateService {
+  constructor() {
+    this.enabled = process.env.FX_RATES_ENABLED !== 'false';
+    this.schedule = process.env.FX_RATES_CRON || '*/30 * * * *';
+    this.retentionDays = parseInt(process.env.FX_RATES_RETENTION_DAYS || '730');
+    this.maxAgeHours = parseInt(process.env.FX_RATES_MAX_AGE_HOURS || '24');
+
+    this.sources = null;
+    this.latest = new Map();
+    this.task = null;
+    this.isRefreshing = false;
+    this.lastRefreshedAt = null;
+    this.lastError = null;
+  }
+
+  start() {
+    if (!this.enabled) {
+      logger.info('Exchange rate snapshots disabled (FX_RATES_ENABLED=false)');
+      return;
+    }
+
+    if (this.task) {
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error(`Invalid FX_RATES_CRON expression: ${this.schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.refresh());
+    this.refresh();
+
+    logger.info(`Exchange rate sampler started (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Exchange rate sampler stopped');
+    }
+  }
+
+  getSources() {
+    if (!this.sources) {
+      this.sources = createRateSources();
+    }
+    return this.sources;
+  }
+
+  /**
+   * Fetch and store a snapshot of every pair. Overlapping runs are skipped.
+   */
+  async refresh() {
+    if (this.isRefreshing) {
+      return [];
+    }
+
+    this.isRefreshing = true;
+    const fetchedAt = new Date();
+    const snapshots = [];
+
+    try {
+      for (const { base, quote } of PAIRS) {
+        const quoted = await this.fetchRate(base, quote);
+        const row = await ExchangeRateRepository.create({
+          base_currency: base,
+          quote_currency: quote,
+          rate: quoted.rate,
+          source: quoted.source,
+          quoted_at: quoted.quotedAt,
+          fetched_at: fetchedAt
+        });
+
+        if (row) {
+          const rate = formatRate(row);
+          this.latest.set(pairKey(base, quote), rate);
+          snapshots.push(rate);
+        }
+      }
+
+      await ExchangeRateRepository.deleteOlderThan(
+        new Date(fetchedAt.getTime() - this.retentionDays * DAY * 1000)
+      );
+
+      this.lastRefreshedAt = fetchedAt;
+      this.lastError = null;
+      return snapshots;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('Exchange rate refresh failed:', error);
+      return snapshots;
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  /**
+   * Ask each source in turn for a rate
+   * @returns {Promise<{ rate: string, source: string, quotedAt: Date }>}
+   */
+  async fetchRate(base, quote) {
+    const failures = [];
+
+    for (const source of this.getSources()) {
+      try {
+        const { rate, quotedAt } = await source.fetchRate(base, quote);
+        const normalized = money.normalize(rate, RATE_DECIMALS, money.ROUNDING.HALF_UP);
+
+        if (money.parse(normalized, RATE_DECIMALS) <= 0n) {
+          throw new Error(`Non-positive rate ${rate}`);
+        }
+
+        return { rate: normalized, source: source.name, quotedAt };
+      } catch (error) {
+        logger.warn(`Exchange rate source ${source.name} failed for ${base}/${quote}: ${error.message}`);
+        failures.push(`${source.name}: ${error.message}`);
+      }
+    }
+
+    throw rateError('RATE_UNAVAILABLE', `No ${base}/${quote} rate available (${failures.join('; ') || 'no sources'})`);
+  }
+
+  assertPair(base, quote) {
+    if (!PAIRS.some(pair => pair.base === base && pair.quote === quote)) {
+      throw rateError('UNSUPPORTED_PAIR', `Unsupported currency pair: ${base}/${quote}`);
+    }
+  }
+
+  /**
+   * Rate in effect at a time (default: now)
+   * Without snapshots yet, the current rate is fetched from the sources.
+   * @returns {Promise<Object>} { base, quote, rate, source, quotedAt, fetchedAt, stale }
+   */
+  async getRate(base = 'USD', quote = 'VND', at = null) {
+    this.assertPair(base, quote);
+
+    let rate = at ? null : this.latest.get(pairKey(base, quote));
+
+    if (!rate) {
+      const row = await ExchangeRateRepository.findAt(base, quote, at || new Date());
+      rate = row ? formatRate(row) : null;
+    }
+
+    if (!rate && !at) {
+      const quoted = await this.fetchRate(base, quote);
+      rate = {
+        base,
+        quote,
+        rate: quoted.rate,
+        source: quoted.source,
+        quotedAt: new Date(quoted.quotedAt).toISOString(),
+        fetchedAt: new Date().toISOString()
+      };
+    }
+
+    if (!rate) {
+      throw rateError('RATE_UNAVAILABLE', `No ${base}/${quote} rate recorded at ${new Date(at).toISOString()}`);
+    }
+
+    if (!at) {
+      this.latest.set(pairKey(base, quote), rate);
+    }
+
+    const age = (at ? new Date(at) : new Date()).getTime() - new Date(rate.fetchedAt).getTime();
+    return { ...rate, stale: age > this.maxAgeHours * HOUR * 1000 };
+  }
+
+  /**
+   * Downsampled rate history: closing, low and high rate per bucket
+   */
+  async getHistory(base = 'USD', quote = 'VND', period = '30d') {
+    this.assertPair(base, quote);
+
+    const range = PERIODS[period];
+    if (!range) {
+      throw new Error(`Unsupported period: ${period}`);
+    }
+
+    const { days, bucketSeconds } = range;
+    const since = new Date(Date.now() - days * DAY * 1000);
+    const rows = await ExchangeRateRepository.getHistory(base, quote, since, bucketSeconds);
+
+    return rows.map(row => ({
+      date: new Date(row.bucket).toISOString(),
+      rate: money.normalize(row.rate, RATE_DECIMALS, money.ROUNDING.HALF_UP),
+      low: money.normalize(row.low, RATE_DECIMALS, money.ROUNDING.HALF_UP),
+      high: money.normalize(row.high, RATE_DECIMALS, money.ROUNDING.HALF_UP)
+    }));
+  }
+
+  /**
+   * USDC amount in VND at a rate, rounded to the nearest dong
+   * @returns {bigint} VND
+   */
+  toVnd(amount, rate) {
+    const units = money.parse(amount, 'USDC');
+    const rateUnits = money.parse(rate, RATE_DECIMALS);
+    return money.mulDiv(units, rateUnits, 10n ** BigInt(money.DECIMALS.USDC + RATE_DECIMALS), money.ROUNDING.HALF_UP);
+  }
+
+  /**
+   * Current USD/VND rate and the VND value of a USDC amount (if given), for stamping a transaction
+   * Never throws: without a rate the transaction is stored unstamped.
+   * @returns {Promise<{ rate: Object, amountVnd: string|null }|null>}
+   */
+  async stamp(amount = null) {
+    try {
+      const { stale, ...rate } = await this.getRate('USD', 'VND');
+      return {
+        rate,
+        amountVnd: amount === null ? null : money.format(this.toVnd(amount, rate.rate), 'VND')
+      };
+    } catch (error) {
+      logger.warn(`Transaction not stamped with an exchange rate: ${error.message}`);
+      return null;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.task,
+      schedule: this.schedule,
+      sources: this.getSources().map(source => source.name),
+      lastRefreshedAt: this.lastRefreshedAt ? this.lastRefreshedAt.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new ExchangeRateService();
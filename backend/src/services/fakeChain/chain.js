@@ -0,0 +1,598 @@
+const { ethers } = require('ethers');
+const { FakeRevert } = require('./contracts');
+
+const BASE_GAS = 21000n;
+// Flat execution cost of a contract call, plus a little per emitted log
+const CALL_GAS = 50000n;
+const LOG_GAS = 2000n;
+const BLOCK_GAS_LIMIT = 30000000n;
+
+const ZERO_HASH = ethers.ZeroHash;
+const EMPTY_BLOOM = `0x${'00'.repeat(256)}`;
+
+const toQuantity = (value) => ethers.toQuantity(value);
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Calldata cost: 4 gas per zero byte, 16 per non-zero byte
+function calldataGas(data) {
+  return ethers.getBytes(data || '0x').reduce((gas, byte) => gas + (byte === 0 ? 4n : 16n), 0n);
+}
+
+/**
+ * Fake Chain - In-process, single-node EVM stand-in for development and tests
+ * Contracts are JavaScript fakes (see ./contracts) addressed like real deployments.
+ * Every transaction is mined immediately in its own block; reverted transactions
+ * are mined with status 0 and leave no state changes. Historical state is not
+ * kept: calls at any block tag see the latest state.
+ *
+ * Block time follows the `now` clock (plus any evm_increaseTime offset) and never
+ * goes backwards. ETH balances start at `defaultBalance` and pay for gas at the
+ * base fee; there is no mempool, so nonces must be used in order.
+ */
+class FakeChain {
+  /**
+   * @param {{ chainId, baseFeePerGas, defaultBalance, now }} options - `now` returns milliseconds, like Date.now
+   */
+  constructor({ chainId = 31337, baseFeePerGas = ethers.parseUnits('1', 'gwei'), defaultBalance = ethers.parseEther('1000'), now = Date.now } = {}) {
+    this.chainId = BigInt(chainId);
+    this.baseFeePerGas = BigInt(baseFeePerGas);
+    this.defaultBalance = BigInt(defaultBalance);
+    this.now = now;
+
+    this.contracts = new Map();
+    this.world = {
+      balances: new Map(),
+      nonces: new Map(),
+      timeOffset: 0
+    };
+
+    this.blocks = [];
+    this.transactions = new Map();
+    this.logs = [];
+    this.snapshots = new Map();
+    this.nextSnapshotId = 1;
+
+    this.mineBlock([]);
+  }
+
+  // Contracts
+
+  /**
+   * Register a contract fake at an address
+   */
+  addContract(contract) {
+    this.contracts.set(contract.address, contract);
+    return contract;
+  }
+
+  contractAt(address) {
+    const contract = this.contracts.get(ethers.getAddress(address));
+    if (!contract) {
+      throw new FakeRevert(`No contract at ${address}`);
+    }
+    return contract;
+  }
+
+  // Blocks and time
+
+  get latestBlock() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  // Timestamp the next block will get (and that calls run at)
+  pendingTimestamp() {
+    const clock = Math.floor(this.now() / 1000) + this.world.timeOffset;
+    return this.latestBlock ? Math.max(this.latestBlock.timestamp, clock) : clock;
+  }
+
+  mineBlock(transactionHashes, gasUsed = 0n) {
+    const parent = this.latestBlock;
+    const number = parent ? parent.number + 1 : 0;
+    const timestamp = this.pendingTimestamp();
+
+    const block = {
+      number,
+      hash: ethers.keccak256(ethers.toUtf8Bytes(`fake-block:${this.chainId}:${number}:${timestamp}:${transactionHashes.join(',')}`)),
+      parentHash: parent ? parent.hash : ZERO_HASH,
+      timestamp,
+      gasUsed,
+      baseFeePerGas: this.baseFeePerGas,
+      transactions: transactionHashes
+    };
+
+    this.blocks.push(block);
+    return block;
+  }
+
+  increaseTime(seconds) {
+    this.world.timeOffset += Number(seconds);
+    return this.mineBlock([]);
+  }
+
+  // Mines a block so fee estimates, which read the latest block, see the new base fee
+  setBaseFee(baseFeePerGas) {
+    this.baseFeePerGas = BigInt(baseFeePerGas);
+    return this.mineBlock([]);
+  }
+
+  // Accounts
+
+  getBalance(address) {
+    const balances = this.world.balances;
+    return balances.has(address) ? balances.get(address) : this.defaultBalance;
+  }
+
+  setBalance(address, balance) {
+    this.world.balances.set(ethers.getAddress(address), BigInt(balance));
+  }
+
+  getNonce(address) {
+    return this.world.nonces.get(address) || 0;
+  }
+
+  // State snapshots
+
+  captureState() {
+    return structuredClone({
+      world: this.world,
+      contracts: Array.from(this.contracts.values(), contract => [contract.address, contract.state])
+    });
+  }
+
+  restoreState(saved) {
+    const copy = structuredClone(saved);
+    this.world = copy.world;
+    copy.contracts.forEach(([address, state]) => {
+      this.contracts.get(address).state = state;
+    });
+  }
+
+  snapshot() {
+    const id = this.nextSnapshotId++;
+    this.snapshots.set(id, {
+      state: this.captureState(),
+      blockCount: this.blocks.length,
+      logCount: this.logs.length,
+      transactions: new Map(this.transactions)
+    });
+    return id;
+  }
+
+  revert(id) {
+    const snapshot = this.snapshots.get(Number(id));
+    if (!snapshot) {
+      return false;
+    }
+
+    this.restoreState(snapshot.state);
+    this.blocks.length = snapshot.blockCount;
+    this.logs.length = snapshot.logCount;
+    this.transactions = snapshot.transactions;
+
+    // Like evm_revert, reverting also drops every later snapshot
+    for (const key of this.snapshots.keys()) {
+      if (key >= id) {
+        this.snapshots.delete(key);
+      }
+    }
+    return true;
+  }
+
+  // Execution
+
+  estimateTransactionGas(data, logCount = 0) {
+    return BASE_GAS + calldataGas(data) + CALL_GAS + BigInt(logCount) * LOG_GAS;
+  }
+
+  /**
+   * Run a call against the current state. State changes are kept only when
+   * `commit` is set and the call does not revert.
+   * @returns {{ success, returnData, revertError, logs, gasUsed }}
+   */
+  run({ from, to, data, value = 0n }, { commit = false, timestamp = this.pendingTimestamp() } = {}) {
+    const saved = this.captureState();
+    const logs = [];
+    const ctx = this.createContext(from ? ethers.getAddress(from) : ethers.ZeroAddress, timestamp, logs);
+
+    let returnData = '0x';
+    let revertError = null;
+
+    try {
+      if (!to) {
+        throw new FakeRevert('Contract creation is not supported by the fake chain');
+      }
+
+      if (this.contracts.has(ethers.getAddress(to))) {
+        if (BigInt(value) > 0n) {
+          throw new FakeRevert('Contract does not accept ETH');
+        }
+        returnData = this.contractAt(to).execute(ctx, data || '0x');
+      } else if (BigInt(value) > 0n) {
+        this.transferEth(ctx.from, ethers.getAddress(to), BigInt(value));
+      }
+    } catch (error) {
+      if (!(error instanceof FakeRevert)) {
+        this.restoreState(saved);
+        throw error;
+      }
+      revertError = error;
+    }
+
+    const isContractCall = to && this.contracts.has(ethers.getAddress(to));
+    const gasUsed = isContractCall ? this.estimateTransactionGas(data, logs.length) : BASE_GAS + calldataGas(data);
+
+    if (!commit || revertError) {
+      this.restoreState(saved);
+    }
+
+    return { success: !revertError, returnData, revertError, logs: revertError ? [] : logs, gasUsed };
+  }
+
+  createContext(from, timestamp, logs) {
+    const ctx = {
+      chain: this,
+      from,
+      timestamp,
+      logs,
+      // Context for a call made by a contract: same block and logs, contract as sender
+      as: (sender) => this.createContext(sender, timestamp, logs)
+    };
+    return ctx;
+  }
+
+  transferEth(from, to, amount) {
+    const balance = this.getBalance(from);
+    if (balance < amount) {
+      throw new FakeRevert('Insufficient balance');
+    }
+    this.world.balances.set(from, balance - amount);
+    this.world.balances.set(to, this.getBalance(to) + amount);
+  }
+
+  /**
+   * Validate, execute and mine a signed transaction
+   * @returns {string} Transaction hash
+   */
+  sendRawTransaction(rawTransaction) {
+    let tx;
+    try {
+      tx = ethers.Transaction.from(rawTransaction);
+    } catch (error) {
+      throw new RpcError(-32602, `invalid transaction: ${error.message}`);
+    }
+
+    if (!tx.from) {
+      throw new RpcError(-32602, 'transaction is not signed');
+    }
+    if (tx.chainId !== this.chainId) {
+      throw new RpcError(-32000, `invalid chain id ${tx.chainId}, expected ${this.chainId}`);
+    }
+    const expectedNonce = this.getNonce(tx.from);
+    if (tx.nonce < expectedNonce) {
+      throw new RpcError(-32000, `nonce too low: next nonce ${expectedNonce}, tx nonce ${tx.nonce}`);
+    }
+    if (tx.nonce > expectedNonce) {
+      throw new RpcError(-32000, `nonce too high: next nonce ${expectedNonce}, tx nonce ${tx.nonce}`);
+    }
+
+    const gasPrice = tx.type === 2
+      ? (tx.maxFeePerGas < this.baseFeePerGas + tx.maxPriorityFeePerGas ? tx.maxFeePerGas : this.baseFeePerGas + tx.maxPriorityFeePerGas)
+      : tx.gasPrice;
+
+    if (gasPrice < this.baseFeePerGas) {
+      throw new RpcError(-32000, `max fee per gas less than block base fee: ${gasPrice} < ${this.baseFeePerGas}`);
+    }
+    if (this.getBalance(tx.from) < tx.gasLimit * gasPrice + tx.value) {
+      throw new RpcError(-32000, 'insufficient funds for gas * price + value');
+    }
+
+    const before = this.captureState();
+    let result = this.run({ from: tx.from, to: tx.to, data: tx.data, value: tx.value }, { commit: true });
+
+    // Out of gas: the transaction reverts and pays for its whole gas limit
+    if (result.gasUsed > tx.gasLimit) {
+      this.restoreState(before);
+      result = { ...result, success: false, logs: [], gasUsed: tx.gasLimit };
+    }
+
+    const gasUsed = result.gasUsed;
+    this.world.balances.set(tx.from, this.getBalance(tx.from) - gasUsed * gasPrice);
+    this.world.nonces.set(tx.from, tx.nonce + 1);
+
+    const block = this.mineBlock([tx.hash], gasUsed);
+    const logs = result.logs.map((log, index) => ({
+      ...log,
+      blockNumber: block.number,
+      blockHash: block.hash,
+      transactionHash: tx.hash,
+      transactionIndex: 0,
+      logIndex: this.logs.length + index
+    }));
+    this.logs.push(...logs);
+
+    this.transactions.set(tx.hash, {
+      tx,
+      block,
+      receipt: {
+        status: result.success ? 1 : 0,
+        gasUsed,
+        effectiveGasPrice: gasPrice,
+        logs
+      }
+    });
+
+    return tx.hash;
+  }
+
+  // JSON-RPC
+
+  /**
+   * Answer one JSON-RPC request
+   * @returns {*} The `result` member
+   * @throws {RpcError}
+   */
+  request(method, params = []) {
+    const handler = this.rpcMethods[method];
+    if (!handler) {
+      throw new RpcError(-32601, `the method ${method} does not exist/is not available`);
+    }
+    return handler.apply(this, params);
+  }
+
+  /**
+   * Answer a JSON-RPC payload (single or batch) with JSON-RPC responses
+   */
+  handle(payload) {
+    if (Array.isArray(payload)) {
+      return payload.map(item => this.handle(item));
+    }
+
+    const { id = null, method, params } = payload || {};
+    try {
+      return { jsonrpc: '2.0', id, result: this.request(method, params) };
+    } catch (error) {
+      const rpcError = error instanceof RpcError ? error : new RpcError(-32603, error.message);
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: { code: rpcError.code, message: rpcError.message, ...(rpcError.data ? { data: rpcError.data } : {}) }
+      };
+    }
+  }
+
+  findBlock(blockTag) {
+    if (blockTag === undefined || ['latest', 'pending', 'safe', 'finalized'].includes(blockTag)) {
+      return this.latestBlock;
+    }
+    if (blockTag === 'earliest') {
+      return this.blocks[0];
+    }
+    return this.blocks[Number(blockTag)] || null;
+  }
+
+  formatBlock(block, includeTransactions) {
+    return {
+      number: toQuantity(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: toQuantity(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: toQuantity(BLOCK_GAS_LIMIT),
+      gasUsed: toQuantity(block.gasUsed),
+      miner: ethers.ZeroAddress,
+      extraData: '0x',
+      baseFeePerGas: toQuantity(block.baseFeePerGas),
+      logsBloom: EMPTY_BLOOM,
+      transactions: includeTransactions
+        ? block.transactions.map(hash => this.formatTransaction(this.transactions.get(hash)))
+        : block.transactions
+    };
+  }
+
+  formatTransaction({ tx, block }) {
+    const signature = tx.signature;
+    return {
+      hash: tx.hash,
+      type: toQuantity(tx.type),
+      nonce: toQuantity(tx.nonce),
+      blockHash: block.hash,
+      blockNumber: toQuantity(block.number),
+      transactionIndex: '0x0',
+      from: tx.from,
+      to: tx.to,
+      value: toQuantity(tx.value),
+      gas: toQuantity(tx.gasLimit),
+      input: tx.data,
+      chainId: toQuantity(tx.chainId),
+      ...(tx.type === 2
+        ? { maxFeePerGas: toQuantity(tx.maxFeePerGas), maxPriorityFeePerGas: toQuantity(tx.maxPriorityFeePerGas), accessList: [] }
+        : { gasPrice: toQuantity(tx.gasPrice) }),
+      r: signature.r,
+      s: signature.s,
+      v: toQuantity(tx.type === 0 ? signature.networkV || signature.v : signature.yParity),
+      yParity: toQuantity(signature.yParity)
+    };
+  }
+
+  formatLog(log) {
+    return {
+      address: log.address,
+      topics: log.topics,
+      data: log.data,
+      blockNumber: toQuantity(log.blockNumber),
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      transactionIndex: toQuantity(log.transactionIndex),
+      logIndex: toQuantity(log.logIndex),
+      removed: false
+    };
+  }
+
+  callError(result) {
+    return new RpcError(3, `execution reverted: ${result.revertError.reason}`, result.revertError.data);
+  }
+}
+
+// Handlers are called with the chain as `this` and the JSON-RPC params as arguments
+FakeChain.prototype.rpcMethods = {
+  eth_chainId() {
+    return toQuantity(this.chainId);
+  },
+  net_version() {
+    return this.chainId.toString();
+  },
+  web3_clientVersion() {
+    return 'abunfi-fake-chain';
+  },
+  eth_accounts() {
+    return [];
+  },
+  eth_blockNumber() {
+    return toQuantity(this.latestBlock.number);
+  },
+  eth_gasPrice() {
+    return toQuantity(this.baseFeePerGas);
+  },
+  eth_maxPriorityFeePerGas() {
+    return '0x0';
+  },
+  eth_feeHistory(blockCount, newestBlock) {
+    const newest = this.findBlock(newestBlock) || this.latestBlock;
+    const count = Math.min(Number(blockCount), newest.number + 1);
+    const blocks = this.blocks.slice(newest.number - count + 1, newest.number + 1);
+
+    return {
+      oldestBlock: toQuantity(newest.number - count + 1),
+      baseFeePerGas: [...blocks.map(block => toQuantity(block.baseFeePerGas)), toQuantity(this.baseFeePerGas)],
+      gasUsedRatio: blocks.map(block => Number(block.gasUsed) / Number(BLOCK_GAS_LIMIT)),
+      reward: blocks.map(() => ['0x0'])
+    };
+  },
+  eth_getBalance(address) {
+    return toQuantity(this.getBalance(ethers.getAddress(address)));
+  },
+  eth_getTransactionCount(address) {
+    return toQuantity(this.getNonce(ethers.getAddress(address)));
+  },
+  eth_getCode(address) {
+    // Any non-empty code marks a contract; the fakes have no bytecode
+    return this.contracts.has(ethers.getAddress(address)) ? '0xfe' : '0x';
+  },
+  eth_getStorageAt() {
+    return ZERO_HASH;
+  },
+  eth_getBlockByNumber(blockTag, includeTransactions) {
+    const block = this.findBlock(blockTag);
+    return block ? this.formatBlock(block, includeTransactions) : null;
+  },
+  eth_getBlockByHash(hash, includeTransactions) {
+    const block = this.blocks.find(b => b.hash === hash);
+    return block ? this.formatBlock(block, includeTransactions) : null;
+  },
+  eth_getTransactionByHash(hash) {
+    const entry = this.transactions.get(hash);
+    return entry ? this.formatTransaction(entry) : null;
+  },
+  eth_getTransactionReceipt(hash) {
+    const entry = this.transactions.get(hash);
+    if (!entry) {
+      return null;
+    }
+
+    const { tx, block, receipt } = entry;
+    return {
+      transactionHash: tx.hash,
+      transactionIndex: '0x0',
+      blockHash: block.hash,
+      blockNumber: toQuantity(block.number),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: null,
+      cumulativeGasUsed: toQuantity(receipt.gasUsed),
+      gasUsed: toQuantity(receipt.gasUsed),
+      effectiveGasPrice: toQuantity(receipt.effectiveGasPrice),
+      logs: receipt.logs.map(log => this.formatLog(log)),
+      logsBloom: EMPTY_BLOOM,
+      status: toQuantity(receipt.status),
+      type: toQuantity(tx.type)
+    };
+  },
+  eth_call(transaction) {
+    const result = this.run(transaction);
+    if (!result.success) {
+      throw this.callError(result);
+    }
+    return result.returnData;
+  },
+  eth_estimateGas(transaction) {
+    const result = this.run(transaction);
+    if (!result.success) {
+      throw this.callError(result);
+    }
+    return toQuantity(result.gasUsed);
+  },
+  eth_sendRawTransaction(rawTransaction) {
+    return this.sendRawTransaction(rawTransaction);
+  },
+  eth_getLogs(filter = {}) {
+    let fromBlock;
+    let toBlock;
+
+    if (filter.blockHash) {
+      const block = this.blocks.find(b => b.hash === filter.blockHash);
+      if (!block) {
+        return [];
+      }
+      fromBlock = toBlock = block.number;
+    } else {
+      fromBlock = this.findBlock(filter.fromBlock || 'latest')?.number ?? Number(filter.fromBlock);
+      toBlock = this.findBlock(filter.toBlock || 'latest')?.number ?? this.latestBlock.number;
+    }
+
+    const addresses = filter.address
+      ? [].concat(filter.address).map(address => ethers.getAddress(address))
+      : null;
+    const topics = filter.topics || [];
+
+    return this.logs
+      .filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+      .filter(log => !addresses || addresses.includes(log.address))
+      .filter(log => topics.every((topic, i) => (
+        topic === null || [].concat(topic).some(t => t.toLowerCase() === (log.topics[i] || '').toLowerCase())
+      )))
+      .map(log => this.formatLog(log));
+  },
+
+  // Hardhat/Anvil-style test controls
+  evm_increaseTime(seconds) {
+    this.world.timeOffset += Number(seconds);
+    return toQuantity(this.world.timeOffset);
+  },
+  evm_mine() {
+    this.mineBlock([]);
+    return '0x0';
+  },
+  evm_snapshot() {
+    return toQuantity(this.snapshot());
+  },
+  evm_revert(id) {
+    return this.revert(Number(id));
+  },
+  hardhat_setBalance(address, balance) {
+    this.setBalance(address, balance);
+    return true;
+  }
+};
+
+module.exports = {
+  FakeChain,
+  RpcError
+};
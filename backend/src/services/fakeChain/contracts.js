@@ -0,0 +1,653 @@
+const { ethers } = require('ethers');
+
+const BPS = 10000n;
+const YEAR = 365n * 24n * 60n * 60n;
+const DAY = 24n * 60n * 60n;
+
+// Vault shares have 18 decimals, USDC 6
+const SHARE_SCALE = 10n ** 12n;
+
+// RiskLevel enum of the vault's pending allocation buckets
+const RISK_LEVELS = { low: 0, medium: 1, high: 2 };
+
+// Same limits getSecurityStatus reports for standard and whitelisted accounts
+const PAYMASTER_LIMITS = {
+  standard: { dailyGas: ethers.parseEther('0.1'), dailyTx: 50n, perTxGas: ethers.parseEther('0.01') },
+  whitelisted: { dailyGas: ethers.parseEther('0.2'), dailyTx: 100n, perTxGas: ethers.parseEther('0.02') }
+};
+
+// Error(string) revert, decoded by ethers into CALL_EXCEPTION with `reason`
+class FakeRevert extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+    this.data = ethers.concat([
+      ethers.id('Error(string)').slice(0, 10),
+      ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])
+    ]);
+  }
+}
+
+const check = (condition, reason) => {
+  if (!condition) {
+    throw new FakeRevert(reason);
+  }
+};
+
+const minBigInt = (a, b) => (a < b ? a : b);
+
+/**
+ * Base class of the contract fakes. ABI functions are implemented as methods of
+ * the same name taking the call context first: `totalAssets(ctx)`, `deposit(ctx, amount, receiver)`.
+ * Methods starting with `_` are internal calls between fakes and never reachable through the ABI.
+ * Everything mutable lives in `this.state` so the chain can snapshot and restore it.
+ */
+class FakeContract {
+  constructor(address, abi, state) {
+    this.address = address;
+    this.interface = new ethers.Interface(abi);
+    this.state = state;
+  }
+
+  /**
+   * Decode calldata, run the matching method and encode its result
+   * @param {{ chain, from, timestamp, logs }} ctx
+   */
+  execute(ctx, data) {
+    let call = null;
+    try {
+      call = this.interface.parseTransaction({ data });
+    } catch (error) {
+      throw new FakeRevert(`Invalid calldata: ${error.shortMessage || error.message}`);
+    }
+    check(call, 'Unknown function selector');
+
+    const method = call.fragment.name;
+    check(!method.startsWith('_') && typeof this[method] === 'function', `${method} is not supported by the fake chain`);
+
+    const result = this[method](ctx, ...call.args);
+    if (call.fragment.outputs.length === 0) {
+      return '0x';
+    }
+
+    return this.interface.encodeFunctionResult(call.fragment, call.fragment.outputs.length === 1 ? [result] : result);
+  }
+
+  emit(ctx, eventName, args) {
+    // ABIs exported from the contracts repo may not declare every event the fake knows
+    if (!this.interface.hasEvent(eventName)) {
+      return;
+    }
+
+    const { data, topics } = this.interface.encodeEventLog(eventName, args);
+    ctx.logs.push({ address: this.address, topics, data });
+  }
+
+  onlyOwner(ctx) {
+    check(ctx.from === this.state.owner, 'Ownable: caller is not the owner');
+  }
+}
+
+/**
+ * USDC (MockERC20): 6 decimals, with the open `mint` faucet of the test token
+ */
+class FakeUSDC extends FakeContract {
+  constructor(address, abi) {
+    super(address, abi, {
+      totalSupply: 0n,
+      balances: new Map(),
+      allowances: new Map()
+    });
+  }
+
+  name() {
+    return 'USD Coin';
+  }
+
+  symbol() {
+    return 'USDC';
+  }
+
+  decimals() {
+    return 6n;
+  }
+
+  totalSupply() {
+    return this.state.totalSupply;
+  }
+
+  balanceOf(ctx, owner) {
+    return this.state.balances.get(owner) || 0n;
+  }
+
+  allowance(ctx, owner, spender) {
+    return this.state.allowances.get(`${owner}:${spender}`) || 0n;
+  }
+
+  approve(ctx, spender, amount) {
+    this.state.allowances.set(`${ctx.from}:${spender}`, amount);
+    this.emit(ctx, 'Approval', [ctx.from, spender, amount]);
+    return true;
+  }
+
+  transfer(ctx, to, amount) {
+    this._move(ctx, ctx.from, to, amount);
+    return true;
+  }
+
+  transferFrom(ctx, from, to, amount) {
+    const allowance = this.allowance(ctx, from, ctx.from);
+    check(allowance >= amount, 'ERC20: insufficient allowance');
+
+    this.state.allowances.set(`${from}:${ctx.from}`, allowance - amount);
+    this._move(ctx, from, to, amount);
+    return true;
+  }
+
+  mint(ctx, to, amount) {
+    this._mint(ctx, to, amount);
+  }
+
+  _mint(ctx, to, amount) {
+    this.state.totalSupply += amount;
+    this.state.balances.set(to, this.balanceOf(ctx, to) + amount);
+    this.emit(ctx, 'Transfer', [ethers.ZeroAddress, to, amount]);
+  }
+
+  _move(ctx, from, to, amount) {
+    const balance = this.balanceOf(ctx, from);
+    check(balance >= amount, 'ERC20: transfer amount exceeds balance');
+
+    this.state.balances.set(from, balance - amount);
+    this.state.balances.set(to, this.balanceOf(ctx, to) + amount);
+    this.emit(ctx, 'Transfer', [from, to, amount]);
+  }
+}
+
+/**
+ * Yield strategy holding USDC that accrues simple interest at its APY.
+ * Interest is minted to the strategy whenever its balance changes.
+ */
+class FakeStrategy extends FakeContract {
+  constructor(address, abi, { name, apyBps, usdc, vault }) {
+    super(address, abi, {
+      name,
+      apyBps: BigInt(apyBps),
+      vault,
+      lastAccrual: null
+    });
+    this.usdc = usdc;
+  }
+
+  name() {
+    return this.state.name;
+  }
+
+  asset() {
+    return this.usdc.address;
+  }
+
+  vault() {
+    return this.state.vault;
+  }
+
+  getAPY() {
+    return this.state.apyBps;
+  }
+
+  totalAssets(ctx) {
+    return this.usdc.balanceOf(ctx, this.address) + this._pendingInterest(ctx);
+  }
+
+  _pendingInterest(ctx) {
+    if (this.state.lastAccrual === null) {
+      return 0n;
+    }
+
+    const elapsed = BigInt(ctx.timestamp) - this.state.lastAccrual;
+    return elapsed > 0n
+      ? this.usdc.balanceOf(ctx, this.address) * this.state.apyBps * elapsed / (BPS * YEAR)
+      : 0n;
+  }
+
+  _accrue(ctx) {
+    const interest = this._pendingInterest(ctx);
+    if (interest > 0n) {
+      this.usdc._mint(ctx, this.address, interest);
+    }
+    this.state.lastAccrual = BigInt(ctx.timestamp);
+  }
+
+  _setAPY(ctx, apyBps) {
+    this._accrue(ctx);
+    this.state.apyBps = BigInt(apyBps);
+  }
+
+  // USDC must already have been transferred to the strategy
+  _deposit(ctx) {
+    this._accrue(ctx);
+  }
+
+  _withdraw(ctx, amount, to) {
+    this._accrue(ctx);
+    this.usdc._move(ctx, this.address, to, amount);
+  }
+}
+
+/**
+ * AbunfiVault: share accounting, deposits parked as pending allocations until a
+ * batch allocation spreads them over the strategies by weight, and withdrawals
+ * served from idle funds first and then from the strategies.
+ */
+class FakeVault extends FakeContract {
+  constructor(address, abi, { usdc, owner, deployedAt, config }) {
+    super(address, abi, {
+      owner,
+      strategies: [],
+      totalShares: 0n,
+      shares: new Map(),
+      deposits: new Map(),
+      riskLevels: new Map(),
+      pendingTotal: 0n,
+      pendingByRisk: [0n, 0n, 0n],
+      pendingDepositors: new Set(),
+      lastAllocationTime: BigInt(deployedAt),
+      minimumDeposit: config.minimumDeposit,
+      allocationThreshold: config.allocationThreshold,
+      allocationInterval: config.allocationInterval,
+      emergencyAllocationThreshold: config.emergencyAllocationThreshold
+    });
+    this.usdc = usdc;
+  }
+
+  asset() {
+    return this.usdc.address;
+  }
+
+  MINIMUM_DEPOSIT() {
+    return this.state.minimumDeposit;
+  }
+
+  totalAssets(ctx) {
+    return this.state.strategies.reduce(
+      (total, { address }) => total + ctx.chain.contractAt(address).totalAssets(ctx),
+      this.usdc.balanceOf(ctx, this.address)
+    );
+  }
+
+  userShares(ctx, user) {
+    return this.state.shares.get(user) || 0n;
+  }
+
+  userDeposits(ctx, user) {
+    return this.state.deposits.get(user) || 0n;
+  }
+
+  balanceOf(ctx, user) {
+    return this._sharesToAssets(ctx, this.userShares(ctx, user));
+  }
+
+  earnedYield(ctx, user) {
+    const balance = this.balanceOf(ctx, user);
+    const deposits = this.userDeposits(ctx, user);
+    return balance > deposits ? balance - deposits : 0n;
+  }
+
+  getAllStrategiesInfo(ctx) {
+    const strategies = this.state.strategies.map(({ address, weight }) => ({
+      contract: ctx.chain.contractAt(address),
+      address,
+      weight
+    }));
+
+    return [
+      strategies.map(s => s.address),
+      strategies.map(s => s.contract.name()),
+      strategies.map(s => s.contract.totalAssets(ctx)),
+      strategies.map(s => s.contract.getAPY()),
+      strategies.map(s => s.weight)
+    ];
+  }
+
+  deposit(ctx, amount, receiver) {
+    check(amount >= this.state.minimumDeposit, 'Amount below minimum deposit');
+    this._accrueAll(ctx);
+
+    const totalAssets = this.totalAssets(ctx);
+    const shares = this.state.totalShares === 0n || totalAssets === 0n
+      ? amount * SHARE_SCALE
+      : amount * this.state.totalShares / totalAssets;
+
+    this.usdc.transferFrom(ctx.as(this.address), ctx.from, this.address, amount);
+
+    this.state.totalShares += shares;
+    this.state.shares.set(receiver, this.userShares(ctx, receiver) + shares);
+    this.state.deposits.set(receiver, this.userDeposits(ctx, receiver) + amount);
+
+    const riskLevel = this._riskLevel(receiver);
+    this.state.pendingTotal += amount;
+    this.state.pendingByRisk[riskLevel] += amount;
+    this.state.pendingDepositors.add(receiver);
+
+    this.emit(ctx, 'Deposit', [ctx.from, receiver, amount, shares]);
+    return shares;
+  }
+
+  withdraw(ctx, shares, receiver, owner) {
+    check(ctx.from === owner, 'Caller is not the owner of the shares');
+
+    const userShares = this.userShares(ctx, owner);
+    check(shares > 0n && shares <= userShares, 'Insufficient shares');
+    this._accrueAll(ctx);
+
+    const assets = this._sharesToAssets(ctx, shares);
+    const deposits = this.userDeposits(ctx, owner);
+
+    this.state.totalShares -= shares;
+    this.state.shares.set(owner, userShares - shares);
+    this.state.deposits.set(owner, deposits - deposits * shares / userShares);
+
+    // Idle funds first (they are the pending allocations), then the strategies in order
+    const fromIdle = minBigInt(assets, this.usdc.balanceOf(ctx, this.address));
+    this._releasePending(owner, fromIdle);
+
+    let missing = assets - fromIdle;
+    for (const { address } of this.state.strategies) {
+      if (missing === 0n) {
+        break;
+      }
+
+      const strategy = ctx.chain.contractAt(address);
+      const amount = minBigInt(missing, strategy.totalAssets(ctx));
+      if (amount > 0n) {
+        strategy._withdraw(ctx.as(this.address), amount, this.address);
+        missing -= amount;
+      }
+    }
+    check(missing === 0n, 'Insufficient liquidity');
+
+    this.usdc._move(ctx, this.address, receiver, assets);
+
+    this.emit(ctx, 'Withdraw', [ctx.from, receiver, owner, assets, shares]);
+    return assets;
+  }
+
+  // Move invested assets so every strategy holds its weight's share; pending deposits stay idle
+  rebalance(ctx) {
+    this.onlyOwner(ctx);
+    this._accrueAll(ctx);
+
+    const strategies = this.state.strategies.map(({ address, weight }) => ({ contract: ctx.chain.contractAt(address), weight }));
+    const invested = strategies.reduce((total, s) => total + s.contract.totalAssets(ctx), 0n);
+    const targets = this._split(invested, strategies.map(s => s.weight));
+
+    strategies.forEach((s, i) => {
+      const current = s.contract.totalAssets(ctx);
+      if (current > targets[i]) {
+        s.contract._withdraw(ctx.as(this.address), current - targets[i], this.address);
+      }
+    });
+    strategies.forEach((s, i) => {
+      const current = s.contract.totalAssets(ctx);
+      if (current < targets[i]) {
+        this._invest(ctx, s.contract, targets[i] - current);
+      }
+    });
+  }
+
+  allocationThreshold() {
+    return this.state.allocationThreshold;
+  }
+
+  allocationInterval() {
+    return this.state.allocationInterval;
+  }
+
+  emergencyAllocationThreshold() {
+    return this.state.emergencyAllocationThreshold;
+  }
+
+  lastAllocationTime() {
+    return this.state.lastAllocationTime;
+  }
+
+  totalPendingAllocation() {
+    return this.state.pendingTotal;
+  }
+
+  pendingAllocationsByRisk(ctx, riskLevel) {
+    check(Number(riskLevel) < this.state.pendingByRisk.length, 'Invalid risk level');
+    return this.state.pendingByRisk[Number(riskLevel)];
+  }
+
+  pendingDepositorsCount() {
+    return BigInt(this.state.pendingDepositors.size);
+  }
+
+  // A batch is due once pending funds reach the threshold or the interval has passed;
+  // the emergency threshold is kept for reporting
+  shouldTriggerAllocation(ctx) {
+    const { pendingTotal, allocationThreshold, allocationInterval, lastAllocationTime } = this.state;
+
+    return pendingTotal > 0n && (
+      pendingTotal >= allocationThreshold ||
+      BigInt(ctx.timestamp) >= lastAllocationTime + allocationInterval
+    );
+  }
+
+  // Pending funds of every risk bucket are spread over the strategies by weight
+  triggerBatchAllocation(ctx) {
+    check(this.shouldTriggerAllocation(ctx), 'Allocation conditions not met');
+    check(this.state.strategies.some(s => s.weight > 0n), 'No active strategies');
+    this._accrueAll(ctx);
+
+    const total = this.state.pendingTotal;
+    const amounts = this._split(total, this.state.strategies.map(s => s.weight));
+
+    this.state.strategies.forEach(({ address }, i) => {
+      if (amounts[i] > 0n) {
+        this._invest(ctx, ctx.chain.contractAt(address), amounts[i]);
+      }
+    });
+
+    this.state.pendingTotal = 0n;
+    this.state.pendingByRisk = [0n, 0n, 0n];
+    this.state.pendingDepositors.clear();
+    this.state.lastAllocationTime = BigInt(ctx.timestamp);
+
+    this.emit(ctx, 'BatchAllocationExecuted', [total, BigInt(ctx.timestamp)]);
+  }
+
+  _addStrategy(ctx, strategy, weight) {
+    check(!this._findStrategy(strategy), 'Strategy already added');
+    this.state.strategies.push({ address: strategy, weight });
+  }
+
+  _removeStrategy(ctx, strategy) {
+    const entry = this._findStrategy(strategy);
+    check(entry, 'Strategy not found');
+
+    const contract = ctx.chain.contractAt(strategy);
+    const assets = contract.totalAssets(ctx);
+    if (assets > 0n) {
+      contract._withdraw(ctx.as(this.address), assets, this.address);
+    }
+    this.state.strategies = this.state.strategies.filter(s => s !== entry);
+  }
+
+  _setWeight(ctx, strategy, weight) {
+    const entry = this._findStrategy(strategy);
+    check(entry, 'Strategy not found');
+    entry.weight = weight;
+  }
+
+  _setRiskLevel(user, riskLevel) {
+    this.state.riskLevels.set(user, riskLevel);
+  }
+
+  _findStrategy(strategy) {
+    return this.state.strategies.find(s => s.address === strategy);
+  }
+
+  _riskLevel(user) {
+    return this.state.riskLevels.get(user) ?? RISK_LEVELS.medium;
+  }
+
+  _sharesToAssets(ctx, shares) {
+    return this.state.totalShares === 0n ? 0n : shares * this.totalAssets(ctx) / this.state.totalShares;
+  }
+
+  _releasePending(owner, amount) {
+    const released = minBigInt(amount, this.state.pendingTotal);
+    this.state.pendingTotal -= released;
+
+    // Take from the owner's bucket first, then from the others
+    let remaining = released;
+    const levels = [this._riskLevel(owner), ...[0, 1, 2].filter(level => level !== this._riskLevel(owner))];
+    for (const level of levels) {
+      const taken = minBigInt(remaining, this.state.pendingByRisk[level]);
+      this.state.pendingByRisk[level] -= taken;
+      remaining -= taken;
+    }
+  }
+
+  _invest(ctx, strategy, amount) {
+    strategy._accrue(ctx);
+    this.usdc._move(ctx, this.address, strategy.address, amount);
+    strategy._deposit(ctx);
+  }
+
+  _accrueAll(ctx) {
+    this.state.strategies.forEach(({ address }) => ctx.chain.contractAt(address)._accrue(ctx));
+  }
+
+  // Split an amount by weights; rounding dust goes to the first weighted strategy
+  _split(amount, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+    if (totalWeight === 0n) {
+      return weights.map(() => 0n);
+    }
+
+    const parts = weights.map(weight => amount * weight / totalWeight);
+    const dust = amount - parts.reduce((sum, part) => sum + part, 0n);
+    const first = weights.findIndex(weight => weight > 0n);
+    parts[first] += dust;
+    return parts;
+  }
+}
+
+/**
+ * StrategyManager: owner-only strategy registry and weights of the vault
+ */
+class FakeStrategyManager extends FakeContract {
+  constructor(address, abi, { owner, vault }) {
+    super(address, abi, { owner });
+    this.vault = vault;
+  }
+
+  addStrategy(ctx, strategy, weight) {
+    this.onlyOwner(ctx);
+    this.vault._addStrategy(ctx, strategy, weight);
+  }
+
+  removeStrategy(ctx, strategy) {
+    this.onlyOwner(ctx);
+    this.vault._removeStrategy(ctx, strategy);
+  }
+
+  updateStrategyWeight(ctx, strategy, newWeight) {
+    this.onlyOwner(ctx);
+    this.vault._setWeight(ctx, strategy, newWeight);
+  }
+
+  getAllStrategies() {
+    return this.vault.state.strategies.map(s => s.address);
+  }
+}
+
+/**
+ * EIP-7702 paymaster: sponsors gas per user within daily gas and transaction
+ * limits that reset 24 hours after the first sponsored transaction of a window
+ */
+class FakePaymaster extends FakeContract {
+  constructor(address, abi, { owner, balance }) {
+    super(address, abi, {
+      owner,
+      balance,
+      whitelisted: new Set(),
+      usage: new Map()
+    });
+  }
+
+  getBalance() {
+    return this.state.balance;
+  }
+
+  isWhitelisted(ctx, user) {
+    return this.state.whitelisted.has(user);
+  }
+
+  dailyGasUsed(ctx, user) {
+    return this._usage(ctx, user).gasUsed;
+  }
+
+  dailyTxCount(ctx, user) {
+    return this._usage(ctx, user).txCount;
+  }
+
+  lastResetTimestamp(ctx, user) {
+    return this._usage(ctx, user).lastReset;
+  }
+
+  setWhitelisted(ctx, user, whitelisted) {
+    this.onlyOwner(ctx);
+
+    if (whitelisted) {
+      this.state.whitelisted.add(user);
+    } else {
+      this.state.whitelisted.delete(user);
+    }
+  }
+
+  // The sponsored transaction is not executed; only its gas cost is charged to the user's limits
+  sponsorTransaction(ctx, user, transaction) {
+    const limits = this.isWhitelisted(ctx, user) ? PAYMASTER_LIMITS.whitelisted : PAYMASTER_LIMITS.standard;
+    const usage = this._usage(ctx, user);
+    const gasCost = ctx.chain.estimateTransactionGas(transaction) * ctx.chain.baseFeePerGas;
+
+    check(gasCost <= limits.perTxGas, 'Per-transaction gas limit exceeded');
+    check(usage.gasUsed + gasCost <= limits.dailyGas, 'Daily gas limit exceeded');
+    check(usage.txCount < limits.dailyTx, 'Daily transaction limit exceeded');
+    check(this.state.balance >= gasCost, 'Insufficient paymaster balance');
+
+    this.state.balance -= gasCost;
+    this.state.usage.set(user, {
+      gasUsed: usage.gasUsed + gasCost,
+      txCount: usage.txCount + 1n,
+      lastReset: usage.lastReset
+    });
+
+    this.emit(ctx, 'TransactionSponsored', [user, gasCost]);
+  }
+
+  _usage(ctx, user) {
+    const now = BigInt(ctx.timestamp);
+    const usage = this.state.usage.get(user);
+
+    // A new window starts with the first transaction after the previous one expired
+    if (!usage || now >= usage.lastReset + DAY) {
+      return { gasUsed: 0n, txCount: 0n, lastReset: now };
+    }
+    return usage;
+  }
+}
+
+module.exports = {
+  FakeRevert,
+  FakeUSDC,
+  FakeStrategy,
+  FakeVault,
+  FakeStrategyManager,
+  FakePaymaster,
+  RISK_LEVELS
+};
@@ -0,0 +1,178 @@
+const { ethers } = require('ethers');
+const {
+  VAULT_ABI,
+  STRATEGY_MANAGER_ABI,
+  USDC_ABI,
+  PAYMASTER_ABI
+} = require('../../config/contractAbis');
+const { strategyRegistry } = require('../strategies');
+const { FakeChain, RpcError } = require('./chain');
+const FakeChainProvider = require('./provider');
+const {
+  FakeRevert,
+  FakeUSDC,
+  FakeStrategy,
+  FakeVault,
+  FakeStrategyManager,
+  FakePaymaster,
+  RISK_LEVELS
+} = require('./contracts');
+
+// Fixed keys so contract addresses and the default admin are the same on every start
+const DEPLOYER_KEY = ethers.id('abunfi-fake-chain-deployer');
+const DEFAULT_OWNER_KEY = ethers.id('abunfi-fake-chain-owner');
+
+// Vault weight (basis points) of the built-in strategies; other registered adapters are deployed unweighted.
+// Each strategy earns its adapter's demo APY.
+const DEFAULT_WEIGHTS = {
+  aave: 3000,
+  compound: 2500,
+  liquidStaking: 1500,
+  liquidityProviding: 1000,
+  uniswapV4FairFlow: 2000
+};
+const DEFAULT_APY_BPS = 500;
+
+/**
+ * The Abunfi contracts deployed on a FakeChain, with an ethers provider and
+ * helpers that change state directly (no transaction) for tests and local setup
+ */
+class FakeDeployment {
+  /**
+   * @param {Object} options
+   * @param {number} options.chainId
+   * @param {string} options.ownerPrivateKey - Admin of the vault, strategy manager and paymaster
+   * @param {function} options.now - Clock in milliseconds (defaults to Date.now)
+   * @param {bigint} options.baseFeePerGas
+   * @param {Object} options.vault - Overrides of minimumDeposit, allocationThreshold, allocationInterval,
+   *   emergencyAllocationThreshold (USDC amounts in 6 decimals, interval in seconds)
+   */
+  constructor({ chainId = 31337, ownerPrivateKey = DEFAULT_OWNER_KEY, now, baseFeePerGas, vault = {} } = {}) {
+    this.chain = new FakeChain({ chainId, now, baseFeePerGas });
+    this.ownerPrivateKey = ownerPrivateKey;
+    this.owner = new ethers.Wallet(ownerPrivateKey).address;
+
+    const deployer = ethers.computeAddress(DEPLOYER_KEY);
+    let nonce = 0;
+    const nextAddress = () => ethers.getCreateAddress({ from: deployer, nonce: nonce++ });
+
+    this.usdc = this.chain.addContract(new FakeUSDC(nextAddress(), USDC_ABI));
+    this.vault = this.chain.addContract(new FakeVault(nextAddress(), VAULT_ABI, {
+      usdc: this.usdc,
+      owner: this.owner,
+      deployedAt: this.chain.pendingTimestamp(),
+      config: {
+        minimumDeposit: ethers.parseUnits('4', 6),
+        allocationThreshold: ethers.parseUnits('1000', 6),
+        allocationInterval: 14400n,
+        emergencyAllocationThreshold: ethers.parseUnits('5000', 6),
+        ...vault
+      }
+    }));
+    this.strategyManager = this.chain.addContract(new FakeStrategyManager(nextAddress(), STRATEGY_MANAGER_ABI, {
+      owner: this.owner,
+      vault: this.vault
+    }));
+    this.paymaster = this.chain.addContract(new FakePaymaster(nextAddress(), PAYMASTER_ABI, {
+      owner: this.owner,
+      balance: ethers.parseEther('10')
+    }));
+
+    this.strategies = {};
+    const ctx = this.context();
+    for (const adapter of strategyRegistry.list()) {
+      const strategy = this.chain.addContract(new FakeStrategy(nextAddress(), adapter.abi, {
+        name: adapter.name,
+        apyBps: adapter.demo ? Math.round(adapter.demo.apy * 100) : DEFAULT_APY_BPS,
+        usdc: this.usdc,
+        vault: this.vault.address
+      }));
+      this.vault._addStrategy(ctx, strategy.address, BigInt(DEFAULT_WEIGHTS[adapter.type] || 0));
+      this.strategies[adapter.type] = strategy;
+    }
+
+    this.provider = new FakeChainProvider(this.chain);
+  }
+
+  get addresses() {
+    return {
+      vault: this.vault.address,
+      strategyManager: this.strategyManager.address,
+      usdc: this.usdc.address,
+      paymaster: this.paymaster.address,
+      ...Object.fromEntries(Object.entries(this.strategies).map(([type, strategy]) => [type, strategy.address]))
+    };
+  }
+
+  /**
+   * The deployment in the chain registry's artifact format
+   */
+  getDeployment() {
+    return {
+      chainId: Number(this.chain.chainId),
+      name: 'Fake chain',
+      explorerUrl: null,
+      rpcUrls: [],
+      contracts: {
+        vault: this.vault.address,
+        strategyManager: this.strategyManager.address,
+        usdc: this.usdc.address,
+        paymaster: this.paymaster.address,
+        strategies: Object.fromEntries(Object.entries(this.strategies).map(([type, strategy]) => [type, strategy.address]))
+      }
+    };
+  }
+
+  context() {
+    return this.chain.createContext(ethers.ZeroAddress, this.chain.pendingTimestamp(), []);
+  }
+
+  /**
+   * Credit USDC (decimal string or number) to an address
+   */
+  mintUsdc(to, amount) {
+    this.usdc._mint(this.context(), ethers.getAddress(to), ethers.parseUnits(String(amount), 6));
+  }
+
+  setStrategyAPY(type, apyBps) {
+    this.strategies[type]._setAPY(this.context(), apyBps);
+  }
+
+  setWhitelisted(user, whitelisted = true) {
+    this.paymaster.setWhitelisted({ ...this.context(), from: this.owner }, ethers.getAddress(user), whitelisted);
+  }
+
+  // Risk bucket ('low' | 'medium' | 'high') that the user's deposits are pending in
+  setRiskLevel(user, riskLevel) {
+    this.vault._setRiskLevel(ethers.getAddress(user), RISK_LEVELS[riskLevel]);
+  }
+
+  increaseTime(seconds) {
+    return this.chain.increaseTime(seconds);
+  }
+
+  snapshot() {
+    return this.chain.snapshot();
+  }
+
+  revert(id) {
+    return this.chain.revert(id);
+  }
+
+  destroy() {
+    this.provider.destroy();
+  }
+}
+
+function createFakeChain(options) {
+  return new FakeDeployment(options);
+}
+
+module.exports = {
+  createFakeChain,
+  FakeDeployment,
+  FakeChain,
+  FakeChainProvider,
+  FakeRevert,
+  RpcError
+};
@@ -0,0 +1,40 @@
+const { ethers } = require('ethers');
+
+/**
+ * ethers provider answering JSON-RPC from a FakeChain in-process
+ * Requests go through the same JSON-RPC encoding and error mapping as a real
+ * node, so reverts surface as CALL_EXCEPTION and nonce errors as NONCE_EXPIRED.
+ */
+class FakeChainProvider extends ethers.JsonRpcApiProvider {
+  constructor(chain) {
+    const network = ethers.Network.from(chain.chainId);
+
+    super(network, {
+      staticNetwork: network,
+      batchMaxCount: 1,
+      // No filter support: events are polled with eth_getLogs
+      polling: true,
+      pollingInterval: 250,
+      // State changes on every transaction; never serve cached results
+      cacheTimeout: -1
+    });
+
+    this.chain = chain;
+  }
+
+  async _send(payload) {
+    return [].concat(this.chain.handle(payload));
+  }
+
+  // Per-endpoint status has no meaning here; reported like the pool for /health
+  getStatus() {
+    return {
+      chainId: Number(this.chain.chainId),
+      activeEndpoint: 'fake-chain',
+      headBlock: this.chain.latestBlock.number,
+      endpoints: []
+    };
+  }
+}
+
+module.exports = FakeChainProvider;
@@ -0,0 +1,251 @@
+const cron = require('node-cron');
+const EmailOutboxRepository = require('../models/postgres/EmailOutboxRepository');
+const { createMailTransport } = require('./mailTransports');
+const emailTemplates = require('../templates/email');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Emails about account security go out even when the user turned email notifications off
+const SECURITY_TEMPLATES = ['email_verification', 'password_reset', 'new_device_login', 'account_recovery'];
+
+// Placeholder addresses given to accounts registered without an email (phone login)
+const PLACEHOLDER_DOMAIN = '@abunfi.local';
+
+/**
+ * Mail Service - Transactional email through an outbox
+ * Emails are rendered and written to email_outbox when they are triggered, then
+ * delivered by a worker (MAIL_OUTBOX_CRON, and right after each enqueue) that
+ * leases due rows, sends them through MAIL_TRANSPORT and retries failures with
+ * exponential backoff. Enqueueing never throws, so a mail problem cannot fail
+ * the request that triggered it.
+ */
+class MailService {
+  constructor() {
+    this.enabled = process.env.MAIL_OUTBOX_ENABLED !== 'false';
+    this.schedule = process.env.MAIL_OUTBOX_CRON || '*/30 * * * * *';
+    this.from = process.env.MAIL_FROM || 'Abunfi <no-reply@abunfi.com>';
+    this.frontendUrl = process.env.FRONTEND_URL || 'https://abunfi.com';
+    this.batchSize = parseInt(process.env.MAIL_OUTBOX_BATCH_SIZE || '20');
+    this.maxAttempts = parseInt(process.env.MAIL_MAX_ATTEMPTS || '8');
+    this.retryBaseSeconds = parseInt(process.env.MAIL_RETRY_BASE_SECONDS || '60');
+    this.leaseSeconds = parseInt(process.env.MAIL_LEASE_SECONDS || '120');
+    this.retentionDays = parseInt(process.env.MAIL_RETENTION_DAYS || '30');
+
+    this.transport = null;
+    this.task = null;
+    this.isProcessing = false;
+    this.lastProcessedAt = null;
+    this.lastPrunedAt = null;
+    this.lastError = null;
+  }
+
+  start() {
+    if (!this.enabled) {
+      logger.info('Email outbox worker disabled (MAIL_OUTBOX_ENABLED=false)');
+      return;
+    }
+
+    if (this.task) {
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error(`Invalid MAIL_OUTBOX_CRON expression: ${this.schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.processOutbox());
+    this.processOutbox();
+
+    logger.info(`Email outbox worker started (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Email outbox worker stopped');
+    }
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createMailTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Frontend link for a path
+   */
+  link(path) {
+    return `${this.frontendUrl}${path}`;
+  }
+
+  /**
+   * Render a template and queue it for delivery
+   * @param {string} template - Name from templates/email
+   * @param {{ to, userId, locale, data, dedupeKey }} options
+   * @returns {Promise<Object|null>} The outbox row, or null if not queued (duplicate or error)
+   */
+  async enqueue(template, { to, userId = null, locale, data = {}, dedupeKey = null }) {
+    try {
+      const rendered = emailTemplates.render(template, locale, data);
+
+      const email = await EmailOutboxRepository.enqueue({
+        user_id: userId,
+        to_address: to,
+        template,
+        locale: rendered.locale,
+        subject: rendered.subject,
+        text_body: rendered.text,
+        html_body: rendered.html,
+        dedupe_key: dedupeKey,
+        max_attempts: this.maxAttempts
+      });
+
+      if (email && this.enabled) {
+        // Deliver now rather than at the next tick; failures stay queued for retry
+        setImmediate(() => this.processOutbox());
+      }
+
+      return email;
+    } catch (error) {
+      logger.error(`Failed to queue ${template} email:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a template for a user, in their language
+   * Skipped for accounts without a real address, and for non-security emails
+   * when the user turned email notifications off.
+   */
+  async sendToUser(user, template, data = {}, { dedupeKey = null } = {}) {
+    if (!user || !user.email || user.email.endsWith(PLACEHOLDER_DOMAIN)) {
+      return null;
+    }
+
+    const preferences = user.preferences || {};
+    if (!SECURITY_TEMPLATES.includes(template) && preferences.notifications?.email === false) {
+      return null;
+    }
+
+    return await this.enqueue(template, {
+      to: user.email,
+      userId: user.id,
+      locale: preferences.language,
+      data: { name: user.name, ...data },
+      dedupeKey
+    });
+  }
+
+  /**
+   * Deposit or withdrawal confirmation email, once per transaction
+   */
+  async sendTransactionConfirmed(user, transaction) {
+    const template = {
+      deposit: 'deposit_confirmed',
+      withdraw: 'withdrawal_confirmed'
+    }[transaction.type];
+
+    if (!template) {
+      return null;
+    }
+
+    return await this.sendToUser(user, template, {
+      amount: transaction.amount,
+      amountVnd: transaction.amount_vnd,
+      txHash: transaction.tx_hash,
+      link: this.link('/transactions')
+    }, { dedupeKey: `${template}:${transaction.id}` });
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempts - 1), capped at a day
+   * @private
+   */
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseSeconds * 1000 * 2 ** Math.max(attempts - 1, 0), DAY);
+  }
+
+  /**
+   * Send every due email. Overlapping runs are skipped.
+   * @returns {Promise<{ sent: number, failed: number }>}
+   */
+  async processOutbox() {
+    if (this.isProcessing) {
+      return { sent: 0, failed: 0 };
+    }
+
+    this.isProcessing = true;
+    const counts = { sent: 0, failed: 0 };
+
+    try {
+      const transport = this.getTransport();
+      let batch;
+
+      do {
+        batch = await EmailOutboxRepository.claimDue(this.batchSize, this.leaseSeconds);
+
+        for (const email of batch) {
+          try {
+            const { messageId } = await transport.send({
+              id: email.id,
+              from: this.from,
+              to: email.to_address,
+              subject: email.subject,
+              text: email.text_body,
+              html: email.html_body,
+              headers: { 'X-Abunfi-Template': email.template }
+            });
+
+            await EmailOutboxRepository.markSent(email.id, transport.name, messageId);
+            counts.sent++;
+          } catch (error) {
+            const retry = email.attempts < email.max_attempts;
+            await EmailOutboxRepository.markFailed(
+              email.id,
+              error.message,
+              retry ? new Date(Date.now() + this.retryDelay(email.attempts)) : null
+            );
+            counts.failed++;
+
+            logger.warn(`Email ${email.id} (${email.template}) attempt ${email.attempts} failed${retry ? '' : ', giving up'}: ${error.message}`);
+          }
+        }
+      } while (batch.length === this.batchSize);
+
+      // Prune sent emails at most hourly; the worker runs far more often
+      if (!this.lastPrunedAt || Date.now() - this.lastPrunedAt >= HOUR) {
+        await EmailOutboxRepository.deleteSentBefore(new Date(Date.now() - this.retentionDays * DAY));
+        this.lastPrunedAt = Date.now();
+      }
+
+      this.lastProcessedAt = new Date();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('Email outbox run failed:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return counts;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.task,
+      schedule: this.schedule,
+      transport: process.env.MAIL_TRANSPORT || 'file',
+      lastProcessedAt: this.lastProcessedAt ? this.lastProcessedAt.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new MailService();
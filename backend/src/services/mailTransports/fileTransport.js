@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Mail Transport - Writes each email to a directory instead of sending it
+ * One <id>.json (headers and text) and one <id>.html per email, for local development.
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = path.resolve(options.directory || 'logs/mail');
+  }
+
+  async send({ id, from, to, subject, text, html, headers }) {
+    const messageId = `${id}@file`;
+    const base = path.join(this.directory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}`);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(`${base}.json`, JSON.stringify({ messageId, from, to, subject, headers, text }, null, 2));
+    await fs.promises.writeFile(`${base}.html`, html);
+
+    return { messageId };
+  }
+}
+
+module.exports = FileTransport;
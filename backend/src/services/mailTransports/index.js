@@ -0,0 +1,31 @@
+const FileTransport = require('./fileTransport');
+const SmtpTransport = require('./smtpTransport');
+
+/**
+ * Create the mail transport selected by MAIL_TRANSPORT (file | smtp).
+ * Every transport implements:
+ *   name
+ *   send({ id, from, to, subject, text, html, headers }) -> { messageId }
+ */
+function createMailTransport(name = process.env.MAIL_TRANSPORT || 'file') {
+  switch (name) {
+    case 'file':
+      return new FileTransport({ directory: process.env.MAIL_FILE_DIR });
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+      });
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+}
+
+module.exports = {
+  createMailTransport,
+  FileTransport,
+  SmtpTransport
+};
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP Mail Transport - Sends through any SMTP server (SES, Mailgun, Postmark, ...)
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new Error('SMTP mail transport requires SMTP_HOST');
+    }
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port || 587,
+      secure: !!options.secure,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined,
+      connectionTimeout: options.timeout || 10000
+    });
+  }
+
+  async send({ from, to, subject, text, html, headers }) {
+    const info = await this.transporter.sendMail({ from, to, subject, text, html, headers });
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const PhoneOtpRepository = require('../models/postgres/PhoneOtpRepository');
+const databaseService = require('./DatabaseService');
+const { createSmsProvider } = require('./smsProviders');
+const { normalizePhone, maskPhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60;
+const CODE_LENGTH = 6;
+
+const otpError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * OTP Service - SMS one-time codes for phone login
+ * Codes are random 6-digit numbers stored only as an HMAC bound to the number,
+ * expire after OTP_TTL_SECONDS and lock after OTP_MAX_ATTEMPTS wrong guesses.
+ * Sending is throttled per number (resend interval and hourly cap) and per IP.
+ */
+class OtpService {
+  constructor() {
+    this.ttlSeconds = parseInt(process.env.OTP_TTL_SECONDS || '300');
+    this.maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS || '5');
+    this.resendSeconds = parseInt(process.env.OTP_RESEND_SECONDS || '60');
+    this.maxPerPhonePerHour = parseInt(process.env.OTP_MAX_PER_PHONE_PER_HOUR || '5');
+    this.maxPerIpPerHour = parseInt(process.env.OTP_MAX_PER_IP_PER_HOUR || '20');
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createSmsProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * HMAC of a code, bound to the number and purpose so a leaked hash cannot be
+   * brute-forced without the server secret or replayed for another number
+   * @private
+   */
+  hashCode(phone, purpose, code) {
+    return crypto
+      .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+      .update(`${purpose}:${phone}:${code}`)
+      .digest('hex');
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+  }
+
+  /**
+   * Normalize a phone number or fail with INVALID_PHONE
+   * @returns {string} E.164
+   */
+  normalize(phone) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      throw otpError('INVALID_PHONE', 'Enter a valid Vietnamese mobile number');
+    }
+    return normalized;
+  }
+
+  /**
+   * Throttle sending to a number and from an IP
+   * @private
+   */
+  async checkThrottle(phone, ipAddress) {
+    const resend = await databaseService.checkRateLimit(`otp:resend:${phone}`, 1, this.resendSeconds);
+    if (!resend.allowed) {
+      throw otpError('RATE_LIMITED', 'Please wait before requesting another code', { retryAfter: this.resendSeconds });
+    }
+
+    const perPhone = await databaseService.checkRateLimit(`otp:phone:${phone}`, this.maxPerPhonePerHour, HOUR);
+    if (!perPhone.allowed) {
+      throw otpError('RATE_LIMITED', 'Too many codes requested for this number, please try again later', { retryAfter: HOUR });
+    }
+
+    if (ipAddress) {
+      const perIp = await databaseService.checkRateLimit(`otp:ip:${ipAddress}`, this.maxPerIpPerHour, HOUR);
+      if (!perIp.allowed) {
+        throw otpError('RATE_LIMITED', 'Too many codes requested, please try again later', { retryAfter: HOUR });
+      }
+    }
+  }
+
+  /**
+   * Send a new code to a number, replacing any earlier one
+   * @param {string} phone - As typed by the user
+   * @param {{ purpose, ipAddress }} options
+   * @returns {Promise<{ phone: string, expiresAt: Date }>} E.164 number and code expiry
+   */
+  async sendCode(phone, { purpose = 'login', ipAddress } = {}) {
+    const normalized = this.normalize(phone);
+    await this.checkThrottle(normalized, ipAddress);
+
+    const code = this.generateCode();
+    const otp = await PhoneOtpRepository.create({
+      phone: normalized,
+      purpose,
+      code_hash: this.hashCode(normalized, purpose, code),
+      expires_at: new Date(Date.now() + this.ttlSeconds * 1000),
+      ip_address: ipAddress
+    });
+
+    const provider = this.getProvider();
+    try {
+      // Unaccented so the message fits one GSM-7 segment
+      const { messageId } = await provider.send({
+        to: normalized,
+        body: `Ma xac thuc Abunfi cua ban la ${code}. Ma het han sau ${Math.ceil(this.ttlSeconds / 60)} phut. Khong chia se ma nay.`
+      });
+      await PhoneOtpRepository.recordDelivery(otp.id, provider.name, messageId);
+    } catch (error) {
+      logger.error(`SMS to ${maskPhone(normalized)} via ${provider.name} failed:`, error);
+      await PhoneOtpRepository.supersede(otp.id);
+      throw otpError('SMS_FAILED', 'Could not send the verification code, please try again');
+    }
+
+    logger.info(`Verification code sent to ${maskPhone(normalized)} via ${provider.name}`);
+
+    return { phone: normalized, expiresAt: otp.expires_at };
+  }
+
+  /**
+   * Check a code and consume it
+   * @returns {Promise<string>} The verified E.164 number
+   */
+  async verifyCode(phone, code, { purpose = 'login' } = {}) {
+    const normalized = this.normalize(phone);
+    const otp = await PhoneOtpRepository.findActive(normalized, purpose);
+
+    if (!otp) {
+      throw otpError('INVALID_CODE', 'Invalid verification code');
+    }
+
+    if (new Date(otp.expires_at) <= new Date()) {
+      throw otpError('CODE_EXPIRED', 'Verification code has expired, request a new one');
+    }
+
+    // Count the guess before checking it, so parallel guesses cannot exceed the limit
+    const attempts = await PhoneOtpRepository.incrementAttempts(otp.id, this.maxAttempts);
+    if (attempts === null) {
+      throw otpError('TOO_MANY_ATTEMPTS', 'Too many wrong codes, request a new one');
+    }
+
+    const expected = Buffer.from(otp.code_hash, 'hex');
+    const actual = Buffer.from(this.hashCode(normalized, purpose, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      if (attempts >= this.maxAttempts) {
+        throw otpError('TOO_MANY_ATTEMPTS', 'Too many wrong codes, request a new one');
+      }
+      throw otpError('INVALID_CODE', 'Invalid verification code', { attemptsRemaining: this.maxAttempts - attempts });
+    }
+
+    // Concurrent checks of the same code: only one consumes it
+    if (!await PhoneOtpRepository.consume(otp.id, this.maxAttempts)) {
+      throw otpError('INVALID_CODE', 'Invalid verification code');
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,154 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Binary Prover - Runs the RISC Zero host binary as a child process
+ */
+class BinaryProver {
+  constructor(options = {}) {
+    this.name = 'binary';
+    this.binaryPath = options.binaryPath || path.join(__dirname, '../../../bin/zkvm-prover');
+  }
+
+  /**
+   * Generate a proof. Rejections carry `transient: true` when retrying may
+   * succeed and `code: 'TIMEOUT'` when the prover ran for too long.
+   */
+  async prove({ verificationId, platform, oauthToken, walletAddress, timeout, onProgress = () => {} }) {
+    return new Promise((resolve, reject) => {
+      logger.info(`Executing zkVM prover for ${verificationId}`);
+
+      // Spawn the Rust zkVM prover binary
+      const prover = spawn(this.binaryPath, [
+        platform.toLowerCase(),
+        oauthToken,
+        walletAddress
+      ]);
+
+      let stdout = '';
+      let stderr = '';
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        prover.kill();
+        const error = new Error('Verification timeout');
+        error.code = 'TIMEOUT';
+        finish(error);
+      }, timeout);
+
+      prover.on('spawn', () => onProgress('proving'));
+
+      // Collect stdout
+      prover.stdout.on('data', (data) => {
+        stdout += data.toString();
+        logger.debug(`zkVM stdout: ${data}`);
+      });
+
+      // Collect stderr
+      prover.stderr.on('data', (data) => {
+        stderr += data.toString();
+        logger.debug(`zkVM stderr: ${data}`);
+      });
+
+      // Handle process completion
+      prover.on('close', (code) => {
+        if (code === 0) {
+          try {
+            finish(null, this.parseOutput(stdout));
+          } catch (error) {
+            logger.error(`Failed to parse prover output for ${verificationId}:`, error);
+            finish(new Error('Failed to parse verification result'));
+          }
+        } else {
+          logger.error(`zkVM prover exited with code ${code} for ${verificationId}`);
+          logger.error(`stderr: ${stderr}`);
+
+          const error = new Error(`Prover failed with code ${code}: ${stderr}`);
+          error.transient = true;
+          finish(error);
+        }
+      });
+
+      // Handle process errors
+      prover.on('error', (error) => {
+        logger.error(`Failed to spawn zkVM prover for ${verificationId}:`, error);
+
+        const spawnError = new Error(`Failed to execute prover: ${error.message}`);
+        // A missing or non-executable binary will not fix itself
+        spawnError.transient = !['ENOENT', 'EACCES'].includes(error.code);
+        finish(spawnError);
+      });
+    });
+  }
+
+  /**
+   * Parse the output from the zkVM prover
+   */
+  parseOutput(output) {
+    try {
+      // The prover outputs JSON result
+      // Look for JSON in the output
+      const jsonMatch = output.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        return JSON.parse(jsonMatch[0]);
+      }
+
+      // Fallback: parse text output
+      const lines = output.split('\n');
+      const result = {
+        verification_success: false,
+        social_account_hash: null,
+        account_age: 0,
+        follower_count: 0,
+        proof_hash: null,
+        receipt: null
+      };
+
+      for (const line of lines) {
+        if (line.includes('Success:')) {
+          result.verification_success = line.includes('true');
+        } else if (line.includes('Social Account Hash:')) {
+          result.social_account_hash = line.split(':')[1].trim();
+        } else if (line.includes('Account Age:')) {
+          result.account_age = parseInt(line.split(':')[1].trim());
+        } else if (line.includes('Follower Count:')) {
+          result.follower_count = parseInt(line.split(':')[1].trim());
+        } else if (line.includes('Proof Hash:')) {
+          result.proof_hash = line.split(':')[1].trim();
+        }
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to parse prover output:', error);
+      throw new Error('Invalid prover output format');
+    }
+  }
+
+  async getReadiness() {
+    try {
+      await fs.promises.access(this.binaryPath, fs.constants.X_OK);
+      return { ready: true, binaryPath: this.binaryPath };
+    } catch (error) {
+      return { ready: false, binaryPath: this.binaryPath, error: `Prover binary not executable: ${error.code}` };
+    }
+  }
+}
+
+module.exports = BinaryProver;
@@ -0,0 +1,32 @@
+const BinaryProver = require('./binaryProver');
+const MockProver = require('./mockProver');
+const RemoteProver = require('./remoteProver');
+
+/**
+ * Create the prover backend selected by ZKVM_PROVER_BACKEND (binary | mock | remote).
+ * Every backend implements:
+ *   prove({ verificationId, platform, oauthToken, walletAddress, timeout, onProgress }) -> result
+ *   getReadiness() -> { ready, ... }
+ */
+function createProver(backend = process.env.ZKVM_PROVER_BACKEND || 'binary') {
+  switch (backend) {
+    case 'binary':
+      return new BinaryProver({ binaryPath: process.env.ZKVM_PROVER_PATH });
+    case 'mock':
+      return new MockProver({ delayMs: parseInt(process.env.ZKVM_MOCK_PROVER_DELAY_MS || '0') });
+    case 'remote':
+      return new RemoteProver({
+        url: process.env.ZKVM_REMOTE_PROVER_URL,
+        apiKey: process.env.ZKVM_REMOTE_PROVER_API_KEY
+      });
+    default:
+      throw new Error(`Unknown zkVM prover backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createProver,
+  BinaryProver,
+  MockProver,
+  RemoteProver
+};
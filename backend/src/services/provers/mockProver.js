@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const fixtures = require('./fixtures/mockProver.json');
+
+const sha256 = (data) => `0x${crypto.createHash('sha256').update(data).digest('hex')}`;
+
+/**
+ * Mock Prover - Deterministic stand-in for the RISC Zero prover
+ * Builds well-formed receipts and journals from fixtures so the verification
+ * flow can run on machines without the prover binary (local dev, CI).
+ * The same inputs always produce the same receipt.
+ *
+ * OAuth tokens starting with the fixture prefixes simulate a rejected
+ * account ("mock-reject...") or a transient prover failure ("mock-transient...").
+ */
+class MockProver {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.delay = options.delayMs || 0;
+  }
+
+  async prove({ platform, oauthToken, walletAddress, onProgress = () => {} }) {
+    onProgress('proving');
+
+    if (this.delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.delay));
+    }
+
+    if (oauthToken.startsWith(fixtures.transientFailureTokenPrefix)) {
+      const error = new Error('Mock prover transient failure');
+      error.transient = true;
+      throw error;
+    }
+
+    const platformKey = platform.toLowerCase();
+    const account = fixtures.platforms[platformKey];
+    if (!account) {
+      throw new Error(`Mock prover has no fixture for platform: ${platform}`);
+    }
+
+    const journal = {
+      platform: platformKey,
+      wallet_address: walletAddress.toLowerCase(),
+      social_account_hash: sha256(`${platformKey}:${oauthToken}`),
+      account_age: account.accountAge,
+      follower_count: account.followerCount,
+      verification_success: !oauthToken.startsWith(fixtures.rejectTokenPrefix)
+    };
+
+    const journalHex = `0x${Buffer.from(JSON.stringify(journal)).toString('hex')}`;
+    const receipt = Buffer.from(JSON.stringify({
+      image_id: fixtures.imageId,
+      journal: journalHex,
+      seal: sha256(`${fixtures.imageId}${journalHex}`)
+    })).toString('base64');
+
+    return {
+      verification_success: journal.verification_success,
+      social_account_hash: journal.social_account_hash,
+      account_age: journal.account_age,
+      follower_count: journal.follower_count,
+      proof_hash: sha256(receipt),
+      journal: journalHex,
+      receipt
+    };
+  }
+
+  async getReadiness() {
+    return { ready: true, imageId: fixtures.imageId };
+  }
+}
+
+module.exports = MockProver;
@@ -0,0 +1,82 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+/**
+ * Remote Prover - Delegates proving to an HTTP prover service
+ * POST {baseUrl}/prove returns the same result shape as the binary prover;
+ * GET {baseUrl}/health is used for readiness.
+ */
+class RemoteProver {
+  constructor(options = {}) {
+    this.name = 'remote';
+    this.baseUrl = (options.url || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+  }
+
+  getHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async prove({ verificationId, platform, oauthToken, walletAddress, timeout, onProgress = () => {} }) {
+    if (!this.baseUrl) {
+      throw new Error('Remote prover URL not configured');
+    }
+
+    logger.info(`Requesting remote proof for ${verificationId}`);
+    onProgress('proving');
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/prove`, {
+        verification_id: verificationId,
+        platform: platform.toLowerCase(),
+        oauth_token: oauthToken,
+        wallet_address: walletAddress
+      }, {
+        timeout,
+        headers: this.getHeaders()
+      });
+
+      return response.data.result || response.data;
+    } catch (error) {
+      throw this.toProverError(error);
+    }
+  }
+
+  /**
+   * Classify HTTP failures: timeouts, network errors, 429 and 5xx can be retried
+   * @private
+   */
+  toProverError(error) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      const timeoutError = new Error('Verification timeout');
+      timeoutError.code = 'TIMEOUT';
+      return timeoutError;
+    }
+
+    if (!error.response) {
+      const networkError = new Error(`Remote prover unreachable: ${error.message}`);
+      networkError.transient = true;
+      return networkError;
+    }
+
+    const { status, data } = error.response;
+    const proverError = new Error(`Remote prover failed with status ${status}: ${(data && data.error) || error.message}`);
+    proverError.transient = status === 429 || status >= 500;
+    return proverError;
+  }
+
+  async getReadiness() {
+    if (!this.baseUrl) {
+      return { ready: false, error: 'ZKVM_REMOTE_PROVER_URL not configured' };
+    }
+
+    try {
+      await axios.get(`${this.baseUrl}/health`, { timeout: 5000, headers: this.getHeaders() });
+      return { ready: true, url: this.baseUrl };
+    } catch (error) {
+      return { ready: false, url: this.baseUrl, error: error.message };
+    }
+  }
+}
+
+module.exports = RemoteProver;
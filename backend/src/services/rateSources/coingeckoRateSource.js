@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+// CoinGecko coin quoted for each base currency: users hold USDC, so USD is priced as USDC
+const COIN_IDS = {
+  USD: 'usd-coin'
+};
+
+/**
+ * CoinGecko Rate Source - Rates from the CoinGecko simple price API
+ * GET {baseUrl}/simple/price?ids=usd-coin&vs_currencies=vnd
+ */
+class CoingeckoRateSource {
+  constructor(options = {}) {
+    this.name = 'coingecko';
+    this.baseUrl = (options.url || 'https://api.coingecko.com/api/v3').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async fetchRate(base, quote) {
+    const coinId = COIN_IDS[base];
+    if (!coinId) {
+      throw new Error(`CoinGecko has no coin for ${base}`);
+    }
+
+    const vsCurrency = quote.toLowerCase();
+    const response = await axios.get(`${this.baseUrl}/simple/price`, {
+      params: { ids: coinId, vs_currencies: vsCurrency, include_last_updated_at: true },
+      headers: this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {},
+      timeout: this.timeout
+    });
+
+    const price = response.data && response.data[coinId];
+    if (!price || price[vsCurrency] === undefined) {
+      throw new Error(`CoinGecko returned no ${base}/${quote} price`);
+    }
+
+    return {
+      rate: String(price[vsCurrency]),
+      quotedAt: price.last_updated_at ? new Date(price.last_updated_at * 1000) : new Date()
+    };
+  }
+}
+
+module.exports = CoingeckoRateSource;
@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+/**
+ * ExchangeRate-API Rate Source - Fiat rates from exchangerate-api.com
+ * The URL is the latest-rates endpoint for the base currency; {base} is replaced,
+ * e.g. https://api.exchangerate-api.com/v4/latest/{base}
+ */
+class ExchangeRateApiSource {
+  constructor(options = {}) {
+    this.name = 'exchangerate-api';
+    this.url = options.url || 'https://api.exchangerate-api.com/v4/latest/{base}';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async fetchRate(base, quote) {
+    const url = this.url.includes('{base}')
+      ? this.url.replace('{base}', base)
+      : this.url.replace(/[A-Z]{3}$/, base);
+
+    const response = await axios.get(url, { timeout: this.timeout });
+    const rate = response.data && response.data.rates && response.data.rates[quote];
+
+    if (rate === undefined) {
+      throw new Error(`ExchangeRate-API returned no ${base}/${quote} rate`);
+    }
+
+    return {
+      rate: String(rate),
+      quotedAt: response.data.time_last_updated ? new Date(response.data.time_last_updated * 1000) : new Date()
+    };
+  }
+}
+
+module.exports = ExchangeRateApiSource;
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Used when no rates file is configured, so offline setups still have a rate
+const STUB_RATES = {
+  'USD/VND': '25000'
+};
+
+/**
+ * File Rate Source - Rates from a local JSON file, or built-in stub rates
+ * The file looks like { "asOf": "2025-01-01T00:00:00Z", "rates": { "USD/VND": "25400" } }
+ * and is re-read on every fetch, so it can be edited while the backend runs.
+ */
+class FileRateSource {
+  constructor(options = {}) {
+    this.path = options.path ? path.resolve(options.path) : null;
+    this.name = this.path ? 'file' : 'stub';
+  }
+
+  async fetchRate(base, quote) {
+    const { rates, asOf } = this.path
+      ? JSON.parse(await fs.promises.readFile(this.path, 'utf8'))
+      : { rates: STUB_RATES };
+
+    const rate = rates && rates[`${base}/${quote}`];
+    if (rate === undefined) {
+      throw new Error(`No ${base}/${quote} rate in ${this.path || 'stub rates'}`);
+    }
+
+    return {
+      rate: String(rate),
+      quotedAt: asOf ? new Date(asOf) : new Date()
+    };
+  }
+}
+
+FileRateSource.STUB_RATES = STUB_RATES;
+
+module.exports = FileRateSource;
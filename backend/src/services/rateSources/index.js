@@ -0,0 +1,41 @@
+const CoingeckoRateSource = require('./coingeckoRateSource');
+const ExchangeRateApiSource = require('./exchangeRateApiSource');
+const FileRateSource = require('./fileRateSource');
+
+function createRateSource(name) {
+  switch (name) {
+    case 'coingecko':
+      return new CoingeckoRateSource({
+        url: process.env.COINGECKO_API_URL,
+        apiKey: process.env.COINGECKO_API_KEY
+      });
+    case 'exchangerate-api':
+      return new ExchangeRateApiSource({ url: process.env.EXCHANGE_RATE_API_URL });
+    case 'file':
+      return new FileRateSource({ path: process.env.FX_RATES_FILE });
+    default:
+      throw new Error(`Unknown exchange rate source: ${name}`);
+  }
+}
+
+/**
+ * Create the exchange rate sources listed in FX_RATE_SOURCES (comma-separated, tried in order).
+ * Every source implements:
+ *   name
+ *   fetchRate(base, quote) -> { rate (decimal string), quotedAt (Date) }
+ */
+function createRateSources(config = process.env.FX_RATE_SOURCES || 'coingecko,file') {
+  return config
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(createRateSource);
+}
+
+module.exports = {
+  createRateSources,
+  createRateSource,
+  CoingeckoRateSource,
+  ExchangeRateApiSource,
+  FileRateSource
+};
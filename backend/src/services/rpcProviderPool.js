@@ -0,0 +1,344 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+// Weight of the newest sample in the latency and error-rate moving averages
+const EWMA_ALPHA = 0.3;
+
+// Error codes that say nothing about the request itself, so another endpoint may answer it.
+// Reverts (CALL_EXCEPTION), bad arguments and the like are returned to the caller as-is.
+const ENDPOINT_ERRORS = ['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR', 'UNKNOWN_ERROR', 'BAD_DATA'];
+
+// Sending the same signed transaction twice is not an idempotent read; only one endpoint gets it
+const NON_RETRIABLE_METHODS = ['broadcastTransaction'];
+
+const isEndpointError = (error) => ENDPOINT_ERRORS.includes(error.code);
+
+// RPC URLs often carry an API key in the path or query; only the origin is reported
+function redactUrl(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+function createRequest(url, timeout) {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = timeout;
+  return request;
+}
+
+async function fetchChainId(url, timeout) {
+  const request = createRequest(url, timeout);
+  request.setHeader('content-type', 'application/json');
+  request.body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] });
+
+  const response = await request.send();
+  response.assertOk();
+
+  const { result, error } = response.bodyJson;
+  if (error) {
+    throw new Error(error.message || 'eth_chainId failed');
+  }
+
+  return BigInt(result);
+}
+
+/**
+ * RPC Provider Pool - ethers provider backed by several JSON-RPC endpoints
+ * Each endpoint is scored on latency, recent error rate and how far its head
+ * block lags behind the best endpoint. Requests go to the best healthy endpoint;
+ * reads that fail for endpoint reasons (timeouts, 5xx, connection errors) are
+ * retried on the next one, while transaction broadcasts are never resent.
+ * Endpoints that fail repeatedly are cooled down, and a periodic eth_blockNumber
+ * probe keeps latency and block height current for idle endpoints.
+ */
+class RpcProviderPool extends ethers.AbstractProvider {
+  /**
+   * Probe the endpoints for their chain id and build a pool on the chain of the
+   * first one that answers. Endpoints on a different chain are disabled.
+   * @param {string[]} urls - JSON-RPC URLs in order of preference
+   * @param {Object} options - See constructor
+   */
+  static async connect(urls, options = {}) {
+    if (!urls || urls.length === 0) {
+      throw new Error('At least one RPC URL is required');
+    }
+
+    const timeout = options.timeout || 10000;
+    const probes = await Promise.allSettled(urls.map(url => fetchChainId(url, timeout)));
+    const reachable = probes.find(probe => probe.status === 'fulfilled');
+
+    if (!reachable) {
+      throw new Error(`No RPC endpoint reachable: ${probes[0].reason.message}`);
+    }
+
+    const chainId = reachable.value;
+    const pool = new RpcProviderPool(urls, ethers.Network.from(chainId), options);
+
+    probes.forEach((probe, index) => {
+      const endpoint = pool.endpoints[index];
+
+      if (probe.status === 'rejected') {
+        pool.recordFailure(endpoint, probe.reason);
+      } else if (probe.value !== chainId) {
+        endpoint.disabled = `chain id ${probe.value} does not match ${chainId}`;
+        logger.error(`RPC endpoint ${endpoint.label} disabled: ${endpoint.disabled}`);
+      }
+    });
+
+    return pool;
+  }
+
+  /**
+   * @param {string[]} urls - JSON-RPC URLs in order of preference
+   * @param {ethers.Network} network - Chain every endpoint must serve
+   * @param {{ timeout, healthCheckInterval, maxBlockLag, failureThreshold, cooldown, maxAttempts }} options
+   */
+  constructor(urls, network, options = {}) {
+    super(network);
+
+    this.timeout = options.timeout || 10000;
+    this.healthCheckInterval = options.healthCheckInterval || 15000;
+    this.maxBlockLag = options.maxBlockLag ?? 5;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 30000;
+    this.maxAttempts = options.maxAttempts || urls.length;
+
+    this.staticNetwork = network;
+    this.healthTimer = null;
+
+    const labels = urls.map(redactUrl);
+    this.endpoints = urls.map((url, index) => ({
+      label: labels.filter(label => label === labels[index]).length > 1 ? `${labels[index]} #${index + 1}` : labels[index],
+      provider: new ethers.JsonRpcProvider(createRequest(url, this.timeout), network, {
+        staticNetwork: network,
+        batchMaxCount: 1
+      }),
+      latencyMs: null,
+      errorRate: 0,
+      blockNumber: null,
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      lastError: null,
+      disabled: null
+    }));
+  }
+
+  async _detectNetwork() {
+    return this.staticNetwork;
+  }
+
+  /**
+   * Start probing endpoint health in the background
+   */
+  startHealthChecks() {
+    if (this.healthTimer) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+    this.healthTimer.unref();
+    this.checkHealth();
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Probe every enabled endpoint for its head block
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints
+      .filter(endpoint => !endpoint.disabled)
+      .map(async endpoint => {
+        try {
+          await this.performOn(endpoint, { method: 'getBlockNumber' });
+        } catch (error) {
+          // Recorded by performOn
+        }
+      }));
+  }
+
+  async _perform(req) {
+    const candidates = this.rankEndpoints();
+    const attempts = NON_RETRIABLE_METHODS.includes(req.method)
+      ? candidates.slice(0, 1)
+      : candidates.slice(0, this.maxAttempts);
+
+    if (attempts.length === 0) {
+      throw ethers.makeError('No RPC endpoint available', 'NETWORK_ERROR', { event: req.method });
+    }
+
+    let lastError;
+    for (const endpoint of attempts) {
+      try {
+        return await this.performOn(endpoint, req);
+      } catch (error) {
+        if (!isEndpointError(error)) {
+          throw error;
+        }
+
+        lastError = error;
+        if (endpoint !== attempts[attempts.length - 1]) {
+          logger.warn(`RPC ${req.method} failed on ${endpoint.label} (${error.code}), trying next endpoint`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Run a request on one endpoint and update its statistics
+   * @private
+   */
+  async performOn(endpoint, req) {
+    const startedAt = Date.now();
+    endpoint.requests++;
+
+    try {
+      const result = await endpoint.provider._perform(req);
+      this.recordSuccess(endpoint, Date.now() - startedAt);
+
+      if (req.method === 'getBlockNumber') {
+        endpoint.blockNumber = Number(result);
+      }
+
+      return result;
+    } catch (error) {
+      if (isEndpointError(error)) {
+        this.recordFailure(endpoint, error);
+      } else {
+        // The endpoint answered; the request itself was rejected
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : endpoint.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA;
+    endpoint.errorRate *= 1 - EWMA_ALPHA;
+    endpoint.consecutiveFailures = 0;
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_ALPHA) + EWMA_ALPHA;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.shortMessage || error.message;
+
+    if (endpoint.consecutiveFailures >= this.failureThreshold && Date.now() >= endpoint.cooldownUntil) {
+      endpoint.cooldownUntil = Date.now() + this.cooldown;
+      logger.warn(`RPC endpoint ${endpoint.label} failed ${endpoint.consecutiveFailures} times in a row, cooling down for ${this.cooldown}ms`);
+    }
+  }
+
+  getHeadBlock() {
+    return this.endpoints.reduce((head, endpoint) => Math.max(head, endpoint.blockNumber ?? 0), 0);
+  }
+
+  getBlockLag(endpoint, head = this.getHeadBlock()) {
+    return endpoint.blockNumber === null ? null : head - endpoint.blockNumber;
+  }
+
+  isHealthy(endpoint, head = this.getHeadBlock()) {
+    const lag = this.getBlockLag(endpoint, head);
+    return !endpoint.disabled
+      && Date.now() >= endpoint.cooldownUntil
+      && (lag === null || lag <= this.maxBlockLag);
+  }
+
+  // Lower is better: latency in ms, plus a second per unit of error rate and 100ms per block of lag
+  getScore(endpoint, head = this.getHeadBlock()) {
+    return (endpoint.latencyMs ?? 0) + endpoint.errorRate * 1000 + (this.getBlockLag(endpoint, head) ?? 0) * 100;
+  }
+
+  /**
+   * Enabled endpoints, healthy ones first, each group best score first.
+   * Unhealthy endpoints stay at the back as a last resort.
+   */
+  rankEndpoints() {
+    const head = this.getHeadBlock();
+    const byScore = (a, b) => this.getScore(a, head) - this.getScore(b, head);
+    const enabled = this.endpoints.filter(endpoint => !endpoint.disabled);
+
+    return [
+      ...enabled.filter(endpoint => this.isHealthy(endpoint, head)).sort(byScore),
+      ...enabled.filter(endpoint => !this.isHealthy(endpoint, head)).sort(byScore)
+    ];
+  }
+
+  /**
+   * Per-endpoint health for the /health endpoint
+   */
+  getStatus() {
+    const head = this.getHeadBlock();
+    const [active] = this.rankEndpoints();
+
+    return {
+      chainId: Number(this.staticNetwork.chainId),
+      activeEndpoint: active ? active.label : null,
+      headBlock: head || null,
+      endpoints: this.endpoints.map(endpoint => ({
+        url: endpoint.label,
+        healthy: this.isHealthy(endpoint, head),
+        score: Math.round(this.getScore(endpoint, head)),
+        latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+        errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+        blockNumber: endpoint.blockNumber,
+        blockLag: this.getBlockLag(endpoint, head),
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        coolingDownUntil: endpoint.cooldownUntil > Date.now() ? new Date(endpoint.cooldownUntil).toISOString() : null,
+        lastError: endpoint.lastError,
+        disabled: endpoint.disabled
+      }))
+    };
+  }
+
+  destroy() {
+    this.stopHealthChecks();
+    this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    super.destroy();
+  }
+}
+
+function defaultRpcUrls() {
+  return (process.env.RPC_URLS || process.env.RPC_URL || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build a pool over the given URLs, by default RPC_URLS (comma-separated, in order of
+ * preference) falling back to RPC_URL. Timeouts and health settings come from RPC_*.
+ * @param {string[]} urls
+ */
+async function createProviderPool(urls = defaultRpcUrls()) {
+  const pool = await RpcProviderPool.connect(urls, {
+    timeout: parseInt(process.env.RPC_TIMEOUT_MS || '10000'),
+    healthCheckInterval: parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || '15000'),
+    maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || '5'),
+    failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD || '3'),
+    cooldown: parseInt(process.env.RPC_COOLDOWN_MS || '30000')
+  });
+
+  pool.startHealthChecks();
+  return pool;
+}
+
+module.exports = {
+  RpcProviderPool,
+  createProviderPool
+};
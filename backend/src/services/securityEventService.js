@@ -0,0 +1,156 @@
+const SecurityEventRepository = require('../models/postgres/SecurityEventRepository');
+const UserRepository = require('../models/postgres/UserRepository');
+const { hasPermission } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+// Event types clients may report; everything else (logins, passkeys, 2FA,
+// sessions) is written by the server only
+const CLIENT_EVENT_PREFIX = 'client_';
+
+const securityEventError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const sameAddress = (a, b) => !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Security Event Service - Audit trail of security events in security_events
+ * Events logged by the auth flows (logins, 2FA, sessions, recovery) and events
+ * reported by clients through the security API share one table, so a wallet's
+ * history, its filters and its daily severity counts cover both.
+ */
+class SecurityEventService {
+  /**
+   * Record an event. Failures default to `warning` severity, everything else to `info`.
+   * Never throws: losing an audit row must not break the request that caused it.
+   * @param {{ userId, walletAddress, eventType, eventStatus, severity, message, metadata, req }} event
+   * @returns {Promise<Object|null>} The stored event
+   */
+  async record({ userId = null, walletAddress = null, eventType, eventStatus, severity, message = null, metadata = {}, req = null }) {
+    try {
+      return await SecurityEventRepository.create({
+        user_id: userId,
+        wallet_address: walletAddress,
+        event_type: eventType,
+        event_status: eventStatus,
+        severity: severity || (eventStatus === 'failure' ? 'warning' : 'info'),
+        message,
+        ip_address: req ? req.ip || req.connection?.remoteAddress : null,
+        user_agent: req ? req.get('User-Agent') : null,
+        metadata
+      });
+    } catch (error) {
+      logger.error('Log security event error:', error);
+      return null;
+    }
+  }
+
+  isClientEventType(eventType) {
+    return typeof eventType === 'string' && eventType.startsWith(CLIENT_EVENT_PREFIX) && eventType.length > CLIENT_EVENT_PREFIX.length;
+  }
+
+  ownsWallet(user, walletAddress) {
+    return sameAddress(user.wallet_address, walletAddress);
+  }
+
+  /**
+   * Whether the user may read (security:read) or report (security:write) events
+   * for a wallet: its owner, or anyone holding the permission
+   */
+  canAccessWallet(user, walletAddress, permission = 'security:read') {
+    return hasPermission(user, permission) || this.ownsWallet(user, walletAddress);
+  }
+
+  /**
+   * Filters scoped to everything recorded for a wallet, including events
+   * logged against the account that owns it
+   */
+  async getWalletScope(walletAddress) {
+    const owner = await UserRepository.findByWalletAddress(walletAddress);
+    return { walletAddress, userId: owner ? owner.id : null };
+  }
+
+  /**
+   * One page of events, newest first
+   * @param {Object} filters - { walletAddress, userId, eventTypes, severities, from, to }
+   * @param {{ limit, cursor }} page - `cursor` is the `nextCursor` of the previous page
+   * @returns {Promise<{ events: Array, nextCursor: string|null }>}
+   */
+  async list(filters, { limit = 50, cursor = null } = {}) {
+    const after = cursor ? this.decodeCursor(cursor) : null;
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await SecurityEventRepository.find(filters, limit + 1, after);
+    const page = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+
+    return {
+      events: page.map(row => this.toPublicJSON(row)),
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  /**
+   * Event counts per severity for every day that has events
+   * @returns {Promise<Array<{ date, info, warning, error, critical, total }>>}
+   */
+  async summarize(filters) {
+    const rows = await SecurityEventRepository.countBySeverityPerDay(filters);
+    const days = new Map();
+
+    for (const row of rows) {
+      if (!days.has(row.day)) {
+        days.set(row.day, { date: row.day, info: 0, warning: 0, error: 0, critical: 0, total: 0 });
+      }
+
+      const day = days.get(row.day);
+      const count = parseInt(row.count);
+      day[row.severity] = count;
+      day.total += count;
+    }
+
+    return Array.from(days.values());
+  }
+
+  encodeCursor(row) {
+    return Buffer.from(`${row.cursor_created_at}|${row.id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+
+    if (!CURSOR_TIMESTAMP.test(createdAt || '') || !UUID.test(id || '')) {
+      throw securityEventError('INVALID_CURSOR', 'Invalid pagination cursor');
+    }
+
+    return { createdAt, id };
+  }
+
+  toPublicJSON(event) {
+    return {
+      id: event.id,
+      walletAddress: event.wallet_address,
+      eventType: event.event_type,
+      eventStatus: event.event_status,
+      severity: event.severity,
+      message: event.message,
+      metadata: event.metadata,
+      ipAddress: event.ip_address,
+      userAgent: event.user_agent,
+      timestamp: event.created_at
+    };
+  }
+}
+
+const securityEventService = new SecurityEventService();
+securityEventService.SEVERITIES = SEVERITIES;
+securityEventService.CLIENT_EVENT_PREFIX = CLIENT_EVENT_PREFIX;
+
+module.exports = securityEventService;
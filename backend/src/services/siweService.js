@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const SiweNonceRepository = require('../models/postgres/SiweNonceRepository');
+const blockchainService = require('../config/blockchain');
+const { parseSiweMessage } = require('../utils/siwe');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// EIP-1271 isValidSignature(bytes32,bytes) magic value
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+const EIP1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+
+const siweError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * SIWE Service - Sign-In With Ethereum (EIP-4361) for users bringing their own wallet
+ * The server issues a single-use nonce, the wallet signs a message that binds it
+ * to this site and a supported chain, and the signature is checked by recovering
+ * the signer (EOAs) or, for contract accounts such as the EIP-7702 smart account,
+ * by calling EIP-1271 isValidSignature on that chain.
+ */
+class SiweService {
+  constructor() {
+    const frontendUrl = process.env.FRONTEND_URL || 'https://abunfi.com';
+
+    this.uri = process.env.SIWE_URI || frontendUrl;
+    this.domain = process.env.SIWE_DOMAIN || new URL(this.uri).host;
+    this.statement = process.env.SIWE_STATEMENT || 'Sign in to Abunfi';
+    this.nonceTtlSeconds = parseInt(process.env.SIWE_NONCE_TTL_SECONDS || '600');
+    this.lastPrunedAt = null;
+  }
+
+  /**
+   * Chains a message may name: every deployed chain, connected or not, since EOA
+   * signatures do not need a provider
+   */
+  getChainIds() {
+    return blockchainService.getChainRegistry().map(chain => chain.chainId);
+  }
+
+  /**
+   * Issue a nonce along with the values the client needs to build the message
+   * @param {{ ipAddress }} options
+   */
+  async createNonce({ ipAddress } = {}) {
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.nonceTtlSeconds * 1000);
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    await SiweNonceRepository.create({ nonce, expires_at: expiresAt, ip_address: ipAddress });
+    this.pruneExpired();
+
+    return {
+      nonce,
+      domain: this.domain,
+      uri: this.uri,
+      statement: this.statement,
+      version: '1',
+      chainIds: this.getChainIds(),
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    };
+  }
+
+  // Drop old nonces at most hourly, without holding up the request
+  pruneExpired() {
+    if (this.lastPrunedAt && Date.now() - this.lastPrunedAt < HOUR) {
+      return;
+    }
+
+    this.lastPrunedAt = Date.now();
+    SiweNonceRepository.deleteExpired().catch(error => {
+      logger.warn(`Failed to prune SIWE nonces: ${error.message}`);
+    });
+  }
+
+  /**
+   * Check a message's binding to this site, chain and time
+   * @private
+   */
+  validateMessage(fields, now = Date.now()) {
+    if (!fields) {
+      throw siweError('INVALID_MESSAGE', 'Malformed Sign-In With Ethereum message');
+    }
+
+    if (fields.domain !== this.domain) {
+      throw siweError('INVALID_MESSAGE', `Message is for ${fields.domain}, not ${this.domain}`);
+    }
+
+    let uriOrigin;
+    try {
+      uriOrigin = new URL(fields.uri).origin;
+    } catch (error) {
+      uriOrigin = null;
+    }
+    if (uriOrigin !== new URL(this.uri).origin) {
+      throw siweError('INVALID_MESSAGE', 'Message URI does not match this site');
+    }
+
+    if (fields.version !== '1') {
+      throw siweError('INVALID_MESSAGE', `Unsupported message version: ${fields.version}`);
+    }
+
+    if (!this.getChainIds().includes(fields.chainId)) {
+      throw siweError('UNSUPPORTED_CHAIN', `Chain ${fields.chainId} is not supported`);
+    }
+
+    if (Date.parse(fields.issuedAt) > now + CLOCK_SKEW_MS) {
+      throw siweError('INVALID_MESSAGE', 'Message is issued in the future');
+    }
+
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+      throw siweError('MESSAGE_EXPIRED', 'Message has expired, please sign in again');
+    }
+
+    if (fields.notBefore && Date.parse(fields.notBefore) > now + CLOCK_SKEW_MS) {
+      throw siweError('INVALID_MESSAGE', 'Message is not valid yet');
+    }
+  }
+
+  /**
+   * Check that the address signed the message
+   * @returns {Promise<'eoa'|'eip1271'>} How the signature was verified
+   * @private
+   */
+  async verifySignature(message, signature, address, chainId) {
+    try {
+      if (ethers.verifyMessage(message, signature) === address) {
+        return 'eoa';
+      }
+    } catch (error) {
+      // Not a 65-byte ECDSA signature; contract accounts may use any format
+    }
+
+    const chain = blockchainService.getChain(chainId);
+    if (!chain) {
+      throw siweError('INVALID_SIGNATURE', 'Invalid signature');
+    }
+
+    try {
+      const code = await chain.provider.getCode(address);
+      if (code && code !== '0x') {
+        const account = new ethers.Contract(address, EIP1271_ABI, chain.provider);
+        const result = await account.isValidSignature(ethers.hashMessage(message), signature);
+
+        if (result.toLowerCase() === EIP1271_MAGIC_VALUE) {
+          return 'eip1271';
+        }
+      }
+    } catch (error) {
+      logger.warn(`EIP-1271 check for ${address} on chain ${chainId} failed: ${error.message}`);
+    }
+
+    throw siweError('INVALID_SIGNATURE', 'Invalid signature');
+  }
+
+  /**
+   * Verify a signed message and consume its nonce
+   * @param {string} message - The EIP-4361 message as signed
+   * @param {string} signature - Hex signature
+   * @returns {Promise<{ address: string, chainId: number, signatureType: string }>} Checksummed signer address
+   */
+  async verify(message, signature) {
+    const fields = parseSiweMessage(message);
+    this.validateMessage(fields);
+
+    let address;
+    try {
+      address = ethers.getAddress(fields.address);
+    } catch (error) {
+      throw siweError('INVALID_MESSAGE', 'Message address has an invalid checksum');
+    }
+
+    const signatureType = await this.verifySignature(message, signature, address, fields.chainId);
+
+    // Consumed only after the signature checks out, so a forged message cannot burn a nonce
+    if (!await SiweNonceRepository.consume(fields.nonce, address, fields.chainId)) {
+      throw siweError('INVALID_NONCE', 'Sign-in request has expired or was already used, please try again');
+    }
+
+    return { address, chainId: fields.chainId, signatureType };
+  }
+}
+
+module.exports = new SiweService();
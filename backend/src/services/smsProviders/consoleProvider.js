@@ -0,0 +1,17 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Console SMS Provider - Logs messages instead of sending them (local development)
+ */
+class ConsoleProvider {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, body }) {
+    logger.info(`[SMS to ${to}] ${body}`);
+    return { messageId: null };
+  }
+}
+
+module.exports = ConsoleProvider;
@@ -0,0 +1,43 @@
+const axios = require('axios');
+
+// eSMS result code for an accepted message
+const ACCEPTED = '100';
+
+/**
+ * eSMS Provider - Vietnamese SMS gateway (esms.vn), brandname or OTP messages
+ */
+class EsmsProvider {
+  constructor(options = {}) {
+    if (!options.apiKey || !options.secretKey) {
+      throw new Error('eSMS provider requires ESMS_API_KEY and ESMS_SECRET_KEY');
+    }
+
+    this.name = 'esms';
+    this.url = options.url || 'https://rest.esms.vn/MainService.svc/json/SendMultipleMessage_V4_post_json/';
+    this.apiKey = options.apiKey;
+    this.secretKey = options.secretKey;
+    this.brandname = options.brandname || null;
+    this.smsType = options.smsType || '2';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send({ to, body }) {
+    const response = await axios.post(this.url, {
+      ApiKey: this.apiKey,
+      SecretKey: this.secretKey,
+      Phone: to.replace(/^\+/, ''),
+      Content: body,
+      SmsType: this.smsType,
+      ...(this.brandname ? { Brandname: this.brandname } : {})
+    }, { timeout: this.timeout });
+
+    const { CodeResult, SMSID, ErrorMessage } = response.data || {};
+    if (String(CodeResult) !== ACCEPTED) {
+      throw new Error(`eSMS rejected the message (${CodeResult}${ErrorMessage ? `: ${ErrorMessage}` : ''})`);
+    }
+
+    return { messageId: SMSID };
+  }
+}
+
+module.exports = EsmsProvider;
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File SMS Provider - Appends messages to a JSON-lines outbox file
+ * Lets local setups and end-to-end tests read the codes that would have been sent.
+ */
+class FileProvider {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.path = path.resolve(options.path || 'logs/sms-outbox.jsonl');
+  }
+
+  async send({ to, body }) {
+    const messageId = crypto.randomUUID();
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.promises.appendFile(
+      this.path,
+      JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() }) + '\n'
+    );
+
+    return { messageId };
+  }
+}
+
+module.exports = FileProvider;
@@ -0,0 +1,43 @@
+const ConsoleProvider = require('./consoleProvider');
+const EsmsProvider = require('./esmsProvider');
+const FileProvider = require('./fileProvider');
+const TwilioProvider = require('./twilioProvider');
+
+/**
+ * Create the SMS provider selected by SMS_PROVIDER (console | file | twilio | esms).
+ * Every provider implements:
+ *   name
+ *   send({ to (E.164), body }) -> { messageId }
+ */
+function createSmsProvider(name = process.env.SMS_PROVIDER || 'console') {
+  switch (name) {
+    case 'console':
+      return new ConsoleProvider();
+    case 'file':
+      return new FileProvider({ path: process.env.SMS_OUTBOX_FILE });
+    case 'twilio':
+      return new TwilioProvider({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM_NUMBER,
+        messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID
+      });
+    case 'esms':
+      return new EsmsProvider({
+        apiKey: process.env.ESMS_API_KEY,
+        secretKey: process.env.ESMS_SECRET_KEY,
+        brandname: process.env.ESMS_BRANDNAME,
+        smsType: process.env.ESMS_SMS_TYPE
+      });
+    default:
+      throw new Error(`Unknown SMS provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createSmsProvider,
+  ConsoleProvider,
+  EsmsProvider,
+  FileProvider,
+  TwilioProvider
+};
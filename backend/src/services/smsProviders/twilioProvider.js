@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+/**
+ * Twilio SMS Provider - Programmable Messaging REST API
+ * Sends from a Messaging Service when one is configured, otherwise from a number.
+ */
+class TwilioProvider {
+  constructor(options = {}) {
+    if (!options.accountSid || !options.authToken) {
+      throw new Error('Twilio SMS provider requires TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
+    }
+    if (!options.from && !options.messagingServiceSid) {
+      throw new Error('Twilio SMS provider requires TWILIO_FROM_NUMBER or TWILIO_MESSAGING_SERVICE_SID');
+    }
+
+    this.name = 'twilio';
+    this.accountSid = options.accountSid;
+    this.authToken = options.authToken;
+    this.from = options.from || null;
+    this.messagingServiceSid = options.messagingServiceSid || null;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send({ to, body }) {
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (this.messagingServiceSid) {
+      params.set('MessagingServiceSid', this.messagingServiceSid);
+    } else {
+      params.set('From', this.from);
+    }
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      params.toString(),
+      {
+        auth: { username: this.accountSid, password: this.authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      }
+    );
+
+    return { messageId: response.data.sid };
+  }
+}
+
+module.exports = TwilioProvider;
@@ -0,0 +1,17 @@
+const StrategyAdapter = require('./strategyAdapter');
+
+// USDC supplied to Aave V3 lending pools
+module.exports = new StrategyAdapter({
+  type: 'aave',
+  name: 'Aave USDC Strategy',
+  protocol: 'Aave V3',
+  contractName: 'AaveStrategy',
+  addressVariable: 'AAVE_STRATEGY_ADDRESS',
+  color: '#1976d2',
+  risk: {
+    score: 25,
+    level: 'low',
+    factors: ['Smart contract risk', 'Pool utilization can delay withdrawals']
+  },
+  demo: { totalAssets: '25000000', apy: 7.8, allocation: 26.3 }
+});
@@ -0,0 +1,17 @@
+const StrategyAdapter = require('./strategyAdapter');
+
+// USDC supplied to the Compound V3 (Comet) USDC market
+module.exports = new StrategyAdapter({
+  type: 'compound',
+  name: 'Compound V3 USDC Strategy',
+  protocol: 'Compound V3',
+  contractName: 'CompoundStrategy',
+  addressVariable: 'COMPOUND_STRATEGY_ADDRESS',
+  color: '#388e3c',
+  risk: {
+    score: 30,
+    level: 'medium',
+    factors: ['Smart contract risk', 'Borrower collateral liquidations']
+  },
+  demo: { totalAssets: '20000000', apy: 8.9, allocation: 21.1 }
+});
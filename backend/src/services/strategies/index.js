@@ -0,0 +1,87 @@
+const path = require('path');
+const StrategyAdapter = require('./strategyAdapter');
+
+// Adapters shipped with the backend, by type, in display order
+const BUILT_IN_ADAPTERS = Object.fromEntries([
+  require('./aaveAdapter'),
+  require('./compoundAdapter'),
+  require('./lidoAdapter'),
+  require('./uniswapV3LpAdapter'),
+  require('./uniswapV4FairFlowAdapter')
+].map(adapter => [adapter.type, adapter]));
+
+/**
+ * Strategy Registry - The strategy adapters the backend works with
+ * The blockchain service, chain registry, fake chain and strategy endpoints take
+ * strategy contracts, readers, risk scores, colours and demo figures from here.
+ */
+class StrategyRegistry {
+  constructor(adapters = []) {
+    this.adapters = new Map();
+    adapters.forEach(adapter => this.register(adapter));
+  }
+
+  register(adapter) {
+    if (!(adapter instanceof StrategyAdapter)) {
+      throw new Error('Strategy adapters must be StrategyAdapter instances');
+    }
+
+    if (this.adapters.has(adapter.type)) {
+      throw new Error(`Strategy adapter already registered: ${adapter.type}`);
+    }
+
+    this.adapters.set(adapter.type, adapter);
+    return adapter;
+  }
+
+  get(type) {
+    return this.adapters.get(type) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  types() {
+    return Array.from(this.adapters.keys());
+  }
+
+  findByName(name) {
+    return this.list().find(adapter => adapter.name === name) || null;
+  }
+}
+
+// A built-in type, or the path (from the working directory) of a module exporting an adapter or its options
+function loadAdapter(entry) {
+  if (BUILT_IN_ADAPTERS[entry]) {
+    return BUILT_IN_ADAPTERS[entry];
+  }
+
+  if (!entry.includes('/')) {
+    throw new Error(`Unknown strategy adapter: ${entry}`);
+  }
+
+  const exported = require(path.resolve(entry));
+  return exported instanceof StrategyAdapter ? exported : new StrategyAdapter(exported);
+}
+
+/**
+ * Build the registry from STRATEGY_ADAPTERS (comma-separated), by default every built-in adapter
+ */
+function createStrategyRegistry(config = process.env.STRATEGY_ADAPTERS) {
+  const entries = config
+    ? config.split(',').map(entry => entry.trim()).filter(Boolean)
+    : Object.keys(BUILT_IN_ADAPTERS);
+
+  return new StrategyRegistry(entries.map(loadAdapter));
+}
+
+const strategyRegistry = createStrategyRegistry();
+
+module.exports = {
+  strategyRegistry,
+  createStrategyRegistry,
+  StrategyRegistry,
+  StrategyAdapter,
+  BUILT_IN_ADAPTERS
+};
@@ -0,0 +1,17 @@
+const StrategyAdapter = require('./strategyAdapter');
+
+// Liquid staking through Lido (stETH)
+module.exports = new StrategyAdapter({
+  type: 'liquidStaking',
+  name: 'Lido Liquid Staking',
+  protocol: 'Lido',
+  contractName: 'LiquidStakingStrategy',
+  addressVariable: 'LIQUID_STAKING_STRATEGY_ADDRESS',
+  color: '#f57c00',
+  risk: {
+    score: 15,
+    level: 'low',
+    factors: ['Validator slashing', 'stETH/ETH peg']
+  },
+  demo: { totalAssets: '15000000', apy: 5.2, allocation: 15.8 }
+});
@@ -0,0 +1,70 @@
+const { ethers } = require('ethers');
+const { loadContractABI, STRATEGY_BASE_ABI } = require('../../config/contractAbis');
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Strategy Adapter - Everything the backend knows about one kind of strategy contract
+ * Adapters are plain instances of this class (or a subclass overriding the readers):
+ *   type            - key in deployment files (contracts.strategies.<type>) and snapshots
+ *   name            - display name, matching the contract's name()
+ *   protocol        - protocol the strategy deploys into
+ *   contractName    - ABI in the contracts export; `abi` may be given instead
+ *   addressVariable - environment variable with the address in the single-chain setup
+ *   color           - chart colour
+ *   risk            - { score (0-100, drives the allocation cap), level, factors }
+ *   demo            - { totalAssets, apy, allocation } served in DATA_MODE=demo
+ */
+class StrategyAdapter {
+  constructor({ type, name, protocol, contractName, abi, addressVariable, color = '#757575', risk = {}, demo = null }) {
+    if (!type || !name) {
+      throw new Error('Strategy adapters need a type and a name');
+    }
+
+    if (risk.level && !RISK_LEVELS.includes(risk.level)) {
+      throw new Error(`Invalid risk level for ${type}: ${risk.level}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.protocol = protocol || name;
+    this.contractName = contractName || null;
+    this.abi = abi || (contractName ? loadContractABI(contractName) : STRATEGY_BASE_ABI);
+    this.addressVariable = addressVariable || null;
+    this.color = color;
+    this.risk = {
+      score: risk.score ?? 50,
+      level: risk.level || 'medium',
+      factors: risk.factors || []
+    };
+    this.demo = demo;
+  }
+
+  /**
+   * Current APY in percent
+   */
+  async readAPY(contract) {
+    return Number(await contract.getAPY()) / 100; // Convert from basis points
+  }
+
+  /**
+   * Assets managed by the strategy, in USDC (decimal string)
+   */
+  async readTVL(contract) {
+    return ethers.formatUnits(await contract.totalAssets(), 6);
+  }
+
+  getMetadata() {
+    return {
+      type: this.type,
+      name: this.name,
+      protocol: this.protocol,
+      color: this.color,
+      risk: this.risk
+    };
+  }
+}
+
+StrategyAdapter.RISK_LEVELS = RISK_LEVELS;
+
+module.exports = StrategyAdapter;
@@ -0,0 +1,17 @@
+const StrategyAdapter = require('./strategyAdapter');
+
+// Concentrated liquidity positions on Uniswap V3
+module.exports = new StrategyAdapter({
+  type: 'liquidityProviding',
+  name: 'Uniswap V3 LP Strategy',
+  protocol: 'Uniswap V3',
+  contractName: 'LiquidityProvidingStrategy',
+  addressVariable: 'LIQUIDITY_PROVIDING_STRATEGY_ADDRESS',
+  color: '#d32f2f',
+  risk: {
+    score: 65,
+    level: 'high',
+    factors: ['Impermanent loss', 'Position out of range', 'Smart contract risk']
+  },
+  demo: { totalAssets: '5000000', apy: 12.1, allocation: 5.3 }
+});
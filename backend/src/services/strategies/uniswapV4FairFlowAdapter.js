@@ -0,0 +1,17 @@
+const StrategyAdapter = require('./strategyAdapter');
+
+// Stablecoin liquidity in Uniswap V4 pools with the FairFlow hook
+module.exports = new StrategyAdapter({
+  type: 'uniswapV4FairFlow',
+  name: 'Uniswap V4 FairFlow Stablecoin Strategy',
+  protocol: 'Uniswap V4',
+  contractName: 'UniswapV4FairFlowStablecoinStrategy',
+  addressVariable: 'UNISWAP_V4_FAIRFLOW_STRATEGY_ADDRESS',
+  color: '#9c27b0',
+  risk: {
+    score: 30,
+    level: 'medium',
+    factors: ['Stablecoin depeg', 'Hook contract risk']
+  },
+  demo: { totalAssets: '30000000', apy: 10.2, allocation: 31.6 }
+});
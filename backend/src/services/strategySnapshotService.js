@@ -0,0 +1,225 @@
+const cron = require('node-cron');
+const crypto = require('crypto');
+const os = require('os');
+const blockchainService = require('../config/blockchain');
+const StrategySnapshotRepository = require('../models/postgres/StrategySnapshotRepository');
+const SchedulerLockRepository = require('../models/postgres/SchedulerLockRepository');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const LOCK_NAME = 'strategy_snapshot';
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const YEAR = 365 * DAY;
+
+// Range and downsampling bucket per supported period
+const PERIODS = {
+  '7d': { days: 7, bucketSeconds: HOUR },
+  '30d': { days: 30, bucketSeconds: 6 * HOUR },
+  '90d': { days: 90, bucketSeconds: DAY },
+  '1y': { days: 365, bucketSeconds: 7 * DAY }
+};
+
+/**
+ * Strategy Snapshot Service - Records strategy TVL/APY/allocation over time
+ * Samples every strategy contract on a cron schedule and serves downsampled
+ * history for the strategy performance and vault yield endpoints. A
+ * cross-instance lease makes one backend instance take each sample.
+ */
+class StrategySnapshotService {
+  constructor() {
+    this.enabled = process.env.STRATEGY_SNAPSHOT_ENABLED !== 'false';
+    this.schedule = process.env.STRATEGY_SNAPSHOT_CRON || '*/15 * * * *';
+    this.retentionDays = parseInt(process.env.STRATEGY_SNAPSHOT_RETENTION_DAYS || '400');
+    // Kept after a sample, so keep it shorter than the sampling interval
+    this.lockTtl = parseInt(process.env.STRATEGY_SNAPSHOT_LOCK_TTL_MS || '600000');
+
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+
+    this.task = null;
+    this.isSampling = false;
+    this.lastSampledAt = null;
+    this.lastError = null;
+  }
+
+  start() {
+    if (!this.enabled) {
+      logger.info('Strategy snapshots disabled (STRATEGY_SNAPSHOT_ENABLED=false)');
+      return;
+    }
+
+    if (this.task) {
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error(`Invalid STRATEGY_SNAPSHOT_CRON expression: ${this.schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.sample());
+    this.sample();
+
+    logger.info(`Strategy snapshot sampler started (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Strategy snapshot sampler stopped');
+    }
+  }
+
+  /**
+   * Take one snapshot of every strategy. Overlapping runs, and runs while
+   * another instance holds the lease, are skipped.
+   */
+  async sample() {
+    if (this.isSampling || !blockchainService.initialized) {
+      return [];
+    }
+
+    this.isSampling = true;
+
+    // Unique per run, like the batch allocation lease. The lease is only released
+    // when sampling fails: holding it for its TTL stops instances whose cron
+    // ticks land a little apart from sampling the same slot again.
+    const lockOwner = `${this.instanceId}:${crypto.randomUUID()}`;
+    let acquired = false;
+    let sampled = false;
+
+    try {
+      acquired = await SchedulerLockRepository.acquire(LOCK_NAME, lockOwner, this.lockTtl);
+      if (!acquired) {
+        return [];
+      }
+
+      const strategies = await blockchainService.getAllStrategiesInfo();
+      const totalAssets = money.sum(strategies.map(s => s.totalAssets), 'USDC');
+      const sampledAt = new Date();
+
+      const snapshots = await StrategySnapshotRepository.createMany(
+        strategies.map(strategy => ({
+          strategy_address: strategy.address,
+          strategy_type: strategy.type,
+          strategy_name: strategy.name,
+          total_assets: strategy.totalAssets,
+          apy: strategy.apy,
+          allocation: money.percentage(money.parse(strategy.totalAssets, 'USDC'), totalAssets, 4)
+        })),
+        sampledAt
+      );
+
+      await StrategySnapshotRepository.deleteOlderThan(
+        new Date(sampledAt.getTime() - this.retentionDays * DAY * 1000)
+      );
+
+      this.lastSampledAt = sampledAt;
+      this.lastError = null;
+      sampled = true;
+
+      return snapshots;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('Strategy snapshot failed:', error);
+      return [];
+    } finally {
+      if (acquired && !sampled) {
+        await SchedulerLockRepository.release(LOCK_NAME, lockOwner).catch(error => {
+          logger.warn('Failed to release strategy snapshot lock:', error.message);
+        });
+      }
+      this.isSampling = false;
+    }
+  }
+
+  getPeriod(period) {
+    const range = PERIODS[period];
+    if (!range) {
+      throw new Error(`Unsupported period: ${period}`);
+    }
+
+    return {
+      since: new Date(Date.now() - range.days * DAY * 1000),
+      bucketSeconds: range.bucketSeconds
+    };
+  }
+
+  /**
+   * Downsampled history per strategy
+   * @returns {Array<{ address, type, name, history: Array<{ date, apy, totalAssets, allocation, yield }> }>}
+   */
+  async getStrategyHistories(period, strategyAddress = null) {
+    const { since, bucketSeconds } = this.getPeriod(period);
+    const rows = await StrategySnapshotRepository.getStrategyHistory(since, bucketSeconds, strategyAddress);
+
+    const byStrategy = new Map();
+    for (const row of rows) {
+      if (!byStrategy.has(row.strategy_address)) {
+        byStrategy.set(row.strategy_address, {
+          address: row.strategy_address,
+          type: row.strategy_type,
+          name: row.strategy_name,
+          history: []
+        });
+      }
+
+      const totalAssets = parseFloat(row.total_assets);
+      const apy = parseFloat(row.apy);
+
+      byStrategy.get(row.strategy_address).history.push({
+        date: new Date(row.bucket).toISOString(),
+        apy,
+        totalAssets,
+        allocation: parseFloat(row.allocation),
+        yield: estimateYield(totalAssets, apy, bucketSeconds)
+      });
+    }
+
+    return Array.from(byStrategy.values());
+  }
+
+  async getStrategyHistory(strategyAddress, period) {
+    const [strategy] = await this.getStrategyHistories(period, strategyAddress);
+    return strategy ? strategy.history : [];
+  }
+
+  /**
+   * Downsampled vault TVL and asset-weighted APY
+   */
+  async getVaultHistory(period) {
+    const { since, bucketSeconds } = this.getPeriod(period);
+    const rows = await StrategySnapshotRepository.getVaultHistory(since, bucketSeconds);
+
+    return rows.map(row => {
+      const tvl = parseFloat(row.tvl);
+      const apy = parseFloat(row.apy);
+
+      return {
+        date: new Date(row.bucket).toISOString(),
+        tvl,
+        apy,
+        yield: estimateYield(tvl, apy, bucketSeconds)
+      };
+    });
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.task,
+      schedule: this.schedule,
+      lastSampledAt: this.lastSampledAt ? this.lastSampledAt.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Yield accrued over one bucket at the bucket's average TVL and APY
+function estimateYield(totalAssets, apy, bucketSeconds) {
+  return totalAssets * (apy / 100) * (bucketSeconds / YEAR);
+}
+
+module.exports = new StrategySnapshotService();
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSessionRepository = require('../models/postgres/AuthSessionRepository');
+const { getCache, setCache } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const authError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Token Service - Short-lived access tokens and rotating refresh tokens
+ * Every sign-in opens a session (refresh token family). Access tokens are JWTs
+ * carrying the session ID as `sid`; refresh tokens are opaque, stored hashed and
+ * replaced on every use. Presenting an already-used refresh token revokes the
+ * whole family, and access tokens of revoked sessions are rejected.
+ */
+class TokenService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_ACCESS_EXPIRE || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+    // How long a session's revocation state may be served from cache
+    this.revocationCacheTtl = parseInt(process.env.SESSION_REVOCATION_CACHE_SECONDS || '30');
+  }
+
+  signAccessToken(userId, sessionId, verified2FA) {
+    return jwt.sign({ userId, sid: sessionId, verified2FA }, process.env.JWT_SECRET, {
+      expiresIn: this.accessTokenTtl
+    });
+  }
+
+  /**
+   * Open a session for a signed-in user. `newDevice` is set when the user has
+   * signed in before, but never from this user agent.
+   * @param {Object} context - { deviceLabel, userAgent, ipAddress }
+   * @returns {{ accessToken, refreshToken, sessionId, deviceLabel, newDevice }}
+   */
+  async createSession(userId, context = {}, { verified2FA = false, passkeyId = null } = {}) {
+    const history = await AuthSessionRepository.getDeviceHistory(userId, context.userAgent);
+    const newDevice = history.total > 0 && history.matching === 0;
+
+    const session = await AuthSessionRepository.createSession({
+      user_id: userId,
+      device_label: context.deviceLabel || describeDevice(context.userAgent),
+      user_agent: context.userAgent,
+      ip_address: context.ipAddress,
+      verified_2fa: verified2FA,
+      passkey_id: passkeyId,
+      new_device: newDevice,
+      expires_at: new Date(Date.now() + this.refreshTokenTtlDays * DAY_MS)
+    });
+
+    const { token: refreshToken } = await this.issueRefreshToken(session.id);
+
+    return {
+      accessToken: this.signAccessToken(userId, session.id, verified2FA),
+      refreshToken,
+      sessionId: session.id,
+      deviceLabel: session.device_label,
+      newDevice
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * @throws {Error} code INVALID_REFRESH_TOKEN, SESSION_REVOKED or REFRESH_TOKEN_REUSED
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    const stored = await AuthSessionRepository.findRefreshToken(hashToken(refreshToken));
+
+    if (!stored) {
+      throw authError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    const details = { userId: stored.user_id, sessionId: stored.family_id };
+
+    if (stored.revoked_at) {
+      throw authError('SESSION_REVOKED', 'Session has been revoked', details);
+    }
+
+    const now = Date.now();
+    if (new Date(stored.expires_at).getTime() <= now || new Date(stored.session_expires_at).getTime() <= now) {
+      throw authError('INVALID_REFRESH_TOKEN', 'Refresh token expired', details);
+    }
+
+    // Only one exchange per token; a second one means the token was copied
+    const claimed = !stored.used_at && await AuthSessionRepository.markRefreshTokenUsed(stored.id);
+    if (!claimed) {
+      await this.revokeSession(stored.family_id, 'reuse_detected');
+      logger.warn(`Refresh token reuse detected for session ${stored.family_id}, session revoked`);
+      throw authError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used', details);
+    }
+
+    const { token, record } = await this.issueRefreshToken(stored.family_id);
+    await AuthSessionRepository.setReplacedBy(stored.id, record.id);
+    await AuthSessionRepository.touchSession(stored.family_id, context.ipAddress);
+
+    return {
+      accessToken: this.signAccessToken(stored.user_id, stored.family_id, stored.verified_2fa),
+      refreshToken: token,
+      sessionId: stored.family_id,
+      userId: stored.user_id
+    };
+  }
+
+  /**
+   * Verify an access token and check that its session is still active
+   * @throws {Error} jwt errors, or code SESSION_REQUIRED / SESSION_REVOKED
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Pre-2FA temporary tokens are not bound to a session
+    if (decoded.temporary) {
+      return decoded;
+    }
+
+    if (!decoded.sid) {
+      throw authError('SESSION_REQUIRED', 'Token is not bound to a session');
+    }
+
+    if (!(await this.isSessionActive(decoded.sid))) {
+      throw authError('SESSION_REVOKED', 'Session has been revoked', { sessionId: decoded.sid });
+    }
+
+    return decoded;
+  }
+
+  async isSessionActive(sessionId) {
+    const cacheKey = `auth_session:${sessionId}`;
+    const cached = getCache(cacheKey);
+    if (cached) {
+      return cached.active;
+    }
+
+    const session = await AuthSessionRepository.findSessionById(sessionId);
+    const active = !!session && !session.revoked_at && new Date(session.expires_at).getTime() > Date.now();
+
+    setCache(cacheKey, { active }, this.revocationCacheTtl);
+    return active;
+  }
+
+  async revokeSession(sessionId, reason) {
+    const session = await AuthSessionRepository.revokeSession(sessionId, reason);
+    setCache(`auth_session:${sessionId}`, { active: false }, this.revocationCacheTtl);
+    return session;
+  }
+
+  /**
+   * Revoke all sessions of a user except `exceptSessionId`
+   * @returns {string[]} revoked session IDs
+   */
+  async revokeUserSessions(userId, reason, exceptSessionId = null) {
+    const sessionIds = await AuthSessionRepository.revokeUserSessions(userId, reason, exceptSessionId);
+    for (const sessionId of sessionIds) {
+      setCache(`auth_session:${sessionId}`, { active: false }, this.revocationCacheTtl);
+    }
+    return sessionIds;
+  }
+
+  /**
+   * @private
+   */
+  async issueRefreshToken(sessionId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const record = await AuthSessionRepository.createRefreshToken(
+      sessionId,
+      hashToken(token),
+      new Date(Date.now() + this.refreshTokenTtlDays * DAY_MS)
+    );
+
+    return { token, record };
+  }
+}
+
+// Short label such as "Chrome on macOS" for sessions without an explicit device label
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) {
+    return userAgent.slice(0, 100);
+  }
+
+  return [browser ? browser[1] : 'Browser', system ? system[1] : null].filter(Boolean).join(' on ');
+}
+
+module.exports = new TokenService();
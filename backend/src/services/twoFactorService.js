@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserRepository = require('../models/postgres/UserRepository');
+const RecoveryCodeRepository = require('../models/postgres/RecoveryCodeRepository');
+const databaseService = require('./DatabaseService');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const PASSKEY_PROOF_PURPOSE = 'passkey_2fa';
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const twoFactorError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Two-Factor Service - TOTP authenticator apps and recovery codes
+ * Works alongside passkeys: a user may have passkeys, a TOTP app or both, and
+ * recovery codes cover the loss of either.
+ */
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Abunfi';
+  }
+
+  async countActivePasskeys(userId) {
+    const result = await databaseService.executeQuery(
+      'SELECT COUNT(*) AS count FROM user_passkeys WHERE user_id = $1 AND is_active = true',
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Second factors the user can complete a login with
+   * @returns {string[]} subset of 'passkey', 'totp', 'recovery_code'
+   */
+  async getMethods(user) {
+    const [passkeyCount, recoveryCodesRemaining] = await Promise.all([
+      this.countActivePasskeys(user.id),
+      RecoveryCodeRepository.countRemaining(user.id)
+    ]);
+
+    const methods = [];
+    if (passkeyCount > 0) methods.push('passkey');
+    if (user.totp_confirmed_at) methods.push('totp');
+    if (user.two_factor_enabled && recoveryCodesRemaining > 0) methods.push('recovery_code');
+
+    return methods;
+  }
+
+  async getStatus(user) {
+    const [passkeyCount, recoveryCodesRemaining] = await Promise.all([
+      this.countActivePasskeys(user.id),
+      RecoveryCodeRepository.countRemaining(user.id)
+    ]);
+
+    return {
+      enabled: !!user.two_factor_enabled,
+      method: user.two_factor_method || 'none',
+      totpEnabled: !!user.totp_confirmed_at,
+      passkeyCount,
+      recoveryCodesRemaining
+    };
+  }
+
+  /**
+   * Store a new pending TOTP secret and return its provisioning URI
+   */
+  async beginTotpSetup(user) {
+    if (user.totp_confirmed_at) {
+      throw twoFactorError('TOTP_ALREADY_ENABLED', 'Authenticator app is already set up');
+    }
+
+    const secret = totp.generateSecret();
+    await UserRepository.setTwoFactorSecret(user.id, secret);
+
+    return {
+      secret,
+      otpauthUrl: totp.buildProvisioningUri({
+        secret,
+        accountName: user.email || user.wallet_address,
+        issuer: this.issuer
+      })
+    };
+  }
+
+  /**
+   * Verify the first code from the authenticator app and enable TOTP.
+   * Recovery codes are issued if the user has none yet.
+   * @returns {{ recoveryCodes: string[]|null }}
+   */
+  async confirmTotpSetup(user, code) {
+    if (user.totp_confirmed_at) {
+      throw twoFactorError('TOTP_ALREADY_ENABLED', 'Authenticator app is already set up');
+    }
+
+    if (!user.two_factor_secret) {
+      throw twoFactorError('TOTP_NOT_STARTED', 'Start authenticator setup first');
+    }
+
+    const step = totp.verifyCode(user.two_factor_secret, code);
+    if (step === null) {
+      throw twoFactorError('INVALID_CODE', 'Invalid verification code');
+    }
+
+    await UserRepository.confirmTotp(user.id, step);
+
+    const remaining = await RecoveryCodeRepository.countRemaining(user.id);
+    const recoveryCodes = remaining === 0 ? await this.generateRecoveryCodes(user.id) : null;
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Remove the authenticator app. Recovery codes are dropped when no other
+   * second factor is left.
+   */
+  async disableTotp(user) {
+    const hasPasskeys = (await this.countActivePasskeys(user.id)) > 0;
+    await UserRepository.clearTotp(user.id, hasPasskeys);
+
+    if (!hasPasskeys) {
+      await RecoveryCodeRepository.deleteForUser(user.id);
+    }
+  }
+
+  /**
+   * Remove every second factor (account recovery). Passkeys are deactivated,
+   * not deleted, so they stay visible in the security history.
+   */
+  async resetFactors(userId) {
+    await databaseService.executeQuery(
+      'UPDATE user_passkeys SET is_active = false, updated_at = NOW() WHERE user_id = $1 AND is_active = true',
+      [userId]
+    );
+    await UserRepository.clearTotp(userId, false);
+    await RecoveryCodeRepository.deleteForUser(userId);
+  }
+
+  /**
+   * Check a TOTP code; each time step is accepted only once
+   */
+  async verifyTotp(user, code) {
+    if (!user.totp_confirmed_at || !user.two_factor_secret) {
+      return false;
+    }
+
+    const step = totp.verifyCode(user.two_factor_secret, code);
+    if (step === null) {
+      return false;
+    }
+
+    return await UserRepository.recordTotpStep(user.id, step);
+  }
+
+  async verifyRecoveryCode(userId, code) {
+    return await RecoveryCodeRepository.consume(userId, hashRecoveryCode(code));
+  }
+
+  /**
+   * Signed proof of a verified passkey assertion, exchanged for a session by
+   * complete-2fa within 5 minutes
+   */
+  issuePasskeyProof(userId, passkeyId) {
+    return jwt.sign({ userId, passkeyId, purpose: PASSKEY_PROOF_PURPOSE }, process.env.JWT_SECRET, { expiresIn: '5m' });
+  }
+
+  /**
+   * @returns {string|null} The passkey the proof was issued for, or null if it is not the user's valid proof
+   */
+  verifyPasskeyProof(user, proof) {
+    if (!proof) {
+      return null;
+    }
+
+    try {
+      const decoded = jwt.verify(proof, process.env.JWT_SECRET);
+      return decoded.purpose === PASSKEY_PROOF_PURPOSE && decoded.userId === user.id ? decoded.passkeyId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async verifySecondFactor(user, method, code) {
+    switch (method) {
+      case 'totp':
+        return await this.verifyTotp(user, code);
+      case 'recovery_code':
+        return await this.verifyRecoveryCode(user.id, code);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Replace the user's recovery codes. The plain codes are only returned here.
+   */
+  async generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await RecoveryCodeRepository.replaceForUser(userId, codes.map(hashRecoveryCode));
+    return codes;
+  }
+}
+
+module.exports = new TwoFactorService();
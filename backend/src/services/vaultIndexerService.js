@@ -0,0 +1,341 @@
+const { ethers } = require('ethers');
+const blockchainService = require('../config/blockchain');
+const TransactionRepository = require('../models/postgres/TransactionRepository');
+const UserRepository = require('../models/postgres/UserRepository');
+const VaultEventRepository = require('../models/postgres/VaultEventRepository');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+
+const CURSOR_NAME = 'vault';
+
+/**
+ * Vault Indexer Service - Reconciles pending transactions with the vault contract
+ * Polls Deposit/Withdraw events, attaches them to the pending rows created by
+ * prepareDeposit/prepareWithdraw and confirms them once they are deep enough.
+ * Events in blocks that get reorged out are detached before they are confirmed.
+ */
+class VaultIndexerService {
+  constructor() {
+    this.enabled = process.env.VAULT_INDEXER_ENABLED !== 'false';
+    this.pollInterval = parseInt(process.env.VAULT_INDEXER_POLL_INTERVAL_MS || '15000');
+    this.requiredConfirmations = parseInt(process.env.VAULT_INDEXER_CONFIRMATIONS || '12');
+    this.batchSize = parseInt(process.env.VAULT_INDEXER_BATCH_SIZE || '2000');
+    this.startBlock = process.env.VAULT_INDEXER_START_BLOCK
+      ? parseInt(process.env.VAULT_INDEXER_START_BLOCK)
+      : null;
+    // Pending rows never seen on-chain are failed after this long (24 hours)
+    this.pendingTimeout = parseInt(process.env.VAULT_INDEXER_PENDING_TIMEOUT_MS || '86400000');
+
+    this.timer = null;
+    this.isProcessing = false;
+    this.lastProcessedBlock = null;
+    this.lastRunAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start polling the vault contract
+   */
+  start() {
+    if (!this.enabled) {
+      logger.info('Vault indexer disabled (VAULT_INDEXER_ENABLED=false)');
+      return;
+    }
+
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+
+    logger.info(`Vault indexer started (poll every ${this.pollInterval}ms, ${this.requiredConfirmations} confirmations)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Vault indexer stopped');
+    }
+  }
+
+  /**
+   * Run a single indexing pass. Overlapping passes are skipped.
+   */
+  async tick() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    if (!blockchainService.initialized || !blockchainService.vaultContract) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const head = await blockchainService.getBlockNumber();
+
+      let cursor = await this.loadCursor(head);
+      cursor = await this.handleReorg(cursor, head);
+
+      await this.processNewBlocks(cursor, head);
+      await this.updateConfirmations(head);
+      await this.failStalePending();
+
+      this.lastRunAt = new Date();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('Vault indexer pass failed:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Load the persisted cursor, initialising it on first run
+   * @private
+   */
+  async loadCursor(head) {
+    const cursor = await VaultEventRepository.getCursor(CURSOR_NAME);
+
+    if (cursor) {
+      return {
+        lastBlock: Number(cursor.last_block),
+        lastBlockHash: cursor.last_block_hash
+      };
+    }
+
+    // First run: start from the configured block or from the current head
+    const lastBlock = (this.startBlock !== null ? this.startBlock : head) - 1;
+    await VaultEventRepository.saveCursor(CURSOR_NAME, lastBlock, null);
+    logger.info(`Vault indexer cursor initialised at block ${lastBlock}`);
+
+    return { lastBlock, lastBlockHash: null };
+  }
+
+  /**
+   * Detect reorgs among unfinalized blocks and rewind the cursor past them.
+   * Pending transactions matched to orphaned events are detached so they can
+   * be matched again when the event is re-mined.
+   * @private
+   */
+  async handleReorg(cursor, head) {
+    const firstUnfinalized = Math.max(0, head - this.requiredConfirmations + 1);
+    let forkBlock = null;
+
+    // The cursor block itself was replaced
+    if (cursor.lastBlockHash && cursor.lastBlock >= 0) {
+      const block = await blockchainService.getBlock(cursor.lastBlock);
+      if (!block || block.hash !== cursor.lastBlockHash) {
+        forkBlock = Math.max(firstUnfinalized, cursor.lastBlock - this.requiredConfirmations + 1);
+      }
+    }
+
+    // A block holding one of our events was replaced
+    const activeBlocks = await VaultEventRepository.getActiveBlocksSince(firstUnfinalized);
+    for (const { block_number: blockNumber, block_hash: blockHash } of activeBlocks) {
+      const number = Number(blockNumber);
+      if (forkBlock !== null && number >= forkBlock) {
+        break;
+      }
+
+      const block = await blockchainService.getBlock(number);
+      if (!block || block.hash !== blockHash) {
+        forkBlock = number;
+        break;
+      }
+    }
+
+    if (forkBlock === null) {
+      return cursor;
+    }
+
+    const rewindTo = Math.min(cursor.lastBlock, forkBlock - 1);
+    logger.warn(`Chain reorg detected at block ${forkBlock}, rewinding vault indexer to ${rewindTo}`);
+
+    const orphaned = await VaultEventRepository.markRemovedAfter(rewindTo);
+    for (const event of orphaned) {
+      if (event.transaction_id) {
+        await TransactionRepository.clearChainData(event.transaction_id);
+      }
+    }
+
+    await VaultEventRepository.saveCursor(CURSOR_NAME, rewindTo, null);
+    this.lastProcessedBlock = rewindTo;
+
+    return { lastBlock: rewindTo, lastBlockHash: null };
+  }
+
+  /**
+   * Scan blocks after the cursor in batches
+   * @private
+   */
+  async processNewBlocks(cursor, head) {
+    let fromBlock = cursor.lastBlock + 1;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(head, fromBlock + this.batchSize - 1);
+      const events = await blockchainService.getVaultEvents(fromBlock, toBlock);
+
+      for (const event of events) {
+        await this.processEvent(event, head);
+      }
+
+      const block = await blockchainService.getBlock(toBlock);
+      await VaultEventRepository.saveCursor(CURSOR_NAME, toBlock, block ? block.hash : null);
+      this.lastProcessedBlock = toBlock;
+
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /**
+   * Store an event and attach it to the pending transaction it settles
+   * @private
+   */
+  async processEvent(event, head) {
+    const stored = await VaultEventRepository.upsert(event);
+
+    let transaction = null;
+
+    if (stored.transaction_id) {
+      // Re-mined after a reorg: re-attach to the transaction it was matched with
+      transaction = await TransactionRepository.findById(stored.transaction_id);
+    } else {
+      transaction = await this.findMatchingTransaction(event);
+    }
+
+    if (!transaction || transaction.status !== 'pending') {
+      return;
+    }
+
+    const receipt = await blockchainService.getTransactionReceipt(event.txHash);
+
+    await TransactionRepository.recordChainData(transaction.id, {
+      tx_hash: event.txHash,
+      block_number: event.blockNumber,
+      gas_used: receipt ? receipt.gasUsed.toString() : null,
+      gas_fee: receipt ? ethers.formatEther(receipt.fee) : null,
+      confirmations: head - event.blockNumber + 1
+    });
+
+    if (!stored.transaction_id) {
+      await VaultEventRepository.linkTransaction(stored.id, transaction.id);
+    }
+
+    logger.info(`Vault ${event.eventName} ${event.txHash} matched to transaction ${transaction.id}`);
+  }
+
+  /**
+   * Match an event to a pending row by tx hash, then by wallet and amount/shares
+   * @private
+   */
+  async findMatchingTransaction(event) {
+    const byHash = await TransactionRepository.findByHash(event.txHash);
+    if (byHash) {
+      return byHash;
+    }
+
+    const user = await UserRepository.findByWalletAddress(event.owner);
+    if (!user) {
+      return null;
+    }
+
+    const type = event.eventName === 'Deposit' ? 'deposit' : 'withdraw';
+
+    return await TransactionRepository.findPendingMatch(user.id, type, {
+      amount: ethers.formatUnits(event.assets, 6),
+      shares: ethers.formatUnits(event.shares, 18)
+    });
+  }
+
+  /**
+   * Refresh confirmation counts and confirm transactions deep enough in the chain
+   * @private
+   */
+  async updateConfirmations(head) {
+    const awaiting = await TransactionRepository.getAwaitingConfirmation();
+
+    for (const transaction of awaiting) {
+      const confirmations = head - Number(transaction.block_number) + 1;
+
+      if (confirmations >= this.requiredConfirmations) {
+        const confirmed = await TransactionRepository.updateStatus(transaction.id, 'confirmed', {
+          confirmations,
+          changed_by: 'vault_indexer',
+          change_reason: `Confirmed in block ${transaction.block_number} (${confirmations} confirmations)`
+        });
+        await this.notifyConfirmed(confirmed || transaction);
+      } else if (confirmations !== transaction.confirmations) {
+        await TransactionRepository.updateConfirmations(transaction.id, confirmations);
+      }
+    }
+  }
+
+  /**
+   * Email the owner of a confirmed deposit or withdrawal. Never blocks indexing.
+   * @private
+   */
+  async notifyConfirmed(transaction) {
+    try {
+      const user = await UserRepository.findById(transaction.user_id);
+      await mailService.sendTransactionConfirmed(user, transaction);
+    } catch (error) {
+      logger.error(`Failed to notify confirmation of transaction ${transaction.id}:`, error);
+    }
+  }
+
+  /**
+   * Fail pending transactions that reverted or never showed up on-chain
+   * @private
+   */
+  async failStalePending() {
+    const pending = await TransactionRepository.getPendingTransactions();
+    const now = Date.now();
+
+    for (const transaction of pending) {
+      if (transaction.block_number) {
+        continue; // Awaiting confirmations
+      }
+
+      if (transaction.tx_hash) {
+        const receipt = await blockchainService.getTransactionReceipt(transaction.tx_hash);
+        if (receipt && receipt.status === 0) {
+          await TransactionRepository.updateStatus(transaction.id, 'failed', {
+            error_message: 'Transaction reverted on-chain',
+            changed_by: 'vault_indexer',
+            change_reason: `Transaction ${transaction.tx_hash} reverted`
+          });
+          continue;
+        }
+      }
+
+      if (now - new Date(transaction.submitted_at).getTime() > this.pendingTimeout) {
+        await TransactionRepository.updateStatus(transaction.id, 'failed', {
+          error_message: 'No matching vault event was found on-chain',
+          changed_by: 'vault_indexer',
+          change_reason: 'Pending transaction expired'
+        });
+      }
+    }
+  }
+
+  /**
+   * Indexer status for health reporting
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      lastProcessedBlock: this.lastProcessedBlock,
+      requiredConfirmations: this.requiredConfirmations,
+      lastRunAt: this.lastRunAt ? this.lastRunAt.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new VaultIndexerService();
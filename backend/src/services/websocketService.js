@@ -1,7 +1,8 @@
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const UserRepository = require('../models/postgres/UserRepository');
+const { hasPermission } = require('../utils/permissions');
+const tokenService = require('./tokenService');
 
 class WebSocketService {
   constructor() {
@@ -25,10 +26,11 @@ class WebSocketService {
             return false;
           }
 
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
+          // Rejects tokens of revoked sessions
+          const decoded = await tokenService.verifyAccessToken(token);
           const user = await UserRepository.findById(decoded.userId);
 
-          if (!user || !user.is_active) {
+          if (!user || !user.is_active || user.suspended_at) {
             logger.warn('WebSocket connection rejected: Invalid user');
             return false;
           }
@@ -36,6 +38,7 @@ class WebSocketService {
           // Store user info for later use
           info.req.user = user;
           info.req.userData = user;
+          info.req.sessionId = decoded.sid || null;
           return true;
         } catch (error) {
           logger.warn('WebSocket connection rejected:', error.message);
@@ -64,8 +67,9 @@ class WebSocketService {
         const token = url.searchParams.get('token');
 
         if (token) {
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
+          const decoded = await tokenService.verifyAccessToken(token);
           user = await UserRepository.findById(decoded.userId);
+          req.sessionId = decoded.sid || null;
         }
       } catch (error) {
         logger.error('WebSocket token verification failed:', error.message);
@@ -79,9 +83,10 @@ class WebSocketService {
     }
 
     const userId = user.id;
-    const userRole = user.role || 'user';
+    const canReadStrategies = hasPermission(user, 'strategies:read');
+    ws.sessionId = req.sessionId || null;
 
-    logger.info(`WebSocket connection established for user ${userId} with role ${userRole}`);
+    logger.info(`WebSocket connection established for user ${userId}`);
 
     // Add client to appropriate collections
     if (!this.clients.has(userId)) {
@@ -90,12 +95,12 @@ class WebSocketService {
     this.clients.get(userId).add(ws);
 
     // Add to strategy manager clients if applicable
-    if (userRole === 'strategy_manager' || userRole === 'admin') {
+    if (canReadStrategies) {
       this.strategyManagerClients.add(ws);
     }
 
     // Send initial data
-    this.sendInitialData(ws, userRole);
+    this.sendInitialData(ws, canReadStrategies);
 
     // Handle messages
     ws.on('message', (message) => {
@@ -120,7 +125,7 @@ class WebSocketService {
       
       switch (data.type) {
         case 'subscribe_strategy_updates':
-          if (user.role === 'strategy_manager' || user.role === 'admin') {
+          if (hasPermission(user, 'strategies:read')) {
             this.subscribeToStrategyUpdates(ws);
           }
           break;
@@ -152,9 +157,22 @@ class WebSocketService {
     this.strategyManagerClients.delete(ws);
   }
 
-  async sendInitialData(ws, userRole) {
+  // Close connections opened with tokens of revoked sessions
+  closeSessions(sessionIds) {
+    const revoked = new Set(sessionIds);
+
+    for (const connections of this.clients.values()) {
+      for (const ws of connections) {
+        if (ws.sessionId && revoked.has(ws.sessionId)) {
+          ws.close(1008, 'Session revoked');
+        }
+      }
+    }
+  }
+
+  async sendInitialData(ws, canReadStrategies) {
     try {
-      if (userRole === 'strategy_manager' || userRole === 'admin') {
+      if (canReadStrategies) {
         // Send initial strategy data
         const strategyData = await this.getLatestStrategyData();
         ws.send(JSON.stringify({
@@ -341,6 +359,13 @@ class WebSocketService {
     }
   }
 
+  // Send message to every connected user
+  broadcast(message) {
+    for (const userId of this.clients.keys()) {
+      this.sendToUser(userId, message);
+    }
+  }
+
   // Get connection statistics
   getStats() {
     return {
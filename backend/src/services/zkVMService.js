@@ -1,24 +1,76 @@
-const { spawn } = require('child_process');
-const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const ZkVMJobRepository = require('../models/postgres/ZkVMJobRepository');
+const websocketService = require('./websocketService');
+const { createProver } = require('./provers');
 const logger = require('../utils/logger');
-const { v4: uuidv4 } = require('uuid');
 
 /**
- * zkVM Service - Integrates with RISC Zero prover binary
- * Handles social account verification using zero-knowledge proofs
+ * zkVM Service - Integrates with the RISC Zero prover
+ * Handles social account verification using zero-knowledge proofs. Proving is
+ * delegated to the backend selected by ZKVM_PROVER_BACKEND (binary, mock or remote).
+ * Requests are persisted as jobs and run by a worker loop with bounded
+ * concurrency, retries for transient prover failures and recovery of jobs
+ * orphaned by a restart. Progress is pushed to the owner's WebSocket connections.
  */
 class ZkVMService {
   constructor() {
-    // Path to the zkVM prover binary
-    this.proverBinaryPath = process.env.ZKVM_PROVER_PATH || path.join(__dirname, '../../bin/zkvm-prover');
-    
-    // Store verification requests in memory (in production, use database)
-    this.verificationRequests = new Map();
-    
+    // Prover backend (see ./provers)
+    this.prover = createProver();
+
     // Timeout for verification (5 minutes)
     this.verificationTimeout = parseInt(process.env.ZKVM_TIMEOUT || '300000');
-    
-    logger.info(`zkVM Service initialized with binary path: ${this.proverBinaryPath}`);
+
+    // Worker settings
+    this.maxConcurrency = parseInt(process.env.ZKVM_MAX_CONCURRENCY || '2');
+    this.maxAttempts = parseInt(process.env.ZKVM_MAX_ATTEMPTS || '3');
+    this.retryBaseDelay = parseInt(process.env.ZKVM_RETRY_BASE_DELAY_MS || '5000');
+    this.pollInterval = parseInt(process.env.ZKVM_WORKER_POLL_INTERVAL_MS || '2000');
+    this.jobRetention = parseInt(process.env.ZKVM_JOB_RETENTION_MS || '604800000'); // 7 days
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.activeJobs = 0;
+    this.isClaiming = false;
+    this.lastCleanupAt = 0;
+
+    logger.info(`zkVM Service initialized with ${this.prover.name} prover backend`);
+  }
+
+  /**
+   * Start the job worker. Jobs left running by a previous process on this host
+   * are requeued first.
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    try {
+      const recovered = await ZkVMJobRepository.recoverOrphaned(
+        this.workerId,
+        this.getStaleCutoff(),
+        os.hostname()
+      );
+      if (recovered.length > 0) {
+        logger.warn(`Recovered ${recovered.length} orphaned zkVM job(s)`);
+      }
+    } catch (error) {
+      logger.error('Failed to recover orphaned zkVM jobs:', error);
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+
+    logger.info(`zkVM worker ${this.workerId} started (concurrency ${this.maxConcurrency})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('zkVM worker stopped');
+    }
   }
 
   /**
@@ -27,42 +79,42 @@ class ZkVMService {
    * @param {string} oauthToken - OAuth token for the platform
    * @param {string} walletAddress - User's wallet address
    * @param {string} requestId - Blockchain request ID
+   * @param {string} userId - Owner of the request (receives progress events)
    * @returns {Promise<Object>} Verification request details
    */
-  async startVerification(platform, oauthToken, walletAddress, requestId) {
+  async startVerification(platform, oauthToken, walletAddress, requestId, userId = null) {
     try {
       logger.info(`Starting zkVM verification for ${platform}, wallet: ${walletAddress}`);
 
-      // Create verification request
-      const verificationId = requestId || uuidv4();
-      const request = {
+      const verificationId = requestId || crypto.randomUUID();
+
+      const job = await ZkVMJobRepository.create({
         id: verificationId,
-        platform,
-        walletAddress,
-        status: 'pending',
-        createdAt: Date.now(),
-        result: null,
-        error: null
-      };
+        user_id: userId,
+        platform: platform.toLowerCase(),
+        wallet_address: walletAddress,
+        oauth_token: oauthToken,
+        max_attempts: this.maxAttempts
+      });
 
-      this.verificationRequests.set(verificationId, request);
-
-      // Start the verification process asynchronously
-      this.executeVerification(verificationId, platform, oauthToken, walletAddress)
-        .catch(error => {
-          logger.error(`Verification execution failed for ${verificationId}:`, error);
-          const req = this.verificationRequests.get(verificationId);
-          if (req) {
-            req.status = 'failed';
-            req.error = error.message;
-          }
-        });
+      if (!job) {
+        const existing = await ZkVMJobRepository.findById(verificationId);
+        return {
+          success: true,
+          verificationId,
+          status: existing ? existing.status : 'queued',
+          message: 'Verification already exists'
+        };
+      }
+
+      // Pick the job up right away instead of waiting for the next poll
+      setImmediate(() => this.tick());
 
       return {
         success: true,
         verificationId,
-        status: 'pending',
-        message: 'Verification started'
+        status: job.status,
+        message: 'Verification queued'
       };
 
     } catch (error) {
@@ -72,145 +124,125 @@ class ZkVMService {
   }
 
   /**
-   * Execute the verification by calling the Rust zkVM prover binary
-   * @private
+   * Claim and run jobs until the concurrency limit is reached
    */
-  async executeVerification(verificationId, platform, oauthToken, walletAddress) {
-    return new Promise((resolve, reject) => {
-      const request = this.verificationRequests.get(verificationId);
-      if (!request) {
-        return reject(new Error('Verification request not found'));
-      }
+  async tick() {
+    if (this.isClaiming) {
+      return;
+    }
 
-      logger.info(`Executing zkVM prover for ${verificationId}`);
+    this.isClaiming = true;
 
-      // Spawn the Rust zkVM prover binary
-      const prover = spawn(this.proverBinaryPath, [
-        platform.toLowerCase(),
-        oauthToken,
-        walletAddress
-      ]);
+    try {
+      await this.recoverStaleJobs();
 
-      let stdout = '';
-      let stderr = '';
+      while (this.activeJobs < this.maxConcurrency) {
+        const job = await ZkVMJobRepository.claimNext(this.workerId);
+        if (!job) {
+          break;
+        }
 
-      // Collect stdout
-      prover.stdout.on('data', (data) => {
-        stdout += data.toString();
-        logger.debug(`zkVM stdout: ${data}`);
-      });
+        this.activeJobs++;
+        this.runJob(job).finally(() => {
+          this.activeJobs--;
+        });
+      }
 
-      // Collect stderr
-      prover.stderr.on('data', (data) => {
-        stderr += data.toString();
-        logger.debug(`zkVM stderr: ${data}`);
-      });
+      await this.cleanupOldRequests();
+    } catch (error) {
+      logger.error('zkVM worker pass failed:', error);
+    } finally {
+      this.isClaiming = false;
+    }
+  }
 
-      // Handle process completion
-      prover.on('close', (code) => {
-        if (code === 0) {
-          try {
-            // Parse the output from the prover
-            const result = this.parseProverOutput(stdout);
-            
-            request.status = result.verification_success ? 'completed' : 'failed';
-            request.result = result;
-            request.completedAt = Date.now();
-
-            logger.info(`Verification ${verificationId} completed successfully`);
-            resolve(result);
-
-          } catch (error) {
-            logger.error(`Failed to parse prover output for ${verificationId}:`, error);
-            request.status = 'failed';
-            request.error = 'Failed to parse verification result';
-            reject(error);
-          }
-        } else {
-          logger.error(`zkVM prover exited with code ${code} for ${verificationId}`);
-          logger.error(`stderr: ${stderr}`);
-          
-          request.status = 'failed';
-          request.error = `Prover failed with code ${code}: ${stderr}`;
-          reject(new Error(request.error));
-        }
-      });
+  /**
+   * Run one claimed job and record its outcome
+   * @private
+   */
+  async runJob(job) {
+    this.emitProgress(job, 'started', { attempt: job.attempts, maxAttempts: job.max_attempts });
 
-      // Handle process errors
-      prover.on('error', (error) => {
-        logger.error(`Failed to spawn zkVM prover for ${verificationId}:`, error);
-        request.status = 'failed';
-        request.error = `Failed to execute prover: ${error.message}`;
-        reject(error);
-      });
+    try {
+      const result = await this.executeVerification(
+        job.id,
+        job.platform,
+        job.oauth_token,
+        job.wallet_address,
+        (step) => this.emitProgress(job, step)
+      );
 
-      // Set timeout
-      setTimeout(() => {
-        if (request.status === 'pending') {
-          prover.kill();
-          request.status = 'failed';
-          request.error = 'Verification timeout';
-          reject(new Error('Verification timeout'));
-        }
-      }, this.verificationTimeout);
-    });
+      if (result.verification_success) {
+        await ZkVMJobRepository.complete(job.id, 'succeeded', { result });
+        logger.info(`Verification ${job.id} completed successfully`);
+        this.emitProgress(job, 'proof_ready', { result });
+      } else {
+        await ZkVMJobRepository.complete(job.id, 'failed', { result, error: 'Verification rejected by prover' });
+        logger.info(`Verification ${job.id} rejected by prover`);
+        this.emitProgress(job, 'failed', { reason: 'Verification rejected by prover', willRetry: false });
+      }
+    } catch (error) {
+      await this.handleJobFailure(job, error);
+    }
   }
 
   /**
-   * Parse the output from the zkVM prover
+   * Retry transient failures with exponential backoff, otherwise fail the job
    * @private
    */
-  parseProverOutput(output) {
+  async handleJobFailure(job, error) {
     try {
-      // The prover outputs JSON result
-      // Look for JSON in the output
-      const jsonMatch = output.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
+      if (error.code === 'TIMEOUT') {
+        await ZkVMJobRepository.complete(job.id, 'timed_out', { error: error.message });
+        logger.warn(`Verification ${job.id} timed out`);
+        this.emitProgress(job, 'failed', { reason: error.message, willRetry: false });
+        return;
       }
 
-      // Fallback: parse text output
-      const lines = output.split('\n');
-      const result = {
-        verification_success: false,
-        social_account_hash: null,
-        account_age: 0,
-        follower_count: 0,
-        proof_hash: null,
-        receipt: null
-      };
-
-      for (const line of lines) {
-        if (line.includes('Success:')) {
-          result.verification_success = line.includes('true');
-        } else if (line.includes('Social Account Hash:')) {
-          result.social_account_hash = line.split(':')[1].trim();
-        } else if (line.includes('Account Age:')) {
-          result.account_age = parseInt(line.split(':')[1].trim());
-        } else if (line.includes('Follower Count:')) {
-          result.follower_count = parseInt(line.split(':')[1].trim());
-        } else if (line.includes('Proof Hash:')) {
-          result.proof_hash = line.split(':')[1].trim();
-        }
+      if (error.transient && job.attempts < job.max_attempts) {
+        const delay = this.retryBaseDelay * Math.pow(2, job.attempts - 1);
+        const nextRunAt = new Date(Date.now() + delay);
+        await ZkVMJobRepository.scheduleRetry(job.id, error.message, nextRunAt);
+        logger.warn(`Verification ${job.id} attempt ${job.attempts} failed, retrying in ${delay}ms: ${error.message}`);
+        this.emitProgress(job, 'failed', { reason: error.message, willRetry: true, nextRunAt: nextRunAt.toISOString() });
+        return;
       }
 
-      return result;
-
-    } catch (error) {
-      logger.error('Failed to parse prover output:', error);
-      throw new Error('Invalid prover output format');
+      await ZkVMJobRepository.complete(job.id, 'failed', { error: error.message });
+      logger.error(`Verification ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+      this.emitProgress(job, 'failed', { reason: error.message, willRetry: false });
+    } catch (repositoryError) {
+      logger.error(`Failed to record outcome for verification ${job.id}:`, repositoryError);
     }
   }
 
+  /**
+   * Execute the verification on the configured prover backend.
+   * Rejections carry `transient: true` when retrying may succeed and
+   * `code: 'TIMEOUT'` when the prover ran for too long.
+   * `onProgress('proving')` is called once proving has started.
+   * @private
+   */
+  async executeVerification(verificationId, platform, oauthToken, walletAddress, onProgress = () => {}) {
+    return await this.prover.prove({
+      verificationId,
+      platform,
+      oauthToken,
+      walletAddress,
+      timeout: this.verificationTimeout,
+      onProgress
+    });
+  }
+
   /**
    * Get verification status
    * @param {string} verificationId - Verification request ID
-   * @returns {Object} Verification status
+   * @returns {Promise<Object>} Verification status
    */
-  getVerificationStatus(verificationId) {
-    const request = this.verificationRequests.get(verificationId);
-    
-    if (!request) {
+  async getVerificationStatus(verificationId) {
+    const job = await ZkVMJobRepository.findById(verificationId);
+
+    if (!job) {
       return {
         success: false,
         error: 'Verification request not found'
@@ -219,33 +251,128 @@ class ZkVMService {
 
     return {
       success: true,
-      id: request.id,
-      platform: request.platform,
-      walletAddress: request.walletAddress,
-      status: request.status,
-      result: request.result,
-      error: request.error,
-      createdAt: request.createdAt,
-      completedAt: request.completedAt
+      id: job.id,
+      platform: job.platform,
+      walletAddress: job.wallet_address,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      nextRunAt: job.status === 'queued' ? job.next_run_at : null,
+      result: job.result,
+      error: job.error,
+      submittedTxHash: job.submitted_tx_hash,
+      submittedAt: job.submitted_at,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      completedAt: job.completed_at
     };
   }
 
   /**
-   * Clean up old verification requests (call periodically)
+   * Record that a succeeded job's proof was submitted to the verifier contract
+   * @param {string} verificationId - Verification request ID
+   * @param {string} txHash - Submission transaction hash
+   * @param {string} userId - User reporting the submission (must own the job)
+   * @returns {Promise<Object>} Updated status, or an error
    */
-  cleanupOldRequests() {
+  async markSubmitted(verificationId, txHash, userId) {
+    const job = await ZkVMJobRepository.findById(verificationId);
+
+    if (!job || job.user_id !== userId) {
+      return { success: false, error: 'Verification request not found' };
+    }
+
+    if (job.status !== 'succeeded') {
+      return { success: false, error: `Cannot submit a verification in status ${job.status}` };
+    }
+
+    await ZkVMJobRepository.markSubmitted(verificationId, txHash);
+    this.emitProgress(job, 'submitted', { txHash });
+
+    return await this.getVerificationStatus(verificationId);
+  }
+
+  /**
+   * Push a lifecycle event to the job owner's WebSocket connections
+   * @private
+   */
+  emitProgress(job, step, details = {}) {
+    if (!job.user_id) {
+      return;
+    }
+
+    try {
+      websocketService.sendToUser(job.user_id, {
+        type: 'zkvm_verification',
+        data: {
+          verificationId: job.id,
+          platform: job.platform,
+          step,
+          ...details
+        },
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      logger.warn(`Failed to push zkVM progress for ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Requeue jobs that have been running for longer than any live worker allows
+   * @private
+   */
+  async recoverStaleJobs() {
+    const recovered = await ZkVMJobRepository.recoverOrphaned(this.workerId, this.getStaleCutoff());
+    if (recovered.length > 0) {
+      logger.warn(`Recovered ${recovered.length} stale zkVM job(s)`);
+    }
+  }
+
+  getStaleCutoff() {
+    // A live worker kills the prover at verificationTimeout; allow a minute of slack
+    return new Date(Date.now() - this.verificationTimeout - 60000);
+  }
+
+  /**
+   * Delete finished jobs past the retention window (at most once an hour)
+   */
+  async cleanupOldRequests() {
     const now = Date.now();
-    const maxAge = 3600000; // 1 hour
+    if (now - this.lastCleanupAt < 3600000) {
+      return;
+    }
 
-    for (const [id, request] of this.verificationRequests.entries()) {
-      if (now - request.createdAt > maxAge) {
-        this.verificationRequests.delete(id);
-        logger.debug(`Cleaned up old verification request: ${id}`);
-      }
+    this.lastCleanupAt = now;
+    const deleted = await ZkVMJobRepository.deleteFinishedBefore(new Date(now - this.jobRetention));
+    if (deleted > 0) {
+      logger.debug(`Cleaned up ${deleted} old verification job(s)`);
+    }
+  }
+
+  /**
+   * Active prover backend and whether it can take jobs
+   */
+  async getProverStatus() {
+    try {
+      const readiness = await this.prover.getReadiness();
+      return { backend: this.prover.name, ...readiness };
+    } catch (error) {
+      return { backend: this.prover.name, ready: false, error: error.message };
     }
   }
+
+  /**
+   * Worker status for health reporting
+   */
+  getWorkerStatus() {
+    return {
+      workerId: this.workerId,
+      running: !!this.timer,
+      activeJobs: this.activeJobs,
+      maxConcurrency: this.maxConcurrency
+    };
+  }
 }
 
 // Export singleton instance
 module.exports = new ZkVMService();
-
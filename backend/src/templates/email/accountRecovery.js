@@ -0,0 +1,23 @@
+// Data: { name, link, expiresInHours }
+module.exports = {
+  vi: ({ name, link, expiresInHours }) => ({
+    subject: 'Xác nhận yêu cầu khôi phục tài khoản',
+    greeting: `Xin chào ${name},`,
+    paragraphs: [
+      `Có người đã yêu cầu khôi phục tài khoản Abunfi của bạn. Nếu đó là bạn, hãy xác nhận trong vòng ${expiresInHours} giờ.`,
+      'Sau khi xác nhận, yêu cầu sẽ chờ một thời gian an toàn trước khi được xem xét.'
+    ],
+    action: { label: 'Xác nhận khôi phục', url: link },
+    footnote: 'Nếu bạn không yêu cầu, đừng bấm vào liên kết. Hãy đăng nhập và huỷ yêu cầu.'
+  }),
+  en: ({ name, link, expiresInHours }) => ({
+    subject: 'Confirm your account recovery request',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Someone asked to recover your Abunfi account. If this was you, confirm within ${expiresInHours} hours.`,
+      'Once confirmed, the request waits out a safety period before it is reviewed.'
+    ],
+    action: { label: 'Confirm recovery', url: link },
+    footnote: 'If you did not ask for this, do not open the link. Sign in and cancel the request.'
+  })
+};
@@ -0,0 +1,23 @@
+const { formatAmount } = require('./layout');
+
+// Data: { name, amount, amountVnd, txHash, link }
+module.exports = {
+  vi: ({ name, amount, amountVnd, txHash, link }) => ({
+    subject: `Đã nhận khoản gửi ${formatAmount(amount, 'vi')} USDC`,
+    greeting: `Xin chào ${name},`,
+    paragraphs: [
+      `Khoản gửi ${formatAmount(amount, 'vi')} USDC${amountVnd ? ` (≈ ${formatAmount(amountVnd, 'vi', 0)} ₫)` : ''} đã được xác nhận trên blockchain và bắt đầu sinh lời.`,
+      txHash && `Mã giao dịch: ${txHash}`
+    ].filter(Boolean),
+    action: { label: 'Xem giao dịch', url: link }
+  }),
+  en: ({ name, amount, amountVnd, txHash, link }) => ({
+    subject: `Your deposit of ${formatAmount(amount, 'en')} USDC is confirmed`,
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Your deposit of ${formatAmount(amount, 'en')} USDC${amountVnd ? ` (≈ ${formatAmount(amountVnd, 'en', 0)} VND)` : ''} has been confirmed on-chain and is now earning yield.`,
+      txHash && `Transaction: ${txHash}`
+    ].filter(Boolean),
+    action: { label: 'View transaction', url: link }
+  })
+};
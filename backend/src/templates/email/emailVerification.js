@@ -0,0 +1,17 @@
+// Data: { name, link }
+module.exports = {
+  vi: ({ name, link }) => ({
+    subject: 'Xác nhận địa chỉ email của bạn',
+    greeting: `Xin chào ${name},`,
+    paragraphs: ['Vui lòng xác nhận địa chỉ email này để nhận thông báo về tài khoản tiết kiệm Abunfi của bạn.'],
+    action: { label: 'Xác nhận email', url: link },
+    footnote: 'Nếu bạn không tạo tài khoản Abunfi, hãy bỏ qua email này.'
+  }),
+  en: ({ name, link }) => ({
+    subject: 'Confirm your email address',
+    greeting: `Hi ${name},`,
+    paragraphs: ['Please confirm this email address to receive updates about your Abunfi savings account.'],
+    action: { label: 'Confirm email', url: link },
+    footnote: 'If you did not create an Abunfi account, you can ignore this email.'
+  })
+};
@@ -0,0 +1,50 @@
+const layout = require('./layout');
+
+// Template name -> { vi, en } content builders
+const TEMPLATES = {
+  email_verification: require('./emailVerification'),
+  password_reset: require('./passwordReset'),
+  deposit_confirmed: require('./depositConfirmed'),
+  withdrawal_confirmed: require('./withdrawalConfirmed'),
+  new_device_login: require('./newDeviceLogin'),
+  account_recovery: require('./accountRecovery')
+};
+
+const LOCALES = ['vi', 'en'];
+const DEFAULT_LOCALE = 'vi';
+
+const SIGNATURES = {
+  vi: 'Đội ngũ Abunfi',
+  en: 'The Abunfi team'
+};
+
+/**
+ * Render a template in the reader's language (Vietnamese unless English is asked for)
+ * @returns {{ locale, subject, text, html }}
+ */
+function render(template, locale, data = {}) {
+  const builders = TEMPLATES[template];
+  if (!builders) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const resolvedLocale = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  const content = {
+    ...builders[resolvedLocale](data),
+    locale: resolvedLocale,
+    signature: SIGNATURES[resolvedLocale]
+  };
+
+  return {
+    locale: resolvedLocale,
+    subject: content.subject,
+    text: layout.renderText(content),
+    html: layout.renderHtml(content)
+  };
+}
+
+module.exports = {
+  render,
+  TEMPLATES,
+  LOCALES
+};
@@ -0,0 +1,74 @@
+// Shared text and HTML layout for transactional emails
+
+const NUMBER_LOCALES = {
+  vi: 'vi-VN',
+  en: 'en-US'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Decimal string in the reader's number format, without going through a float
+ * ("1234.5" -> "1.234,5" in Vietnamese, "1,234.5" in English)
+ */
+const formatAmount = (amount, locale, maximumFractionDigits = 6) =>
+  new Intl.NumberFormat(NUMBER_LOCALES[locale] || NUMBER_LOCALES.vi, { maximumFractionDigits }).format(String(amount));
+
+const formatDate = (date, locale) =>
+  new Intl.DateTimeFormat(NUMBER_LOCALES[locale] || NUMBER_LOCALES.vi, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: 'Asia/Ho_Chi_Minh'
+  }).format(new Date(date));
+
+/**
+ * Plain-text body
+ * @param {{ greeting, paragraphs, action, footnote, signature }} content
+ */
+function renderText({ greeting, paragraphs = [], action, footnote, signature }) {
+  return [
+    greeting,
+    ...paragraphs,
+    action && `${action.label}: ${action.url}`,
+    footnote,
+    signature
+  ].filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * HTML body: a single centered card with inline styles (mail clients drop <style>)
+ */
+function renderHtml({ locale, subject, greeting, paragraphs = [], action, footnote, signature }) {
+  const paragraph = (text, style = '') =>
+    `<p style="margin:0 0 16px;${style}">${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+    <h1 style="margin:0 0 24px;font-size:20px;color:#1976d2;">Abunfi</h1>
+    ${greeting ? paragraph(greeting) : ''}
+    ${paragraphs.map(text => paragraph(text)).join('\n    ')}
+    ${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 24px;background:#1976d2;color:#ffffff;text-decoration:none;border-radius:4px;">${escapeHtml(action.label)}</a></p>
+    ${paragraph(action.url, 'font-size:12px;color:#616e7c;word-break:break-all;')}` : ''}
+    ${footnote ? paragraph(footnote, 'font-size:13px;color:#616e7c;') : ''}
+    ${signature ? paragraph(signature) : ''}
+  </div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  formatAmount,
+  formatDate,
+  renderText,
+  renderHtml
+};
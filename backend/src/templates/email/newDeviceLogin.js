@@ -0,0 +1,33 @@
+const { formatDate } = require('./layout');
+
+// Data: { name, deviceLabel, ipAddress, time, link }
+module.exports = {
+  vi: ({ name, deviceLabel, ipAddress, time, link }) => ({
+    subject: 'Đăng nhập từ thiết bị mới',
+    greeting: `Xin chào ${name},`,
+    paragraphs: [
+      'Tài khoản Abunfi của bạn vừa được đăng nhập từ một thiết bị mới:',
+      [
+        `Thiết bị: ${deviceLabel || 'Không rõ'}`,
+        `Địa chỉ IP: ${ipAddress || 'Không rõ'}`,
+        `Thời gian: ${formatDate(time, 'vi')}`
+      ].join('\n')
+    ],
+    action: { label: 'Quản lý phiên đăng nhập', url: link },
+    footnote: 'Nếu đây không phải bạn, hãy đăng xuất phiên này và bật xác thực hai lớp.'
+  }),
+  en: ({ name, deviceLabel, ipAddress, time, link }) => ({
+    subject: 'New sign-in to your account',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      'Your Abunfi account was just signed in to from a new device:',
+      [
+        `Device: ${deviceLabel || 'Unknown'}`,
+        `IP address: ${ipAddress || 'Unknown'}`,
+        `Time: ${formatDate(time, 'en')}`
+      ].join('\n')
+    ],
+    action: { label: 'Manage sessions', url: link },
+    footnote: 'If this was not you, sign that session out and turn on two-factor authentication.'
+  })
+};
@@ -0,0 +1,17 @@
+// Data: { name, link, expiresInMinutes }
+module.exports = {
+  vi: ({ name, link, expiresInMinutes }) => ({
+    subject: 'Đặt lại mật khẩu Abunfi',
+    greeting: `Xin chào ${name},`,
+    paragraphs: [`Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn. Liên kết có hiệu lực trong ${expiresInMinutes} phút.`],
+    action: { label: 'Đặt lại mật khẩu', url: link },
+    footnote: 'Nếu bạn không yêu cầu, hãy bỏ qua email này. Mật khẩu của bạn sẽ không thay đổi.'
+  }),
+  en: ({ name, link, expiresInMinutes }) => ({
+    subject: 'Reset your Abunfi password',
+    greeting: `Hi ${name},`,
+    paragraphs: [`We received a request to reset the password of your account. The link is valid for ${expiresInMinutes} minutes.`],
+    action: { label: 'Reset password', url: link },
+    footnote: 'If you did not ask for this, ignore this email. Your password will not change.'
+  })
+};
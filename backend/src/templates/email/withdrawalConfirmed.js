@@ -0,0 +1,25 @@
+const { formatAmount } = require('./layout');
+
+// Data: { name, amount, amountVnd, txHash, link }
+module.exports = {
+  vi: ({ name, amount, amountVnd, txHash, link }) => ({
+    subject: `Đã rút ${formatAmount(amount, 'vi')} USDC`,
+    greeting: `Xin chào ${name},`,
+    paragraphs: [
+      `Lệnh rút ${formatAmount(amount, 'vi')} USDC${amountVnd ? ` (≈ ${formatAmount(amountVnd, 'vi', 0)} ₫)` : ''} đã được xác nhận trên blockchain. Số tiền đã được chuyển về ví của bạn.`,
+      txHash && `Mã giao dịch: ${txHash}`
+    ].filter(Boolean),
+    action: { label: 'Xem giao dịch', url: link },
+    footnote: 'Nếu bạn không thực hiện lệnh rút này, hãy đổi thông tin đăng nhập và liên hệ hỗ trợ ngay.'
+  }),
+  en: ({ name, amount, amountVnd, txHash, link }) => ({
+    subject: `Your withdrawal of ${formatAmount(amount, 'en')} USDC is confirmed`,
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Your withdrawal of ${formatAmount(amount, 'en')} USDC${amountVnd ? ` (≈ ${formatAmount(amountVnd, 'en', 0)} VND)` : ''} has been confirmed on-chain and sent to your wallet.`,
+      txHash && `Transaction: ${txHash}`
+    ].filter(Boolean),
+    action: { label: 'View transaction', url: link },
+    footnote: 'If you did not make this withdrawal, secure your account and contact support right away.'
+  })
+};
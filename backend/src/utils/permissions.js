@@ -0,0 +1,16 @@
+// Permission checks on a user loaded by UserRepository.findById, which carries
+// the permissions granted by all of its roles (see scripts/add-permissions.sql).
+
+/**
+ * Whether the user holds every listed permission
+ * @param {Object} user
+ * @param {...string} permissions - e.g. 'strategies:write'
+ */
+function hasPermission(user, ...permissions) {
+  const granted = (user && user.permissions) || [];
+  return permissions.every(permission => granted.includes(permission));
+}
+
+module.exports = {
+  hasPermission
+};
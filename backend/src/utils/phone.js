@@ -0,0 +1,80 @@
+/**
+ * Vietnamese phone numbers to E.164 (+84...)
+ * Accepts the local trunk prefix (0912 345 678), the country code with or
+ * without + or 00 (+84 912 345 678, 0084912345678), common separators, and
+ * the 11-digit mobile numbers renumbered to 10 digits in 2018.
+ */
+
+const COUNTRY_CODE = '84';
+
+// Mobile prefixes after the trunk 0: 03x, 05x, 07x, 08x, 09x followed by 7 digits
+const MOBILE_PATTERN = /^[35789]\d{8}$/;
+
+// 2018 renumbering of 11-digit mobile numbers (old prefix -> new prefix, without the trunk 0)
+const RENUMBERED_PREFIXES = {
+  120: '70', 121: '79', 122: '77', 126: '76', 128: '78',
+  123: '83', 124: '84', 125: '85', 127: '81', 129: '82',
+  162: '32', 163: '33', 164: '34', 165: '35', 166: '36', 167: '37', 168: '38', 169: '39',
+  186: '56', 188: '58', 199: '59'
+};
+
+/**
+ * National significant number (without the trunk 0), or null
+ * @private
+ */
+function nationalNumber(input) {
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return null;
+  }
+
+  const raw = String(input).trim();
+  if (!/^\(?\+?[\d\s().-]+$/.test(raw)) {
+    return null;
+  }
+
+  let digits = raw.replace(/\D/g, '');
+  const international = /^\(?\+/.test(raw) || digits.startsWith('00');
+
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+
+  if (international || (digits.startsWith(COUNTRY_CODE) && digits.length >= 11)) {
+    if (!digits.startsWith(COUNTRY_CODE)) {
+      return null;
+    }
+    digits = digits.slice(COUNTRY_CODE.length);
+  }
+
+  return digits.startsWith('0') ? digits.slice(1) : digits;
+}
+
+/**
+ * Normalize a Vietnamese mobile number to E.164
+ * @param {string} input - Phone number as typed
+ * @returns {string|null} e.g. '+84912345678', or null if it is not a Vietnamese mobile number
+ */
+function normalizePhone(input) {
+  let number = nationalNumber(input);
+  if (!number) {
+    return null;
+  }
+
+  if (number.length === 10 && RENUMBERED_PREFIXES[number.slice(0, 3)]) {
+    number = RENUMBERED_PREFIXES[number.slice(0, 3)] + number.slice(3);
+  }
+
+  return MOBILE_PATTERN.test(number) ? `+${COUNTRY_CODE}${number}` : null;
+}
+
+/**
+ * Mask a number for logs and responses: +84912345678 -> +84*****5678
+ */
+function maskPhone(phone) {
+  return phone ? `${phone.slice(0, 3)}${'*'.repeat(Math.max(phone.length - 7, 0))}${phone.slice(-4)}` : phone;
+}
+
+module.exports = {
+  normalizePhone,
+  maskPhone
+};
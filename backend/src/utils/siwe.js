@@ -0,0 +1,138 @@
+// EIP-4361 Sign-In With Ethereum messages: formatting and strict parsing.
+// The message layout is fixed by the spec, so parsing walks the lines in order
+// and rejects anything out of place instead of searching for fields.
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+
+// Tagged fields after the statement: [property, label, required]
+const FIELDS = [
+  ['uri', 'URI', true],
+  ['version', 'Version', true],
+  ['chainId', 'Chain ID', true],
+  ['nonce', 'Nonce', true],
+  ['issuedAt', 'Issued At', true],
+  ['expirationTime', 'Expiration Time', false],
+  ['notBefore', 'Not Before', false],
+  ['requestId', 'Request ID', false]
+];
+
+/**
+ * Build the message a wallet signs
+ * @param {{ domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime, notBefore, requestId, resources, scheme }} fields
+ * @returns {string}
+ */
+function formatSiweMessage(fields) {
+  const lines = [
+    `${fields.scheme ? `${fields.scheme}://` : ''}${fields.domain}${HEADER_SUFFIX}`,
+    fields.address,
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  } else {
+    lines.push('');
+  }
+
+  for (const [property, label] of FIELDS) {
+    if (fields[property] !== undefined && fields[property] !== null) {
+      lines.push(`${label}: ${fields[property]}`);
+    }
+  }
+
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse a signed message
+ * @param {string} message
+ * @returns {Object|null} The fields (chainId as a number), or null if the message is malformed
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') {
+    return null;
+  }
+
+  const lines = message.split('\n');
+  const header = lines[0] || '';
+
+  if (!header.endsWith(HEADER_SUFFIX)) {
+    return null;
+  }
+
+  const origin = header.slice(0, -HEADER_SUFFIX.length);
+  const schemeMatch = origin.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):\/\/(.+)$/);
+  const fields = {
+    scheme: schemeMatch ? schemeMatch[1] : undefined,
+    domain: schemeMatch ? schemeMatch[2] : origin,
+    address: lines[1],
+    resources: []
+  };
+
+  if (!fields.domain || !ADDRESS_PATTERN.test(fields.address || '') || lines[2] !== '') {
+    return null;
+  }
+
+  // Either an empty line (no statement) or the statement followed by an empty line
+  let index = 3;
+  if (lines[index] !== '') {
+    if (lines[index] === undefined || lines[index + 1] !== '') {
+      return null;
+    }
+    fields.statement = lines[index];
+    index += 2;
+  } else {
+    index += 1;
+  }
+
+  for (const [property, label, required] of FIELDS) {
+    const prefix = `${label}: `;
+    if (lines[index] !== undefined && lines[index].startsWith(prefix)) {
+      fields[property] = lines[index].slice(prefix.length);
+      index++;
+    } else if (required) {
+      return null;
+    }
+  }
+
+  if (lines[index] === 'Resources:') {
+    index++;
+    while (lines[index] !== undefined && lines[index].startsWith('- ')) {
+      fields.resources.push(lines[index].slice(2));
+      index++;
+    }
+  }
+
+  if (index !== lines.length) {
+    return null;
+  }
+
+  const chainId = Number(fields.chainId);
+  if (!/^\d+$/.test(fields.chainId) || !Number.isSafeInteger(chainId)) {
+    return null;
+  }
+  fields.chainId = chainId;
+
+  if (!NONCE_PATTERN.test(fields.nonce)) {
+    return null;
+  }
+
+  for (const property of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[property] !== undefined && Number.isNaN(Date.parse(fields[property]))) {
+      return null;
+    }
+  }
+
+  return fields;
+}
+
+module.exports = {
+  formatSiweMessage,
+  parseSiweMessage
+};
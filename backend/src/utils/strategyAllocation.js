@@ -0,0 +1,113 @@
+// Allocation rules for strategy managers.
+// Allocations are percentages with up to two decimals; they are compared in
+// basis points so the 100% total check is exact.
+
+const TOTAL_BPS = 10000;
+
+// Maximum share of the vault a single strategy may hold, by risk score
+const RISK_ALLOCATION_CAPS = [
+  { maxRiskScore: 29, cap: 60 },
+  { maxRiskScore: 59, cap: 40 },
+  { maxRiskScore: 100, cap: 20 }
+];
+
+const toBps = (percentage) => Math.round(Number(percentage) * 100);
+
+const sameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+function getAllocationCap(riskScore) {
+  const tier = RISK_ALLOCATION_CAPS.find(({ maxRiskScore }) => riskScore <= maxRiskScore);
+  return tier ? tier.cap : RISK_ALLOCATION_CAPS[RISK_ALLOCATION_CAPS.length - 1].cap;
+}
+
+function findStrategy(strategies, strategyAddress) {
+  return strategies.find(strategy => sameAddress(strategy.address, strategyAddress)) || null;
+}
+
+/**
+ * Validate a proposed allocation against the current strategies.
+ * Every strategy must be listed exactly once, the total must be 100% and no
+ * strategy may exceed the cap for its risk score.
+ * @returns {{ valid: boolean, errors: string[], targets: Array }}
+ */
+function validateAllocations(strategies, allocations) {
+  const errors = [];
+  const targets = [];
+
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    return { valid: false, errors: ['At least one allocation is required'], targets };
+  }
+
+  for (const { strategyAddress, allocation } of allocations) {
+    const strategy = findStrategy(strategies, strategyAddress);
+    const value = Number(allocation);
+
+    if (!strategy) {
+      errors.push(`Unknown strategy: ${strategyAddress}`);
+      continue;
+    }
+
+    if (targets.some(target => sameAddress(target.address, strategy.address))) {
+      errors.push(`Duplicate allocation for ${strategy.name}`);
+      continue;
+    }
+
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      errors.push(`Allocation for ${strategy.name} must be between 0 and 100`);
+      continue;
+    }
+
+    const cap = getAllocationCap(strategy.riskScore);
+    if (toBps(value) > toBps(cap)) {
+      errors.push(`Allocation for ${strategy.name} exceeds the ${cap}% cap for risk score ${strategy.riskScore}`);
+    }
+
+    targets.push({
+      address: strategy.address,
+      name: strategy.name,
+      riskScore: strategy.riskScore,
+      allocationBps: toBps(value)
+    });
+  }
+
+  for (const strategy of strategies) {
+    if (!allocations.some(({ strategyAddress }) => sameAddress(strategyAddress, strategy.address))) {
+      errors.push(`Missing allocation for ${strategy.name}`);
+    }
+  }
+
+  const totalBps = targets.reduce((sum, target) => sum + target.allocationBps, 0);
+  if (errors.length === 0 && totalBps !== TOTAL_BPS) {
+    errors.push(`Allocations must sum to 100% (got ${totalBps / 100}%)`);
+  }
+
+  return { valid: errors.length === 0, errors, targets };
+}
+
+/**
+ * Before/after allocation per strategy, in percent
+ */
+function diffAllocations(strategies, targets) {
+  return strategies.map(strategy => {
+    const target = targets.find(t => sameAddress(t.address, strategy.address));
+    const beforeBps = toBps(strategy.allocation);
+    const afterBps = target ? target.allocationBps : beforeBps;
+
+    return {
+      strategyAddress: strategy.address,
+      name: strategy.name,
+      riskScore: strategy.riskScore,
+      before: beforeBps / 100,
+      after: afterBps / 100,
+      change: (afterBps - beforeBps) / 100
+    };
+  });
+}
+
+module.exports = {
+  RISK_ALLOCATION_CAPS,
+  getAllocationCap,
+  findStrategy,
+  validateAllocations,
+  diffAllocations
+};
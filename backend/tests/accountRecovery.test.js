@@ -0,0 +1,190 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/AccountRecoveryRepository', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findOpenByUser: jest.fn(),
+  findByEmailToken: jest.fn(),
+  confirmEmail: jest.fn(),
+  transition: jest.fn(),
+  findForReview: jest.fn()
+}));
+
+jest.mock('../src/services/twoFactorService', () => ({
+  resetFactors: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/UserRepository', () => ({
+  setTwoFactorMethod: jest.fn()
+}));
+
+jest.mock('@simplewebauthn/server', () => ({
+  generateRegistrationOptions: jest.fn(),
+  verifyRegistrationResponse: jest.fn(),
+  generateAuthenticationOptions: jest.fn(),
+  verifyAuthenticationResponse: jest.fn()
+}));
+
+jest.mock('uuid', () => ({ v4: jest.fn() }));
+
+jest.mock('../src/services/mailService', () => ({
+  sendToUser: jest.fn()
+}));
+
+const crypto = require('crypto');
+const mailService = require('../src/services/mailService');
+const AccountRecoveryRepository = require('../src/models/postgres/AccountRecoveryRepository');
+const twoFactorService = require('../src/services/twoFactorService');
+const databaseService = require('../src/services/DatabaseService');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const accountRecoveryService = require('../src/services/accountRecoveryService');
+const passkeyController = require('../src/controllers/passkeyController');
+
+const HOUR = 60 * 60 * 1000;
+const user = { id: 'user-1', email: 'alice@example.com' };
+
+describe('Account Recovery Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountRecoveryService.coolingOffHours = 72;
+    AccountRecoveryRepository.findOpenByUser.mockResolvedValue(null);
+    AccountRecoveryRepository.create.mockImplementation(async (data) => ({ id: 'request-1', status: 'pending_email', ...data }));
+  });
+
+  test('should store only the hash of the emailed confirmation token', async () => {
+    await accountRecoveryService.requestRecovery(user, { reason: 'Lost my phone', ipAddress: '127.0.0.1' });
+
+    const [stored] = AccountRecoveryRepository.create.mock.calls[0];
+    const [recipient, template, { link }] = mailService.sendToUser.mock.calls[0];
+    const token = decodeURIComponent(link.match(/token=([^\s]+)/)[1]);
+
+    expect(recipient).toBe(user);
+    expect(template).toBe('account_recovery');
+    expect(stored.user_id).toBe('user-1');
+    expect(stored.email_token_hash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(stored.email_token_hash).not.toBe(token);
+  });
+
+  test('should allow only one open request per user', async () => {
+    AccountRecoveryRepository.findOpenByUser.mockResolvedValue({ id: 'request-0', status: 'cooling_off' });
+
+    await expect(accountRecoveryService.requestRecovery(user)).rejects.toMatchObject({ code: 'RECOVERY_IN_PROGRESS' });
+    expect(AccountRecoveryRepository.create).not.toHaveBeenCalled();
+  });
+
+  test('should start the cooling-off period when the email is confirmed', async () => {
+    AccountRecoveryRepository.findByEmailToken.mockResolvedValue({
+      id: 'request-1',
+      email_token_expires_at: new Date(Date.now() + HOUR)
+    });
+    AccountRecoveryRepository.confirmEmail.mockResolvedValue({ id: 'request-1', status: 'cooling_off' });
+
+    const before = Date.now();
+    await accountRecoveryService.confirmEmail('token');
+
+    const [, coolingOffEndsAt] = AccountRecoveryRepository.confirmEmail.mock.calls[0];
+    expect(coolingOffEndsAt.getTime()).toBeGreaterThanOrEqual(before + 72 * HOUR);
+  });
+
+  test('should expire requests whose confirmation link is stale', async () => {
+    AccountRecoveryRepository.findByEmailToken.mockResolvedValue({
+      id: 'request-1',
+      email_token_expires_at: new Date(Date.now() - 1000)
+    });
+
+    await expect(accountRecoveryService.confirmEmail('token')).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    expect(AccountRecoveryRepository.transition).toHaveBeenCalledWith('request-1', ['pending_email'], 'expired');
+    expect(AccountRecoveryRepository.confirmEmail).not.toHaveBeenCalled();
+  });
+
+  test('should not approve before the cooling-off period ends', async () => {
+    AccountRecoveryRepository.findById.mockResolvedValue({
+      id: 'request-1',
+      user_id: 'user-1',
+      status: 'cooling_off',
+      cooling_off_ends_at: new Date(Date.now() + HOUR)
+    });
+
+    await expect(accountRecoveryService.approve('request-1', 'admin-1')).rejects.toMatchObject({ code: 'COOLING_OFF' });
+
+    AccountRecoveryRepository.findById.mockResolvedValue({
+      id: 'request-1',
+      user_id: 'user-1',
+      status: 'cooling_off',
+      cooling_off_ends_at: new Date(Date.now() - HOUR)
+    });
+    AccountRecoveryRepository.transition.mockResolvedValue({ id: 'request-1', status: 'approved' });
+
+    await expect(accountRecoveryService.approve('request-1', 'admin-1', 'Verified by support call'))
+      .resolves.toMatchObject({ status: 'approved' });
+    expect(AccountRecoveryRepository.transition).toHaveBeenCalledWith('request-1', ['cooling_off'], 'approved', {
+      reviewed_by: 'admin-1',
+      review_notes: 'Verified by support call'
+    });
+  });
+
+  test('should reset second factors only with an approved request', async () => {
+    AccountRecoveryRepository.findOpenByUser.mockResolvedValue({ id: 'request-1', status: 'cooling_off' });
+    await expect(accountRecoveryService.complete('user-1')).rejects.toMatchObject({ code: 'NOT_APPROVED' });
+    expect(twoFactorService.resetFactors).not.toHaveBeenCalled();
+
+    AccountRecoveryRepository.findOpenByUser.mockResolvedValue({ id: 'request-1', status: 'approved' });
+    AccountRecoveryRepository.transition.mockResolvedValue({ id: 'request-1', status: 'completed' });
+
+    await accountRecoveryService.complete('user-1');
+    expect(AccountRecoveryRepository.transition).toHaveBeenCalledWith('request-1', ['approved'], 'completed');
+    expect(twoFactorService.resetFactors).toHaveBeenCalledWith('user-1');
+  });
+});
+
+describe('Passkey deletion', () => {
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const createReq = (userOverrides = {}) => ({
+    user: { id: 'user-1', ...userOverrides },
+    params: { passkeyId: 'passkey-1' },
+    ip: '127.0.0.1',
+    get: jest.fn()
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should refuse to delete the last passkey without another factor', async () => {
+    databaseService.executeQuery.mockResolvedValueOnce({ rows: [{ count: '1' }] });
+    const res = createRes();
+
+    await passkeyController.deletePasskey(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(databaseService.executeQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test('should delete the last passkey when an authenticator app is enrolled', async () => {
+    databaseService.executeQuery
+      .mockResolvedValueOnce({ rows: [{ count: '1' }] })
+      .mockResolvedValueOnce({ rows: [{ device_name: 'Laptop' }] })
+      .mockResolvedValue({ rows: [] });
+    const res = createRes();
+
+    await passkeyController.deletePasskey(createReq({ totp_confirmed_at: new Date() }), res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(UserRepository.setTwoFactorMethod).toHaveBeenCalledWith('user-1', 'totp');
+  });
+});
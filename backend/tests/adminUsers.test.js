@@ -0,0 +1,241 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  executeQuery: jest.fn(),
+  deleteCache: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/AdminAuditRepository', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  count: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/RoleRepository', () => ({
+  countUsersWithPermission: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/TransactionRepository', () => ({
+  getUserTransactions: jest.fn(),
+  countUserTransactions: jest.fn()
+}));
+
+jest.mock('../src/services/securityEventService', () => ({
+  list: jest.fn()
+}));
+
+jest.mock('../src/services/tokenService', () => ({
+  verifyAccessToken: jest.fn(),
+  revokeUserSessions: jest.fn()
+}));
+
+jest.mock('../src/services/websocketService', () => ({
+  closeSessions: jest.fn()
+}));
+
+const databaseService = require('../src/services/DatabaseService');
+const AdminAuditRepository = require('../src/models/postgres/AdminAuditRepository');
+const RoleRepository = require('../src/models/postgres/RoleRepository');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const securityEventService = require('../src/services/securityEventService');
+const tokenService = require('../src/services/tokenService');
+const websocketService = require('../src/services/websocketService');
+const adminUserService = require('../src/services/adminUserService');
+const adminUserController = require('../src/controllers/adminUserController');
+const { authenticate } = require('../src/middleware/auth');
+
+const USER_ID = '7f0c1a52-3c1e-4d7e-9a4b-2f6f5f1d9c01';
+const admin = { id: 'admin-1', permissions: ['users:read', 'users:write', 'roles:assign'] };
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const createReq = (overrides = {}) => ({
+  user: admin,
+  params: { userId: USER_ID },
+  query: {},
+  body: {},
+  ip: '10.0.0.1',
+  get: jest.fn(() => 'jest'),
+  ...overrides
+});
+
+const account = (overrides = {}) => ({
+  id: USER_ID,
+  email: 'user@abunfi.com',
+  wallet_address: '0x3333333333333333333333333333333333333333',
+  social_provider: 'google',
+  kyc_status: 'pending',
+  is_active: true,
+  suspended_at: null,
+  roles: [],
+  permissions: [],
+  ...overrides
+});
+
+describe('User search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.executeQuery.mockResolvedValue({ rows: [{ total: '0' }] });
+  });
+
+  test('should match email, name and wallet prefix, escaping LIKE wildcards', async () => {
+    await UserRepository.search({ term: '50%_off', status: 'suspended' }, 20, 40);
+
+    const [query, values] = databaseService.executeQuery.mock.calls[0];
+    expect(query).toContain('u.email ILIKE $1');
+    expect(query).toContain('u.wallet_address LIKE $2');
+    expect(query).toContain('u.suspended_at IS NOT NULL');
+    expect(query).not.toContain("social_provider = 'phone'");
+    expect(values).toEqual(['%50\\%\\_off%', '50\\%\\_off%', 20, 40]);
+  });
+
+  test('should also match phone accounts by their normalized number', async () => {
+    await adminUserService.search({ query: ' 0912 345 678 ' }, { page: 2, limit: 10 });
+
+    const [query, values] = databaseService.executeQuery.mock.calls[0];
+    expect(query).toContain("(u.social_provider = 'phone' AND u.social_id = $3)");
+    expect(values).toEqual(['%0912 345 678%', '0912 345 678%', '+84912345678', 10, 10]);
+  });
+});
+
+describe('Admin User Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.executeQuery.mockResolvedValue({ rows: [] });
+    tokenService.revokeUserSessions.mockResolvedValue(['session-1', 'session-2']);
+    RoleRepository.countUsersWithPermission.mockResolvedValue(1);
+  });
+
+  test('should suspend an account and end its sessions', async () => {
+    jest.spyOn(UserRepository, 'findById').mockResolvedValue(account());
+    jest.spyOn(UserRepository, 'suspend').mockResolvedValue({ suspended_at: new Date(), suspension_reason: 'Fraud' });
+
+    const result = await adminUserService.suspend(USER_ID, admin, 'Fraud');
+
+    expect(UserRepository.suspend).toHaveBeenCalledWith(USER_ID, 'admin-1', 'Fraud');
+    expect(tokenService.revokeUserSessions).toHaveBeenCalledWith(USER_ID, 'account_suspended');
+    expect(websocketService.closeSessions).toHaveBeenCalledWith(['session-1', 'session-2']);
+    expect(result).toEqual(expect.objectContaining({ reason: 'Fraud', revokedSessions: 2 }));
+  });
+
+  test('should refuse to suspend the acting admin, a suspended account or the last role admin', async () => {
+    jest.spyOn(UserRepository, 'suspend');
+
+    await expect(adminUserService.suspend('admin-1', admin, 'Oops')).rejects.toMatchObject({ code: 'SELF_ACTION' });
+
+    jest.spyOn(UserRepository, 'findById').mockResolvedValue(account({ suspended_at: new Date() }));
+    await expect(adminUserService.suspend(USER_ID, admin, 'Fraud')).rejects.toMatchObject({ code: 'ALREADY_SUSPENDED' });
+
+    UserRepository.findById.mockResolvedValue(account({ permissions: ['roles:assign'] }));
+    RoleRepository.countUsersWithPermission.mockResolvedValue(0);
+    await expect(adminUserService.suspend(USER_ID, admin, 'Fraud')).rejects.toMatchObject({ code: 'LAST_ROLE_ADMIN' });
+
+    expect(UserRepository.suspend).not.toHaveBeenCalled();
+  });
+
+  test('should only reactivate suspended accounts', async () => {
+    jest.spyOn(UserRepository, 'findForAdmin').mockResolvedValue(account());
+    jest.spyOn(UserRepository, 'reactivate').mockResolvedValue({ id: USER_ID });
+
+    await expect(adminUserService.reactivate(USER_ID)).rejects.toMatchObject({ code: 'NOT_SUSPENDED' });
+
+    const suspendedAt = new Date();
+    UserRepository.findForAdmin.mockResolvedValue(account({ suspended_at: suspendedAt, suspension_reason: 'Fraud' }));
+    await expect(adminUserService.reactivate(USER_ID)).resolves.toEqual({ previousReason: 'Fraud', suspendedAt });
+  });
+
+  test('should read security events of the account and its wallet', async () => {
+    jest.spyOn(UserRepository, 'findForAdmin').mockResolvedValue(account());
+    securityEventService.list.mockResolvedValue({ events: [], nextCursor: null });
+
+    await adminUserService.getSecurityEvents(USER_ID, { limit: 20 });
+
+    expect(securityEventService.list).toHaveBeenCalledWith(
+      { userId: USER_ID, walletAddress: '0x3333333333333333333333333333333333333333' },
+      { limit: 20 }
+    );
+  });
+});
+
+describe('Admin User Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AdminAuditRepository.create.mockImplementation(async (entry) => ({ id: 'audit-1', ...entry }));
+    tokenService.revokeUserSessions.mockResolvedValue(['session-1']);
+    jest.spyOn(UserRepository, 'findForAdmin').mockResolvedValue(account());
+  });
+
+  test('should write forced logouts to the audit log', async () => {
+    const res = createRes();
+
+    await adminUserController.forceLogout(createReq(), res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: { revokedSessions: 1 } }));
+    expect(AdminAuditRepository.create).toHaveBeenCalledWith({
+      actor_id: 'admin-1',
+      action: 'sessions_revoked',
+      target_user_id: USER_ID,
+      details: { revokedSessions: 1 },
+      ip_address: '10.0.0.1',
+      user_agent: 'jest'
+    });
+  });
+
+  test('should record the previous KYC status with the review notes', async () => {
+    jest.spyOn(UserRepository, 'update').mockResolvedValue(account({ kyc_status: 'verified' }));
+    const res = createRes();
+
+    await adminUserController.updateKycStatus(createReq({ body: { kycStatus: 'verified', notes: 'Passport checked' } }), res);
+
+    expect(UserRepository.update).toHaveBeenCalledWith(USER_ID, { kyc_status: 'verified' });
+    expect(AdminAuditRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'kyc_status_changed',
+      details: { previousStatus: 'pending', status: 'verified', notes: 'Passport checked' }
+    }));
+  });
+
+  test('should not report success when the audit entry cannot be written', async () => {
+    AdminAuditRepository.create.mockRejectedValue(new Error('connection lost'));
+    const res = createRes();
+
+    await adminUserController.forceLogout(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+
+  test('should map admin errors to HTTP statuses without writing the audit log', async () => {
+    UserRepository.findForAdmin.mockResolvedValue(null);
+    const res = createRes();
+
+    await adminUserController.reactivateUser(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    expect(AdminAuditRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Suspended accounts', () => {
+  test('should be refused by authenticate', async () => {
+    tokenService.verifyAccessToken.mockResolvedValue({ userId: USER_ID, sid: 'session-1' });
+    jest.spyOn(UserRepository, 'findById').mockResolvedValue(account({ suspended_at: new Date() }));
+    const next = jest.fn();
+    const res = createRes();
+
+    await authenticate({ header: () => 'Bearer token' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+  });
+});
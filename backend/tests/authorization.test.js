@@ -0,0 +1,198 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/RoleRepository', () => ({
+  findAll: jest.fn(),
+  findAllPermissions: jest.fn(),
+  findByUser: jest.fn(),
+  countUsersWithPermission: jest.fn(),
+  setUserRoles: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/UserRepository', () => ({
+  findById: jest.fn(),
+  findByWalletAddress: jest.fn()
+}));
+
+jest.mock('../src/services/securityEventService', () => ({
+  record: jest.fn(),
+  canAccessWallet: jest.requireActual('../src/services/securityEventService').canAccessWallet,
+  ownsWallet: jest.requireActual('../src/services/securityEventService').ownsWallet
+}));
+
+jest.mock('../src/services/adminAuditService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/tokenService', () => ({}));
+jest.mock('../src/services/twoFactorService', () => ({}));
+jest.mock('../src/services/websocketService', () => ({}));
+jest.mock('../src/services/mailService', () => ({}));
+
+const RoleRepository = require('../src/models/postgres/RoleRepository');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const securityEventService = require('../src/services/securityEventService');
+const adminAuditService = require('../src/services/adminAuditService');
+const authorizationService = require('../src/services/authorizationService');
+const roleController = require('../src/controllers/roleController');
+const { requirePermission } = require('../src/middleware/auth');
+const { hasPermission } = require('../src/utils/permissions');
+
+const ROLES = [
+  { name: 'admin', description: 'Full administrative access', permissions: ['roles:assign', 'strategies:read', 'users:read'], user_count: 1 },
+  { name: 'strategy_manager', description: 'Manages strategies', permissions: ['batching:trigger', 'strategies:read', 'strategies:write'], user_count: 2 }
+];
+
+const admin = { id: 'admin-1', roles: ['admin'], permissions: ['roles:assign', 'strategies:read', 'users:read'] };
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Permission checks', () => {
+  test('should require every listed permission', () => {
+    const manager = { permissions: ['strategies:read', 'strategies:write'] };
+
+    expect(hasPermission(manager, 'strategies:read')).toBe(true);
+    expect(hasPermission(manager, 'strategies:read', 'batching:trigger')).toBe(false);
+    expect(hasPermission({ role: 'admin' }, 'strategies:read')).toBe(false);
+    expect(hasPermission(null, 'strategies:read')).toBe(false);
+  });
+
+  test('should answer 403 with the missing permissions', () => {
+    const middleware = requirePermission('strategies:read', 'strategies:write');
+    const next = jest.fn();
+    const res = createRes();
+
+    middleware({ user: { id: 'user-1', permissions: ['strategies:read'] }, method: 'POST', originalUrl: '/api/admin/strategies/rebalance' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Insufficient permissions',
+      required: ['strategies:read', 'strategies:write'],
+      missing: ['strategies:write']
+    });
+
+    middleware({ user: { id: 'user-2', permissions: ['strategies:read', 'strategies:write'] } }, createRes(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should answer 401 without an authenticated user', () => {
+    const res = createRes();
+
+    requirePermission('users:read')({}, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('should let security:read holders read any wallet but only security:write holders report for it', () => {
+    const reader = { id: 'support-1', permissions: ['security:read'], wallet_address: '0xaaa' };
+
+    expect(securityEventService.canAccessWallet(reader, '0xbbb')).toBe(true);
+    expect(securityEventService.canAccessWallet(reader, '0xbbb', 'security:write')).toBe(false);
+    expect(securityEventService.canAccessWallet(reader, '0xAAA', 'security:write')).toBe(true);
+  });
+});
+
+describe('Authorization Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RoleRepository.findAll.mockResolvedValue(ROLES);
+    RoleRepository.findAllPermissions.mockResolvedValue([]);
+    RoleRepository.findByUser.mockResolvedValue([{ role: 'strategy_manager', granted_by: 'admin-1', granted_at: new Date() }]);
+    RoleRepository.countUsersWithPermission.mockResolvedValue(1);
+    UserRepository.findById.mockResolvedValue({ id: 'user-1', roles: [], permissions: [] });
+  });
+
+  test('should replace a user\'s roles and return its new access', async () => {
+    const access = await authorizationService.setUserRoles('user-1', ['strategy_manager', 'strategy_manager'], admin);
+
+    expect(RoleRepository.setUserRoles).toHaveBeenCalledWith('user-1', ['strategy_manager'], 'admin-1');
+    expect(access).toEqual(expect.objectContaining({
+      userId: 'user-1',
+      roles: [expect.objectContaining({ name: 'strategy_manager', grantedBy: 'admin-1' })],
+      previousRoles: []
+    }));
+  });
+
+  test('should reject unknown roles and users', async () => {
+    await expect(authorizationService.setUserRoles('user-1', ['superuser'], admin))
+      .rejects.toMatchObject({ code: 'UNKNOWN_ROLE', message: 'Unknown role: superuser' });
+
+    UserRepository.findById.mockResolvedValue(null);
+    await expect(authorizationService.setUserRoles('user-9', [], admin)).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+    expect(RoleRepository.setUserRoles).not.toHaveBeenCalled();
+  });
+
+  test('should keep at least one user able to assign roles', async () => {
+    UserRepository.findById.mockResolvedValue(admin);
+    RoleRepository.countUsersWithPermission.mockResolvedValue(0);
+
+    await expect(authorizationService.setUserRoles('admin-1', ['strategy_manager'], admin))
+      .rejects.toMatchObject({ code: 'LAST_ROLE_ADMIN' });
+    expect(RoleRepository.countUsersWithPermission).toHaveBeenCalledWith('roles:assign', 'admin-1');
+
+    // Fine while another admin remains
+    RoleRepository.countUsersWithPermission.mockResolvedValue(1);
+    await authorizationService.setUserRoles('admin-1', ['strategy_manager'], admin);
+    expect(RoleRepository.setUserRoles).toHaveBeenCalled();
+  });
+});
+
+describe('Role Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RoleRepository.findAll.mockResolvedValue(ROLES);
+    RoleRepository.findAllPermissions.mockResolvedValue([]);
+    RoleRepository.findByUser.mockResolvedValue([{ role: 'admin', granted_by: 'admin-1', granted_at: new Date() }]);
+    UserRepository.findById.mockResolvedValue({ id: 'user-1', roles: ['strategy_manager'], permissions: [] });
+  });
+
+  const createReq = (body = {}) => ({
+    user: admin,
+    params: { userId: 'user-1' },
+    body,
+    ip: '127.0.0.1',
+    get: jest.fn()
+  });
+
+  test('should record who changed a user\'s roles', async () => {
+    const res = createRes();
+
+    await roleController.setUserRoles(createReq({ roles: ['admin'] }), res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(securityEventService.record).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      eventType: 'roles_changed',
+      metadata: { previousRoles: ['strategy_manager'], roles: ['admin'], changedBy: 'admin-1' }
+    }));
+    expect(adminAuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      actorId: 'admin-1',
+      action: 'roles_changed',
+      targetUserId: 'user-1',
+      details: { previousRoles: ['strategy_manager'], roles: ['admin'] }
+    }));
+  });
+
+  test('should map authorization errors to HTTP statuses', async () => {
+    const res = createRes();
+
+    await roleController.setUserRoles(createReq({ roles: ['superuser'] }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unknown role: superuser', code: 'UNKNOWN_ROLE' });
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/BatchAllocationRepository', () => ({
+  create: jest.fn(),
+  markConfirmed: jest.fn(),
+  markFailed: jest.fn(),
+  getHistory: jest.fn(),
+  count: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const BatchAllocationRepository = require('../src/models/postgres/BatchAllocationRepository');
+const blockchainService = require('../src/config/blockchain');
+
+const VAULT = '0x1111111111111111111111111111111111111111';
+const usdc = (amount) => ethers.parseUnits(String(amount), 6);
+
+const createVault = () => {
+  const iface = new ethers.Interface([
+    'function triggerBatchAllocation() external'
+  ]);
+
+  return {
+    interface: iface,
+    getAddress: jest.fn().mockResolvedValue(VAULT),
+    allocationThreshold: jest.fn().mockResolvedValue(usdc(1000)),
+    allocationInterval: jest.fn().mockResolvedValue(14400n),
+    emergencyAllocationThreshold: jest.fn().mockResolvedValue(usdc(5000)),
+    lastAllocationTime: jest.fn().mockResolvedValue(1700000000n),
+    totalPendingAllocation: jest.fn().mockResolvedValue(usdc(750)),
+    pendingAllocationsByRisk: jest.fn(async (level) => usdc([300, 350, 100][level])),
+    pendingDepositorsCount: jest.fn().mockResolvedValue(12n),
+    shouldTriggerAllocation: jest.fn().mockResolvedValue(false)
+  };
+};
+
+const createSigner = (startNonce = 7) => ({
+  getNonce: jest.fn().mockResolvedValue(startNonce),
+  sendTransaction: jest.fn(async (request) => ({
+    hash: `0x${request.nonce.toString(16).padStart(64, '0')}`,
+    nonce: request.nonce,
+    wait: jest.fn().mockResolvedValue({
+      blockNumber: 100,
+      gasUsed: 180000n,
+      gasPrice: 1000000000n,
+      fee: 180000000000000n,
+      status: 1
+    })
+  }))
+});
+
+describe('Blockchain Service batching', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    blockchainService.vaultContract = createVault();
+    blockchainService.signer = createSigner();
+    blockchainService.adminNonce = null;
+    blockchainService.adminTxQueue = Promise.resolve();
+
+    BatchAllocationRepository.create.mockImplementation(async (data) => ({
+      id: 'batch-1',
+      status: 'submitted',
+      created_at: new Date(),
+      ...data
+    }));
+    BatchAllocationRepository.markConfirmed.mockImplementation(async (txHash, receipt) => ({
+      id: 'batch-1',
+      tx_hash: txHash,
+      status: 'confirmed',
+      total_amount: '750.000000',
+      low_risk_amount: '300.000000',
+      medium_risk_amount: '350.000000',
+      high_risk_amount: '100.000000',
+      user_count: 12,
+      trigger_reason: 'manual',
+      confirmed_at: new Date(),
+      ...receipt
+    }));
+  });
+
+  test('should read the batching config and pending buckets in USDC', async () => {
+    await expect(blockchainService.getBatchingConfig()).resolves.toEqual({
+      threshold: 1000,
+      interval: 14400,
+      emergencyThreshold: 5000,
+      lastAllocationTime: 1700000000
+    });
+
+    await expect(blockchainService.getPendingAllocations()).resolves.toEqual({
+      total: 750,
+      lowRisk: 300,
+      mediumRisk: 350,
+      highRisk: 100,
+      userCount: 12
+    });
+    expect(blockchainService.vaultContract.pendingAllocationsByRisk).toHaveBeenCalledWith(0);
+    expect(blockchainService.vaultContract.pendingAllocationsByRisk).toHaveBeenCalledWith(2);
+  });
+
+  test('should send the trigger from the admin signer and record the batch', async () => {
+    const result = await blockchainService.triggerBatchAllocation({ reason: 'manual', triggeredBy: 'user-1' });
+
+    const [request] = blockchainService.signer.sendTransaction.mock.calls[0];
+    expect(request).toMatchObject({ to: VAULT, nonce: 7 });
+    expect(request.data).toBe(blockchainService.vaultContract.interface.encodeFunctionData('triggerBatchAllocation', []));
+
+    expect(BatchAllocationRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      nonce: 7,
+      total_amount: 750,
+      low_risk_amount: 300,
+      user_count: 12,
+      trigger_reason: 'manual',
+      triggered_by: 'user-1'
+    }));
+    expect(BatchAllocationRepository.markConfirmed).toHaveBeenCalledWith(`0x${'7'.padStart(64, '0')}`, {
+      block_number: 100,
+      gas_used: '180000',
+      gas_price: '1000000000',
+      gas_fee: '0.00018'
+    });
+    expect(result).toMatchObject({ status: 'confirmed', allocatedAmount: 750, gasUsed: '180000', blockNumber: 100 });
+  });
+
+  test('should hand out consecutive nonces to concurrent admin transactions', async () => {
+    const [first, second] = await Promise.all([
+      blockchainService.sendAdminTransaction({ to: VAULT, data: '0x' }),
+      blockchainService.sendAdminTransaction({ to: VAULT, data: '0x' })
+    ]);
+
+    expect(first.nonce).toBe(7);
+    expect(second.nonce).toBe(8);
+    expect(blockchainService.signer.getNonce).toHaveBeenCalledTimes(1);
+  });
+
+  test('should resync the nonce and retry once when it was already used', async () => {
+    const send = blockchainService.signer.sendTransaction.getMockImplementation();
+    blockchainService.signer.sendTransaction.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+    });
+    blockchainService.signer.getNonce.mockResolvedValueOnce(7).mockResolvedValueOnce(9);
+    blockchainService.signer.sendTransaction.mockImplementation(send);
+
+    const tx = await blockchainService.sendAdminTransaction({ to: VAULT, data: '0x' });
+
+    expect(tx.nonce).toBe(9);
+    expect(blockchainService.adminNonce).toBe(10);
+  });
+
+  test('should record reverted batches as failed', async () => {
+    const reverted = Object.assign(new Error('transaction execution reverted'), {
+      shortMessage: 'transaction execution reverted',
+      receipt: { blockNumber: 101, gasUsed: 50000n }
+    });
+    blockchainService.signer.sendTransaction.mockResolvedValueOnce({
+      hash: '0xreverted',
+      nonce: 7,
+      wait: jest.fn().mockRejectedValue(reverted)
+    });
+
+    await expect(blockchainService.triggerBatchAllocation()).rejects.toBe(reverted);
+    expect(BatchAllocationRepository.markFailed).toHaveBeenCalledWith('0xreverted', 'transaction execution reverted', {
+      block_number: 101,
+      gas_used: '50000'
+    });
+    expect(BatchAllocationRepository.markConfirmed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/config/blockchain', () => ({
+  initialized: true,
+  vaultContract: {},
+  getBatchingConfig: jest.fn(),
+  getPendingAllocations: jest.fn(),
+  getGasPrice: jest.fn(),
+  simulateBatchAllocation: jest.fn(),
+  triggerBatchAllocation: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/SchedulerLockRepository', () => ({
+  acquire: jest.fn(),
+  release: jest.fn()
+}));
+
+jest.mock('../src/services/websocketService', () => ({
+  broadcast: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const blockchainService = require('../src/config/blockchain');
+const SchedulerLockRepository = require('../src/models/postgres/SchedulerLockRepository');
+const websocketService = require('../src/services/websocketService');
+const batchAllocationService = require('../src/services/batchAllocationService');
+
+const NOW = 1700000000 * 1000;
+const config = { threshold: 1000, interval: 14400, emergencyThreshold: 5000, lastAllocationTime: 1700000000 - 3600 };
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+
+describe('Batch Allocation Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    batchAllocationService.maxGasPrice = gwei(50);
+
+    SchedulerLockRepository.acquire.mockResolvedValue(true);
+    SchedulerLockRepository.release.mockResolvedValue(true);
+    blockchainService.getBatchingConfig.mockResolvedValue({ ...config, lastAllocationTime: Date.now() / 1000 - 3600 });
+    blockchainService.getPendingAllocations.mockResolvedValue({ total: 1200, lowRisk: 600, mediumRisk: 400, highRisk: 200 });
+    blockchainService.getGasPrice.mockResolvedValue(gwei(20));
+    blockchainService.simulateBatchAllocation.mockResolvedValue();
+    blockchainService.triggerBatchAllocation.mockResolvedValue({ transactionHash: '0xbatch', allocatedAmount: 1200 });
+  });
+
+  test('should pick the strongest met condition', () => {
+    expect(batchAllocationService.getTriggerReason(config, { total: 6000 }, NOW)).toBe('emergency');
+    expect(batchAllocationService.getTriggerReason(config, { total: 1000 }, NOW)).toBe('threshold');
+    expect(batchAllocationService.getTriggerReason(config, { total: 10 }, NOW)).toBeNull();
+    expect(batchAllocationService.getTriggerReason(config, { total: 10 }, NOW + 4 * 3600 * 1000)).toBe('interval');
+    expect(batchAllocationService.getTriggerReason(config, { total: 0 }, NOW + 4 * 3600 * 1000)).toBeNull();
+  });
+
+  test('should simulate, send and broadcast when a condition is met', async () => {
+    const result = await batchAllocationService.run();
+
+    expect(result).toEqual({ status: 'executed', reason: 'threshold', batch: expect.objectContaining({ transactionHash: '0xbatch' }) });
+    expect(blockchainService.simulateBatchAllocation).toHaveBeenCalled();
+    expect(blockchainService.triggerBatchAllocation).toHaveBeenCalledWith({ reason: 'threshold', triggeredBy: null });
+    expect(websocketService.broadcast).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'batch_allocation',
+      data: result
+    }));
+    const [, owner] = SchedulerLockRepository.acquire.mock.calls[0];
+    expect(owner).toMatch(new RegExp(`^${batchAllocationService.instanceId}:`));
+    expect(SchedulerLockRepository.release).toHaveBeenCalledWith('batch_allocation', owner);
+  });
+
+  test('should not send while another instance holds the lock', async () => {
+    SchedulerLockRepository.acquire.mockResolvedValue(false);
+
+    await expect(batchAllocationService.run()).resolves.toEqual({ status: 'skipped', reason: 'locked' });
+    expect(blockchainService.getPendingAllocations).not.toHaveBeenCalled();
+    expect(SchedulerLockRepository.release).not.toHaveBeenCalled();
+  });
+
+  test('should not let a manual trigger take over a cron run in the same process', async () => {
+    // Lease semantics of the repository: free or expired only
+    let holder = null;
+    SchedulerLockRepository.acquire.mockImplementation(async (name, owner) => {
+      if (holder) return false;
+      holder = owner;
+      return true;
+    });
+    SchedulerLockRepository.release.mockImplementation(async (name, owner) => {
+      if (holder !== owner) return false;
+      holder = null;
+      return true;
+    });
+
+    let mined;
+    blockchainService.triggerBatchAllocation.mockReturnValue(new Promise(resolve => { mined = resolve; }));
+
+    const cronRun = batchAllocationService.run();
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(batchAllocationService.run({ manual: true, triggeredBy: 'manager-1' }))
+      .resolves.toEqual({ status: 'skipped', reason: 'locked' });
+    const [[, cronOwner], [, manualOwner]] = SchedulerLockRepository.acquire.mock.calls;
+    expect(manualOwner).not.toBe(cronOwner);
+    expect(holder).toBe(cronOwner);
+
+    mined({ transactionHash: '0xbatch', allocatedAmount: 1200 });
+    await expect(cronRun).resolves.toMatchObject({ status: 'executed', reason: 'threshold' });
+
+    expect(blockchainService.triggerBatchAllocation).toHaveBeenCalledTimes(1);
+    expect(holder).toBeNull();
+  });
+
+  test('should refuse to send above the gas price ceiling', async () => {
+    blockchainService.getGasPrice.mockResolvedValue(gwei(80));
+
+    const result = await batchAllocationService.run();
+
+    expect(result).toMatchObject({ status: 'blocked', reason: 'gas_price_too_high', gasPriceGwei: '80.0' });
+    expect(blockchainService.simulateBatchAllocation).not.toHaveBeenCalled();
+    expect(blockchainService.triggerBatchAllocation).not.toHaveBeenCalled();
+  });
+
+  test('should not send when the dry run reverts', async () => {
+    blockchainService.simulateBatchAllocation.mockRejectedValue(Object.assign(new Error('reverted'), {
+      shortMessage: 'execution reverted: Allocation too soon'
+    }));
+
+    const result = await batchAllocationService.run();
+
+    expect(result).toMatchObject({ status: 'blocked', reason: 'simulation_failed', error: 'execution reverted: Allocation too soon' });
+    expect(blockchainService.triggerBatchAllocation).not.toHaveBeenCalled();
+  });
+
+  test('should skip the condition check for manual triggers but keep the guard rails', async () => {
+    blockchainService.getPendingAllocations.mockResolvedValue({ total: 10 });
+
+    await expect(batchAllocationService.run()).resolves.toEqual({ status: 'skipped', reason: 'conditions_not_met' });
+    expect(websocketService.broadcast).not.toHaveBeenCalled();
+
+    const result = await batchAllocationService.run({ manual: true, triggeredBy: 'manager-1' });
+
+    expect(result.status).toBe('executed');
+    expect(blockchainService.simulateBatchAllocation).toHaveBeenCalledTimes(1);
+    expect(blockchainService.triggerBatchAllocation).toHaveBeenCalledWith({ reason: 'manual', triggeredBy: 'manager-1' });
+  });
+});
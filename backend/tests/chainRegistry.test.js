@@ -0,0 +1,212 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/BatchAllocationRepository', () => ({}));
+
+jest.mock('../src/services/rpcProviderPool', () => ({
+  createProviderPool: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createProviderPool } = require('../src/services/rpcProviderPool');
+const { loadChainRegistry } = require('../src/config/chainRegistry');
+const { createFakeChain } = require('../src/services/fakeChain');
+const { VAULT_ABI, USDC_ABI } = require('../src/config/contractAbis');
+const blockchainService = require('../src/config/blockchain');
+const chainController = require('../src/controllers/chainController');
+const { resolveChain } = require('../src/middleware/chain');
+
+const usdc = (amount) => ethers.parseUnits(String(amount), 6);
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const writeDeployment = (dir, file, deployment) => {
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(deployment));
+};
+
+describe('Chain registry', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should load deployment files keyed by chain id with checksummed addresses', () => {
+    const vault = ethers.Wallet.createRandom().address;
+    writeDeployment(dir, '10.json', {
+      chainId: 10,
+      name: 'Optimism',
+      rpcUrls: ['https://mainnet.optimism.io'],
+      contracts: { vault: vault.toLowerCase(), strategyManager: '0x...', strategies: { aave: vault } }
+    });
+
+    const registry = loadChainRegistry({ DEPLOYMENTS_DIR: dir });
+
+    expect(registry.defaultChainId).toBe(10);
+    expect(registry.deployments).toEqual([{
+      chainId: 10,
+      name: 'Optimism',
+      explorerUrl: null,
+      rpcUrls: ['https://mainnet.optimism.io'],
+      contracts: { vault, strategies: { aave: vault } }
+    }]);
+  });
+
+  test('should fall back to environment addresses for the default chain and pick RPC URLs by precedence', () => {
+    const vault = ethers.Wallet.createRandom().address;
+    writeDeployment(dir, '10.json', { chainId: 10, rpcUrls: ['https://public.example'], contracts: {} });
+
+    const registry = loadChainRegistry({
+      DEPLOYMENTS_DIR: dir,
+      CHAIN_ID: '11155111',
+      VAULT_CONTRACT_ADDRESS: vault,
+      AAVE_STRATEGY_ADDRESS: '0x...',
+      RPC_URL: 'https://sepolia.example',
+      RPC_URLS_10: 'https://private-a.example, https://private-b.example'
+    });
+
+    expect(registry.defaultChainId).toBe(11155111);
+    expect(registry.deployments.map(d => [d.chainId, d.rpcUrls, d.contracts])).toEqual([
+      [11155111, ['https://sepolia.example'], { vault, strategies: {} }],
+      [10, ['https://private-a.example', 'https://private-b.example'], { strategies: {} }]
+    ]);
+  });
+
+  test('should reject invalid deployment files', () => {
+    writeDeployment(dir, '1.json', { chainId: 1, contracts: { vault: '0x1234' } });
+    expect(() => loadChainRegistry({ DEPLOYMENTS_DIR: dir })).toThrow('vault is not an address');
+
+    fs.rmSync(path.join(dir, '1.json'));
+    writeDeployment(dir, 'mainnet.json', { chainId: 1, contracts: {} });
+    expect(() => loadChainRegistry({ DEPLOYMENTS_DIR: dir })).toThrow('file must be named 1.json');
+  });
+});
+
+describe('Multi-chain blockchain service', () => {
+  const fakes = {};
+  let dir;
+
+  const deposit = async (fake, seed, amount) => {
+    const wallet = new ethers.Wallet(ethers.id(seed), fake.provider);
+    fake.mintUsdc(wallet.address, amount);
+
+    const token = new ethers.Contract(fake.addresses.usdc, USDC_ABI, wallet);
+    const vault = new ethers.Contract(fake.addresses.vault, VAULT_ABI, wallet);
+    await (await token.approve(fake.addresses.vault, usdc(amount))).wait();
+    await (await vault.deposit(usdc(amount), wallet.address)).wait();
+    return wallet.address;
+  };
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+
+    // Two chains served by fake chains, and one whose endpoints are down
+    for (const chainId of [31337, 31338]) {
+      fakes[chainId] = createFakeChain({ chainId });
+      writeDeployment(dir, `${chainId}.json`, {
+        ...fakes[chainId].getDeployment(),
+        name: `Local ${chainId}`,
+        rpcUrls: [`fake://${chainId}`]
+      });
+    }
+    writeDeployment(dir, '10.json', { chainId: 10, name: 'Optimism', rpcUrls: ['https://down.example'], contracts: {} });
+
+    createProviderPool.mockImplementation(async ([url]) => {
+      const fake = fakes[url.replace('fake://', '')];
+      if (!fake) throw new Error('No RPC endpoint reachable');
+      return fake.provider;
+    });
+
+    process.env.DEPLOYMENTS_DIR = dir;
+    process.env.CHAIN_ID = '31337';
+    process.env.PRIVATE_KEY = fakes[31337].ownerPrivateKey;
+    await blockchainService.initialize();
+  });
+
+  afterAll(() => {
+    Object.values(fakes).forEach(fake => fake.destroy());
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.DEPLOYMENTS_DIR;
+    delete process.env.CHAIN_ID;
+    delete process.env.PRIVATE_KEY;
+  });
+
+  test('should connect every reachable chain and keep the default chain on the service', async () => {
+    const other = blockchainService.getChain(31338);
+
+    expect(blockchainService.chainId).toBe(31337);
+    expect(await blockchainService.vaultContract.getAddress()).toBe(fakes[31337].addresses.vault);
+    expect(await other.vaultContract.getAddress()).toBe(fakes[31338].addresses.vault);
+    expect(blockchainService.getChainIds().sort()).toEqual([31337, 31338]);
+    expect(blockchainService.getChain(10)).toBeNull();
+
+    const res = mockResponse();
+    chainController.getChains({}, res);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      defaultChainId: 31337,
+      chains: [
+        { chainId: 10, status: 'unavailable', isDefault: false },
+        { chainId: 31337, status: 'connected', isDefault: true, contracts: { vault: fakes[31337].addresses.vault } },
+        { chainId: 31338, status: 'connected', isDefault: false }
+      ]
+    });
+  });
+
+  test('should read and send admin transactions on the selected chain', async () => {
+    await deposit(fakes[31338], 'alice', 1200);
+    const other = blockchainService.getChain(31338);
+
+    expect((await other.getPendingAllocations()).total).toBe(1200);
+    expect((await blockchainService.getPendingAllocations()).total).toBe(0);
+
+    const [rebalance] = await other.buildRebalance();
+    const tx = await other.sendAdminTransaction(rebalance);
+
+    expect((await tx.wait()).to).toBe(fakes[31338].addresses.vault);
+    expect(other.adminNonce).toBe(1);
+    expect(blockchainService.adminNonce).toBeNull();
+  });
+
+  test('should aggregate a user portfolio across chains', async () => {
+    const user = await deposit(fakes[31337], 'bob', 250.5);
+    await deposit(fakes[31338], 'bob', 100);
+
+    const portfolio = await blockchainService.getUserPortfolio(user);
+
+    expect(portfolio).toMatchObject({ totalBalance: '350.5', deposits: '350.5', earnedYield: '0.0', complete: true });
+    expect(portfolio.chains.map(chain => [chain.chainId, chain.totalBalance])).toEqual([
+      [31337, '250.5'],
+      [31338, '100.0']
+    ]);
+    expect((await blockchainService.getUserPortfolio(user, [31338])).totalBalance).toBe('100.0');
+  });
+
+  test('should resolve ?chainId= to a chain and reject unsupported chains', () => {
+    const next = jest.fn();
+    const req = { query: { chainId: '31338' } };
+    resolveChain(req, mockResponse(), next);
+    expect(req.chain).toBe(blockchainService.getChain(31338));
+
+    const res = mockResponse();
+    resolveChain({ query: { chainId: '10' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'UNSUPPORTED_CHAIN' }));
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/config/blockchain', () => ({
+  initialized: true,
+  getVaultStats: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/BatchAllocationRepository', () => ({}));
+jest.mock('../src/models/postgres/TransactionRepository', () => ({}));
+jest.mock('../src/models/postgres/UserRepository', () => ({}));
+jest.mock('../src/services/DatabaseService', () => ({}));
+jest.mock('../src/services/strategySnapshotService', () => ({}));
+jest.mock('../src/services/batchAllocationService', () => ({}));
+
+const blockchainService = require('../src/config/blockchain');
+const dataSourceService = require('../src/services/dataSourceService');
+const vaultController = require('../src/controllers/vaultController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Data source provenance', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    blockchainService.initialized = true;
+    dataSourceService.mode = 'live';
+  });
+
+  test('should label chain reads with their source and time', async () => {
+    blockchainService.getVaultStats.mockResolvedValue({ totalAssets: '1200', currentAPY: 4.1 });
+    const res = mockResponse();
+
+    await vaultController.getVaultStats({}, res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({ success: true, data: { totalAssets: '1200' }, dataSource: 'chain' });
+    expect(new Date(body.asOf).toISOString()).toBe(body.asOf);
+  });
+
+  test('should answer 503 instead of sample figures in live mode', async () => {
+    blockchainService.getVaultStats.mockRejectedValue(new Error('could not detect network'));
+    const res = mockResponse();
+
+    await vaultController.getVaultStats({}, res);
+    await vaultController.getCurrentAPY({}, res);
+
+    expect(res.status).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CHAIN_UNAVAILABLE', dataMode: 'live' }));
+    expect(res.json.mock.calls.some(([body]) => body.success)).toBe(false);
+  });
+
+  test('should serve labelled demo data in demo mode', async () => {
+    dataSourceService.mode = 'demo';
+    blockchainService.initialized = false;
+    const res = mockResponse();
+
+    await vaultController.getCurrentAPY({}, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, dataSource: 'demo', data: { currentAPY: 8.2 } });
+    expect(blockchainService.getVaultStats).not.toHaveBeenCalled();
+  });
+
+  test('should not fall back when the handler has no demo data', async () => {
+    dataSourceService.mode = 'demo';
+    blockchainService.initialized = false;
+
+    await expect(dataSourceService.readChain('nothing', jest.fn())).rejects.toMatchObject({ code: 'CHAIN_UNAVAILABLE' });
+  });
+});
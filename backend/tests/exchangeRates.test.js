@@ -0,0 +1,177 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  executeQuery: jest.fn(),
+  executeTransaction: jest.fn(),
+  deleteCache: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/ExchangeRateRepository', () => ({
+  create: jest.fn(),
+  findAt: jest.fn(),
+  getHistory: jest.fn(),
+  deleteOlderThan: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const databaseService = require('../src/services/DatabaseService');
+const ExchangeRateRepository = require('../src/models/postgres/ExchangeRateRepository');
+const TransactionRepository = require('../src/models/postgres/TransactionRepository');
+const exchangeRateService = require('../src/services/exchangeRateService');
+const { FileRateSource, createRateSources } = require('../src/services/rateSources');
+
+const failingSource = { name: 'down', fetchRate: jest.fn().mockRejectedValue(new Error('timeout')) };
+const fixedSource = (rate) => ({
+  name: 'fixed',
+  fetchRate: jest.fn().mockResolvedValue({ rate, quotedAt: new Date('2026-01-01T00:00:00Z') })
+});
+
+const snapshotRow = (rate, fetchedAt) => ({
+  base_currency: 'USD',
+  quote_currency: 'VND',
+  rate,
+  source: 'fixed',
+  quoted_at: fetchedAt,
+  fetched_at: fetchedAt
+});
+
+describe('Exchange Rate Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exchangeRateService.latest.clear();
+    exchangeRateService.sources = [failingSource, fixedSource('25400.5')];
+    ExchangeRateRepository.create.mockImplementation(async (snapshot) => ({ ...snapshot }));
+    ExchangeRateRepository.findAt.mockResolvedValue(null);
+  });
+
+  test('should build sources from FX_RATE_SOURCES and fall back to stub rates', async () => {
+    expect(createRateSources('coingecko, file').map(source => source.name)).toEqual(['coingecko', 'stub']);
+    expect(() => createRateSources('ecb')).toThrow('Unknown exchange rate source: ecb');
+
+    await expect(new FileRateSource().fetchRate('USD', 'VND')).resolves.toEqual(
+      expect.objectContaining({ rate: '25000' })
+    );
+  });
+
+  test('should read rates from a local file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fx-')), 'rates.json');
+    fs.writeFileSync(file, JSON.stringify({ asOf: '2026-02-01T00:00:00Z', rates: { 'USD/VND': 25850 } }));
+
+    const source = new FileRateSource({ path: file });
+
+    expect(source.name).toBe('file');
+    await expect(source.fetchRate('USD', 'VND')).resolves.toEqual({
+      rate: '25850',
+      quotedAt: new Date('2026-02-01T00:00:00Z')
+    });
+    await expect(source.fetchRate('EUR', 'VND')).rejects.toThrow('No EUR/VND rate');
+  });
+
+  test('should store a snapshot from the first source that answers', async () => {
+    const snapshots = await exchangeRateService.refresh();
+
+    expect(failingSource.fetchRate).toHaveBeenCalledWith('USD', 'VND');
+    expect(ExchangeRateRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      base_currency: 'USD',
+      quote_currency: 'VND',
+      rate: '25400.5',
+      source: 'fixed'
+    }));
+    expect(snapshots).toEqual([expect.objectContaining({ rate: '25400.5', source: 'fixed' })]);
+    expect(ExchangeRateRepository.deleteOlderThan).toHaveBeenCalled();
+  });
+
+  test('should report unavailable when every source fails', async () => {
+    exchangeRateService.sources = [failingSource];
+
+    await expect(exchangeRateService.fetchRate('USD', 'VND')).rejects.toMatchObject({ code: 'RATE_UNAVAILABLE' });
+    await expect(exchangeRateService.refresh()).resolves.toEqual([]);
+    expect(exchangeRateService.getStatus().lastError).toMatch('No USD/VND rate available');
+  });
+
+  test('should look up the rate in effect at a past time', async () => {
+    ExchangeRateRepository.findAt.mockResolvedValue(snapshotRow('24100.0000000000', '2025-06-01T00:00:00Z'));
+
+    const rate = await exchangeRateService.getRate('USD', 'VND', new Date('2025-06-01T12:00:00Z'));
+
+    expect(rate).toEqual(expect.objectContaining({ rate: '24100.0', fetchedAt: '2025-06-01T00:00:00.000Z', stale: false }));
+
+    ExchangeRateRepository.findAt.mockResolvedValue(null);
+    await expect(exchangeRateService.getRate('USD', 'VND', new Date('2020-01-01')))
+      .rejects.toMatchObject({ code: 'RATE_UNAVAILABLE' });
+    await expect(exchangeRateService.getRate('EUR', 'VND')).rejects.toMatchObject({ code: 'UNSUPPORTED_PAIR' });
+  });
+
+  test('should flag a latest rate older than the max age as stale', async () => {
+    ExchangeRateRepository.findAt.mockResolvedValue(snapshotRow('25000', new Date(Date.now() - 48 * 60 * 60 * 1000)));
+
+    await expect(exchangeRateService.getRate()).resolves.toEqual(expect.objectContaining({ stale: true }));
+  });
+
+  test('should convert USDC to VND rounded to the nearest dong', () => {
+    expect(exchangeRateService.toVnd('1.5', '25400.5')).toBe(38101n);
+    expect(exchangeRateService.toVnd('0.000001', '25000')).toBe(0n);
+    expect(exchangeRateService.toVnd('0.00002', '25000')).toBe(1n);
+    expect(exchangeRateService.toVnd('9007199254.740993', '25000')).toBe(225179981368525n);
+  });
+
+  test('should downsample history and reject unsupported periods', async () => {
+    ExchangeRateRepository.getHistory.mockResolvedValue([
+      { bucket: '2026-01-01T00:00:00Z', rate: '25400.0000000000', low: '25300', high: '25450.25' }
+    ]);
+
+    await expect(exchangeRateService.getHistory('USD', 'VND', '7d')).resolves.toEqual([
+      { date: '2026-01-01T00:00:00.000Z', rate: '25400.0', low: '25300.0', high: '25450.25' }
+    ]);
+    expect(ExchangeRateRepository.getHistory.mock.calls[0][3]).toBe(6 * 60 * 60);
+    await expect(exchangeRateService.getHistory('USD', 'VND', '2y')).rejects.toThrow('Unsupported period: 2y');
+  });
+
+  describe('transaction stamping', () => {
+    beforeEach(() => {
+      databaseService.executeQuery.mockResolvedValue({ rows: [{ id: 'tx-1' }] });
+    });
+
+    test('should stamp the creation rate and VND amount on new transactions', async () => {
+      await TransactionRepository.create({ user_id: 'user-1', type: 'deposit', amount: '100' });
+
+      const values = databaseService.executeQuery.mock.calls[0][1];
+      expect(JSON.parse(values[8])).toEqual({
+        created: expect.objectContaining({ base: 'USD', quote: 'VND', rate: '25400.5', source: 'fixed' })
+      });
+      expect(values[9]).toBe('2540050');
+    });
+
+    test('should store the transaction unstamped when no rate is available', async () => {
+      exchangeRateService.sources = [failingSource];
+
+      await TransactionRepository.create({ user_id: 'user-1', type: 'deposit', amount: '100' });
+
+      const values = databaseService.executeQuery.mock.calls[0][1];
+      expect(values[8]).toBe('{}');
+      expect(values[9]).toBeNull();
+    });
+
+    test('should stamp the confirmation rate when a transaction is confirmed', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'tx-1', user_id: 'user-1' }] }) };
+      databaseService.executeTransaction.mockImplementation(async (callback) => callback(client));
+
+      await TransactionRepository.updateStatus('tx-1', 'confirmed');
+
+      const [sql, values] = client.query.mock.calls[1];
+      expect(sql).toMatch("jsonb_build_object('confirmed'");
+      expect(sql).toMatch('amount_vnd = ROUND(amount *');
+      expect(values).toEqual(expect.arrayContaining([
+        expect.stringContaining('"rate":"25400.5"'),
+        '25400.5'
+      ]));
+    });
+  });
+});
@@ -0,0 +1,216 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/BatchAllocationRepository', () => ({
+  create: jest.fn(),
+  markConfirmed: jest.fn(),
+  markFailed: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const BatchAllocationRepository = require('../src/models/postgres/BatchAllocationRepository');
+const blockchainService = require('../src/config/blockchain');
+const devChainController = require('../src/controllers/devChainController');
+const { VAULT_ABI, USDC_ABI, PAYMASTER_ABI } = require('../src/config/contractAbis');
+
+const usdc = (amount) => ethers.parseUnits(String(amount), 6);
+
+describe('Fake chain', () => {
+  let fake;
+  let start;
+  let clock;
+  let snapshot;
+
+  const userWallet = (seed) => new ethers.Wallet(ethers.id(seed), fake.provider);
+
+  const deposit = async (wallet, amount) => {
+    fake.mintUsdc(wallet.address, amount);
+    const token = new ethers.Contract(fake.addresses.usdc, USDC_ABI, wallet);
+    const vault = new ethers.Contract(fake.addresses.vault, VAULT_ABI, wallet);
+
+    await (await token.approve(fake.addresses.vault, usdc(amount))).wait();
+    return (await vault.deposit(usdc(amount), wallet.address)).wait();
+  };
+
+  beforeAll(async () => {
+    process.env.FAKE_CHAIN = 'true';
+    process.env.CHAIN_ID = '31337';
+    delete process.env.PRIVATE_KEY;
+
+    await blockchainService.initialize();
+    fake = blockchainService.fakeChain;
+
+    // Fixed clock so yield only accrues when a test moves time forward
+    start = Math.floor(Date.now() / 1000) + 60;
+    clock = start;
+    fake.chain.now = () => clock * 1000;
+    snapshot = fake.snapshot();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fake.revert(snapshot);
+    snapshot = fake.snapshot();
+    clock = start;
+    blockchainService.adminNonce = null;
+
+    BatchAllocationRepository.create.mockImplementation(async (data) => ({ id: 'batch-1', status: 'submitted', created_at: new Date(), ...data }));
+    BatchAllocationRepository.markConfirmed.mockImplementation(async (txHash, receipt) => ({
+      id: 'batch-1',
+      tx_hash: txHash,
+      status: 'confirmed',
+      total_amount: '1500',
+      low_risk_amount: '0',
+      medium_risk_amount: '1500',
+      high_risk_amount: '0',
+      trigger_reason: 'manual',
+      confirmed_at: new Date(),
+      ...receipt
+    }));
+  });
+
+  afterAll(() => {
+    fake.destroy();
+    delete process.env.FAKE_CHAIN;
+  });
+
+  test('should serve the deployment through the blockchain service', async () => {
+    const stats = await blockchainService.getVaultStats();
+    const strategies = await blockchainService.getAllStrategies();
+
+    expect(blockchainService.initialized).toBe(true);
+    expect(stats).toMatchObject({ totalAssets: '0.0', strategiesCount: 5 });
+    expect(strategies.map(s => s.allocation)).toEqual([30, 25, 15, 10, 20]);
+    expect(await blockchainService.signer.getAddress()).toBe(fake.owner);
+  });
+
+  test('should park deposits as pending allocations and emit vault events', async () => {
+    const alice = userWallet('alice');
+    fake.setRiskLevel(alice.address, 'low');
+
+    const receipt = await deposit(alice, 600);
+    await deposit(userWallet('bob'), 300);
+
+    expect(receipt.status).toBe(1);
+    expect(await blockchainService.getPendingAllocations()).toEqual({
+      total: 900,
+      lowRisk: 600,
+      mediumRisk: 300,
+      highRisk: 0,
+      userCount: 2
+    });
+    expect(await blockchainService.getUserBalance(alice.address)).toMatchObject({ totalBalance: '600.0', deposits: '600.0' });
+
+    const events = await blockchainService.getVaultEvents(0, await blockchainService.getBlockNumber());
+    expect(events.map(e => [e.eventName, e.owner, e.assets])).toEqual([
+      ['Deposit', alice.address, usdc(600)],
+      ['Deposit', ethers.computeAddress(ethers.id('bob')), usdc(300)]
+    ]);
+  });
+
+  test('should run a batch allocation end-to-end and accrue yield on it', async () => {
+    const alice = userWallet('alice');
+    await deposit(alice, 1500);
+
+    expect(await blockchainService.shouldTriggerAllocation()).toBe(true);
+    await expect(blockchainService.simulateBatchAllocation()).resolves.toBeUndefined();
+
+    const batch = await blockchainService.triggerBatchAllocation({ reason: 'threshold' });
+
+    expect(batch.status).toBe('confirmed');
+    expect(BatchAllocationRepository.create).toHaveBeenCalledWith(expect.objectContaining({ total_amount: 1500, user_count: 1 }));
+    expect(BatchAllocationRepository.markConfirmed).toHaveBeenCalledWith(batch.transactionHash, expect.objectContaining({
+      block_number: expect.any(Number),
+      gas_used: expect.any(String)
+    }));
+    expect((await blockchainService.getPendingAllocations()).total).toBe(0);
+
+    // A year at the strategies' weighted APY (8.595%)
+    clock += 365 * 24 * 60 * 60;
+    const balance = await blockchainService.getUserBalance(alice.address);
+    expect(parseFloat(balance.earnedYield)).toBeCloseTo(128.925, 3);
+  });
+
+  test('should reject a batch allocation before it is due with the revert reason', async () => {
+    await deposit(userWallet('alice'), 10);
+
+    await expect(blockchainService.simulateBatchAllocation()).rejects.toMatchObject({
+      code: 'CALL_EXCEPTION',
+      reason: 'Allocation conditions not met'
+    });
+
+    // Due once the allocation interval has passed
+    clock += 4 * 60 * 60;
+    expect(await blockchainService.shouldTriggerAllocation()).toBe(true);
+  });
+
+  test('should withdraw from idle funds and strategies', async () => {
+    const alice = userWallet('alice');
+    await deposit(alice, 1500);
+    await blockchainService.triggerBatchAllocation();
+    await deposit(userWallet('bob'), 100);
+
+    const vault = new ethers.Contract(fake.addresses.vault, VAULT_ABI, alice);
+    const shares = await vault.userShares(alice.address);
+    await (await vault.withdraw(shares, alice.address, alice.address)).wait();
+
+    const token = new ethers.Contract(fake.addresses.usdc, USDC_ABI, fake.provider);
+    expect(await token.balanceOf(alice.address)).toBe(usdc(1500));
+    expect(await blockchainService.getTotalAssets()).toBe('100.0');
+    expect((await blockchainService.getPendingAllocations()).total).toBe(0);
+  });
+
+  test('should resync the admin nonce after a nonce error', async () => {
+    await deposit(userWallet('alice'), 1500);
+    await blockchainService.sendAdminTransaction(await blockchainService.buildRebalance().then(([tx]) => tx));
+
+    // Another process used the admin key in the meantime
+    blockchainService.adminNonce = 0;
+    const [rebalance] = await blockchainService.buildRebalance();
+    const tx = await blockchainService.sendAdminTransaction(rebalance);
+
+    expect(tx.nonce).toBe(1);
+    expect((await tx.wait()).status).toBe(1);
+  });
+
+  test('should enforce and report paymaster limits', async () => {
+    const alice = userWallet('alice');
+    const paymaster = new ethers.Contract(fake.addresses.paymaster, PAYMASTER_ABI, blockchainService.signer);
+
+    await (await paymaster.sponsorTransaction(alice.address, '0x1234')).wait();
+    await (await paymaster.sponsorTransaction(alice.address, '0x1234')).wait();
+
+    const status = await blockchainService.getSecurityStatus(alice.address);
+    expect(status._fallback).toBeUndefined();
+    expect(status.usage.dailyTxCount).toBe(2);
+    expect(status.limits.dailyTxLimit).toBe(50);
+
+    // At 200 gwei a sponsored transaction costs ~0.014 ETH: over the standard 0.01 ETH, under the whitelisted 0.02 ETH
+    fake.chain.setBaseFee(ethers.parseUnits('200', 'gwei'));
+    await expect(paymaster.sponsorTransaction(alice.address, '0x1234')).rejects.toMatchObject({
+      reason: 'Per-transaction gas limit exceeded'
+    });
+
+    fake.setWhitelisted(alice.address);
+    await (await paymaster.sponsorTransaction(alice.address, '0x1234')).wait();
+    expect((await blockchainService.getSecurityStatus(alice.address)).isWhitelisted).toBe(true);
+  });
+
+  test('should answer JSON-RPC over the dev endpoint', () => {
+    const res = { json: jest.fn(), status: jest.fn(() => res) };
+
+    devChainController.handleRpc({ body: [
+      { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] },
+      { jsonrpc: '2.0', id: 2, method: 'eth_mining', params: [] }
+    ] }, res);
+
+    expect(res.json).toHaveBeenCalledWith([
+      { jsonrpc: '2.0', id: 1, result: '0x7a69' },
+      { jsonrpc: '2.0', id: 2, error: expect.objectContaining({ code: -32601 }) }
+    ]);
+  });
+});
@@ -0,0 +1,291 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  checkRateLimit: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/UserRepository', () => ({
+  findByEmail: jest.fn(),
+  setPasswordResetToken: jest.fn()
+}));
+
+jest.mock('../src/services/tokenService', () => ({}));
+
+jest.mock('../src/services/websocketService', () => ({
+  sendToUser: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/EmailOutboxRepository', () => ({
+  enqueue: jest.fn(),
+  claimDue: jest.fn(),
+  markSent: jest.fn(),
+  markFailed: jest.fn(),
+  deleteSentBefore: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmailOutboxRepository = require('../src/models/postgres/EmailOutboxRepository');
+const mailService = require('../src/services/mailService');
+const emailTemplates = require('../src/templates/email');
+const { createMailTransport, FileTransport } = require('../src/services/mailTransports');
+const databaseService = require('../src/services/DatabaseService');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const authController = require('../src/controllers/authController');
+
+const user = {
+  id: 'user-1',
+  name: 'Lan',
+  email: 'lan@example.com',
+  preferences: { language: 'vi', notifications: { email: true } }
+};
+
+const outboxRow = (overrides = {}) => ({
+  id: 'email-1',
+  to_address: 'lan@example.com',
+  template: 'deposit_confirmed',
+  subject: 'Subject',
+  text_body: 'Text',
+  html_body: '<p>Text</p>',
+  attempts: 1,
+  max_attempts: 8,
+  ...overrides
+});
+
+describe('Email templates', () => {
+  test('should render every template in Vietnamese and English', () => {
+    const data = { name: 'Lan', link: 'https://abunfi.com/x', amount: '1234.5', time: new Date(), expiresInMinutes: 60, expiresInHours: 24 };
+
+    for (const template of Object.keys(emailTemplates.TEMPLATES)) {
+      for (const locale of emailTemplates.LOCALES) {
+        const rendered = emailTemplates.render(template, locale, data);
+        expect(rendered.subject).toBeTruthy();
+        expect(rendered.text).toContain('https://abunfi.com/x');
+        expect(rendered.html).toContain(`lang="${locale}"`);
+      }
+    }
+  });
+
+  test('should format amounts for the reader and fall back to Vietnamese', () => {
+    const data = { name: 'Lan', amount: '1234.5', amountVnd: '31350000', link: 'https://abunfi.com/transactions' };
+
+    expect(emailTemplates.render('deposit_confirmed', 'en', data).text).toContain('1,234.5 USDC (≈ 31,350,000 VND)');
+    expect(emailTemplates.render('deposit_confirmed', 'fr', data)).toEqual(expect.objectContaining({
+      locale: 'vi',
+      subject: 'Đã nhận khoản gửi 1.234,5 USDC'
+    }));
+    expect(() => emailTemplates.render('newsletter', 'vi', data)).toThrow('Unknown email template: newsletter');
+  });
+
+  test('should escape user data in HTML', () => {
+    const { html } = emailTemplates.render('email_verification', 'en', {
+      name: '<script>alert(1)</script>',
+      link: 'https://abunfi.com/verify-email?token=a"b'
+    });
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).toContain('token=a&quot;b');
+  });
+});
+
+describe('Mail Service', () => {
+  const transport = { name: 'fake', send: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mailService.enabled = false;
+    mailService.transport = transport;
+    mailService.isProcessing = false;
+    transport.send.mockResolvedValue({ messageId: 'msg-1' });
+    EmailOutboxRepository.enqueue.mockImplementation(async (email) => ({ id: 'email-1', ...email }));
+    EmailOutboxRepository.claimDue.mockResolvedValue([]);
+  });
+
+  test('should queue the rendered email in the user\'s language', async () => {
+    await mailService.sendToUser({ ...user, preferences: { language: 'en' } }, 'password_reset', {
+      link: 'https://abunfi.com/reset-password?token=t',
+      expiresInMinutes: 60
+    });
+
+    expect(EmailOutboxRepository.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1',
+      to_address: 'lan@example.com',
+      template: 'password_reset',
+      locale: 'en',
+      subject: 'Reset your Abunfi password',
+      text_body: expect.stringContaining('Hi Lan,')
+    }));
+  });
+
+  test('should skip placeholder addresses and respect the email notification setting', async () => {
+    const transaction = { id: 'tx-1', type: 'deposit', amount: '100.000000', tx_hash: '0xabc' };
+
+    await mailService.sendTransactionConfirmed({ ...user, email: '+84912345678@abunfi.local' }, transaction);
+    expect(EmailOutboxRepository.enqueue).not.toHaveBeenCalled();
+
+    const optedOut = { ...user, preferences: { notifications: { email: false } } };
+    await mailService.sendTransactionConfirmed(optedOut, transaction);
+    expect(EmailOutboxRepository.enqueue).not.toHaveBeenCalled();
+
+    // Security emails still go out
+    await mailService.sendToUser(optedOut, 'new_device_login', { time: new Date(), link: 'https://abunfi.com/security' });
+    expect(EmailOutboxRepository.enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  test('should queue one confirmation email per transaction', async () => {
+    await mailService.sendTransactionConfirmed(user, { id: 'tx-1', type: 'withdraw', amount: '25.5', amount_vnd: '647700' });
+
+    expect(EmailOutboxRepository.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      template: 'withdrawal_confirmed',
+      dedupe_key: 'withdrawal_confirmed:tx-1',
+      text_body: expect.stringContaining('25,5 USDC (≈ 647.700 ₫)')
+    }));
+  });
+
+  test('should never throw when queueing fails', async () => {
+    EmailOutboxRepository.enqueue.mockRejectedValue(new Error('connection refused'));
+
+    await expect(mailService.sendToUser(user, 'email_verification', { link: 'https://abunfi.com/v' })).resolves.toBeNull();
+  });
+
+  test('should send due emails and mark them sent', async () => {
+    EmailOutboxRepository.claimDue.mockResolvedValueOnce([outboxRow()]);
+
+    await expect(mailService.processOutbox()).resolves.toEqual({ sent: 1, failed: 0 });
+
+    expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'email-1',
+      to: 'lan@example.com',
+      subject: 'Subject',
+      headers: { 'X-Abunfi-Template': 'deposit_confirmed' }
+    }));
+    expect(EmailOutboxRepository.markSent).toHaveBeenCalledWith('email-1', 'fake', 'msg-1');
+  });
+
+  test('should retry failed sends with backoff and give up after the last attempt', async () => {
+    transport.send.mockRejectedValue(new Error('421 try again later'));
+    EmailOutboxRepository.claimDue.mockResolvedValueOnce([
+      outboxRow({ id: 'email-1', attempts: 3 }),
+      outboxRow({ id: 'email-2', attempts: 8 })
+    ]);
+
+    const before = Date.now();
+    await expect(mailService.processOutbox()).resolves.toEqual({ sent: 0, failed: 2 });
+
+    const [retriedId, error, nextAttemptAt] = EmailOutboxRepository.markFailed.mock.calls[0];
+    expect([retriedId, error]).toEqual(['email-1', '421 try again later']);
+    // Third retry: 60s * 2^2
+    expect(nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(240 * 1000);
+    expect(nextAttemptAt.getTime() - before).toBeLessThan(250 * 1000);
+
+    expect(EmailOutboxRepository.markFailed).toHaveBeenCalledWith('email-2', '421 try again later', null);
+  });
+
+  test('should keep claiming until the outbox is drained', async () => {
+    mailService.batchSize = 2;
+    EmailOutboxRepository.claimDue
+      .mockResolvedValueOnce([outboxRow({ id: 'a' }), outboxRow({ id: 'b' })])
+      .mockResolvedValueOnce([outboxRow({ id: 'c' })]);
+
+    await expect(mailService.processOutbox()).resolves.toEqual({ sent: 3, failed: 0 });
+    expect(EmailOutboxRepository.claimDue).toHaveBeenCalledTimes(2);
+    mailService.batchSize = 20;
+  });
+});
+
+describe('Mail transports', () => {
+  test('should write emails to the file sink', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    const transport = new FileTransport({ directory });
+
+    const { messageId } = await transport.send({
+      id: 'email-1',
+      from: 'Abunfi <no-reply@abunfi.com>',
+      to: 'lan@example.com',
+      subject: 'Hello',
+      text: 'Text body',
+      html: '<p>Html body</p>'
+    });
+
+    const files = fs.readdirSync(directory).sort();
+    expect(messageId).toBe('email-1@file');
+    expect(files).toHaveLength(2);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, files[1]), 'utf8'))).toEqual(expect.objectContaining({
+      to: 'lan@example.com',
+      subject: 'Hello',
+      text: 'Text body'
+    }));
+    expect(fs.readFileSync(path.join(directory, files[0]), 'utf8')).toBe('<p>Html body</p>');
+  });
+
+  test('should select the transport from MAIL_TRANSPORT', () => {
+    expect(createMailTransport('file').name).toBe('file');
+    expect(() => createMailTransport('smtp')).toThrow('SMTP_HOST');
+    expect(() => createMailTransport('carrier-pigeon')).toThrow('Unknown mail transport: carrier-pigeon');
+  });
+});
+
+describe('Password reset requests', () => {
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const forgotPassword = async (email = 'lan@example.com') => {
+    const res = createRes();
+    await authController.forgotPassword({ body: { email } }, res);
+    return res;
+  };
+
+  const counts = new Map();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    counts.clear();
+    mailService.enabled = false;
+    delete process.env.PASSWORD_RESET_EMAIL_ENABLED;
+    databaseService.checkRateLimit.mockImplementation(async (key, limit) => {
+      const count = (counts.get(key) || 0) + 1;
+      counts.set(key, count);
+      return { allowed: count <= limit };
+    });
+    UserRepository.findByEmail.mockResolvedValue(user);
+    EmailOutboxRepository.enqueue.mockImplementation(async (email) => ({ id: 'email-1', ...email }));
+  });
+
+  test('should store the token but send no link until reset emails are enabled', async () => {
+    await forgotPassword();
+
+    expect(UserRepository.setPasswordResetToken).toHaveBeenCalledWith('user-1', expect.any(String), expect.any(Date));
+    expect(EmailOutboxRepository.enqueue).not.toHaveBeenCalled();
+
+    process.env.PASSWORD_RESET_EMAIL_ENABLED = 'true';
+    await forgotPassword();
+
+    const [, token] = UserRepository.setPasswordResetToken.mock.calls[1];
+    expect(EmailOutboxRepository.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      template: 'password_reset',
+      text_body: expect.stringContaining(`/reset-password?token=${token}`)
+    }));
+  });
+
+  test('should allow three requests per address an hour', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await forgotPassword('Lan@Example.com')).status).not.toHaveBeenCalled();
+    }
+
+    const res = await forgotPassword('lan@example.com');
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(UserRepository.setPasswordResetToken).toHaveBeenCalledTimes(3);
+  });
+});
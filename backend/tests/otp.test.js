@@ -0,0 +1,321 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  checkRateLimit: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/PhoneOtpRepository', () => ({
+  create: jest.fn(),
+  findActive: jest.fn(),
+  recordDelivery: jest.fn(),
+  incrementAttempts: jest.fn(),
+  consume: jest.fn(),
+  supersede: jest.fn()
+}));
+
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/UserRepository', () => ({
+  findBySocial: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn(),
+  updateLoginInfo: jest.fn(),
+  toPublicJSON: jest.fn(user => ({ id: user.id }))
+}));
+
+jest.mock('../src/services/tokenService', () => ({
+  createSession: jest.fn()
+}));
+
+jest.mock('../src/services/twoFactorService', () => ({
+  getMethods: jest.fn()
+}));
+
+jest.mock('../src/services/securityEventService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/websocketService', () => ({
+  sendToUser: jest.fn()
+}));
+
+jest.mock('../src/services/mailService', () => ({
+  sendToUser: jest.fn(),
+  link: jest.fn(path => path)
+}));
+
+const axios = require('axios');
+const databaseService = require('../src/services/DatabaseService');
+const PhoneOtpRepository = require('../src/models/postgres/PhoneOtpRepository');
+const otpService = require('../src/services/otpService');
+const { createSmsProvider, EsmsProvider } = require('../src/services/smsProviders');
+const { normalizePhone, maskPhone } = require('../src/utils/phone');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const tokenService = require('../src/services/tokenService');
+const twoFactorService = require('../src/services/twoFactorService');
+const authController = require('../src/controllers/authController');
+
+// checkRateLimit backed by a plain counter map
+const counters = new Map();
+const fakeRateLimit = async (key, limit) => {
+  const count = counters.get(key) || 0;
+  if (count >= limit) {
+    return { allowed: false, remaining: 0 };
+  }
+  counters.set(key, count + 1);
+  return { allowed: true, remaining: limit - count - 1 };
+};
+
+describe('Phone number normalization', () => {
+  test.each([
+    ['0912345678', '+84912345678'],
+    ['0912 345 678', '+84912345678'],
+    ['+84 912-345-678', '+84912345678'],
+    ['84912345678', '+84912345678'],
+    ['0084 912 345 678', '+84912345678'],
+    ['(+84) 38.123.4567', '+84381234567'],
+    ['01662345678', '+84362345678'],
+    ['+841202345678', '+84702345678']
+  ])('should normalize %s', (input, expected) => {
+    expect(normalizePhone(input)).toBe(expected);
+  });
+
+  test.each([
+    '0212345678', // landline
+    '091234567',
+    '+1 650 555 1234',
+    '+85 912345678',
+    'phone',
+    null
+  ])('should reject %s', (input) => {
+    expect(normalizePhone(input)).toBeNull();
+  });
+
+  test('should mask all but the country code and last digits', () => {
+    expect(maskPhone('+84912345678')).toBe('+84*****5678');
+  });
+});
+
+describe('OTP Service', () => {
+  const provider = { name: 'fake', send: jest.fn() };
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    counters.clear();
+    process.env.JWT_SECRET = 'test-secret';
+    otpService.provider = provider;
+
+    databaseService.checkRateLimit.mockImplementation(fakeRateLimit);
+    provider.send.mockResolvedValue({ messageId: 'msg-1' });
+    PhoneOtpRepository.create.mockImplementation(async (otp) => {
+      stored = { id: 'otp-1', attempts: 0, ...otp };
+      return stored;
+    });
+    PhoneOtpRepository.findActive.mockImplementation(async () => stored);
+    PhoneOtpRepository.incrementAttempts.mockImplementation(async (id, max) => (stored.attempts < max ? ++stored.attempts : null));
+    PhoneOtpRepository.consume.mockResolvedValue(true);
+  });
+
+  const sentCode = () => provider.send.mock.calls[provider.send.mock.calls.length - 1][0].body.match(/\d{6}/)[0];
+
+  test('should send a code to the normalized number and store only its hash', async () => {
+    const result = await otpService.sendCode('0912 345 678', { ipAddress: '10.0.0.1' });
+
+    expect(result.phone).toBe('+84912345678');
+    expect(provider.send).toHaveBeenCalledWith({ to: '+84912345678', body: expect.stringMatching(/\b\d{6}\b/) });
+    expect(stored.code_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(stored.code_hash).not.toContain(sentCode());
+    expect(stored.expires_at.getTime() - Date.now()).toBeGreaterThan(290 * 1000);
+    expect(PhoneOtpRepository.recordDelivery).toHaveBeenCalledWith('otp-1', 'fake', 'msg-1');
+  });
+
+  test('should accept the sent code once', async () => {
+    await otpService.sendCode('0912345678');
+
+    await expect(otpService.verifyCode('+84912345678', sentCode())).resolves.toBe('+84912345678');
+    expect(PhoneOtpRepository.consume).toHaveBeenCalledWith('otp-1', 5);
+
+    PhoneOtpRepository.consume.mockResolvedValue(false);
+    await expect(otpService.verifyCode('0912345678', sentCode())).rejects.toMatchObject({ code: 'INVALID_CODE' });
+  });
+
+  test('should lock the code after too many wrong guesses', async () => {
+    await otpService.sendCode('0912345678');
+    const wrong = sentCode() === '000000' ? '111111' : '000000';
+
+    await expect(otpService.verifyCode('0912345678', wrong)).rejects.toMatchObject({
+      code: 'INVALID_CODE',
+      attemptsRemaining: 4
+    });
+    for (let i = 0; i < 3; i++) {
+      await expect(otpService.verifyCode('0912345678', wrong)).rejects.toMatchObject({ code: 'INVALID_CODE' });
+    }
+    await expect(otpService.verifyCode('0912345678', wrong)).rejects.toMatchObject({ code: 'TOO_MANY_ATTEMPTS' });
+
+    // Even the right code is refused once locked
+    await expect(otpService.verifyCode('0912345678', sentCode())).rejects.toMatchObject({ code: 'TOO_MANY_ATTEMPTS' });
+    expect(PhoneOtpRepository.consume).not.toHaveBeenCalled();
+  });
+
+  test('should not let parallel guesses exceed the attempt limit', async () => {
+    await otpService.sendCode('0912345678');
+    const wrong = sentCode() === '000000' ? '111111' : '000000';
+    // Every guess reads the row before any of them has been counted
+    const snapshot = { ...stored };
+    PhoneOtpRepository.findActive.mockResolvedValue(snapshot);
+
+    const results = await Promise.allSettled(Array.from({ length: 20 }, () => otpService.verifyCode('0912345678', wrong)));
+
+    expect(stored.attempts).toBe(5);
+    expect(results.filter(result => result.reason.code === 'INVALID_CODE')).toHaveLength(4);
+    await expect(otpService.verifyCode('0912345678', sentCode())).rejects.toMatchObject({ code: 'TOO_MANY_ATTEMPTS' });
+    expect(PhoneOtpRepository.consume).not.toHaveBeenCalled();
+  });
+
+  test('should refuse expired codes and codes sent to another number', async () => {
+    await otpService.sendCode('0912345678');
+    const code = sentCode();
+
+    // The hash is bound to the number
+    const other = { ...stored, phone: '+84987654321' };
+    PhoneOtpRepository.findActive.mockResolvedValueOnce(other);
+    await expect(otpService.verifyCode('0987654321', code)).rejects.toMatchObject({ code: 'INVALID_CODE' });
+
+    stored.expires_at = new Date(Date.now() - 1000);
+    await expect(otpService.verifyCode('0912345678', code)).rejects.toMatchObject({ code: 'CODE_EXPIRED' });
+  });
+
+  test('should throttle resends, codes per number and codes per IP', async () => {
+    await otpService.sendCode('0912345678', { ipAddress: '10.0.0.1' });
+    await expect(otpService.sendCode('0912345678', { ipAddress: '10.0.0.1' }))
+      .rejects.toMatchObject({ code: 'RATE_LIMITED', retryAfter: 60 });
+
+    // Hourly cap per number, once the resend interval has passed
+    for (let i = 1; i < 5; i++) {
+      counters.delete('otp:resend:+84912345678');
+      await otpService.sendCode('0912345678', { ipAddress: `10.0.1.${i}` });
+    }
+    counters.delete('otp:resend:+84912345678');
+    await expect(otpService.sendCode('0912345678', { ipAddress: '10.0.2.1' }))
+      .rejects.toMatchObject({ code: 'RATE_LIMITED', retryAfter: 3600 });
+
+    // Hourly cap per IP across numbers
+    counters.set('otp:ip:10.0.0.9', 20);
+    await expect(otpService.sendCode('0987654321', { ipAddress: '10.0.0.9' }))
+      .rejects.toMatchObject({ code: 'RATE_LIMITED' });
+  });
+
+  test('should invalidate the code when the SMS cannot be sent', async () => {
+    provider.send.mockRejectedValue(new Error('gateway down'));
+
+    await expect(otpService.sendCode('0912345678')).rejects.toMatchObject({ code: 'SMS_FAILED' });
+    expect(PhoneOtpRepository.supersede).toHaveBeenCalledWith('otp-1');
+  });
+
+  test('should reject numbers that are not Vietnamese mobiles', async () => {
+    await expect(otpService.sendCode('+1 650 555 1234')).rejects.toMatchObject({ code: 'INVALID_PHONE' });
+    expect(PhoneOtpRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('SMS providers', () => {
+  test('should select the provider from SMS_PROVIDER', () => {
+    expect(createSmsProvider('console').name).toBe('console');
+    expect(createSmsProvider('file').name).toBe('file');
+    expect(() => createSmsProvider('twilio')).toThrow('TWILIO_ACCOUNT_SID');
+    expect(() => createSmsProvider('pigeon')).toThrow('Unknown SMS provider: pigeon');
+  });
+
+  test('should send through eSMS and surface rejected messages', async () => {
+    const esms = new EsmsProvider({ apiKey: 'key', secretKey: 'secret', brandname: 'Abunfi' });
+
+    axios.post.mockResolvedValueOnce({ data: { CodeResult: '100', SMSID: 'sms-1' } });
+    await expect(esms.send({ to: '+84912345678', body: 'hi' })).resolves.toEqual({ messageId: 'sms-1' });
+    expect(axios.post.mock.calls[0][1]).toEqual(expect.objectContaining({ Phone: '84912345678', Brandname: 'Abunfi' }));
+
+    axios.post.mockResolvedValueOnce({ data: { CodeResult: '99', ErrorMessage: 'Unknown error' } });
+    await expect(esms.send({ to: '+84912345678', body: 'hi' })).rejects.toThrow('eSMS rejected the message (99: Unknown error)');
+  });
+});
+
+describe('Phone login', () => {
+  const phone = '+84912345678';
+
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const createReq = () => ({
+    body: { phone: '0912345678', verificationCode: '123456', walletAddress: '0xABC' },
+    ip: '127.0.0.1',
+    get: jest.fn()
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(otpService, 'verifyCode').mockResolvedValue(phone);
+    tokenService.createSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh', sessionId: 'session-1' });
+  });
+
+  test('should register a new number and open a session', async () => {
+    UserRepository.findBySocial.mockResolvedValue(null);
+    UserRepository.create.mockImplementation(async (user) => ({ id: 'user-1', ...user }));
+    const res = createRes();
+
+    await authController.phoneLogin(createReq(), res);
+
+    expect(UserRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      social_id: phone,
+      social_provider: 'phone',
+      wallet_address: '0xabc'
+    }));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      token: 'access',
+      refreshToken: 'refresh',
+      suggestions: expect.any(Object)
+    }));
+  });
+
+  test('should require 2FA before opening a session for users who have it', async () => {
+    const existing = { id: 'user-2', social_provider: 'phone', two_factor_enabled: true };
+    UserRepository.findBySocial.mockResolvedValue(existing);
+    UserRepository.findById.mockResolvedValue(existing);
+    twoFactorService.getMethods.mockResolvedValue(['totp']);
+    const res = createRes();
+
+    await authController.phoneLogin(createReq(), res);
+
+    expect(tokenService.createSession).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      requires2FA: true,
+      methods: ['totp'],
+      temporaryToken: expect.any(String)
+    }));
+  });
+
+  test('should not sign in suspended users', async () => {
+    const suspended = { id: 'user-3', social_provider: 'phone', suspended_at: new Date() };
+    UserRepository.findBySocial.mockResolvedValue(suspended);
+    UserRepository.findById.mockResolvedValue(suspended);
+    const res = createRes();
+
+    await authController.phoneLogin(createReq(), res);
+
+    expect(tokenService.createSession).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ACCOUNT_SUSPENDED' }));
+  });
+});
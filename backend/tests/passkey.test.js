@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const databaseService = require('../src/services/DatabaseService');
 const passkeyController = require('../src/controllers/passkeyController');
+const twoFactorService = require('../src/services/twoFactorService');
 
 // Mock the WebAuthn server functions
 jest.mock('@simplewebauthn/server', () => ({
@@ -374,16 +375,12 @@ describe('Passkey Authentication', () => {
 
     it('should complete 2FA with valid temporary token', async () => {
       if (temporaryToken) {
-        // First, simulate successful passkey authentication
-        await databaseService.executeQuery(
-          `INSERT INTO security_events (user_id, event_type, event_status)
-           VALUES ($1, $2, $3)`,
-          [userId, 'passkey_authentication_success', 'success']
-        );
+        // The proof /passkey/authenticate/complete returns after a verified assertion
+        const passkeyProof = twoFactorService.issuePasskeyProof(userId, 'passkey-1');
 
         const response = await request(app)
           .post('/api/auth/complete-2fa')
-          .send({ temporaryToken })
+          .send({ temporaryToken, passkeyProof })
           .expect(200);
 
         expect(response.body.success).toBe(true);
@@ -1,4 +1,62 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  executeQuery: jest.fn(),
+  deleteCache: jest.fn()
+}));
+
+jest.mock('../src/services/exchangeRateService', () => ({
+  stamp: jest.fn().mockResolvedValue(null)
+}));
+
+const fs = require('fs');
 const { ethers } = require('ethers');
+const frontendMoney = require('../../scripts/generate-frontend-money');
+const money = require('../src/utils/money');
+const databaseService = require('../src/services/DatabaseService');
+const TransactionRepository = require('../src/models/postgres/TransactionRepository');
+
+const { ROUNDING } = money;
+const RUNS = 500;
+
+// Seeded generator so a failing property reproduces
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (max) => Math.floor(next() * max);
+  const digits = (count) => Array.from({ length: count }, () => int(10)).join('');
+
+  return {
+    int,
+    pick: (values) => values[int(values.length)],
+    // Non-negative base units of up to `maxDigits` digits
+    units: (maxDigits = 30) => BigInt(digits(1 + int(maxDigits))),
+    // Decimal string with up to `maxDecimals` fraction digits
+    decimal: (maxDecimals) => {
+      const fraction = digits(int(maxDecimals + 1));
+      return fraction ? `${digits(1 + int(12))}.${fraction}` : digits(1 + int(12));
+    }
+  };
+};
+
+const forAll = (seed, property) => {
+  const random = createRandom(seed);
+  for (let run = 0; run < RUNS; run++) {
+    property(random, run);
+  }
+};
 
 describe('Precision Handling Tests', () => {
 
@@ -79,4 +137,137 @@ describe('Precision Handling Tests', () => {
       expect(smallCostWei === limitWei).toBe(false);
     });
   });
+
+  describe('Money module properties', () => {
+    test('should round-trip base units through decimal strings', () => {
+      forAll(1, (random) => {
+        const unit = random.pick(['USDC', 'SHARES', 'VND']);
+        const units = random.units() * (random.int(2) ? 1n : -1n);
+
+        expect(money.parse(money.format(units, unit), unit)).toBe(units);
+        expect(money.parse(money.toFixed(units, unit), unit)).toBe(units);
+      });
+    });
+
+    test('should parse decimal strings exactly as ethers does', () => {
+      forAll(2, (random) => {
+        const unit = random.pick(['USDC', 'SHARES']);
+        const value = random.decimal(money.DECIMALS[unit]);
+
+        expect(money.parse(value, unit)).toBe(ethers.parseUnits(value, money.DECIMALS[unit]));
+      });
+    });
+
+    test('should round extra decimals in the requested direction by less than one unit', () => {
+      forAll(3, (random) => {
+        const value = `${random.int(2) ? '-' : ''}${random.decimal(18)}`;
+        const exact = money.parse(value, 'SHARES');
+        const scale = 10n ** 12n;
+
+        const floor = money.convert(money.parse(value, 'USDC', ROUNDING.FLOOR), 'USDC', 'SHARES');
+        const ceil = money.convert(money.parse(value, 'USDC', ROUNDING.CEIL), 'USDC', 'SHARES');
+        const halfUp = money.convert(money.parse(value, 'USDC', ROUNDING.HALF_UP), 'USDC', 'SHARES');
+
+        expect(floor <= exact && exact - floor < scale).toBe(true);
+        expect(ceil >= exact && ceil - exact < scale).toBe(true);
+        expect(halfUp >= floor && halfUp <= ceil).toBe(true);
+        expect(halfUp - exact <= scale / 2n && exact - halfUp <= scale / 2n).toBe(true);
+      });
+    });
+
+    test('should mint shares rounded down and never redeem more than was deposited', () => {
+      forAll(4, (random) => {
+        const vault = { totalAssets: 1n + random.units(15), totalShares: 1n + random.units(27) };
+        const assets = random.units(15);
+
+        const shares = money.sharesForAssets(assets, vault);
+
+        expect(shares * vault.totalAssets <= assets * vault.totalShares).toBe(true);
+        expect((shares + 1n) * vault.totalAssets > assets * vault.totalShares).toBe(true);
+        expect(money.assetsForShares(shares, vault) <= assets).toBe(true);
+      });
+    });
+
+    test('should sum amounts without float drift', () => {
+      forAll(5, (random) => {
+        const values = Array.from({ length: 1 + random.int(20) }, () => random.decimal(6));
+        const expected = values.reduce((total, value) => total + ethers.parseUnits(value, 6), 0n);
+
+        expect(money.sum(values, 'USDC')).toBe(expected);
+      });
+
+      const dimes = Array(10).fill('0.1');
+      expect(dimes.reduce((total, value) => total + parseFloat(value), 0)).not.toBe(1);
+      expect(money.format(money.sum(dimes, 'USDC'), 'USDC')).toBe('1.0');
+    });
+  });
+
+  describe('Money module', () => {
+    test('should parse numbers by their shortest decimal form', () => {
+      expect(money.parse(0.1, 'USDC')).toBe(100000n);
+      expect(money.parse(4, 'USDC')).toBe(4000000n);
+      expect(money.parse('1e3', 'VND')).toBe(1000n);
+      expect(money.parse(1e-7, 'USDC', ROUNDING.CEIL)).toBe(1n);
+    });
+
+    test('should reject amounts that do not fit the unit', () => {
+      expect(() => money.parse('1.0000001', 'USDC')).toThrow('has more than 6 decimals');
+      expect(() => money.parse('1.5', 'VND')).toThrow('has more than 0 decimals');
+      expect(() => money.parse('abc', 'USDC')).toThrow(expect.objectContaining({ code: 'INVALID_AMOUNT' }));
+      expect(() => money.parse(NaN, 'USDC')).toThrow('Invalid amount');
+      expect(() => money.parse('1e50000000', 'USDC')).toThrow('Amount out of range');
+      expect(() => money.parse('1e-50000000', 'USDC', ROUNDING.FLOOR)).toThrow('Amount out of range');
+      expect(() => money.parse('1'.repeat(81), 'VND')).toThrow(expect.objectContaining({ code: 'INVALID_AMOUNT' }));
+      expect(money.parse(1e21, 'USDC')).toBe(10n ** 27n);
+      expect(money.isValid('12.345678', 'USDC')).toBe(true);
+      expect(money.isValid('12.3456789', 'USDC')).toBe(false);
+    });
+
+    test('should format units in canonical and column form', () => {
+      expect(money.format(4000000n, 'USDC')).toBe('4.0');
+      expect(money.format(-1500n, 'USDC')).toBe('-0.0015');
+      expect(money.format(25000n, 'VND')).toBe('25000');
+      expect(money.toFixed(1500000n, 'USDC')).toBe('1.500000');
+      expect(money.percentage(1n, 3n)).toBe(33.33);
+      expect(money.percentage(2n, 3n, 4)).toBe(66.6667);
+    });
+
+    test('should write transaction amounts to DECIMAL columns exactly', async () => {
+      databaseService.executeQuery.mockResolvedValue({ rows: [{ id: 'tx-1' }] });
+
+      await TransactionRepository.create({
+        user_id: 'user-1',
+        type: 'withdraw',
+        amount: '9007199254.740993',
+        shares: money.parse('1.000000000000000001', 'SHARES'),
+        amount_vnd: 250000
+      });
+
+      const values = databaseService.executeQuery.mock.calls[0][1];
+      expect(values.slice(2, 4)).toEqual(['9007199254.740993', '1.000000000000000001']);
+      expect(values[9]).toBe('250000');
+    });
+
+    test('should match pending withdrawals on their exact share amount', async () => {
+      databaseService.executeQuery.mockClear();
+      databaseService.executeQuery.mockResolvedValue({ rows: [{ id: 'tx-1' }] });
+
+      await TransactionRepository.findPendingMatch('user-1', 'withdraw', {
+        amount: '25.0',
+        shares: ethers.formatUnits(24999999999999999999n, 18)
+      });
+      await TransactionRepository.findPendingMatch('user-1', 'deposit', { amount: '25.5', shares: '25.0' });
+
+      const [[withdrawQuery, withdrawValues], [, depositValues]] = databaseService.executeQuery.mock.calls;
+      expect(withdrawQuery).toContain('shares = $3::numeric');
+      expect(withdrawQuery).not.toContain('ROUND');
+      expect(withdrawValues).toEqual(['user-1', 'withdraw', '24.999999999999999999']);
+      expect(depositValues).toEqual(['user-1', 'deposit', '25.500000']);
+    });
+
+    test('should match the generated frontend copy', () => {
+      // Run `node scripts/generate-frontend-money.js` after changing src/utils/money.js
+      expect(fs.readFileSync(frontendMoney.TARGET, 'utf8')).toBe(frontendMoney.generate());
+    });
+  });
 });
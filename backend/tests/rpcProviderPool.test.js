@@ -0,0 +1,188 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const http = require('http');
+const { ethers } = require('ethers');
+const { RpcProviderPool } = require('../src/services/rpcProviderPool');
+
+const SEPOLIA = 11155111;
+const VAULT = '0x1111111111111111111111111111111111111111';
+const toHex = (value) => `0x${value.toString(16)}`;
+
+// Local stand-in for a JSON-RPC node. `state` can be changed between requests:
+// down (HTTP 503), delayMs, blockNumber, chainId and revert (eth_call reverts).
+const startNode = (overrides = {}) => new Promise(resolve => {
+  const state = { chainId: SEPOLIA, blockNumber: 100, delayMs: 0, down: false, revert: false, calls: [], ...overrides };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      state.calls.push(payload.method);
+
+      const reply = (data) => setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: payload.id, ...data }));
+      }, state.delayMs);
+
+      if (state.down) {
+        res.writeHead(503);
+        return res.end('unavailable');
+      }
+
+      switch (payload.method) {
+        case 'eth_chainId':
+          return reply({ result: toHex(state.chainId) });
+        case 'eth_blockNumber':
+          return reply({ result: toHex(state.blockNumber) });
+        case 'eth_call':
+          return state.revert
+            ? reply({ error: { code: 3, message: 'execution reverted', data: '0x' } })
+            : reply({ result: ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [42]) });
+        case 'eth_sendRawTransaction':
+          return reply({ result: `0x${'ab'.repeat(32)}` });
+        default:
+          return reply({ error: { code: -32601, message: 'method not found' } });
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    state.url = `http://127.0.0.1:${server.address().port}/v3/secret-api-key`;
+    state.server = server;
+    resolve(state);
+  });
+});
+
+const callTotalAssets = { method: 'call', transaction: { to: VAULT, data: '0x01e1d114' }, blockTag: 'latest' };
+
+describe('RPC Provider Pool', () => {
+  let nodes;
+  let pool;
+
+  const connect = async (options = {}) => {
+    pool = await RpcProviderPool.connect(nodes.map(node => node.url), { timeout: 1000, ...options });
+    return pool;
+  };
+
+  const callCount = (node, method) => node.calls.filter(call => call === method).length;
+
+  beforeEach(async () => {
+    nodes = await Promise.all([startNode(), startNode()]);
+  });
+
+  afterEach(async () => {
+    if (pool) {
+      pool.destroy();
+      pool = null;
+    }
+    await Promise.all(nodes.map(node => new Promise(resolve => node.server.close(resolve))));
+  });
+
+  test('should detect the chain and report endpoints without their API keys', async () => {
+    await connect();
+    await pool.checkHealth();
+
+    const status = pool.getStatus();
+    expect(status.chainId).toBe(SEPOLIA);
+    expect(status.headBlock).toBe(100);
+    expect(status.endpoints).toHaveLength(2);
+    expect(status.endpoints.every(endpoint => endpoint.healthy)).toBe(true);
+    expect(JSON.stringify(status)).not.toContain('secret-api-key');
+  });
+
+  test('should disable endpoints serving another chain', async () => {
+    nodes[1].chainId = 1;
+    await connect();
+
+    expect(pool.getStatus().endpoints[1].disabled).toMatch(/chain id 1/);
+    expect(pool.rankEndpoints()).toEqual([pool.endpoints[0]]);
+  });
+
+  test('should route reads to the fastest endpoint', async () => {
+    nodes[0].delayMs = 150;
+    await connect();
+    await pool.checkHealth();
+
+    nodes.forEach(node => { node.calls = []; });
+    await pool._perform(callTotalAssets);
+
+    expect(callCount(nodes[0], 'eth_call')).toBe(0);
+    expect(callCount(nodes[1], 'eth_call')).toBe(1);
+  });
+
+  test('should retry an idempotent read on the next endpoint and then prefer it', async () => {
+    await connect();
+    nodes[0].down = true;
+
+    const result = await pool._perform(callTotalAssets);
+
+    expect(BigInt(result)).toBe(42n);
+    expect(callCount(nodes[1], 'eth_call')).toBe(1);
+    expect(pool.endpoints[0].failures).toBe(1);
+
+    // The error rate now ranks the failing endpoint last
+    nodes[0].calls = [];
+    await pool._perform(callTotalAssets);
+
+    expect(nodes[0].calls).toEqual([]);
+    expect(callCount(nodes[1], 'eth_call')).toBe(2);
+  });
+
+  test('should cool down endpoints after consecutive failures', async () => {
+    await connect({ failureThreshold: 2 });
+    nodes[0].down = true;
+
+    await pool.checkHealth();
+    expect(pool.getStatus().endpoints[0].healthy).toBe(true);
+
+    await pool.checkHealth();
+    const status = pool.getStatus();
+
+    expect(status.endpoints[0].healthy).toBe(false);
+    expect(status.endpoints[0].coolingDownUntil).not.toBeNull();
+    expect(status.activeEndpoint).toBe(status.endpoints[1].url);
+  });
+
+  test('should not retry reverted calls on another endpoint', async () => {
+    await connect();
+    nodes[0].revert = true;
+
+    await expect(pool._perform(callTotalAssets)).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+    expect(callCount(nodes[1], 'eth_call')).toBe(0);
+    expect(pool.endpoints[0].failures).toBe(0);
+  });
+
+  test('should broadcast transactions to one endpoint only', async () => {
+    await connect();
+    nodes[0].down = true;
+
+    await expect(pool._perform({ method: 'broadcastTransaction', signedTransaction: '0x02' }))
+      .rejects.toMatchObject({ code: 'SERVER_ERROR' });
+    expect(callCount(nodes[1], 'eth_sendRawTransaction')).toBe(0);
+  });
+
+  test('should skip endpoints lagging behind the head block', async () => {
+    nodes[0].blockNumber = 90;
+    await connect({ maxBlockLag: 5 });
+    await pool.checkHealth();
+
+    const status = pool.getStatus();
+    expect(status.endpoints[0]).toMatchObject({ healthy: false, blockLag: 10 });
+    expect(status.activeEndpoint).toBe(status.endpoints[1].url);
+  });
+
+  test('should serve contract reads through the pool', async () => {
+    await connect();
+    nodes[0].down = true;
+
+    const vault = new ethers.Contract(VAULT, ['function totalAssets() view returns (uint256)'], pool);
+
+    await expect(vault.totalAssets()).resolves.toBe(42n);
+  });
+});
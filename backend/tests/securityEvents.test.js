@@ -0,0 +1,298 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/SecurityEventRepository', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  countBySeverityPerDay: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/UserRepository', () => ({
+  findByWalletAddress: jest.fn(),
+  findById: jest.fn(),
+  toPublicJSON: jest.fn(user => ({ id: user.id }))
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/services/tokenService', () => ({
+  createSession: jest.fn()
+}));
+
+jest.mock('../src/services/websocketService', () => ({
+  sendToUser: jest.fn()
+}));
+
+jest.mock('../src/services/mailService', () => ({
+  sendToUser: jest.fn(),
+  link: jest.fn(path => path)
+}));
+
+jest.mock('../src/utils/memoryCache', () => ({
+  get: jest.fn(),
+  set: jest.fn()
+}));
+
+jest.mock('../src/config/blockchain', () => ({}));
+
+const SecurityEventRepository = require('../src/models/postgres/SecurityEventRepository');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const securityEventService = require('../src/services/securityEventService');
+const securityController = require('../src/controllers/securityController');
+const jwt = require('jsonwebtoken');
+const databaseService = require('../src/services/DatabaseService');
+const tokenService = require('../src/services/tokenService');
+const twoFactorService = require('../src/services/twoFactorService');
+const authController = require('../src/controllers/authController');
+
+const WALLET = '0xAbCdEf0000000000000000000000000000000001';
+const OTHER_WALLET = '0x0000000000000000000000000000000000000002';
+
+const row = (id, createdAt, extra = {}) => ({
+  id,
+  user_id: 'user-1',
+  wallet_address: WALLET.toLowerCase(),
+  event_type: 'login_success',
+  event_status: 'success',
+  severity: 'info',
+  metadata: {},
+  created_at: new Date(createdAt),
+  cursor_created_at: createdAt,
+  ...extra
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const mockRequest = (user, { params = {}, query = {}, body = {} } = {}) => ({
+  user,
+  params,
+  query,
+  body,
+  ip: '127.0.0.1',
+  get: jest.fn(() => 'jest')
+});
+
+describe('Security Event Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should default failures to warning severity when recording', async () => {
+    SecurityEventRepository.create.mockImplementation(async (data) => data);
+
+    await securityEventService.record({ userId: 'user-1', eventType: 'login_2fa_failed', eventStatus: 'failure' });
+    await securityEventService.record({ userId: 'user-1', eventType: 'login_success', eventStatus: 'success' });
+
+    expect(SecurityEventRepository.create.mock.calls[0][0].severity).toBe('warning');
+    expect(SecurityEventRepository.create.mock.calls[1][0].severity).toBe('info');
+  });
+
+  test('should not throw when the event cannot be stored', async () => {
+    SecurityEventRepository.create.mockRejectedValue(new Error('db down'));
+
+    await expect(securityEventService.record({ eventType: 'login_success', eventStatus: 'success' })).resolves.toBeNull();
+  });
+
+  test('should return a cursor that resumes after the last event of the page', async () => {
+    SecurityEventRepository.find.mockResolvedValueOnce([
+      row('00000000-0000-0000-0000-000000000003', '2026-10-18 10:00:00.000003'),
+      row('00000000-0000-0000-0000-000000000002', '2026-10-18 10:00:00.000002'),
+      row('00000000-0000-0000-0000-000000000001', '2026-10-18 10:00:00.000001')
+    ]);
+
+    const first = await securityEventService.list({ walletAddress: WALLET }, { limit: 2 });
+
+    expect(SecurityEventRepository.find).toHaveBeenCalledWith({ walletAddress: WALLET }, 3, null);
+    expect(first.events.map(event => event.id)).toEqual([
+      '00000000-0000-0000-0000-000000000003',
+      '00000000-0000-0000-0000-000000000002'
+    ]);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    SecurityEventRepository.find.mockResolvedValueOnce([
+      row('00000000-0000-0000-0000-000000000001', '2026-10-18 10:00:00.000001')
+    ]);
+
+    const second = await securityEventService.list({ walletAddress: WALLET }, { limit: 2, cursor: first.nextCursor });
+
+    expect(SecurityEventRepository.find).toHaveBeenLastCalledWith({ walletAddress: WALLET }, 3, {
+      createdAt: '2026-10-18 10:00:00.000002',
+      id: '00000000-0000-0000-0000-000000000002'
+    });
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('should reject malformed cursors', async () => {
+    await expect(securityEventService.list({}, { cursor: 'not-a-cursor' })).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    expect(SecurityEventRepository.find).not.toHaveBeenCalled();
+  });
+
+  test('should group severity counts by day', async () => {
+    SecurityEventRepository.countBySeverityPerDay.mockResolvedValue([
+      { day: '2026-10-17', severity: 'info', count: '4' },
+      { day: '2026-10-17', severity: 'critical', count: '1' },
+      { day: '2026-10-18', severity: 'warning', count: '2' }
+    ]);
+
+    const days = await securityEventService.summarize({});
+
+    expect(days).toEqual([
+      { date: '2026-10-17', info: 4, warning: 0, error: 0, critical: 1, total: 5 },
+      { date: '2026-10-18', info: 0, warning: 2, error: 0, critical: 0, total: 2 }
+    ]);
+  });
+});
+
+describe('Security Controller events', () => {
+  const owner = { id: 'user-1', permissions: [], wallet_address: WALLET.toLowerCase() };
+  const admin = { id: 'admin-1', permissions: ['security:read', 'security:write'], wallet_address: OTHER_WALLET };
+  const stranger = { id: 'user-2', permissions: [], wallet_address: OTHER_WALLET };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    UserRepository.findByWalletAddress.mockResolvedValue({ id: 'user-1' });
+    SecurityEventRepository.find.mockResolvedValue([]);
+  });
+
+  test('should let the wallet owner read its events with filters', async () => {
+    const res = mockResponse();
+
+    await securityController.getSecurityEvents(mockRequest(owner, {
+      params: { walletAddress: WALLET },
+      query: { severity: 'warning,critical', type: 'login_2fa_failed', from: '2026-10-01T00:00:00Z', limit: '20' }
+    }), res);
+
+    const [filters, limit] = SecurityEventRepository.find.mock.calls[0];
+    expect(filters).toMatchObject({
+      walletAddress: WALLET,
+      userId: 'user-1',
+      eventTypes: ['login_2fa_failed'],
+      severities: ['warning', 'critical']
+    });
+    expect(filters.from.toISOString()).toBe('2026-10-01T00:00:00.000Z');
+    expect(limit).toBe(21);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { events: [], nextCursor: null, limit: 20 } });
+  });
+
+  test('should refuse events of a wallet the caller does not own', async () => {
+    const res = mockResponse();
+
+    await securityController.getSecurityEvents(mockRequest(stranger, { params: { walletAddress: WALLET } }), res);
+    await securityController.getSecurityEventSummary(mockRequest(stranger, { params: { walletAddress: WALLET } }), res);
+
+    expect(res.status).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(SecurityEventRepository.find).not.toHaveBeenCalled();
+    expect(SecurityEventRepository.countBySeverityPerDay).not.toHaveBeenCalled();
+  });
+
+  test('should let admins read any wallet', async () => {
+    const res = mockResponse();
+
+    await securityController.getSecurityEvents(mockRequest(admin, { params: { walletAddress: WALLET } }), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(SecurityEventRepository.find).toHaveBeenCalled();
+  });
+
+  test('should answer 400 for an invalid cursor', async () => {
+    const res = mockResponse();
+
+    await securityController.getSecurityEvents(mockRequest(owner, {
+      params: { walletAddress: WALLET },
+      query: { cursor: 'bogus' }
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should store reported events against the wallet owner', async () => {
+    SecurityEventRepository.create.mockImplementation(async (data) => ({ id: 'event-1', created_at: new Date(), ...data }));
+    const res = mockResponse();
+
+    await securityController.recordSecurityEvent(mockRequest(owner, {
+      body: { walletAddress: WALLET, eventType: 'client_rate_limit_warning', severity: 'warning', message: 'Daily gas limit at 90%' }
+    }), res);
+
+    expect(SecurityEventRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1',
+      wallet_address: WALLET,
+      event_status: 'attempt',
+      severity: 'warning'
+    }));
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ id: 'event-1', severity: 'warning' });
+
+    await securityController.recordSecurityEvent(mockRequest(stranger, {
+      body: { walletAddress: WALLET, eventType: 'client_rate_limit_warning', severity: 'warning', message: 'spoofed' }
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(SecurityEventRepository.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Forged passkey events', () => {
+  const owner = { id: 'user-1', permissions: [], wallet_address: WALLET.toLowerCase(), is_active: true, two_factor_enabled: true };
+
+  const complete2FA = async (body) => {
+    const res = mockResponse();
+    await authController.complete2FA(mockRequest(owner, { body }), res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    UserRepository.findById.mockResolvedValue(owner);
+    SecurityEventRepository.create.mockImplementation(async (data) => ({ id: 'event-1', created_at: new Date(), ...data }));
+    tokenService.createSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh', sessionId: 'session-1' });
+  });
+
+  test('should refuse client events with server-owned types', async () => {
+    for (const eventType of ['passkey_authentication_success', 'login_success', '2fa_enabled', 'session_revoked', 'client_']) {
+      const res = mockResponse();
+
+      await securityController.recordSecurityEvent(mockRequest(owner, {
+        body: { walletAddress: WALLET, eventType, eventStatus: 'success', severity: 'info', message: 'forged' }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'RESERVED_EVENT_TYPE' }));
+    }
+
+    expect(SecurityEventRepository.create).not.toHaveBeenCalled();
+  });
+
+  test('should not complete passkey 2FA without a passkey proof, whatever security_events holds', async () => {
+    const temporaryToken = jwt.sign({ userId: 'user-1', temporary: true, requires2FA: true }, 'test-secret');
+    // A matching row is present, as if it had been reported
+    databaseService.executeQuery.mockResolvedValue({
+      rows: [{ id: 'event-1', event_type: 'passkey_authentication_success', event_status: 'success', metadata: {} }]
+    });
+
+    const forged = jwt.sign({ userId: 'user-1', passkeyId: 'passkey-1', purpose: 'passkey_2fa' }, 'wrong-secret');
+    const otherUser = twoFactorService.issuePasskeyProof('user-2', 'passkey-2');
+
+    for (const passkeyProof of [undefined, forged, otherUser]) {
+      const res = await complete2FA({ temporaryToken, passkeyProof });
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+    expect(tokenService.createSession).not.toHaveBeenCalled();
+
+    const res = await complete2FA({ temporaryToken, passkeyProof: twoFactorService.issuePasskeyProof('user-1', 'passkey-1') });
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(tokenService.createSession).toHaveBeenCalledWith('user-1', expect.any(Object), { verified2FA: true, passkeyId: 'passkey-1' });
+  });
+});
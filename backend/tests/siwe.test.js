@@ -0,0 +1,295 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/config/blockchain', () => ({
+  getChainRegistry: jest.fn(),
+  getChain: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/SiweNonceRepository', () => ({
+  create: jest.fn(),
+  consume: jest.fn(),
+  deleteExpired: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/UserRepository', () => ({
+  findByWalletAddress: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn(),
+  updateLoginInfo: jest.fn(),
+  toPublicJSON: jest.fn(user => ({ id: user.id }))
+}));
+
+jest.mock('../src/services/tokenService', () => ({
+  createSession: jest.fn()
+}));
+
+jest.mock('../src/services/twoFactorService', () => ({
+  getMethods: jest.fn()
+}));
+
+jest.mock('../src/services/securityEventService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/websocketService', () => ({
+  sendToUser: jest.fn()
+}));
+
+jest.mock('../src/services/mailService', () => ({
+  sendToUser: jest.fn(),
+  link: jest.fn(path => path)
+}));
+
+const { ethers } = require('ethers');
+const blockchainService = require('../src/config/blockchain');
+const SiweNonceRepository = require('../src/models/postgres/SiweNonceRepository');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const tokenService = require('../src/services/tokenService');
+const twoFactorService = require('../src/services/twoFactorService');
+const securityEventService = require('../src/services/securityEventService');
+const siweService = require('../src/services/siweService');
+const authController = require('../src/controllers/authController');
+const { formatSiweMessage, parseSiweMessage } = require('../src/utils/siwe');
+
+const wallet = ethers.Wallet.createRandom();
+const MINUTE = 60 * 1000;
+
+const buildMessage = (overrides = {}) => formatSiweMessage({
+  domain: 'abunfi.com',
+  address: wallet.address,
+  statement: 'Sign in to Abunfi',
+  uri: 'https://abunfi.com/login',
+  version: '1',
+  chainId: 11155111,
+  nonce: 'a1b2c3d4e5f6a7b8',
+  issuedAt: new Date().toISOString(),
+  expirationTime: new Date(Date.now() + 10 * MINUTE).toISOString(),
+  ...overrides
+});
+
+describe('SIWE messages', () => {
+  test('should round-trip every field of an EIP-4361 message', () => {
+    const fields = {
+      scheme: 'https',
+      domain: 'abunfi.com',
+      address: wallet.address,
+      statement: 'Sign in to Abunfi',
+      uri: 'https://abunfi.com',
+      version: '1',
+      chainId: 1,
+      nonce: 'a1b2c3d4e5f6a7b8',
+      issuedAt: '2026-01-01T00:00:00.000Z',
+      expirationTime: '2026-01-01T00:10:00.000Z',
+      notBefore: '2026-01-01T00:00:00.000Z',
+      requestId: 'req-1',
+      resources: ['ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq', 'https://abunfi.com/terms']
+    };
+
+    expect(parseSiweMessage(formatSiweMessage(fields))).toEqual(fields);
+  });
+
+  test('should parse messages without a statement', () => {
+    const message = buildMessage({ statement: undefined });
+
+    expect(message).toContain(`${wallet.address}\n\n\nURI:`);
+    expect(parseSiweMessage(message)).toEqual(expect.objectContaining({ domain: 'abunfi.com', chainId: 11155111 }));
+  });
+
+  test.each([
+    ['a different header', message => message.replace('wants you to sign in', 'asks you to sign in')],
+    ['a missing nonce', message => message.replace(/Nonce: .*\n/, '')],
+    ['fields out of order', message => message.replace(/(Version: 1)\n(Chain ID: \d+)/, '$2\n$1')],
+    ['a trailing line', message => `${message}\nExtra: field`],
+    ['a non-numeric chain ID', message => message.replace('Chain ID: 11155111', 'Chain ID: sepolia')],
+    ['a short nonce', message => message.replace(/Nonce: .*/, 'Nonce: abc')]
+  ])('should reject messages with %s', (_, mutate) => {
+    expect(parseSiweMessage(mutate(buildMessage()))).toBeNull();
+  });
+});
+
+describe('SIWE Service', () => {
+  const provider = { getCode: jest.fn(), call: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    siweService.domain = 'abunfi.com';
+    siweService.uri = 'https://abunfi.com';
+    blockchainService.getChainRegistry.mockReturnValue([{ chainId: 11155111 }, { chainId: 8453 }]);
+    blockchainService.getChain.mockReturnValue({ provider });
+    provider.getCode.mockResolvedValue('0x');
+    SiweNonceRepository.create.mockImplementation(async (nonce) => nonce);
+    SiweNonceRepository.consume.mockResolvedValue(true);
+    SiweNonceRepository.deleteExpired.mockResolvedValue(0);
+  });
+
+  test('should issue a stored nonce with the message parameters', async () => {
+    const params = await siweService.createNonce({ ipAddress: '10.0.0.1' });
+
+    expect(params).toEqual(expect.objectContaining({
+      nonce: expect.stringMatching(/^[0-9a-f]{32}$/),
+      domain: 'abunfi.com',
+      uri: 'https://abunfi.com',
+      version: '1',
+      chainIds: [11155111, 8453]
+    }));
+    expect(SiweNonceRepository.create).toHaveBeenCalledWith({
+      nonce: params.nonce,
+      expires_at: new Date(params.expirationTime),
+      ip_address: '10.0.0.1'
+    });
+  });
+
+  test('should verify a message signed by an EOA and consume its nonce', async () => {
+    const message = buildMessage();
+    const signature = await wallet.signMessage(message);
+
+    await expect(siweService.verify(message, signature)).resolves.toEqual({
+      address: wallet.address,
+      chainId: 11155111,
+      signatureType: 'eoa'
+    });
+    expect(SiweNonceRepository.consume).toHaveBeenCalledWith('a1b2c3d4e5f6a7b8', wallet.address, 11155111);
+    expect(provider.getCode).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a nonce that was already used', async () => {
+    const message = buildMessage();
+    SiweNonceRepository.consume.mockResolvedValue(false);
+
+    await expect(siweService.verify(message, await wallet.signMessage(message)))
+      .rejects.toMatchObject({ code: 'INVALID_NONCE' });
+  });
+
+  test('should verify smart account signatures through EIP-1271', async () => {
+    const account = ethers.Wallet.createRandom().address;
+    const message = buildMessage({ address: account });
+    const signature = '0x' + 'ab'.repeat(100);
+
+    provider.getCode.mockResolvedValue('0xef0100' + '11'.repeat(20));
+    provider.call.mockResolvedValue(ethers.AbiCoder.defaultAbiCoder().encode(['bytes4'], ['0x1626ba7e']));
+
+    await expect(siweService.verify(message, signature)).resolves.toEqual(expect.objectContaining({
+      address: account,
+      signatureType: 'eip1271'
+    }));
+
+    const [call] = provider.call.mock.calls[0];
+    const iface = new ethers.Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+    expect(call.to).toBe(account);
+    expect(iface.decodeFunctionData('isValidSignature', call.data)).toEqual([ethers.hashMessage(message), signature]);
+
+    // Any other answer from the account is a rejection
+    provider.call.mockResolvedValue(ethers.AbiCoder.defaultAbiCoder().encode(['bytes4'], ['0xffffffff']));
+    await expect(siweService.verify(message, signature)).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+  });
+
+  test('should reject signatures from another key when the address has no code', async () => {
+    const message = buildMessage();
+    const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+    await expect(siweService.verify(message, signature)).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+    expect(SiweNonceRepository.consume).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['another domain', { domain: 'evil.example' }, 'INVALID_MESSAGE'],
+    ['another origin', { uri: 'https://evil.example/login' }, 'INVALID_MESSAGE'],
+    ['an unsupported chain', { chainId: 1 }, 'UNSUPPORTED_CHAIN'],
+    ['an expiration time in the past', { expirationTime: new Date(Date.now() - MINUTE).toISOString() }, 'MESSAGE_EXPIRED'],
+    ['an issue time in the future', { issuedAt: new Date(Date.now() + 60 * MINUTE).toISOString() }, 'INVALID_MESSAGE']
+  ])('should reject a message with %s', async (_, overrides, code) => {
+    const message = buildMessage(overrides);
+
+    await expect(siweService.verify(message, await wallet.signMessage(message))).rejects.toMatchObject({ code });
+    expect(SiweNonceRepository.consume).not.toHaveBeenCalled();
+  });
+});
+
+describe('SIWE login', () => {
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const createReq = async () => {
+    const message = buildMessage();
+    return {
+      body: { message, signature: await wallet.signMessage(message) },
+      ip: '127.0.0.1',
+      get: jest.fn()
+    };
+  };
+
+  const walletAddress = wallet.address.toLowerCase();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    blockchainService.getChainRegistry.mockReturnValue([{ chainId: 11155111 }]);
+    SiweNonceRepository.create.mockImplementation(async (nonce) => nonce);
+    SiweNonceRepository.consume.mockResolvedValue(true);
+    tokenService.createSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh', sessionId: 'session-1' });
+  });
+
+  test('should register a new wallet account and open a session', async () => {
+    UserRepository.findByWalletAddress.mockResolvedValue(null);
+    UserRepository.create.mockImplementation(async (user) => ({ id: 'user-1', ...user }));
+    const res = createRes();
+
+    await authController.siweLogin(await createReq(), res);
+
+    expect(UserRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      email: `${walletAddress}@abunfi.local`,
+      social_id: walletAddress,
+      social_provider: 'wallet',
+      wallet_address: walletAddress
+    }));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      token: 'access',
+      refreshToken: 'refresh',
+      suggestions: expect.any(Object)
+    }));
+  });
+
+  test('should sign into the account that already uses the wallet and apply its 2FA', async () => {
+    const existing = { id: 'user-2', social_provider: 'google', wallet_address: walletAddress, two_factor_enabled: true };
+    UserRepository.findByWalletAddress.mockResolvedValue(existing);
+    UserRepository.findById.mockResolvedValue(existing);
+    twoFactorService.getMethods.mockResolvedValue(['totp']);
+    const res = createRes();
+
+    await authController.siweLogin(await createReq(), res);
+
+    expect(UserRepository.findByWalletAddress).toHaveBeenCalledWith(walletAddress);
+    expect(UserRepository.create).not.toHaveBeenCalled();
+    expect(tokenService.createSession).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      requires2FA: true,
+      methods: ['totp'],
+      temporaryToken: expect.any(String)
+    }));
+  });
+
+  test('should answer verification failures with their status and code', async () => {
+    const req = await createReq();
+    req.body.signature = await ethers.Wallet.createRandom().signMessage(req.body.message);
+    const res = createRes();
+
+    await authController.siweLogin(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+    expect(securityEventService.record).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'siwe_login_failed' }));
+  });
+});
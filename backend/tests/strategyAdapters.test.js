@@ -0,0 +1,89 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/BatchAllocationRepository', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createStrategyRegistry, StrategyRegistry, StrategyAdapter, BUILT_IN_ADAPTERS } = require('../src/services/strategies');
+const { deploymentFromEnv } = require('../src/config/chainRegistry');
+const { createFakeChain } = require('../src/services/fakeChain');
+
+describe('Strategy adapter registry', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adapters-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should register every built-in adapter by default, in display order', () => {
+    const registry = createStrategyRegistry('');
+
+    expect(registry.types()).toEqual(['aave', 'compound', 'liquidStaking', 'liquidityProviding', 'uniswapV4FairFlow']);
+    expect(registry.findByName('Compound V3 USDC Strategy')).toBe(BUILT_IN_ADAPTERS.compound);
+    expect(registry.get('aave').getMetadata()).toMatchObject({ protocol: 'Aave V3', risk: { score: 25, level: 'low' } });
+  });
+
+  test('should load custom adapters from a module path', () => {
+    const file = path.join(dir, 'morphoAdapter.js');
+    fs.writeFileSync(file, `module.exports = {
+      type: 'morpho',
+      name: 'Morpho Blue Strategy',
+      protocol: 'Morpho',
+      addressVariable: 'MORPHO_STRATEGY_ADDRESS',
+      risk: { score: 35, level: 'medium' }
+    };`);
+
+    const registry = createStrategyRegistry(`aave, ${file}`);
+    const morpho = registry.get('morpho');
+
+    expect(registry.types()).toEqual(['aave', 'morpho']);
+    expect(morpho).toBeInstanceOf(StrategyAdapter);
+    expect(morpho.color).toBe('#757575');
+    expect(morpho.abi.length).toBeGreaterThan(0);
+  });
+
+  test('should reject unknown, duplicate and invalid adapters', () => {
+    expect(() => createStrategyRegistry('aave,yearn')).toThrow('Unknown strategy adapter: yearn');
+    expect(() => createStrategyRegistry('aave,aave')).toThrow('already registered: aave');
+    expect(() => new StrategyRegistry([{ type: 'aave' }])).toThrow('must be StrategyAdapter instances');
+    expect(() => new StrategyAdapter({ type: 'x', name: 'X', risk: { level: 'extreme' } })).toThrow('Invalid risk level');
+  });
+
+  test('should read strategy addresses from each adapter address variable', () => {
+    const address = ethers.Wallet.createRandom().address;
+
+    const deployment = deploymentFromEnv({
+      CHAIN_ID: '11155111',
+      AAVE_STRATEGY_ADDRESS: address,
+      LIQUID_STAKING_STRATEGY_ADDRESS: '0x...'
+    });
+
+    expect(deployment.contracts.strategies).toEqual({ aave: address });
+  });
+
+  test('should read APY and TVL through the adapter', async () => {
+    const fake = createFakeChain({ chainId: 31337 });
+
+    try {
+      const adapter = BUILT_IN_ADAPTERS.compound;
+      const address = fake.getDeployment().contracts.strategies.compound;
+      const contract = new ethers.Contract(address, adapter.abi, fake.provider);
+
+      expect(await adapter.readAPY(contract)).toBe(8.9);
+      expect(await adapter.readTVL(contract)).toBe('0.0');
+    } finally {
+      fake.destroy();
+    }
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  getAllocationCap,
+  validateAllocations,
+  diffAllocations
+} = require('../src/utils/strategyAllocation');
+
+const strategies = [
+  { address: '0xAave', name: 'Aave USDC Strategy', allocation: 50, riskScore: 25 },
+  { address: '0xCompound', name: 'Compound V3 USDC Strategy', allocation: 35, riskScore: 30 },
+  { address: '0xUniswap', name: 'Uniswap V3 LP Strategy', allocation: 15, riskScore: 65 }
+];
+
+describe('Strategy allocation rules', () => {
+  test('should cap allocations by risk score', () => {
+    expect(getAllocationCap(15)).toBe(60);
+    expect(getAllocationCap(30)).toBe(40);
+    expect(getAllocationCap(65)).toBe(20);
+  });
+
+  test('should accept allocations that sum to exactly 100%', () => {
+    const result = validateAllocations(strategies, [
+      { strategyAddress: '0xaave', allocation: 55.55 },
+      { strategyAddress: '0xcompound', allocation: 33.33 },
+      { strategyAddress: '0xuniswap', allocation: 11.12 }
+    ]);
+
+    expect(result.valid).toBe(true);
+    expect(result.targets.map(t => t.allocationBps)).toEqual([5555, 3333, 1112]);
+  });
+
+  test('should reject totals other than 100%', () => {
+    const result = validateAllocations(strategies, [
+      { strategyAddress: '0xAave', allocation: 50 },
+      { strategyAddress: '0xCompound', allocation: 35 },
+      { strategyAddress: '0xUniswap', allocation: 14.9 }
+    ]);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['Allocations must sum to 100% (got 99.9%)']);
+  });
+
+  test('should reject allocations above the risk cap', () => {
+    const result = validateAllocations(strategies, [
+      { strategyAddress: '0xAave', allocation: 40 },
+      { strategyAddress: '0xCompound', allocation: 35 },
+      { strategyAddress: '0xUniswap', allocation: 25 }
+    ]);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/Uniswap V3 LP Strategy exceeds the 20% cap/);
+  });
+
+  test('should reject unknown, duplicate and missing strategies', () => {
+    const result = validateAllocations(strategies, [
+      { strategyAddress: '0xAave', allocation: 60 },
+      { strategyAddress: '0xAAVE', allocation: 20 },
+      { strategyAddress: '0xUnknown', allocation: 20 }
+    ]);
+
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'Duplicate allocation for Aave USDC Strategy',
+      'Unknown strategy: 0xUnknown',
+      'Missing allocation for Compound V3 USDC Strategy',
+      'Missing allocation for Uniswap V3 LP Strategy'
+    ]));
+  });
+
+  test('should diff the current and proposed allocations', () => {
+    const { targets } = validateAllocations(strategies, [
+      { strategyAddress: '0xAave', allocation: 45 },
+      { strategyAddress: '0xCompound', allocation: 40 },
+      { strategyAddress: '0xUniswap', allocation: 15 }
+    ]);
+
+    expect(diffAllocations(strategies, targets).map(({ name, before, after, change }) => ({ name, before, after, change })))
+      .toEqual([
+        { name: 'Aave USDC Strategy', before: 50, after: 45, change: -5 },
+        { name: 'Compound V3 USDC Strategy', before: 35, after: 40, change: 5 },
+        { name: 'Uniswap V3 LP Strategy', before: 15, after: 15, change: 0 }
+      ]);
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({}));
+
+jest.mock('../src/utils/memoryCache', () => ({
+  memoryCache: { get: jest.fn(), set: jest.fn() }
+}));
+
+jest.mock('../src/models/postgres/StrategyProposalRepository', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  claimForSubmission: jest.fn(),
+  recordSubmission: jest.fn(),
+  findRecent: jest.fn()
+}));
+
+jest.mock('../src/services/strategySnapshotService', () => ({
+  getStrategyHistory: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const StrategyProposalRepository = require('../src/models/postgres/StrategyProposalRepository');
+const blockchainService = require('../src/config/blockchain');
+const strategyManagerController = require('../src/controllers/strategyManagerController');
+
+const VAULT = '0x1111111111111111111111111111111111111111';
+const manager = { id: 'manager-1', email: 'manager@abunfi.com' };
+
+const strategies = [
+  { address: '0xAave', name: 'Aave USDC Strategy', type: 'aave', totalAssets: 500, apy: 4, allocation: 50, riskScore: 25, isActive: true },
+  { address: '0xCompound', name: 'Compound V3 USDC Strategy', type: 'compound', totalAssets: 500, apy: 5, allocation: 50, riskScore: 30, isActive: true }
+];
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const createSigner = (startNonce = 7) => ({
+  getNonce: jest.fn().mockResolvedValue(startNonce),
+  signTransaction: jest.fn(),
+  sendTransaction: jest.fn(async (request) => ({
+    to: request.to,
+    data: request.data,
+    nonce: request.nonce,
+    hash: `0x${request.nonce.toString(16).padStart(64, '0')}`
+  }))
+});
+
+// In-memory proposals table behind the mocked repository
+const useProposalStore = () => {
+  const proposals = new Map();
+  let nextId = 1;
+
+  StrategyProposalRepository.create.mockImplementation(async (data) => {
+    const proposal = { id: `proposal-${nextId++}`, signed_transactions: [], created_at: new Date(), ...data };
+    proposals.set(proposal.id, proposal);
+    return proposal;
+  });
+  StrategyProposalRepository.findById.mockImplementation(async (id) => proposals.get(id) || null);
+  StrategyProposalRepository.claimForSubmission.mockImplementation(async (id, submittedBy) => {
+    const proposal = proposals.get(id);
+    if (!proposal || proposal.status !== 'queued') return null;
+    Object.assign(proposal, { status: 'submitting', submitted_by: submittedBy, signing_error: null });
+    return { ...proposal };
+  });
+  StrategyProposalRepository.recordSubmission.mockImplementation(async (id, { status, signedTransactions, signingError = null }) => {
+    const proposal = proposals.get(id);
+    Object.assign(proposal, { status, signed_transactions: signedTransactions, signing_error: signingError });
+    return { ...proposal };
+  });
+
+  return proposals;
+};
+
+const propose = async () => {
+  const res = createRes();
+  await strategyManagerController.rebalanceStrategies({ user: manager, body: {}, query: {} }, res);
+  return res.json.mock.calls[0][0].data.proposal;
+};
+
+const submit = async (proposalId) => {
+  const res = createRes();
+  await strategyManagerController.submitStrategyProposal({ user: manager, params: { proposalId } }, res);
+  return res;
+};
+
+describe('Strategy proposals', () => {
+  let proposals;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    proposals = useProposalStore();
+
+    blockchainService.initialized = true;
+    blockchainService.vaultContract = {
+      interface: new ethers.Interface(['function rebalance() external']),
+      getAddress: jest.fn().mockResolvedValue(VAULT)
+    };
+    blockchainService.signer = createSigner();
+    blockchainService.adminNonce = null;
+    blockchainService.adminTxQueue = Promise.resolve();
+    jest.spyOn(blockchainService, 'getAllStrategies').mockResolvedValue(strategies);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store proposals unsigned so they do not hold nonces', async () => {
+    const proposal = await propose();
+
+    expect(proposal.status).toBe('queued');
+    expect(proposal.transactions).toEqual([{
+      to: VAULT,
+      data: blockchainService.vaultContract.interface.encodeFunctionData('rebalance', [])
+    }]);
+    expect(proposal.signedTransactions).toEqual([]);
+    expect(blockchainService.signer.getNonce).not.toHaveBeenCalled();
+    expect(blockchainService.signer.signTransaction).not.toHaveBeenCalled();
+    expect(blockchainService.signer.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should sign two proposals with the managed nonces left after another admin send', async () => {
+    const first = await propose();
+    const second = await propose();
+
+    const batch = await blockchainService.sendAdminTransaction({ to: VAULT, data: '0x' });
+    expect(batch.nonce).toBe(7);
+
+    const secondRes = await submit(second.id);
+    const firstRes = await submit(first.id);
+
+    expect(secondRes.status).not.toHaveBeenCalled();
+    expect(firstRes.status).not.toHaveBeenCalled();
+    expect(proposals.get(second.id)).toMatchObject({ status: 'executed', submitted_by: manager.id });
+    expect(proposals.get(second.id).signed_transactions.map(tx => tx.nonce)).toEqual([8]);
+    expect(proposals.get(first.id).signed_transactions.map(tx => tx.nonce)).toEqual([9]);
+    expect(blockchainService.signer.getNonce).toHaveBeenCalledTimes(1);
+    expect(blockchainService.adminNonce).toBe(10);
+  });
+
+  test('should put a proposal back in the queue when broadcasting fails', async () => {
+    const proposal = await propose();
+    blockchainService.signer.sendTransaction.mockRejectedValueOnce(new Error('insufficient funds'));
+
+    const res = await submit(proposal.id);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SUBMISSION_FAILED' }));
+    expect(proposals.get(proposal.id)).toMatchObject({ status: 'queued', signing_error: 'insufficient funds', signed_transactions: [] });
+
+    const retry = await submit(proposal.id);
+
+    expect(retry.status).not.toHaveBeenCalled();
+    expect(proposals.get(proposal.id).status).toBe('executed');
+  });
+
+  test('should refuse to submit a proposal that is not queued', async () => {
+    const proposal = await propose();
+    await submit(proposal.id);
+
+    const res = await submit(proposal.id);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NOT_QUEUED' }));
+    expect(blockchainService.signer.sendTransaction).toHaveBeenCalledTimes(1);
+  });
+});
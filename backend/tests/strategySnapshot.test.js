@@ -0,0 +1,107 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/config/blockchain', () => ({
+  initialized: true,
+  getAllStrategiesInfo: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/StrategySnapshotRepository', () => ({
+  createMany: jest.fn(),
+  getStrategyHistory: jest.fn(),
+  getVaultHistory: jest.fn(),
+  deleteOlderThan: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/SchedulerLockRepository', () => ({
+  acquire: jest.fn(),
+  release: jest.fn()
+}));
+
+const blockchainService = require('../src/config/blockchain');
+const SchedulerLockRepository = require('../src/models/postgres/SchedulerLockRepository');
+const StrategySnapshotRepository = require('../src/models/postgres/StrategySnapshotRepository');
+const strategySnapshotService = require('../src/services/strategySnapshotService');
+
+describe('Strategy Snapshot Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    StrategySnapshotRepository.createMany.mockImplementation(async (snapshots) => snapshots);
+    SchedulerLockRepository.acquire.mockResolvedValue(true);
+    SchedulerLockRepository.release.mockResolvedValue(true);
+  });
+
+  test('should store each strategy with its share of total assets', async () => {
+    blockchainService.getAllStrategiesInfo.mockResolvedValue([
+      { type: 'aave', name: 'Aave USDC Strategy', address: '0xAave', totalAssets: '750.0', apy: 7.8 },
+      { type: 'compound', name: 'Compound V3 USDC Strategy', address: '0xCompound', totalAssets: '250.0', apy: 8.9 }
+    ]);
+
+    await strategySnapshotService.sample();
+
+    expect(StrategySnapshotRepository.createMany).toHaveBeenCalledWith([
+      expect.objectContaining({ strategy_address: '0xAave', total_assets: '750.0', apy: 7.8, allocation: 75 }),
+      expect.objectContaining({ strategy_address: '0xCompound', total_assets: '250.0', apy: 8.9, allocation: 25 })
+    ], expect.any(Date));
+    expect(StrategySnapshotRepository.deleteOlderThan).toHaveBeenCalled();
+    expect(strategySnapshotService.getStatus().lastSampledAt).not.toBeNull();
+  });
+
+  test('should sample once across instances and keep the lease for its TTL', async () => {
+    blockchainService.getAllStrategiesInfo.mockResolvedValue([
+      { type: 'aave', name: 'Aave USDC Strategy', address: '0xAave', totalAssets: '750.0', apy: 7.8 }
+    ]);
+    // Another instance's run already holds the lease
+    SchedulerLockRepository.acquire.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await strategySnapshotService.sample();
+    await expect(strategySnapshotService.sample()).resolves.toEqual([]);
+
+    expect(StrategySnapshotRepository.createMany).toHaveBeenCalledTimes(1);
+    const [[, firstOwner], [, secondOwner]] = SchedulerLockRepository.acquire.mock.calls;
+    expect(SchedulerLockRepository.acquire).toHaveBeenCalledWith('strategy_snapshot', firstOwner, 600000);
+    expect(firstOwner).not.toBe(secondOwner);
+    expect(SchedulerLockRepository.release).not.toHaveBeenCalled();
+  });
+
+  test('should release the lease when sampling fails', async () => {
+    blockchainService.getAllStrategiesInfo.mockRejectedValue(new Error('RPC unavailable'));
+
+    await expect(strategySnapshotService.sample()).resolves.toEqual([]);
+
+    const [[, owner]] = SchedulerLockRepository.acquire.mock.calls;
+    expect(SchedulerLockRepository.release).toHaveBeenCalledWith('strategy_snapshot', owner);
+    expect(StrategySnapshotRepository.createMany).not.toHaveBeenCalled();
+    expect(strategySnapshotService.getStatus().lastError).toBe('RPC unavailable');
+  });
+
+  test('should downsample each period with its own bucket size', async () => {
+    StrategySnapshotRepository.getStrategyHistory.mockResolvedValue([]);
+
+    await strategySnapshotService.getStrategyHistories('7d');
+    await strategySnapshotService.getStrategyHistories('1y');
+
+    expect(StrategySnapshotRepository.getStrategyHistory.mock.calls[0][1]).toBe(60 * 60);
+    expect(StrategySnapshotRepository.getStrategyHistory.mock.calls[1][1]).toBe(7 * 24 * 60 * 60);
+    await expect(strategySnapshotService.getStrategyHistories('2y')).rejects.toThrow('Unsupported period: 2y');
+  });
+
+  test('should group stored buckets by strategy and estimate yield per bucket', async () => {
+    StrategySnapshotRepository.getStrategyHistory.mockResolvedValue([
+      { strategy_address: '0xaave', strategy_name: 'Aave', bucket: '2026-01-01T00:00:00Z', total_assets: '1000000', apy: '7.3', allocation: '60' },
+      { strategy_address: '0xaave', strategy_name: 'Aave', bucket: '2026-01-02T00:00:00Z', total_assets: '1000000', apy: '7.5', allocation: '61' },
+      { strategy_address: '0xlido', strategy_name: 'Lido', bucket: '2026-01-01T00:00:00Z', total_assets: '500000', apy: '5.2', allocation: '40' }
+    ]);
+
+    const histories = await strategySnapshotService.getStrategyHistories('90d');
+
+    expect(histories.map(h => [h.address, h.history.length])).toEqual([['0xaave', 2], ['0xlido', 1]]);
+    // One day at 7.3% on 1M USDC
+    expect(histories[0].history[0].yield).toBeCloseTo(1000000 * 0.073 / 365);
+    expect(histories[0].history[1]).toEqual(expect.objectContaining({ apy: 7.5, allocation: 61 }));
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/utils/cache', () => {
+  const store = new Map();
+  return {
+    getCache: jest.fn(key => (store.has(key) ? store.get(key) : null)),
+    setCache: jest.fn((key, value) => store.set(key, value)),
+    clearCache: jest.fn(() => store.clear())
+  };
+});
+
+jest.mock('../src/models/postgres/AuthSessionRepository', () => ({
+  createSession: jest.fn(),
+  getDeviceHistory: jest.fn(),
+  findSessionById: jest.fn(),
+  createRefreshToken: jest.fn(),
+  findRefreshToken: jest.fn(),
+  markRefreshTokenUsed: jest.fn(),
+  setReplacedBy: jest.fn(),
+  touchSession: jest.fn(),
+  revokeSession: jest.fn(),
+  revokeUserSessions: jest.fn()
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSessionRepository = require('../src/models/postgres/AuthSessionRepository');
+const { clearCache } = require('../src/utils/cache');
+const tokenService = require('../src/services/tokenService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+const storedToken = (overrides = {}) => ({
+  id: 'token-1',
+  family_id: 'session-1',
+  user_id: 'user-1',
+  used_at: null,
+  expires_at: future(),
+  session_expires_at: future(),
+  verified_2fa: false,
+  revoked_at: null,
+  ...overrides
+});
+
+describe('Token Service', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearCache();
+    AuthSessionRepository.createSession.mockImplementation(async (data) => ({ id: 'session-1', ...data }));
+    AuthSessionRepository.getDeviceHistory.mockResolvedValue({ total: 0, matching: 0 });
+    AuthSessionRepository.createRefreshToken.mockResolvedValue({ id: 'token-2' });
+    AuthSessionRepository.markRefreshTokenUsed.mockResolvedValue(true);
+  });
+
+  test('should open a session and store only the refresh token hash', async () => {
+    const session = await tokenService.createSession('user-1', {
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 Chrome/120.0 Safari/537.36',
+      ipAddress: '127.0.0.1'
+    });
+
+    expect(AuthSessionRepository.createSession).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1',
+      device_label: 'Chrome on macOS',
+      verified_2fa: false,
+      new_device: false
+    }));
+    expect(AuthSessionRepository.createRefreshToken).toHaveBeenCalledWith(
+      'session-1',
+      sha256(session.refreshToken),
+      expect.any(Date)
+    );
+    expect(jwt.verify(session.accessToken, 'test-secret')).toMatchObject({ userId: 'user-1', sid: 'session-1' });
+  });
+
+  test('should flag sessions from a user agent the user has never signed in from', async () => {
+    AuthSessionRepository.getDeviceHistory.mockResolvedValueOnce({ total: 3, matching: 0 });
+    const fromNewDevice = await tokenService.createSession('user-1', { userAgent: 'Firefox/120.0 (Android)' });
+    expect(fromNewDevice).toMatchObject({ newDevice: true, deviceLabel: 'Firefox on Android' });
+
+    AuthSessionRepository.getDeviceHistory.mockResolvedValueOnce({ total: 3, matching: 1 });
+    const fromKnownDevice = await tokenService.createSession('user-1', { userAgent: 'Firefox/120.0 (Android)' });
+    expect(fromKnownDevice.newDevice).toBe(false);
+  });
+
+  test('should rotate a refresh token within its family', async () => {
+    AuthSessionRepository.findRefreshToken.mockResolvedValue(storedToken());
+
+    const rotated = await tokenService.rotateRefreshToken('old-token', { ipAddress: '127.0.0.1' });
+
+    expect(AuthSessionRepository.findRefreshToken).toHaveBeenCalledWith(sha256('old-token'));
+    expect(AuthSessionRepository.markRefreshTokenUsed).toHaveBeenCalledWith('token-1');
+    expect(AuthSessionRepository.setReplacedBy).toHaveBeenCalledWith('token-1', 'token-2');
+    expect(rotated.refreshToken).not.toBe('old-token');
+    expect(rotated.sessionId).toBe('session-1');
+  });
+
+  test('should revoke the whole family when a used refresh token is presented again', async () => {
+    AuthSessionRepository.findRefreshToken.mockResolvedValue(storedToken({ used_at: new Date() }));
+    AuthSessionRepository.revokeSession.mockResolvedValue({ id: 'session-1' });
+
+    await expect(tokenService.rotateRefreshToken('old-token')).rejects.toMatchObject({
+      code: 'REFRESH_TOKEN_REUSED',
+      sessionId: 'session-1'
+    });
+    expect(AuthSessionRepository.revokeSession).toHaveBeenCalledWith('session-1', 'reuse_detected');
+    expect(AuthSessionRepository.createRefreshToken).not.toHaveBeenCalled();
+
+    // Access tokens of the family stop working without another lookup
+    const accessToken = tokenService.signAccessToken('user-1', 'session-1', false);
+    await expect(tokenService.verifyAccessToken(accessToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    expect(AuthSessionRepository.findSessionById).not.toHaveBeenCalled();
+  });
+
+  test('should treat losing a concurrent exchange as reuse', async () => {
+    AuthSessionRepository.findRefreshToken.mockResolvedValue(storedToken());
+    AuthSessionRepository.markRefreshTokenUsed.mockResolvedValue(false);
+
+    await expect(tokenService.rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+  });
+
+  test('should reject refresh tokens of revoked sessions and unknown tokens', async () => {
+    AuthSessionRepository.findRefreshToken.mockResolvedValueOnce(storedToken({ revoked_at: new Date() }));
+    await expect(tokenService.rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+
+    AuthSessionRepository.findRefreshToken.mockResolvedValueOnce(null);
+    await expect(tokenService.rotateRefreshToken('unknown')).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+    expect(AuthSessionRepository.markRefreshTokenUsed).not.toHaveBeenCalled();
+  });
+
+  test('should check the session of access tokens', async () => {
+    AuthSessionRepository.findSessionById.mockResolvedValue({ id: 'session-1', revoked_at: null, expires_at: future() });
+    const accessToken = tokenService.signAccessToken('user-1', 'session-1', true);
+
+    await expect(tokenService.verifyAccessToken(accessToken)).resolves.toMatchObject({ sid: 'session-1', verified2FA: true });
+
+    const legacyToken = jwt.sign({ userId: 'user-1' }, 'test-secret');
+    await expect(tokenService.verifyAccessToken(legacyToken)).rejects.toMatchObject({ code: 'SESSION_REQUIRED' });
+
+    const temporaryToken = jwt.sign({ userId: 'user-1', temporary: true, requires2FA: true }, 'test-secret');
+    await expect(tokenService.verifyAccessToken(temporaryToken)).resolves.toMatchObject({ temporary: true });
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/DatabaseService', () => ({
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/UserRepository', () => ({
+  setTwoFactorSecret: jest.fn(),
+  confirmTotp: jest.fn(),
+  recordTotpStep: jest.fn(),
+  clearTotp: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/RecoveryCodeRepository', () => ({
+  replaceForUser: jest.fn(),
+  consume: jest.fn(),
+  countRemaining: jest.fn(),
+  deleteForUser: jest.fn()
+}));
+
+const crypto = require('crypto');
+const totp = require('../src/utils/totp');
+const databaseService = require('../src/services/DatabaseService');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const RecoveryCodeRepository = require('../src/models/postgres/RecoveryCodeRepository');
+const twoFactorService = require('../src/services/twoFactorService');
+
+// RFC 6238 appendix B secret for HMAC-SHA1
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test('should match the RFC 6238 test vectors', () => {
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('should accept codes within one step of clock drift', () => {
+    const timestamp = 1111111109 * 1000;
+    const step = totp.getTimeStep(timestamp);
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { timestamp })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { timestamp })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+  });
+
+  test('should round-trip base32 and build a provisioning URI', () => {
+    const secret = totp.generateSecret();
+    expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+
+    const uri = totp.buildProvisioningUri({ secret, accountName: 'alice@example.com', issuer: 'Abunfi' });
+    expect(uri).toBe(`otpauth://totp/Abunfi%3Aalice%40example.com?secret=${secret}&issuer=Abunfi&algorithm=SHA1&digits=6&period=30`);
+  });
+});
+
+describe('Two-Factor Service', () => {
+  const user = { id: 'user-1', email: 'alice@example.com', two_factor_secret: RFC_SECRET };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.executeQuery.mockResolvedValue({ rows: [{ count: '0' }] });
+    RecoveryCodeRepository.countRemaining.mockResolvedValue(0);
+    UserRepository.recordTotpStep.mockResolvedValue(true);
+  });
+
+  test('should enable TOTP on the first valid code and issue hashed recovery codes', async () => {
+    const code = totp.generateCode(RFC_SECRET);
+
+    const { recoveryCodes } = await twoFactorService.confirmTotpSetup(user, code);
+
+    expect(UserRepository.confirmTotp).toHaveBeenCalledWith('user-1', expect.any(Number));
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/);
+
+    const [, hashes] = RecoveryCodeRepository.replaceForUser.mock.calls[0];
+    const expectedHash = crypto.createHash('sha256').update(recoveryCodes[0].replace('-', '')).digest('hex');
+    expect(hashes[0]).toBe(expectedHash);
+    expect(hashes).not.toContain(recoveryCodes[0]);
+  });
+
+  test('should reject a wrong first code', async () => {
+    await expect(twoFactorService.confirmTotpSetup(user, '000000')).rejects.toMatchObject({ code: 'INVALID_CODE' });
+    expect(UserRepository.confirmTotp).not.toHaveBeenCalled();
+  });
+
+  test('should reject replayed login codes', async () => {
+    const confirmed = { ...user, totp_confirmed_at: new Date() };
+    const code = totp.generateCode(RFC_SECRET);
+
+    await expect(twoFactorService.verifySecondFactor(confirmed, 'totp', code)).resolves.toBe(true);
+
+    UserRepository.recordTotpStep.mockResolvedValueOnce(false);
+    await expect(twoFactorService.verifySecondFactor(confirmed, 'totp', code)).resolves.toBe(false);
+
+    // Pending (unconfirmed) secrets are not a login method
+    await expect(twoFactorService.verifySecondFactor(user, 'totp', code)).resolves.toBe(false);
+  });
+
+  test('should consume recovery codes by hash regardless of formatting', async () => {
+    RecoveryCodeRepository.consume.mockResolvedValue(true);
+
+    await expect(twoFactorService.verifySecondFactor(user, 'recovery_code', 'ABCDE-FGHIJ')).resolves.toBe(true);
+    expect(RecoveryCodeRepository.consume).toHaveBeenCalledWith(
+      'user-1',
+      crypto.createHash('sha256').update('abcdefghij').digest('hex')
+    );
+  });
+
+  test('should offer remaining recovery codes only while 2FA is enabled', async () => {
+    RecoveryCodeRepository.countRemaining.mockResolvedValue(5);
+
+    await expect(twoFactorService.getMethods(user)).resolves.toEqual([]);
+
+    // Every other factor lost: recovery codes still complete the login
+    await expect(twoFactorService.getMethods({ ...user, two_factor_enabled: true }))
+      .resolves.toEqual(['recovery_code']);
+
+    databaseService.executeQuery.mockResolvedValue({ rows: [{ count: '1' }] });
+    await expect(twoFactorService.getMethods({ ...user, two_factor_enabled: true, totp_confirmed_at: new Date() }))
+      .resolves.toEqual(['passkey', 'totp', 'recovery_code']);
+  });
+
+  test('should reset every factor for account recovery', async () => {
+    await twoFactorService.resetFactors('user-1');
+
+    expect(databaseService.executeQuery).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE user_passkeys SET is_active = false'),
+      ['user-1']
+    );
+    expect(UserRepository.clearTotp).toHaveBeenCalledWith('user-1', false);
+    expect(RecoveryCodeRepository.deleteForUser).toHaveBeenCalledWith('user-1');
+  });
+});
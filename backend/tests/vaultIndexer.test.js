@@ -0,0 +1,166 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/config/blockchain', () => ({
+  initialized: true,
+  vaultContract: {},
+  getBlockNumber: jest.fn(),
+  getBlock: jest.fn(),
+  getTransactionReceipt: jest.fn(),
+  getVaultEvents: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/TransactionRepository', () => ({
+  findById: jest.fn(),
+  findByHash: jest.fn(),
+  findPendingMatch: jest.fn(),
+  recordChainData: jest.fn(),
+  updateConfirmations: jest.fn(),
+  clearChainData: jest.fn(),
+  getAwaitingConfirmation: jest.fn(),
+  getPendingTransactions: jest.fn(),
+  updateStatus: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/UserRepository', () => ({
+  findById: jest.fn(),
+  findByWalletAddress: jest.fn()
+}));
+
+jest.mock('../src/services/mailService', () => ({
+  sendTransactionConfirmed: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/VaultEventRepository', () => ({
+  getCursor: jest.fn(),
+  saveCursor: jest.fn(),
+  upsert: jest.fn(),
+  linkTransaction: jest.fn(),
+  getActiveBlocksSince: jest.fn(),
+  markRemovedAfter: jest.fn()
+}));
+
+const blockchainService = require('../src/config/blockchain');
+const TransactionRepository = require('../src/models/postgres/TransactionRepository');
+const UserRepository = require('../src/models/postgres/UserRepository');
+const VaultEventRepository = require('../src/models/postgres/VaultEventRepository');
+const mailService = require('../src/services/mailService');
+const vaultIndexerService = require('../src/services/vaultIndexerService');
+
+const WALLET = '0x1234567890123456789012345678901234567890';
+
+const blockHash = (number, fork = 'a') => `0x${fork}${number.toString(16).padStart(63, '0')}`;
+
+describe('Vault Indexer Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    vaultIndexerService.requiredConfirmations = 3;
+    vaultIndexerService.batchSize = 100;
+
+    blockchainService.getBlock.mockImplementation(async (number) => ({ number, hash: blockHash(number) }));
+    blockchainService.getVaultEvents.mockResolvedValue([]);
+    blockchainService.getTransactionReceipt.mockResolvedValue({ gasUsed: 21000n, fee: 21000000000000n, status: 1 });
+    VaultEventRepository.getActiveBlocksSince.mockResolvedValue([]);
+    VaultEventRepository.markRemovedAfter.mockResolvedValue([]);
+    TransactionRepository.getAwaitingConfirmation.mockResolvedValue([]);
+    TransactionRepository.getPendingTransactions.mockResolvedValue([]);
+  });
+
+  test('should match a deposit event to the pending transaction by wallet and amount', async () => {
+    blockchainService.getBlockNumber.mockResolvedValue(105);
+    VaultEventRepository.getCursor.mockResolvedValue({ last_block: 100, last_block_hash: blockHash(100) });
+    blockchainService.getVaultEvents.mockResolvedValue([{
+      eventName: 'Deposit',
+      owner: WALLET,
+      assets: 25000000n, // 25 USDC
+      shares: 25000000000000000000n,
+      txHash: '0xdeposit',
+      logIndex: 0,
+      blockNumber: 104,
+      blockHash: blockHash(104)
+    }]);
+    VaultEventRepository.upsert.mockResolvedValue({ id: 'event-1', transaction_id: null });
+    TransactionRepository.findByHash.mockResolvedValue(null);
+    UserRepository.findByWalletAddress.mockResolvedValue({ id: 'user-1' });
+    TransactionRepository.findPendingMatch.mockResolvedValue({ id: 'tx-1', status: 'pending' });
+
+    await vaultIndexerService.tick();
+
+    expect(blockchainService.getVaultEvents).toHaveBeenCalledWith(101, 105);
+    expect(TransactionRepository.findPendingMatch).toHaveBeenCalledWith('user-1', 'deposit', {
+      amount: '25.0',
+      shares: '25.0'
+    });
+    expect(TransactionRepository.recordChainData).toHaveBeenCalledWith('tx-1', {
+      tx_hash: '0xdeposit',
+      block_number: 104,
+      gas_used: '21000',
+      gas_fee: '0.000021',
+      confirmations: 2
+    });
+    expect(VaultEventRepository.linkTransaction).toHaveBeenCalledWith('event-1', 'tx-1');
+    expect(VaultEventRepository.saveCursor).toHaveBeenCalledWith('vault', 105, blockHash(105));
+  });
+
+  test('should confirm transactions once they reach the required confirmations', async () => {
+    blockchainService.getBlockNumber.mockResolvedValue(110);
+    VaultEventRepository.getCursor.mockResolvedValue({ last_block: 110, last_block_hash: blockHash(110) });
+    TransactionRepository.getAwaitingConfirmation.mockResolvedValue([
+      { id: 'tx-deep', block_number: '105', confirmations: 2 },
+      { id: 'tx-shallow', block_number: '109', confirmations: 1 }
+    ]);
+    TransactionRepository.updateStatus.mockResolvedValue({ id: 'tx-deep', user_id: 'user-1', type: 'deposit', status: 'confirmed' });
+    UserRepository.findById.mockResolvedValue({ id: 'user-1', email: 'alice@example.com' });
+
+    await vaultIndexerService.tick();
+
+    expect(TransactionRepository.updateStatus).toHaveBeenCalledWith('tx-deep', 'confirmed', expect.objectContaining({
+      confirmations: 6,
+      changed_by: 'vault_indexer'
+    }));
+    expect(TransactionRepository.updateConfirmations).toHaveBeenCalledWith('tx-shallow', 2);
+    expect(TransactionRepository.updateStatus).not.toHaveBeenCalledWith('tx-shallow', 'confirmed', expect.anything());
+    expect(mailService.sendTransactionConfirmed).toHaveBeenCalledTimes(1);
+    expect(mailService.sendTransactionConfirmed).toHaveBeenCalledWith(
+      { id: 'user-1', email: 'alice@example.com' },
+      expect.objectContaining({ id: 'tx-deep', status: 'confirmed' })
+    );
+  });
+
+  test('should rewind the cursor and detach transactions when an event block is reorged out', async () => {
+    blockchainService.getBlockNumber.mockResolvedValue(110);
+    VaultEventRepository.getCursor.mockResolvedValue({ last_block: 110, last_block_hash: blockHash(110) });
+    VaultEventRepository.getActiveBlocksSince.mockResolvedValue([
+      { block_number: '109', block_hash: blockHash(109, 'b') } // Stored hash from the old fork
+    ]);
+    VaultEventRepository.markRemovedAfter.mockResolvedValue([
+      { id: 'event-1', transaction_id: 'tx-1' }
+    ]);
+
+    await vaultIndexerService.tick();
+
+    expect(VaultEventRepository.markRemovedAfter).toHaveBeenCalledWith(108);
+    expect(TransactionRepository.clearChainData).toHaveBeenCalledWith('tx-1');
+    expect(VaultEventRepository.saveCursor).toHaveBeenCalledWith('vault', 108, null);
+    expect(blockchainService.getVaultEvents).toHaveBeenCalledWith(109, 110);
+  });
+
+  test('should fail pending transactions whose submitted tx reverted', async () => {
+    blockchainService.getBlockNumber.mockResolvedValue(110);
+    VaultEventRepository.getCursor.mockResolvedValue({ last_block: 110, last_block_hash: blockHash(110) });
+    TransactionRepository.getPendingTransactions.mockResolvedValue([
+      { id: 'tx-reverted', tx_hash: '0xreverted', block_number: null, submitted_at: new Date() }
+    ]);
+    blockchainService.getTransactionReceipt.mockResolvedValue({ status: 0 });
+
+    await vaultIndexerService.tick();
+
+    expect(TransactionRepository.updateStatus).toHaveBeenCalledWith('tx-reverted', 'failed', expect.objectContaining({
+      error_message: 'Transaction reverted on-chain'
+    }));
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../src/services/websocketService', () => ({
+  sendToUser: jest.fn()
+}));
+
+jest.mock('../src/models/postgres/ZkVMJobRepository', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  claimNext: jest.fn(),
+  complete: jest.fn(),
+  scheduleRetry: jest.fn(),
+  markSubmitted: jest.fn(),
+  recoverOrphaned: jest.fn(),
+  deleteFinishedBefore: jest.fn()
+}));
+
+const os = require('os');
+const ZkVMJobRepository = require('../src/models/postgres/ZkVMJobRepository');
+const websocketService = require('../src/services/websocketService');
+const zkVMService = require('../src/services/zkVMService');
+
+const job = (id, overrides = {}) => ({
+  id,
+  user_id: 'user-1',
+  platform: 'github',
+  oauth_token: 'token',
+  wallet_address: '0x1234567890123456789012345678901234567890',
+  attempts: 1,
+  max_attempts: 3,
+  ...overrides
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('zkVM Job Queue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    zkVMService.maxConcurrency = 2;
+    zkVMService.retryBaseDelay = 1000;
+    zkVMService.activeJobs = 0;
+    zkVMService.lastCleanupAt = Date.now();
+    ZkVMJobRepository.recoverOrphaned.mockResolvedValue([]);
+  });
+
+  test('should claim no more jobs than the concurrency limit', async () => {
+    ZkVMJobRepository.claimNext
+      .mockResolvedValueOnce(job('job-1'))
+      .mockResolvedValueOnce(job('job-2'))
+      .mockResolvedValueOnce(job('job-3'));
+    jest.spyOn(zkVMService, 'executeVerification').mockReturnValue(new Promise(() => {}));
+
+    await zkVMService.tick();
+
+    expect(ZkVMJobRepository.claimNext).toHaveBeenCalledTimes(2);
+    expect(zkVMService.activeJobs).toBe(2);
+  });
+
+  test('should store successful proofs and free the slot', async () => {
+    ZkVMJobRepository.claimNext.mockResolvedValueOnce(job('job-1')).mockResolvedValue(null);
+    jest.spyOn(zkVMService, 'executeVerification').mockResolvedValue({ verification_success: true, proof_hash: '0xproof' });
+
+    await zkVMService.tick();
+    await flush();
+
+    expect(ZkVMJobRepository.complete).toHaveBeenCalledWith('job-1', 'succeeded', {
+      result: { verification_success: true, proof_hash: '0xproof' }
+    });
+    expect(zkVMService.activeJobs).toBe(0);
+  });
+
+  test('should retry transient prover failures with exponential backoff', async () => {
+    const error = new Error('Prover failed with code 1');
+    error.transient = true;
+    jest.spyOn(zkVMService, 'executeVerification').mockRejectedValue(error);
+
+    const before = Date.now();
+    await zkVMService.runJob(job('job-1', { attempts: 2 }));
+
+    const [id, message, nextRunAt] = ZkVMJobRepository.scheduleRetry.mock.calls[0];
+    expect(id).toBe('job-1');
+    expect(message).toBe('Prover failed with code 1');
+    expect(nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    expect(ZkVMJobRepository.complete).not.toHaveBeenCalled();
+  });
+
+  test('should fail jobs once their attempts are exhausted', async () => {
+    const error = new Error('Prover failed with code 1');
+    error.transient = true;
+    jest.spyOn(zkVMService, 'executeVerification').mockRejectedValue(error);
+
+    await zkVMService.runJob(job('job-1', { attempts: 3 }));
+
+    expect(ZkVMJobRepository.scheduleRetry).not.toHaveBeenCalled();
+    expect(ZkVMJobRepository.complete).toHaveBeenCalledWith('job-1', 'failed', { error: 'Prover failed with code 1' });
+  });
+
+  test('should mark jobs killed by the timeout as timed out', async () => {
+    const error = new Error('Verification timeout');
+    error.code = 'TIMEOUT';
+    jest.spyOn(zkVMService, 'executeVerification').mockRejectedValue(error);
+
+    await zkVMService.runJob(job('job-1'));
+
+    expect(ZkVMJobRepository.complete).toHaveBeenCalledWith('job-1', 'timed_out', { error: 'Verification timeout' });
+  });
+
+  test('should recover jobs orphaned by a previous process on startup', async () => {
+    ZkVMJobRepository.recoverOrphaned.mockResolvedValueOnce([{ id: 'job-1', status: 'queued' }]);
+    ZkVMJobRepository.claimNext.mockResolvedValue(null);
+
+    await zkVMService.start();
+    zkVMService.stop();
+
+    expect(ZkVMJobRepository.recoverOrphaned).toHaveBeenCalledWith(
+      zkVMService.workerId,
+      expect.any(Date),
+      os.hostname()
+    );
+  });
+
+  test('should read verification status from the job store', async () => {
+    ZkVMJobRepository.findById.mockResolvedValue(null);
+    await expect(zkVMService.getVerificationStatus('missing')).resolves.toEqual({
+      success: false,
+      error: 'Verification request not found'
+    });
+
+    ZkVMJobRepository.findById.mockResolvedValue({
+      ...job('job-1'),
+      status: 'running',
+      next_run_at: new Date(),
+      result: null,
+      error: null
+    });
+    const status = await zkVMService.getVerificationStatus('job-1');
+    expect(status).toEqual(expect.objectContaining({ success: true, status: 'running', attempts: 1, nextRunAt: null }));
+  });
+
+  test('should push lifecycle events to the job owner', async () => {
+    jest.spyOn(zkVMService, 'executeVerification').mockImplementation(async (id, platform, token, wallet, onProgress) => {
+      onProgress('proving');
+      return { verification_success: true, proof_hash: '0xproof' };
+    });
+
+    await zkVMService.runJob(job('job-1'));
+
+    const steps = websocketService.sendToUser.mock.calls.map(([userId, message]) => {
+      expect(userId).toBe('user-1');
+      expect(message.type).toBe('zkvm_verification');
+      return message.data.step;
+    });
+    expect(steps).toEqual(['started', 'proving', 'proof_ready']);
+  });
+
+  test('should report the failure reason and whether the job will be retried', async () => {
+    const error = new Error('Prover failed with code 1');
+    error.transient = true;
+    jest.spyOn(zkVMService, 'executeVerification').mockRejectedValue(error);
+
+    await zkVMService.runJob(job('job-1', { attempts: 1 }));
+
+    const [, message] = websocketService.sendToUser.mock.calls[1];
+    expect(message.data).toEqual(expect.objectContaining({
+      step: 'failed',
+      reason: 'Prover failed with code 1',
+      willRetry: true
+    }));
+  });
+
+  test('should only accept submissions from the owner of a succeeded job', async () => {
+    ZkVMJobRepository.findById.mockResolvedValue({ ...job('job-1'), status: 'succeeded' });
+
+    await expect(zkVMService.markSubmitted('job-1', '0xtx', 'someone-else')).resolves.toEqual({
+      success: false,
+      error: 'Verification request not found'
+    });
+    expect(ZkVMJobRepository.markSubmitted).not.toHaveBeenCalled();
+
+    await zkVMService.markSubmitted('job-1', '0xtx', 'user-1');
+    expect(ZkVMJobRepository.markSubmitted).toHaveBeenCalledWith('job-1', '0xtx');
+    expect(websocketService.sendToUser).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      data: expect.objectContaining({ step: 'submitted', txHash: '0xtx' })
+    }));
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const http = require('http');
+const { createProver, BinaryProver, MockProver, RemoteProver } = require('../src/services/provers');
+
+const WALLET = '0x1234567890123456789012345678901234567890';
+
+const proveArgs = (overrides = {}) => ({
+  verificationId: 'zkvm_1',
+  platform: 'GitHub',
+  oauthToken: 'token-1',
+  walletAddress: WALLET,
+  timeout: 1000,
+  ...overrides
+});
+
+// Local stand-in for a remote prover service
+const startStub = (handler) => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handler(req, res, body ? JSON.parse(body) : null));
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+describe('zkVM Provers', () => {
+  test('should select the backend from config', () => {
+    expect(createProver('binary')).toBeInstanceOf(BinaryProver);
+    expect(createProver('mock')).toBeInstanceOf(MockProver);
+    expect(createProver('remote')).toBeInstanceOf(RemoteProver);
+    expect(() => createProver('gpu')).toThrow('Unknown zkVM prover backend: gpu');
+  });
+
+  describe('MockProver', () => {
+    const prover = new MockProver();
+
+    test('should produce the same well-formed receipt for the same inputs', async () => {
+      const onProgress = jest.fn();
+      const first = await prover.prove(proveArgs({ onProgress }));
+      const second = await prover.prove(proveArgs());
+
+      expect(first).toEqual(second);
+      expect(onProgress).toHaveBeenCalledWith('proving');
+      expect(first.verification_success).toBe(true);
+      expect(first.proof_hash).toMatch(/^0x[0-9a-f]{64}$/);
+
+      const receipt = JSON.parse(Buffer.from(first.receipt, 'base64').toString());
+      expect(receipt.journal).toBe(first.journal);
+      expect(receipt.seal).toMatch(/^0x[0-9a-f]{64}$/);
+
+      const journal = JSON.parse(Buffer.from(first.journal.slice(2), 'hex').toString());
+      expect(journal).toMatchObject({
+        platform: 'github',
+        wallet_address: WALLET,
+        social_account_hash: first.social_account_hash
+      });
+
+      const other = await prover.prove(proveArgs({ oauthToken: 'token-2' }));
+      expect(other.social_account_hash).not.toBe(first.social_account_hash);
+    });
+
+    test('should simulate rejected accounts and transient failures', async () => {
+      const rejected = await prover.prove(proveArgs({ oauthToken: 'mock-reject-1' }));
+      expect(rejected.verification_success).toBe(false);
+
+      await expect(prover.prove(proveArgs({ oauthToken: 'mock-transient-1' })))
+        .rejects.toMatchObject({ transient: true });
+    });
+  });
+
+  describe('RemoteProver', () => {
+    let server;
+    let handler;
+
+    beforeAll(async () => {
+      server = await startStub((req, res, body) => handler(req, res, body));
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const remoteProver = () => {
+      const { port } = server.address();
+      return new RemoteProver({ url: `http://127.0.0.1:${port}/`, apiKey: 'secret' });
+    };
+
+    test('should post the request and return the prover result', async () => {
+      let received;
+      handler = (req, res, body) => {
+        received = { url: req.url, auth: req.headers.authorization, body };
+        sendJson(res, 200, { result: { verification_success: true, proof_hash: '0xproof' } });
+      };
+
+      const result = await remoteProver().prove(proveArgs());
+
+      expect(result).toEqual({ verification_success: true, proof_hash: '0xproof' });
+      expect(received).toEqual({
+        url: '/prove',
+        auth: 'Bearer secret',
+        body: {
+          verification_id: 'zkvm_1',
+          platform: 'github',
+          oauth_token: 'token-1',
+          wallet_address: WALLET
+        }
+      });
+    });
+
+    test('should mark server errors transient and client errors permanent', async () => {
+      handler = (req, res) => sendJson(res, 503, { error: 'busy' });
+      await expect(remoteProver().prove(proveArgs())).rejects.toMatchObject({ transient: true });
+
+      handler = (req, res) => sendJson(res, 400, { error: 'invalid token' });
+      await expect(remoteProver().prove(proveArgs())).rejects.toMatchObject({
+        transient: false,
+        message: 'Remote prover failed with status 400: invalid token'
+      });
+    });
+
+    test('should report timeouts', async () => {
+      handler = (req, res) => setTimeout(() => sendJson(res, 200, {}), 200);
+      await expect(remoteProver().prove(proveArgs({ timeout: 50 }))).rejects.toMatchObject({ code: 'TIMEOUT' });
+    });
+
+    test('should report readiness from the health endpoint', async () => {
+      handler = (req, res) => sendJson(res, req.url === '/health' ? 200 : 404, {});
+      await expect(remoteProver().getReadiness()).resolves.toMatchObject({ ready: true });
+
+      handler = (req, res) => sendJson(res, 500, {});
+      await expect(remoteProver().getReadiness()).resolves.toMatchObject({ ready: false });
+
+      await expect(new RemoteProver().getReadiness()).resolves.toMatchObject({ ready: false });
+    });
+  });
+
+  test('should report a missing prover binary as not ready', async () => {
+    const readiness = await new BinaryProver({ binaryPath: '/nonexistent/zkvm-prover' }).getReadiness();
+    expect(readiness).toMatchObject({ ready: false, binaryPath: '/nonexistent/zkvm-prover' });
+  });
+});
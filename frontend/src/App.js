@@ -13,6 +13,8 @@ import SecurityNotifications from './components/security/SecurityNotifications';
 // Pages
 import LandingPage from './pages/LandingPage';
 import LoginPage from './pages/LoginPage';
+import RecoveryConfirmPage from './pages/RecoveryConfirmPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import DashboardPage from './pages/DashboardPage';
 import SavingsPage from './pages/SavingsPage';
 import TransactionsPage from './pages/TransactionsPage';
@@ -20,6 +22,8 @@ import ProfilePage from './pages/ProfilePage';
 import SecurityPage from './pages/SecurityPage';
 import SocialVerificationPage from './pages/SocialVerificationPage';
 import StrategyManagerDashboard from './pages/StrategyManagerDashboard';
+import AdminUsersPage from './pages/AdminUsersPage';
+import { hasPermission, PERMISSIONS } from './utils/permissions';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -75,8 +79,8 @@ const PublicRoute = ({ children }) => {
   return children;
 };
 
-// Role-based Protected Route Component
-const RoleProtectedRoute = ({ children, allowedRoles = [] }) => {
+// Permission-based Protected Route Component
+const PermissionProtectedRoute = ({ children, permissions = [] }) => {
   const { isAuthenticated, isLoading } = useWeb3Auth();
   const { user, isLoading: userLoading } = useUser();
 
@@ -89,14 +93,10 @@ const RoleProtectedRoute = ({ children, allowedRoles = [] }) => {
   const isLoggedIn = isAuthenticated || (hasJWTToken && user);
 
   if (!isLoggedIn) {
-    console.log('❌ RoleProtectedRoute: Not logged in, WOULD redirect to login (temporarily disabled for debugging)');
-    return <div style={{padding: '20px', background: 'red', color: 'white'}}>
-      DEBUG: RoleProtectedRoute would redirect to login - check console
-    </div>;
+    return <Navigate to="/login" replace />;
   }
 
-  const userRole = user.role || 'user';
-  if (allowedRoles.length > 0 && !allowedRoles.includes(userRole)) {
+  if (!hasPermission(user, ...permissions)) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -130,6 +130,8 @@ function App() {
             </PublicRoute>
           } 
         />
+        <Route path="/recovery/confirm" element={<RecoveryConfirmPage />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
 
         {/* Protected Routes */}
         <Route 
@@ -195,11 +197,21 @@ function App() {
         <Route
           path="/strategy-manager"
           element={
-            <RoleProtectedRoute allowedRoles={['strategy_manager', 'admin']}>
+            <PermissionProtectedRoute permissions={[PERMISSIONS.STRATEGIES_READ]}>
               <Layout>
                 <StrategyManagerDashboard />
               </Layout>
-            </RoleProtectedRoute>
+            </PermissionProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/users"
+          element={
+            <PermissionProtectedRoute permissions={[PERMISSIONS.USERS_READ]}>
+              <Layout>
+                <AdminUsersPage />
+              </Layout>
+            </PermissionProtectedRoute>
           }
         />
 
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  Box,
+  CircularProgress
+} from '@mui/material';
+import { format } from 'date-fns';
+import { authService } from '../services/authService';
+import { setAuthTokens } from '../services/api';
+import toast from 'react-hot-toast';
+
+const STATUS_MESSAGES = {
+  pending_email: 'We sent a confirmation link to your email address. Open it to continue.',
+  cooling_off: 'Your request is confirmed. For your protection it can only be reviewed after a waiting period.',
+  approved: 'Your request was approved. Reset your security settings to sign in, then set up a new passkey or authenticator app.'
+};
+
+const AccountRecoveryDialog = ({
+  open,
+  onClose,
+  onRecovered,
+  temporaryToken
+}) => {
+  const [request, setRequest] = useState(null);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      setRequest(await authService.getAccountRecoveryStatus(temporaryToken));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load recovery status');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [temporaryToken]);
+
+  useEffect(() => {
+    if (open) {
+      setReason('');
+      loadStatus();
+    }
+  }, [open, loadStatus]);
+
+  const runAction = async (action) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRequest = () => runAction(async () => {
+    setRequest(await authService.requestAccountRecovery(temporaryToken, reason.trim() || undefined));
+    toast.success('Check your email to confirm the recovery request');
+  });
+
+  const handleCancel = () => runAction(async () => {
+    await authService.cancelAccountRecovery(temporaryToken);
+    setRequest(null);
+    toast.success('Recovery request cancelled');
+  });
+
+  const handleComplete = () => runAction(async () => {
+    const result = await authService.completeAccountRecovery(temporaryToken);
+    setAuthTokens(result);
+    onRecovered?.(result);
+  });
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Recover your account</DialogTitle>
+      <DialogContent>
+        {!request ? (
+          <>
+            <Typography variant="body2" color="text.secondary" mb={2}>
+              If you lost your passkeys, authenticator app and recovery codes, you can ask to reset
+              them. We will email you a confirmation link, wait a few days so you can cancel if this
+              was not you, and then review the request.
+            </Typography>
+            <TextField
+              fullWidth
+              multiline
+              minRows={3}
+              label="What happened? (optional)"
+              value={reason}
+              onChange={(event) => setReason(event.target.value)}
+              inputProps={{ maxLength: 1000 }}
+              disabled={isLoading}
+            />
+          </>
+        ) : (
+          <Box>
+            <Alert severity={request.status === 'approved' ? 'success' : 'info'}>
+              {STATUS_MESSAGES[request.status]}
+            </Alert>
+            {request.status === 'cooling_off' && request.coolingOffEndsAt && (
+              <Typography variant="body2" color="text.secondary" mt={2}>
+                Review can start after {format(new Date(request.coolingOffEndsAt), 'PPpp')}.
+              </Typography>
+            )}
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        {request && request.status !== 'approved' && (
+          <Button color="error" onClick={handleCancel} disabled={isLoading} sx={{ mr: 'auto' }}>
+            Cancel request
+          </Button>
+        )}
+        <Button onClick={onClose} disabled={isLoading}>
+          Close
+        </Button>
+        {!request && (
+          <Button
+            onClick={handleRequest}
+            variant="contained"
+            disabled={isLoading}
+            startIcon={isLoading ? <CircularProgress size={16} /> : null}
+          >
+            Send recovery email
+          </Button>
+        )}
+        {request?.status === 'approved' && (
+          <Button
+            onClick={handleComplete}
+            variant="contained"
+            disabled={isLoading}
+            startIcon={isLoading ? <CircularProgress size={16} /> : null}
+          >
+            Reset and sign in
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AccountRecoveryDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Card,
@@ -26,6 +26,8 @@ import {
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import { vaultService } from '../services/vaultService';
+import { useWebSocket } from '../hooks/useWebSocket';
+import { formatCurrency } from '../utils/money';
 
 const BatchingSystemInfo = ({ depositAmount, onGasSavingsUpdate }) => {
   const [batchingConfig, setBatchingConfig] = useState(null);
@@ -33,11 +35,29 @@ const BatchingSystemInfo = ({ depositAmount, onGasSavingsUpdate }) => {
   const [gasSavings, setGasSavings] = useState(null);
   const [expanded, setExpanded] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [lastBatch, setLastBatch] = useState(null);
 
   useEffect(() => {
     loadBatchingData();
   }, []);
 
+  // Allocation results are pushed by the backend scheduler
+  const handleSocketMessage = useCallback((event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'batch_allocation' && message.data.status === 'executed') {
+      setLastBatch(message.data.batch);
+      loadBatchingData();
+    }
+  }, []);
+
+  useWebSocket('/ws', { onMessage: handleSocketMessage });
+
   useEffect(() => {
     if (depositAmount && parseFloat(depositAmount) > 0) {
       estimateGasSavings();
@@ -71,15 +91,6 @@ const BatchingSystemInfo = ({ depositAmount, onGasSavingsUpdate }) => {
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount);
-  };
-
   const formatTime = (seconds) => {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -154,6 +165,16 @@ const BatchingSystemInfo = ({ depositAmount, onGasSavingsUpdate }) => {
           </Alert>
         )}
 
+        {/* Latest Batch Alert */}
+        {lastBatch && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setLastBatch(null)}>
+            <Typography variant="body2">
+              <strong>Batch allocated:</strong> {formatCurrency(lastBatch.allocatedAmount, { fractionDigits: 0 })} was just
+              moved into the yield strategies.
+            </Typography>
+          </Alert>
+        )}
+
         {/* Emergency Batch Alert */}
         {shouldShowEmergencyBatch() && (
           <Alert severity="info" sx={{ mb: 2 }}>
@@ -171,7 +192,7 @@ const BatchingSystemInfo = ({ depositAmount, onGasSavingsUpdate }) => {
               Batch Progress
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              {formatCurrency(pendingAllocations?.total || 0)} / {formatCurrency(batchingConfig?.threshold || 0)}
+              {formatCurrency(pendingAllocations?.total, { fractionDigits: 0 })} / {formatCurrency(batchingConfig?.threshold, { fractionDigits: 0 })}
             </Typography>
           </Box>
           <LinearProgress 
@@ -262,7 +283,7 @@ const BatchingSystemInfo = ({ depositAmount, onGasSavingsUpdate }) => {
                 <Grid container spacing={1}>
                   <Grid item xs={4}>
                     <Chip 
-                      label={`Low Risk: ${formatCurrency(pendingAllocations.lowRisk || 0)}`}
+                      label={`Low Risk: ${formatCurrency(pendingAllocations.lowRisk, { fractionDigits: 0 })}`}
                       color="success"
                       variant="outlined"
                       size="small"
@@ -271,7 +292,7 @@ const BatchingSystemInfo = ({ depositAmount, onGasSavingsUpdate }) => {
                   </Grid>
                   <Grid item xs={4}>
                     <Chip 
-                      label={`Medium Risk: ${formatCurrency(pendingAllocations.mediumRisk || 0)}`}
+                      label={`Medium Risk: ${formatCurrency(pendingAllocations.mediumRisk, { fractionDigits: 0 })}`}
                       color="warning"
                       variant="outlined"
                       size="small"
@@ -280,7 +301,7 @@ const BatchingSystemInfo = ({ depositAmount, onGasSavingsUpdate }) => {
                   </Grid>
                   <Grid item xs={4}>
                     <Chip 
-                      label={`High Risk: ${formatCurrency(pendingAllocations.highRisk || 0)}`}
+                      label={`High Risk: ${formatCurrency(pendingAllocations.highRisk, { fractionDigits: 0 })}`}
                       color="error"
                       variant="outlined"
                       size="small"
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Box,
   AppBar,
@@ -13,6 +13,7 @@ import {
   Avatar,
   Menu,
   MenuItem,
+  Alert,
   useTheme,
   useMediaQuery
 } from '@mui/material';
@@ -26,11 +27,14 @@ import {
   AccountBalanceWallet,
   Analytics,
   Security,
-  Shield
+  Shield,
+  People
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useUser } from '../../contexts/UserContext';
 import { useWeb3Auth } from '../../contexts/Web3AuthContext';
+import { isShowingDemoData, subscribeDemoData } from '../../services/api';
+import { hasPermission, PERMISSIONS } from '../../utils/permissions';
 
 const drawerWidth = 240;
 
@@ -43,11 +47,16 @@ const Layout = ({ children }) => {
   const { logout: web3Logout } = useWeb3Auth();
 
   const [mobileOpen, setMobileOpen] = useState(false);
+  const [showingDemoData, setShowingDemoData] = useState(isShowingDemoData());
 
-  // Get menu items based on user role
+  useEffect(() => subscribeDemoData(setShowingDemoData), []);
+
+  // Menu items the user's permissions allow
   const getMenuItems = () => {
-    const baseItems = [
+    const items = [
       { text: 'Overview', icon: <Dashboard />, path: '/dashboard' },
+      { text: 'Strategy Manager', icon: <Analytics />, path: '/strategy-manager', permission: PERMISSIONS.STRATEGIES_READ },
+      { text: 'Users', icon: <People />, path: '/admin/users', permission: PERMISSIONS.USERS_READ },
       { text: 'Savings', icon: <Savings />, path: '/savings' },
       { text: 'History', icon: <History />, path: '/transactions' },
       { text: 'Security', icon: <Security />, path: '/security' },
@@ -55,16 +64,7 @@ const Layout = ({ children }) => {
       { text: 'Profile', icon: <Person />, path: '/profile' },
     ];
 
-    // Add Strategy Manager Dashboard for authorized users
-    if (user?.role === 'strategy_manager' || user?.role === 'admin') {
-      baseItems.splice(1, 0, {
-        text: 'Strategy Manager',
-        icon: <Analytics />,
-        path: '/strategy-manager'
-      });
-    }
-
-    return baseItems;
+    return items.filter((item) => !item.permission || hasPermission(user, item.permission));
   };
 
   const menuItems = getMenuItems();
@@ -275,6 +275,11 @@ const Layout = ({ children }) => {
           bgcolor: 'background.default'
         }}
       >
+        {showingDemoData && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            Demo mode: some figures on this page are sample data, not live balances or yields.
+          </Alert>
+        )}
         {children}
       </Box>
     </Box>
@@ -23,6 +23,7 @@ import {
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import passkeyService from '../services/passkeyService';
+import { setAuthTokens } from '../services/api';
 import toast from 'react-hot-toast';
 
 const PasskeyAuthentication = ({ 
@@ -30,6 +31,7 @@ const PasskeyAuthentication = ({
   onClose, 
   onSuccess, 
   temporaryToken,
+  onUseAlternative,
   title = "Verify Your Identity",
   subtitle = "Use your passkey to complete authentication"
 }) => {
@@ -61,16 +63,14 @@ const PasskeyAuthentication = ({
 
       // Step 2: Complete 2FA if temporary token is provided
       if (temporaryToken) {
-        const completionResult = await passkeyService.complete2FA(temporaryToken);
+        const completionResult = await passkeyService.complete2FA(temporaryToken, authResult.passkeyProof);
         
         if (!completionResult.success) {
           throw new Error('Failed to complete 2FA authentication');
         }
 
-        // Update auth token in localStorage or context
-        if (completionResult.token) {
-          localStorage.setItem('authToken', completionResult.token);
-        }
+        // Store the 2FA-verified session tokens
+        setAuthTokens(completionResult);
       }
 
       setAuthStep('success');
@@ -240,6 +240,11 @@ const PasskeyAuthentication = ({
       case 'ready':
         return (
           <>
+            {onUseAlternative && (
+              <Button onClick={onUseAlternative} disabled={isLoading} sx={{ mr: 'auto' }}>
+                Use another method
+              </Button>
+            )}
             <Button onClick={onClose} disabled={isLoading}>
               Cancel
             </Button>
@@ -271,6 +276,11 @@ const PasskeyAuthentication = ({
       case 'error':
         return (
           <>
+            {onUseAlternative && (
+              <Button onClick={onUseAlternative} sx={{ mr: 'auto' }}>
+                Use another method
+              </Button>
+            )}
             <Button onClick={onClose}>
               Cancel
             </Button>
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { authService } from '../services/authService';
+import { setAuthTokens } from '../services/api';
+import toast from 'react-hot-toast';
+
+const CODE_METHODS = {
+  totp: {
+    label: 'Authenticator app',
+    helper: 'Enter the 6-digit code from your authenticator app',
+    placeholder: '123456'
+  },
+  recovery_code: {
+    label: 'Recovery code',
+    helper: 'Enter one of your recovery codes. Each code can be used once.',
+    placeholder: 'xxxxx-xxxxx'
+  }
+};
+
+const TwoFactorCodeDialog = ({
+  open,
+  onClose,
+  onSuccess,
+  onUsePasskey,
+  onStartRecovery,
+  temporaryToken,
+  methods = []
+}) => {
+  const available = Object.keys(CODE_METHODS).filter(method => methods.includes(method));
+  const [method, setMethod] = useState(available[0] || 'recovery_code');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setCode('');
+      setError('');
+    }
+  }, [open]);
+
+  const handleSubmit = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const result = await authService.complete2FA(temporaryToken, method, code.trim());
+      setAuthTokens(result);
+
+      if (result.recoveryCodesRemaining !== undefined && result.recoveryCodesRemaining <= 3) {
+        toast(`Only ${result.recoveryCodesRemaining} recovery code(s) left. Generate new ones in the Security Center.`, { icon: '⚠️' });
+      }
+
+      onSuccess?.(result);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Verification failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Complete Login</DialogTitle>
+      <DialogContent>
+        {available.length > 1 && (
+          <ToggleButtonGroup
+            value={method}
+            exclusive
+            fullWidth
+            size="small"
+            onChange={(event, value) => value && setMethod(value)}
+            sx={{ mb: 2 }}
+          >
+            {available.map(key => (
+              <ToggleButton key={key} value={key}>{CODE_METHODS[key].label}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        )}
+
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          {CODE_METHODS[method].helper}
+        </Typography>
+
+        <TextField
+          autoFocus
+          fullWidth
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          onKeyDown={(event) => event.key === 'Enter' && code && handleSubmit()}
+          placeholder={CODE_METHODS[method].placeholder}
+          inputProps={{ autoComplete: 'one-time-code' }}
+          disabled={isLoading}
+        />
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {onStartRecovery && (
+          <Button size="small" onClick={onStartRecovery} disabled={isLoading} sx={{ mt: 2 }}>
+            Lost access to all your methods?
+          </Button>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        {onUsePasskey && (
+          <Button onClick={onUsePasskey} disabled={isLoading} sx={{ mr: 'auto' }}>
+            Use passkey
+          </Button>
+        )}
+        <Button onClick={onClose} disabled={isLoading}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSubmit}
+          variant="contained"
+          disabled={isLoading || !code}
+          startIcon={isLoading ? <CircularProgress size={16} /> : null}
+        >
+          Verify
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TwoFactorCodeDialog;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  LinearProgress,
+  Pagination
+} from '@mui/material';
+import { format } from 'date-fns';
+import adminService from '../../services/adminService';
+
+export const ACTION_LABELS = {
+  user_suspended: 'Suspended',
+  user_reactivated: 'Reactivated',
+  sessions_revoked: 'Signed out',
+  roles_changed: 'Roles changed',
+  kyc_status_changed: 'KYC status changed'
+};
+
+const ACTION_COLORS = {
+  user_suspended: 'error',
+  user_reactivated: 'success',
+  sessions_revoked: 'warning'
+};
+
+// One-line summary of an entry's details
+const describeDetails = (entry) => {
+  const { details = {} } = entry;
+
+  switch (entry.action) {
+    case 'user_suspended':
+      return details.reason;
+    case 'user_reactivated':
+      return details.notes || '';
+    case 'sessions_revoked':
+      return `${details.revokedSessions} session(s)`;
+    case 'roles_changed':
+      return `${(details.previousRoles || []).join(', ') || 'none'} → ${(details.roles || []).join(', ') || 'none'}`;
+    case 'kyc_status_changed':
+      return `${details.previousStatus} → ${details.status}${details.notes ? ` (${details.notes})` : ''}`;
+    default:
+      return JSON.stringify(details);
+  }
+};
+
+/**
+ * Admin actions, newest first; limited to one user when `userId` is set
+ */
+const AuditLogTable = ({ userId, refreshKey }) => {
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await adminService.getAuditLog({ userId, page, limit: 20 });
+      setEntries(data.entries);
+      setPages(data.pagination.pages);
+    } catch (error) {
+      console.error('Failed to load audit log:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, page]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries, refreshKey]);
+
+  if (loading && entries.length === 0) {
+    return <LinearProgress />;
+  }
+
+  if (entries.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+        No admin actions recorded
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Time</TableCell>
+              <TableCell>Action</TableCell>
+              <TableCell>By</TableCell>
+              {!userId && <TableCell>User</TableCell>}
+              <TableCell>Details</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {entries.map((entry) => (
+              <TableRow key={entry.id}>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  {format(new Date(entry.timestamp), 'MM/dd/yyyy HH:mm')}
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={ACTION_LABELS[entry.action] || entry.action}
+                    color={ACTION_COLORS[entry.action] || 'default'}
+                  />
+                </TableCell>
+                <TableCell>{entry.actorEmail || entry.actorId || '-'}</TableCell>
+                {!userId && <TableCell>{entry.targetEmail || entry.targetUserId || '-'}</TableCell>}
+                <TableCell>
+                  <Typography variant="body2" color="text.secondary">
+                    {describeDetails(entry)}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {pages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <Pagination count={pages} page={page} onChange={(event, value) => setPage(value)} color="primary" />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default AuditLogTable;
@@ -0,0 +1,472 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Grid,
+  Typography,
+  Button,
+  Chip,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Divider,
+  Alert,
+  LinearProgress,
+  Pagination,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { Block, CheckCircle, Logout } from '@mui/icons-material';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import adminService from '../../services/adminService';
+import { useUser } from '../../contexts/UserContext';
+import { hasPermission, PERMISSIONS } from '../../utils/permissions';
+import { formatCurrency } from '../../utils/money';
+import AuditLogTable from './AuditLogTable';
+
+export const STATUS_COLORS = {
+  active: 'success',
+  suspended: 'error',
+  deleted: 'default'
+};
+
+const SEVERITY_COLORS = {
+  info: 'default',
+  warning: 'warning',
+  error: 'error',
+  critical: 'error'
+};
+
+const formatDate = (value) => (value ? format(new Date(value), 'MM/dd/yyyy HH:mm') : '-');
+
+const Field = ({ label, children }) => (
+  <Grid item xs={12} sm={6}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>{children || '-'}</Typography>
+  </Grid>
+);
+
+const UserTransactions = ({ userId }) => {
+  const [transactions, setTransactions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    adminService.getUserTransactions(userId, { page, limit: 10 })
+      .then(({ data }) => {
+        setTransactions(data.transactions);
+        setPages(data.pagination.pages);
+      })
+      .catch((error) => console.error('Failed to load transactions:', error))
+      .finally(() => setLoading(false));
+  }, [userId, page]);
+
+  if (loading) {
+    return <LinearProgress />;
+  }
+
+  if (transactions.length === 0) {
+    return <Typography variant="body2" color="text.secondary">No transactions</Typography>;
+  }
+
+  return (
+    <Box>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Type</TableCell>
+            <TableCell>Amount</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell>Time</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {transactions.map((transaction) => (
+            <TableRow key={transaction.id}>
+              <TableCell>{transaction.type}</TableCell>
+              <TableCell>{formatCurrency(transaction.amount)}</TableCell>
+              <TableCell>{transaction.status}</TableCell>
+              <TableCell>{formatDate(transaction.created_at)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      {pages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', pt: 2 }}>
+          <Pagination count={pages} page={page} onChange={(event, value) => setPage(value)} size="small" />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+const UserSecurityEvents = ({ userId }) => {
+  const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadEvents = useCallback(async (cursor) => {
+    setLoading(true);
+    try {
+      const { data } = await adminService.getUserSecurityEvents(userId, { limit: 20, cursor });
+      setEvents((previous) => (cursor ? [...previous, ...data.events] : data.events));
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.error('Failed to load security events:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  if (loading && events.length === 0) {
+    return <LinearProgress />;
+  }
+
+  if (events.length === 0) {
+    return <Typography variant="body2" color="text.secondary">No security events</Typography>;
+  }
+
+  return (
+    <Box>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Event</TableCell>
+            <TableCell>Severity</TableCell>
+            <TableCell>IP address</TableCell>
+            <TableCell>Time</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {events.map((event) => (
+            <TableRow key={event.id}>
+              <TableCell>{event.eventType}</TableCell>
+              <TableCell>
+                <Chip size="small" label={event.severity} color={SEVERITY_COLORS[event.severity] || 'default'} />
+              </TableCell>
+              <TableCell>{event.ipAddress || '-'}</TableCell>
+              <TableCell>{formatDate(event.timestamp)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      {nextCursor && (
+        <Box sx={{ textAlign: 'center', pt: 2 }}>
+          <Button onClick={() => loadEvents(nextCursor)} disabled={loading}>
+            Load older events
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * Account details and moderation actions for the admin console
+ * Every action is written to the audit log by the backend.
+ */
+const UserDetailDialog = ({ userId, open, onClose, onChanged }) => {
+  const { user: currentUser } = useUser();
+  const [details, setDetails] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [selectedRoles, setSelectedRoles] = useState([]);
+  const [kycStatus, setKycStatus] = useState('pending');
+  const [kycNotes, setKycNotes] = useState('');
+  const [tab, setTab] = useState(0);
+  const [suspending, setSuspending] = useState(false);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [auditKey, setAuditKey] = useState(0);
+
+  const canWrite = hasPermission(currentUser, PERMISSIONS.USERS_WRITE);
+  const canAssignRoles = hasPermission(currentUser, PERMISSIONS.ROLES_ASSIGN);
+  const canReviewKyc = hasPermission(currentUser, PERMISSIONS.KYC_REVIEW);
+  const canReadSecurity = hasPermission(currentUser, PERMISSIONS.SECURITY_READ);
+  const canReadAudit = hasPermission(currentUser, PERMISSIONS.AUDIT_READ);
+
+  const loadUser = useCallback(async () => {
+    try {
+      const { data } = await adminService.getUser(userId);
+      setDetails(data);
+      setSelectedRoles(data.user.roles);
+      setKycStatus(data.user.kycStatus);
+    } catch (error) {
+      console.error('Failed to load user:', error);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    if (open && userId) {
+      setDetails(null);
+      setTab(0);
+      loadUser();
+    }
+  }, [open, userId, loadUser]);
+
+  useEffect(() => {
+    if (open && canAssignRoles) {
+      adminService.getRoles()
+        .then(({ data }) => setRoles(data.roles))
+        .catch((error) => console.error('Failed to load roles:', error));
+    }
+  }, [open, canAssignRoles]);
+
+  // Run an action, then reload the user and tell the list it changed
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      toast.success(result?.message || successMessage);
+      await loadUser();
+      setAuditKey((key) => key + 1);
+      onChanged?.();
+      return true;
+    } catch (error) {
+      // The API client already shows the error
+      console.error('Admin action failed:', error);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSuspend = async () => {
+    if (await runAction(() => adminService.suspendUser(userId, reason.trim()), 'User suspended')) {
+      setSuspending(false);
+      setReason('');
+    }
+  };
+
+  const toggleRole = (name) => {
+    setSelectedRoles((current) => (
+      current.includes(name) ? current.filter((role) => role !== name) : [...current, name]
+    ));
+  };
+
+  const user = details?.user;
+  const isSelf = user?.id === currentUser?.id;
+  const rolesChanged = user && [...selectedRoles].sort().join() !== [...user.roles].sort().join();
+
+  const tabs = [
+    { label: 'Overview', key: 'overview' },
+    { label: 'Transactions', key: 'transactions' },
+    canReadSecurity && { label: 'Security events', key: 'security' },
+    canReadAudit && { label: 'Audit log', key: 'audit' }
+  ].filter(Boolean);
+  const currentTab = tabs[tab]?.key;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" gap={1}>
+          {user ? (user.name || user.email) : 'User'}
+          {user && <Chip size="small" label={user.status} color={STATUS_COLORS[user.status]} />}
+        </Box>
+      </DialogTitle>
+
+      <DialogContent dividers>
+        {!details ? (
+          <LinearProgress />
+        ) : (
+          <>
+            <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+              {tabs.map((item) => <Tab key={item.key} label={item.label} />)}
+            </Tabs>
+
+            {currentTab === 'overview' && (
+              <Box>
+                {user.status === 'suspended' && (
+                  <Alert severity="error" sx={{ mb: 2 }}>
+                    Suspended {formatDate(user.suspendedAt)}: {user.suspensionReason}
+                  </Alert>
+                )}
+
+                <Grid container spacing={2}>
+                  <Field label="Email">{user.email}</Field>
+                  <Field label="Wallet">{user.walletAddress}</Field>
+                  <Field label="Phone">{user.phone}</Field>
+                  <Field label="Sign-in">{user.socialProvider}</Field>
+                  <Field label="Joined">{formatDate(user.createdAt)}</Field>
+                  <Field label="Last login">{formatDate(user.lastLoginAt)}</Field>
+                  <Field label="Two-factor">{user.twoFactorEnabled ? 'Enabled' : 'Off'}</Field>
+                  <Field label="Roles">{user.roles.join(', ')}</Field>
+                </Grid>
+
+                <Divider sx={{ my: 2 }} />
+
+                <Grid container spacing={2}>
+                  <Field label="Total balance">{formatCurrency(details.balance.total)}</Field>
+                  <Field label="Available">{formatCurrency(details.balance.available)}</Field>
+                  <Field label="Shares">{details.balance.shares}</Field>
+                  <Field label="Yield earned">{formatCurrency(details.balance.totalYield)}</Field>
+                  <Field label="Deposited">
+                    {formatCurrency(details.stats.totalDeposited)} ({details.stats.totalDeposits} deposits)
+                  </Field>
+                  <Field label="Withdrawn">
+                    {formatCurrency(details.stats.totalWithdrawn)} ({details.stats.totalWithdrawals} withdrawals)
+                  </Field>
+                </Grid>
+
+                {canWrite && user.status !== 'deleted' && (
+                  <>
+                    <Divider sx={{ my: 2 }} />
+                    <Box display="flex" gap={1} flexWrap="wrap">
+                      {user.status === 'active' ? (
+                        <Button
+                          color="error"
+                          variant="outlined"
+                          startIcon={<Block />}
+                          onClick={() => setSuspending(true)}
+                          disabled={busy || isSelf}
+                        >
+                          Suspend
+                        </Button>
+                      ) : (
+                        <Button
+                          color="success"
+                          variant="outlined"
+                          startIcon={<CheckCircle />}
+                          onClick={() => runAction(() => adminService.reactivateUser(userId), 'User reactivated')}
+                          disabled={busy}
+                        >
+                          Reactivate
+                        </Button>
+                      )}
+                      <Button
+                        variant="outlined"
+                        startIcon={<Logout />}
+                        onClick={() => runAction(() => adminService.forceLogout(userId), 'User signed out')}
+                        disabled={busy}
+                      >
+                        Sign out everywhere
+                      </Button>
+                    </Box>
+                  </>
+                )}
+
+                {canAssignRoles && user.status !== 'deleted' && (
+                  <>
+                    <Divider sx={{ my: 2 }} />
+                    <Typography variant="subtitle2" gutterBottom>Roles</Typography>
+                    <FormGroup row>
+                      {roles.map((role) => (
+                        <FormControlLabel
+                          key={role.name}
+                          control={(
+                            <Checkbox
+                              checked={selectedRoles.includes(role.name)}
+                              onChange={() => toggleRole(role.name)}
+                            />
+                          )}
+                          label={role.name}
+                          title={role.permissions.join(', ')}
+                        />
+                      ))}
+                    </FormGroup>
+                    <Button
+                      size="small"
+                      onClick={() => runAction(() => adminService.setUserRoles(userId, selectedRoles), 'Roles updated')}
+                      disabled={busy || !rolesChanged}
+                    >
+                      Save roles
+                    </Button>
+                  </>
+                )}
+
+                {canReviewKyc && user.status !== 'deleted' && (
+                  <>
+                    <Divider sx={{ my: 2 }} />
+                    <Typography variant="subtitle2" gutterBottom>KYC</Typography>
+                    <Box display="flex" gap={2} alignItems="center">
+                      <TextField
+                        select
+                        size="small"
+                        label="Status"
+                        value={kycStatus}
+                        onChange={(e) => setKycStatus(e.target.value)}
+                        sx={{ minWidth: 140 }}
+                      >
+                        <MenuItem value="pending">Pending</MenuItem>
+                        <MenuItem value="verified">Verified</MenuItem>
+                        <MenuItem value="rejected">Rejected</MenuItem>
+                      </TextField>
+                      <TextField
+                        size="small"
+                        label="Notes"
+                        value={kycNotes}
+                        onChange={(e) => setKycNotes(e.target.value)}
+                        sx={{ flex: 1 }}
+                      />
+                      <Button
+                        size="small"
+                        onClick={async () => {
+                          if (await runAction(() => adminService.updateKycStatus(userId, kycStatus, kycNotes || undefined), 'KYC status updated')) {
+                            setKycNotes('');
+                          }
+                        }}
+                        disabled={busy || kycStatus === user.kycStatus}
+                      >
+                        Save
+                      </Button>
+                    </Box>
+                  </>
+                )}
+              </Box>
+            )}
+
+            {currentTab === 'transactions' && <UserTransactions userId={userId} />}
+            {currentTab === 'security' && <UserSecurityEvents userId={userId} />}
+            {currentTab === 'audit' && <AuditLogTable userId={userId} refreshKey={auditKey} />}
+          </>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+
+      <Dialog open={suspending} onClose={() => setSuspending(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Suspend {user?.email}?</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            The user is signed out of every device and cannot sign in until reactivated.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            minRows={2}
+            label="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSuspending(false)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleSuspend} disabled={busy || !reason.trim()}>
+            Suspend
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Dialog>
+  );
+};
+
+export default UserDetailDialog;
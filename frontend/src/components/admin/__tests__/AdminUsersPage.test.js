@@ -0,0 +1,112 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { BrowserRouter } from 'react-router-dom';
+import { ThemeProvider, createTheme } from '@mui/material/styles';
+import AdminUsersPage from '../../../pages/AdminUsersPage';
+import { useUser } from '../../../contexts/UserContext';
+import adminService from '../../../services/adminService';
+
+jest.mock('../../../contexts/UserContext', () => ({
+  useUser: jest.fn()
+}));
+
+jest.mock('../../../services/adminService', () => ({
+  searchUsers: jest.fn(),
+  getUser: jest.fn(),
+  getRoles: jest.fn(),
+  getAuditLog: jest.fn(),
+  suspendUser: jest.fn()
+}));
+
+const theme = createTheme();
+
+const account = {
+  id: 'user-1',
+  email: 'user@abunfi.com',
+  name: 'Regular User',
+  walletAddress: '0x3333333333333333333333333333333333333333',
+  phone: '+84912345678',
+  socialProvider: 'phone',
+  kycStatus: 'pending',
+  status: 'active',
+  roles: [],
+  twoFactorEnabled: false,
+  createdAt: '2026-01-15T00:00:00.000Z',
+  lastLoginAt: null
+};
+
+const admin = {
+  id: 'admin-1',
+  roles: ['admin'],
+  permissions: ['audit:read', 'users:read', 'users:write']
+};
+
+const renderWithProviders = (user = admin) => {
+  useUser.mockReturnValue({ user, isLoading: false });
+
+  return render(
+    <BrowserRouter>
+      <ThemeProvider theme={theme}>
+        <AdminUsersPage />
+      </ThemeProvider>
+    </BrowserRouter>
+  );
+};
+
+describe('AdminUsersPage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adminService.searchUsers.mockResolvedValue({
+      data: { users: [account], pagination: { page: 1, limit: 20, total: 1, pages: 1 } }
+    });
+    adminService.getUser.mockResolvedValue({
+      data: {
+        user: account,
+        balance: { total: '120.5', available: '120.5', locked: '0', shares: '120.5', totalYield: '0.5' },
+        stats: { totalDeposits: 1, totalWithdrawals: 0, totalDeposited: '120', totalWithdrawn: '0', totalYield: '0.5', totalTransactions: 1 }
+      }
+    });
+    adminService.getAuditLog.mockResolvedValue({
+      data: { entries: [], pagination: { page: 1, limit: 20, total: 0, pages: 0 } }
+    });
+  });
+
+  test('lists matching users', async () => {
+    renderWithProviders();
+
+    expect(await screen.findByText('user@abunfi.com')).toBeInTheDocument();
+    expect(screen.getByText('+84912345678')).toBeInTheDocument();
+    expect(adminService.searchUsers).toHaveBeenCalledWith({ q: undefined, status: undefined, page: 1, limit: 20 });
+  });
+
+  test('searches on submit', async () => {
+    renderWithProviders();
+    await screen.findByText('user@abunfi.com');
+
+    fireEvent.change(screen.getByPlaceholderText('Email, name, wallet or phone'), { target: { value: ' 0912345678 ' } });
+    fireEvent.submit(screen.getByPlaceholderText('Email, name, wallet or phone'));
+
+    expect(await screen.findByText('user@abunfi.com')).toBeInTheDocument();
+    expect(adminService.searchUsers).toHaveBeenLastCalledWith(expect.objectContaining({ q: '0912345678' }));
+  });
+
+  test('offers moderation actions to users:write holders', async () => {
+    renderWithProviders();
+
+    fireEvent.click(await screen.findByText('user@abunfi.com'));
+
+    expect(await screen.findByRole('button', { name: /suspend/i })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /sign out everywhere/i })).toBeInTheDocument();
+  });
+
+  test('hides actions and the audit log from read-only admins', async () => {
+    renderWithProviders({ id: 'support-1', roles: ['support'], permissions: ['users:read'] });
+
+    fireEvent.click(await screen.findByText('user@abunfi.com'));
+
+    expect(await screen.findByText('Yield earned')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /suspend/i })).not.toBeInTheDocument();
+    expect(screen.queryByRole('tab', { name: 'Audit Log' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Chip,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Tooltip,
+  LinearProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { Devices, PhoneIphone, Logout } from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import { authService } from '../../services/authService';
+import { useWebSocket } from '../../hooks/useWebSocket';
+import { useUser } from '../../contexts/UserContext';
+
+const isMobile = (session) => /iOS|iPadOS|Android/.test(session.deviceLabel || '');
+
+const SessionManagement = () => {
+  const { logout } = useUser();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [confirmAll, setConfirmAll] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await authService.getSessions());
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // New-device logins are pushed by the backend
+  const handleSocketMessage = useCallback((event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'new_device_login') {
+      toast(`New sign-in from ${message.data.deviceLabel}`, { icon: '🔐' });
+      loadSessions();
+    }
+  }, [loadSessions]);
+
+  useWebSocket('/ws', { onMessage: handleSocketMessage });
+
+  const handleRevoke = async (session) => {
+    try {
+      await authService.revokeSession(session.id);
+
+      if (session.current) {
+        await logout();
+        return;
+      }
+
+      toast.success(`Signed out of ${session.deviceLabel}`);
+      loadSessions();
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      toast.error('Failed to revoke session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const result = await authService.revokeAllSessions();
+      toast.success(result.message);
+      setConfirmAll(false);
+      loadSessions();
+    } catch (error) {
+      console.error('Failed to revoke sessions:', error);
+      toast.error('Failed to sign out other sessions');
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Typography variant="h6">
+            Devices & sessions
+          </Typography>
+          <Button
+            color="error"
+            startIcon={<Logout />}
+            onClick={() => setConfirmAll(true)}
+            disabled={otherSessions.length === 0}
+          >
+            Sign out everywhere else
+          </Button>
+        </Box>
+
+        {loading ? (
+          <LinearProgress />
+        ) : sessions.length > 0 ? (
+          <List>
+            {sessions.map((session) => (
+              <ListItem key={session.id}>
+                <ListItemIcon>
+                  {isMobile(session) ? <PhoneIphone color="primary" /> : <Devices color="primary" />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1}>
+                      {session.deviceLabel}
+                      {session.current && <Chip label="This device" color="primary" size="small" />}
+                      {session.newDevice && !session.current && <Chip label="New device" color="warning" size="small" />}
+                      {session.passkeyName && <Chip label={`Passkey: ${session.passkeyName}`} size="small" variant="outlined" />}
+                    </Box>
+                  }
+                  secondary={
+                    <Box>
+                      <Typography variant="body2" color="text.secondary">
+                        {session.ipAddress || 'Unknown IP'} · Last seen {formatDistanceToNow(new Date(session.lastSeenAt))} ago
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        Signed in {formatDistanceToNow(new Date(session.createdAt))} ago
+                      </Typography>
+                    </Box>
+                  }
+                />
+                <ListItemSecondaryAction>
+                  <Tooltip title={session.current ? 'Sign out of this device' : 'Revoke session'}>
+                    <IconButton edge="end" onClick={() => handleRevoke(session)}>
+                      <Logout />
+                    </IconButton>
+                  </Tooltip>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Alert severity="info">No active sessions.</Alert>
+        )}
+      </CardContent>
+
+      <Dialog open={confirmAll} onClose={() => setConfirmAll(false)}>
+        <DialogTitle>Sign out everywhere else</DialogTitle>
+        <DialogContent>
+          <Typography>
+            This signs out {otherSessions.length} other session(s). You will stay signed in on this device.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmAll(false)}>Cancel</Button>
+          <Button onClick={handleRevokeOthers} color="error" variant="contained">
+            Sign out
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default SessionManagement;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Chip,
+  TextField,
+  Alert,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Link
+} from '@mui/material';
+import { PhonelinkLock, VpnKey } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import { authService } from '../../services/authService';
+
+const TotpManagement = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [setup, setSetup] = useState(null); // { secret, otpauthUrl } while enrolling
+  const [code, setCode] = useState('');
+  const [disableOpen, setDisableOpen] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await authService.get2FAStatus());
+    } catch (error) {
+      console.error('Failed to load 2FA status:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const errorMessage = (error, fallback) => error.response?.data?.error || fallback;
+
+  const handleStartSetup = async () => {
+    try {
+      setSetup(await authService.setupTotp());
+      setCode('');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to start authenticator setup'));
+    }
+  };
+
+  const handleVerifySetup = async () => {
+    try {
+      setSubmitting(true);
+      const result = await authService.verifyTotpSetup(code.trim());
+      toast.success('Authenticator app enabled');
+      setSetup(null);
+      setCode('');
+      if (result.recoveryCodes) {
+        setRecoveryCodes(result.recoveryCodes);
+      }
+      loadStatus();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Invalid verification code'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      setSubmitting(true);
+      await authService.disableTotp(code.trim());
+      toast.success('Authenticator app removed');
+      setDisableOpen(false);
+      setCode('');
+      loadStatus();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove authenticator app'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      const result = await authService.regenerateRecoveryCodes();
+      setRecoveryCodes(result.recoveryCodes);
+      loadStatus();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to generate recovery codes'));
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  if (loading) {
+    return (
+      <Card sx={{ mt: 3 }}>
+        <CardContent>
+          <LinearProgress />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Typography variant="h6" display="flex" alignItems="center" gap={1}>
+            <PhonelinkLock color="primary" />
+            Authenticator app
+          </Typography>
+          <Chip
+            label={status?.totpEnabled ? 'Enabled' : 'Not set up'}
+            color={status?.totpEnabled ? 'success' : 'default'}
+            size="small"
+          />
+        </Box>
+
+        {!status?.totpEnabled && !setup && (
+          <Box>
+            <Typography variant="body2" color="text.secondary" mb={2}>
+              Use an authenticator app such as Google Authenticator or Authy as a second factor,
+              alongside or instead of a passkey.
+            </Typography>
+            <Button variant="contained" onClick={handleStartSetup}>
+              Set up authenticator app
+            </Button>
+          </Box>
+        )}
+
+        {setup && (
+          <Box>
+            <Typography variant="body2" mb={1}>
+              1. Add this account to your authenticator app with the setup key below
+              {' '}(or <Link href={setup.otpauthUrl}>open it in your authenticator</Link> on this device).
+            </Typography>
+            <Typography variant="body1" fontFamily="monospace" sx={{ wordBreak: 'break-all', mb: 2 }}>
+              {setup.secret.match(/.{1,4}/g).join(' ')}
+            </Typography>
+            <Typography variant="body2" mb={1}>
+              2. Enter the 6-digit code it shows to finish setup.
+            </Typography>
+            <Box display="flex" gap={1}>
+              <TextField
+                size="small"
+                value={code}
+                onChange={(event) => setCode(event.target.value)}
+                placeholder="123456"
+                inputProps={{ autoComplete: 'one-time-code', inputMode: 'numeric' }}
+              />
+              <Button variant="contained" onClick={handleVerifySetup} disabled={!code || submitting}>
+                Verify
+              </Button>
+              <Button onClick={() => setSetup(null)} disabled={submitting}>
+                Cancel
+              </Button>
+            </Box>
+          </Box>
+        )}
+
+        {status?.totpEnabled && (
+          <Button color="error" onClick={() => { setCode(''); setDisableOpen(true); }}>
+            Remove authenticator app
+          </Button>
+        )}
+
+        {status?.enabled && (
+          <Box mt={3} display="flex" justifyContent="space-between" alignItems="center">
+            <Typography variant="body2" display="flex" alignItems="center" gap={1}>
+              <VpnKey fontSize="small" color="action" />
+              Recovery codes remaining: {status.recoveryCodesRemaining}
+            </Typography>
+            <Button onClick={handleRegenerate}>
+              {status.recoveryCodesRemaining > 0 ? 'Generate new codes' : 'Generate codes'}
+            </Button>
+          </Box>
+        )}
+      </CardContent>
+
+      {/* Remove authenticator */}
+      <Dialog open={disableOpen} onClose={() => setDisableOpen(false)}>
+        <DialogTitle>Remove authenticator app</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" mb={2}>
+            Enter a current code from your authenticator app to confirm.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            placeholder="123456"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDisableOpen(false)}>Cancel</Button>
+          <Button onClick={handleDisable} color="error" variant="contained" disabled={!code || submitting}>
+            Remove
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Recovery codes are only shown once */}
+      <Dialog open={!!recoveryCodes} onClose={() => setRecoveryCodes(null)}>
+        <DialogTitle>Save your recovery codes</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Each code signs you in once if you lose your passkey or authenticator. They will not be shown again.
+          </Alert>
+          <Box display="grid" gridTemplateColumns="1fr 1fr" gap={1}>
+            {recoveryCodes?.map(recoveryCode => (
+              <Typography key={recoveryCode} fontFamily="monospace">{recoveryCode}</Typography>
+            ))}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCopyCodes}>Copy</Button>
+          <Button onClick={() => setRecoveryCodes(null)} variant="contained">
+            I have saved them
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default TotpManagement;
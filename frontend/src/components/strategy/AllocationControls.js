@@ -22,10 +22,29 @@ import {
   Refresh,
   Warning,
   CheckCircle,
-  Settings
+  Settings,
+  Send
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
+import strategyManagerService from '../../services/strategyManagerService';
+
+// Round to two decimals and absorb the rounding remainder in the largest allocation,
+// so the payload sums to exactly 100%
+const toAllocationPayload = (strategies, allocations) => {
+  const payload = strategies.map(strategy => ({
+    strategyAddress: strategy.address,
+    allocation: Math.round((allocations[strategy.name] || 0) * 100) / 100
+  }));
+
+  const remainder = Math.round((100 - payload.reduce((sum, a) => sum + a.allocation, 0)) * 100) / 100;
+  if (remainder !== 0) {
+    const largest = payload.reduce((max, a) => (a.allocation > max.allocation ? a : max), payload[0]);
+    largest.allocation = Math.round((largest.allocation + remainder) * 100) / 100;
+  }
+
+  return payload;
+};
 
 const AllocationControls = ({ strategies }) => {
   const theme = useTheme();
@@ -41,6 +60,8 @@ const AllocationControls = ({ strategies }) => {
   const [isRebalancing, setIsRebalancing] = useState(false);
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const [pendingChanges, setPendingChanges] = useState(false);
+  const [lastProposal, setLastProposal] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
   if (!strategies || strategies.length === 0) {
     return (
@@ -123,18 +144,43 @@ const AllocationControls = ({ strategies }) => {
     setShowConfirmDialog(false);
 
     try {
-      // Simulate API call to update allocations
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
+      const response = await strategyManagerService.updateStrategyAllocation(
+        toAllocationPayload(strategies, allocations)
+      );
+
+      setLastProposal(response.data);
       setPendingChanges(false);
-      toast.success('Allocation changes saved successfully');
+      toast.success(response.data.proposal.transactions.length > 0
+        ? 'Allocation proposal queued and ready to submit'
+        : 'Allocation proposal queued for execution');
     } catch (error) {
-      toast.error('Failed to save allocation changes');
+      const details = error.response?.data?.details;
+      toast.error(details ? details.join('\n') : (error.response?.data?.error || 'Failed to save allocation changes'));
     } finally {
       setIsRebalancing(false);
     }
   };
 
+  const submitProposal = async () => {
+    setIsSubmitting(true);
+
+    try {
+      const response = await strategyManagerService.submitStrategyProposal(lastProposal.proposal.id);
+      const proposal = response.data.proposal;
+
+      setLastProposal(previous => ({ ...previous, proposal }));
+      toast.success(`Broadcast ${proposal.signedTransactions.length} transaction(s)`);
+    } catch (error) {
+      const data = error.response?.data;
+      if (data?.code === 'SUBMISSION_FAILED') {
+        setLastProposal(previous => ({ ...previous, proposal: data.details }));
+      }
+      toast.error(data?.error || 'Failed to submit proposal');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const resetChanges = () => {
     const original = {};
     strategies.forEach(strategy => {
@@ -329,6 +375,43 @@ const AllocationControls = ({ strategies }) => {
             </Button>
           </Box>
 
+          {/* Last submitted proposal */}
+          {lastProposal && (
+            <Alert
+              severity={lastProposal.proposal.status === 'executed' ? 'success' : 'info'}
+              sx={{ mt: 3 }}
+              action={lastProposal.proposal.status === 'queued' && lastProposal.proposal.transactions.length > 0 && (
+                <Button
+                  color="inherit"
+                  size="small"
+                  onClick={submitProposal}
+                  startIcon={<Send />}
+                  disabled={isSubmitting}
+                >
+                  {isSubmitting ? 'Submitting...' : 'Submit'}
+                </Button>
+              )}
+            >
+              <Typography variant="body2" sx={{ fontWeight: 'bold', mb: 1 }}>
+                {lastProposal.proposal.status === 'executed'
+                  ? `Broadcast ${lastProposal.proposal.signedTransactions.length} transaction(s)`
+                  : lastProposal.proposal.transactions.length > 0
+                    ? `${lastProposal.proposal.transactions.length} transaction(s) ready to submit`
+                    : 'Proposal queued for execution'}
+              </Typography>
+              {lastProposal.proposal.signingError && (
+                <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+                  {lastProposal.proposal.signingError}
+                </Typography>
+              )}
+              {lastProposal.diff.filter(d => d.change !== 0).map(d => (
+                <Typography key={d.strategyAddress} variant="body2">
+                  {d.name}: {d.before.toFixed(2)}% → {d.after.toFixed(2)}% ({d.change > 0 ? '+' : ''}{d.change.toFixed(2)}%)
+                </Typography>
+              ))}
+            </Alert>
+          )}
+
           {/* Loading Indicator */}
           {isRebalancing && (
             <Box sx={{ mt: 2 }}>
@@ -359,7 +442,7 @@ const AllocationControls = ({ strategies }) => {
             ))}
           </Box>
           <Alert severity="info" sx={{ mt: 2 }}>
-            This action will trigger a rebalancing of funds across all strategies.
+            The new allocation is signed by the admin signer (or queued as a proposal). Funds move once the transaction is submitted.
           </Alert>
         </DialogContent>
         <DialogActions>
@@ -18,6 +18,7 @@ import {
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import UniswapV4StrategyCard from './UniswapV4StrategyCard';
+import { formatCurrency, format as formatAmount, sum as sumAmounts } from '../../utils/money';
 
 const StrategyPerformanceGrid = ({ strategies, detailed = false }) => {
   const theme = useTheme();
@@ -49,16 +50,6 @@ const StrategyPerformanceGrid = ({ strategies, detailed = false }) => {
     return 'High Risk';
   };
 
-  const formatCurrency = (amount) => {
-    if (amount >= 1000000) {
-      return `$${(amount / 1000000).toFixed(1)}M`;
-    }
-    if (amount >= 1000) {
-      return `$${(amount / 1000).toFixed(0)}K`;
-    }
-    return `$${amount.toFixed(0)}`;
-  };
-
   return (
     <Card>
       <CardContent>
@@ -121,7 +112,7 @@ const StrategyPerformanceGrid = ({ strategies, detailed = false }) => {
                       <Grid item xs={6}>
                         <Box sx={{ textAlign: 'center' }}>
                           <Typography variant="h5" sx={{ fontWeight: 'bold', color: 'primary.main' }}>
-                            {formatCurrency(strategy.totalAssets || 0)}
+                            {formatCurrency(strategy.totalAssets, { compact: true })}
                           </Typography>
                           <Typography variant="caption" color="text.secondary">
                             Total Assets
@@ -264,7 +255,7 @@ const StrategyPerformanceGrid = ({ strategies, detailed = false }) => {
             <Grid item xs={12} sm={3}>
               <Box sx={{ textAlign: 'center' }}>
                 <Typography variant="h6" sx={{ fontWeight: 'bold', color: 'info.main' }}>
-                  {formatCurrency(strategies.reduce((sum, s) => sum + (s.totalAssets || 0), 0))}
+                  {formatCurrency(formatAmount(sumAmounts(strategies.map(s => s.totalAssets), 'USDC'), 'USDC'), { compact: true })}
                 </Typography>
                 <Typography variant="caption" color="text.secondary">
                   Total AUM
@@ -17,6 +17,7 @@ import {
   AutoAwesome,
   Info
 } from '@mui/icons-material';
+import { formatCurrency } from '../../utils/money';
 
 const UniswapV4StrategyCard = ({ strategy }) => {
   const {
@@ -41,15 +42,6 @@ const UniswapV4StrategyCard = ({ strategy }) => {
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(amount);
-  };
-
   const formatPercentage = (value) => {
     return `${value.toFixed(2)}%`;
   };
@@ -151,7 +143,7 @@ const UniswapV4StrategyCard = ({ strategy }) => {
               Total Assets
             </Typography>
             <Typography variant="h6" sx={{ fontWeight: 600 }}>
-              {formatCurrency(totalAssets)}
+              {formatCurrency(totalAssets, { fractionDigits: 0 })}
             </Typography>
           </Grid>
           <Grid item xs={6}>
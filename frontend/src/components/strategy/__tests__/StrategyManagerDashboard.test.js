@@ -74,7 +74,8 @@ const mockUser = {
   id: '1',
   name: 'Strategy Manager',
   email: 'manager@abunfi.com',
-  role: 'strategy_manager'
+  roles: ['strategy_manager'],
+  permissions: ['batching:trigger', 'strategies:read', 'strategies:write']
 };
 
 const renderWithProviders = (component, user = mockUser) => {
@@ -105,7 +106,7 @@ describe('StrategyManagerDashboard', () => {
   });
 
   test('shows access denied for regular user', () => {
-    const regularUser = { ...mockUser, role: 'user' };
+    const regularUser = { ...mockUser, roles: [], permissions: [] };
     renderWithProviders(<StrategyManagerDashboard />, regularUser);
     
     expect(screen.getByText('Access Denied')).toBeInTheDocument();
@@ -143,11 +144,21 @@ describe('StrategyManagerDashboard', () => {
   });
 
   test('allows admin access', async () => {
-    const adminUser = { ...mockUser, role: 'admin' };
+    const adminUser = { ...mockUser, roles: ['admin'], permissions: ['roles:assign', 'strategies:read', 'strategies:write', 'users:read'] };
     renderWithProviders(<StrategyManagerDashboard />, adminUser);
     
     await waitFor(() => {
       expect(screen.getByText('Strategy Manager Dashboard 📊')).toBeInTheDocument();
     });
   });
+
+  test('hides allocation management without strategies:write', async () => {
+    const viewer = { ...mockUser, roles: ['analyst'], permissions: ['strategies:read'] };
+    renderWithProviders(<StrategyManagerDashboard />, viewer);
+
+    await waitFor(() => {
+      expect(screen.getByText('Strategy Manager Dashboard 📊')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('Allocation Management')).not.toBeInTheDocument();
+  });
 });
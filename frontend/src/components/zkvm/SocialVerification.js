@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Box,
   Card,
@@ -24,7 +24,10 @@ import {
   IconButton,
   Tooltip,
   Collapse,
-  Link
+  Link,
+  Stepper,
+  Step,
+  StepLabel
 } from '@mui/material';
 import {
   Security,
@@ -42,9 +45,32 @@ import {
 import { motion, AnimatePresence } from 'framer-motion';
 import { useWeb3Auth } from '../../contexts/Web3AuthContext';
 import { useContractAddresses, useSocialAccountRegistryContract, useRiscZeroSocialVerifierContract } from '../../hooks/useContract';
+import { useWebSocket } from '../../hooks/useWebSocket';
 import zkVMService from '../../services/zkVMService';
 import toast from 'react-hot-toast';
 
+// Lifecycle steps pushed by the backend over the WebSocket channel
+const PROGRESS_STEPS = [
+  { key: 'started', label: 'Verification started' },
+  { key: 'proving', label: 'Generating proof' },
+  { key: 'proof_ready', label: 'Proof ready' },
+  { key: 'submitted', label: 'Submitted on-chain' }
+];
+
+// Map a stored job status to the step it has reached
+const getProgressFromJob = (job) => {
+  if (job.status === 'failed' || job.status === 'timed_out') {
+    return { step: null, failure: { reason: job.error, willRetry: false } };
+  }
+  if (job.status === 'succeeded') {
+    return { step: job.submittedTxHash ? 'submitted' : 'proof_ready', failure: null, txHash: job.submittedTxHash };
+  }
+  if (job.status === 'running') {
+    return { step: 'proving', failure: null };
+  }
+  return { step: null, failure: job.error ? { reason: job.error, willRetry: true } : null };
+};
+
 const SocialVerification = ({ onVerificationComplete }) => {
   const { walletAddress } = useWeb3Auth();
   const addresses = useContractAddresses();
@@ -59,6 +85,9 @@ const SocialVerification = ({ onVerificationComplete }) => {
   const [showInstructions, setShowInstructions] = useState(false);
   const [currentRequestId, setCurrentRequestId] = useState(null);
   const [expandedInstructions, setExpandedInstructions] = useState(false);
+  const [progress, setProgress] = useState({ step: null, failure: null });
+  // Request whose on-chain result was already read, so `submitted` triggers one read
+  const onChainReadRef = useRef(null);
 
   const supportedPlatforms = zkVMService.getSupportedPlatforms();
 
@@ -100,6 +129,7 @@ const SocialVerification = ({ onVerificationComplete }) => {
       return;
     }
 
+    onChainReadRef.current = null;
     setIsVerifying(true);
     setVerificationStatus({ type: 'info', message: 'Starting verification process...' });
 
@@ -116,15 +146,13 @@ const SocialVerification = ({ onVerificationComplete }) => {
         contracts
       );
 
-      setCurrentRequestId(requestId);
+      setCurrentRequestId(String(requestId));
+      setProgress({ step: null, failure: null });
       setVerificationStatus({ 
         type: 'info', 
         message: 'Generating zero-knowledge proof... This may take a few minutes.' 
       });
 
-      // Poll for verification completion
-      pollVerificationStatus(requestId, contracts);
-
     } catch (error) {
       console.error('Verification failed:', error);
       setVerificationStatus({ 
@@ -135,63 +163,118 @@ const SocialVerification = ({ onVerificationComplete }) => {
     }
   };
 
-  const pollVerificationStatus = async (requestId, contracts) => {
-    const maxAttempts = 30; // 5 minutes with 10-second intervals
-    let attempts = 0;
+  // Read the on-chain result once the backend reports the proof as submitted
+  const checkOnChainResult = async (requestId, txHash) => {
+    if (onChainReadRef.current === requestId) {
+      return;
+    }
+    onChainReadRef.current = requestId;
 
-    const poll = async () => {
-      try {
-        attempts++;
-        const status = await zkVMService.checkVerificationStatus(requestId, contracts);
-
-        if (status.isCompleted) {
-          if (status.isVerified) {
-            setVerificationStatus({ 
-              type: 'success', 
-              message: `✅ ${selectedPlatform} account verified successfully!`,
-              data: status.data
-            });
-            
-            // Refresh user verification data
-            await loadUserVerificationStatus();
-            
-            if (onVerificationComplete) {
-              onVerificationComplete(selectedPlatform, status.data);
-            }
-          } else {
-            setVerificationStatus({ 
-              type: 'error', 
-              message: 'Verification failed. Please check your OAuth token and try again.' 
-            });
-          }
-          setIsVerifying(false);
-          return;
-        }
+    try {
+      const contracts = {
+        socialAccountRegistry: socialRegistryContract,
+        riscZeroSocialVerifier: verifierContract
+      };
+      const status = await zkVMService.checkVerificationStatus(requestId, contracts);
 
-        if (attempts >= maxAttempts) {
-          setVerificationStatus({ 
-            type: 'warning', 
-            message: 'Verification is taking longer than expected. Please check back later.' 
-          });
-          setIsVerifying(false);
-          return;
-        }
+      if (!status.isCompleted) {
+        setVerificationStatus({
+          type: 'info',
+          message: `Proof submitted on-chain${txHash ? ` (${txHash})` : ''} but not confirmed yet. Please check again later.`
+        });
+      } else if (status.isVerified) {
+        setVerificationStatus({ 
+          type: 'success', 
+          message: `✅ ${selectedPlatform} account verified successfully!`,
+          data: status.data
+        });
 
-        // Continue polling
-        setTimeout(poll, 10000); // Poll every 10 seconds
-      } catch (error) {
-        console.error('Failed to check verification status:', error);
+        // Refresh user verification data
+        await loadUserVerificationStatus();
+
+        if (onVerificationComplete) {
+          onVerificationComplete(selectedPlatform, status.data);
+        }
+      } else {
         setVerificationStatus({ 
           type: 'error', 
-          message: `Failed to check verification status: ${error.message}` 
+          message: status.error || 'Verification failed. Please check your OAuth token and try again.' 
         });
+      }
+      setIsVerifying(false);
+    } catch (error) {
+      console.error('Failed to check verification status:', error);
+      setVerificationStatus({ 
+        type: 'error', 
+        message: `Failed to check verification status: ${error.message}` 
+      });
+      setIsVerifying(false);
+    }
+  };
+
+  const applyProgress = (requestId, { step, failure, reason, willRetry, txHash }) => {
+    if (step === 'failed' || failure) {
+      const failed = failure || { reason, willRetry };
+      setProgress(prev => ({ ...prev, failure: failed }));
+
+      if (!failed.willRetry) {
+        setVerificationStatus({ type: 'error', message: `Verification failed: ${failed.reason}` });
         setIsVerifying(false);
       }
-    };
+      return;
+    }
 
-    poll();
+    if (!step) {
+      return;
+    }
+
+    setProgress({ step, failure: null });
+
+    if (step === 'proof_ready') {
+      setVerificationStatus({
+        type: 'info',
+        message: 'Proof ready. Waiting for it to be submitted on-chain...'
+      });
+    } else if (step === 'submitted') {
+      checkOnChainResult(requestId, txHash);
+    }
   };
 
+  // Latest handlers in refs so the socket is not reopened on every render
+  const handlersRef = useRef({});
+  handlersRef.current = {
+    onMessage: (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+
+      if (message.type !== 'zkvm_verification' || message.data.verificationId !== currentRequestId) {
+        return;
+      }
+
+      applyProgress(currentRequestId, message.data);
+    },
+    onOpen: async () => {
+      // Catch up on events emitted before the socket connected
+      const job = await zkVMService.getProofStatus(currentRequestId).catch(() => null);
+      if (job?.success) {
+        applyProgress(currentRequestId, getProgressFromJob(job));
+      }
+    }
+  };
+
+  const handleSocketMessage = useCallback((event) => handlersRef.current.onMessage(event), []);
+  const handleSocketOpen = useCallback(() => handlersRef.current.onOpen(), []);
+
+  useWebSocket('/ws', {
+    enabled: isVerifying && !!currentRequestId,
+    onMessage: handleSocketMessage,
+    onOpen: handleSocketOpen
+  });
+
   const handleShowInstructions = () => {
     setShowInstructions(true);
   };
@@ -355,12 +438,32 @@ const SocialVerification = ({ onVerificationComplete }) => {
             </Alert>
           )}
 
-          {isVerifying && (
+          {currentRequestId && (isVerifying || progress.step) && (
             <Box sx={{ mb: 3 }}>
-              <LinearProgress />
-              <Typography variant="caption" color="text.secondary" sx={{ mt: 1 }}>
-                Generating zero-knowledge proof...
-              </Typography>
+              <Stepper
+                activeStep={PROGRESS_STEPS.findIndex(s => s.key === progress.step) + 1}
+                alternativeLabel
+              >
+                {PROGRESS_STEPS.map((step, index) => {
+                  const failedHere = progress.failure &&
+                    index === PROGRESS_STEPS.findIndex(s => s.key === progress.step) + 1;
+                  return (
+                    <Step key={step.key}>
+                      <StepLabel
+                        error={!!failedHere}
+                        optional={failedHere && (
+                          <Typography variant="caption" color="error">
+                            {progress.failure.willRetry ? 'Retrying...' : progress.failure.reason}
+                          </Typography>
+                        )}
+                      >
+                        {step.label}
+                      </StepLabel>
+                    </Step>
+                  );
+                })}
+              </Stepper>
+              {isVerifying && <LinearProgress sx={{ mt: 2 }} />}
             </Box>
           )}
 
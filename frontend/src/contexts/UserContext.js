@@ -3,7 +3,7 @@ import { useWeb3Auth } from './Web3AuthContext';
 import { userService } from '../services/userService';
 import { authService } from '../services/authService';
 import securityAuthService from '../services/securityAuthService';
-import api from '../services/api';
+import api, { setAuthTokens, clearAuthTokens } from '../services/api';
 
 const UserContext = createContext();
 
@@ -37,8 +37,8 @@ export const UserProvider = ({ children }) => {
           setUser(userData.user);
         } catch (error) {
           console.error('❌ UserContext: Token verification failed:', error);
-          // Token is invalid, remove it
-          localStorage.removeItem('abunfi_token');
+          // Token is invalid and could not be refreshed, remove it
+          clearAuthTokens();
         } finally {
           setIsLoading(false);
         }
@@ -68,8 +68,8 @@ export const UserProvider = ({ children }) => {
           const response = await securityAuthService.socialLoginWithSecurity(loginData);
           setUser(response.user);
 
-          // Store token
-          localStorage.setItem('abunfi_token', response.token);
+          // Store access and refresh tokens
+          setAuthTokens(response);
 
           // Load portfolio
           await loadPortfolio();
@@ -119,9 +119,11 @@ export const UserProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      // Revoke the server-side session before dropping the tokens
+      await authService.logout().catch(error => console.error('Session revoke error:', error));
       setUser(null);
       setPortfolio(null);
-      localStorage.removeItem('abunfi_token');
+      clearAuthTokens();
     } catch (error) {
       console.error('Logout error:', error);
     }
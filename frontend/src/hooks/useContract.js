@@ -1,6 +1,7 @@
-import { useMemo } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3Auth } from '../contexts/Web3AuthContext';
+import { loadContractAddresses, toContractAddresses } from '../services/chainService';
 // Import ABIs from symlinked contracts directory
 import AbunfiVaultABI from '../contracts/AbunfiVault.json';
 import AaveStrategyABI from '../contracts/AaveStrategy.json';
@@ -34,6 +35,9 @@ const ABIS = {
   MockERC20: MockERC20ABI
 };
 
+// Addresses before the chain registry has loaded
+const EMPTY_ADDRESSES = toContractAddresses(null);
+
 /**
  * Custom hook for interacting with smart contracts
  * @param {string} contractName - Name of the contract (AbunfiVault, AaveStrategy, MockERC20)
@@ -110,33 +114,30 @@ export const useERC20Contract = (tokenAddress) => {
 };
 
 /**
- * Hook for getting contract addresses from environment variables
+ * Hook for getting contract addresses from the backend chain registry
+ * Addresses are undefined until the registry has loaded.
+ * @param {number} chainId - Defaults to REACT_APP_CHAIN_ID, else the backend's default chain
  */
-export const useContractAddresses = () => {
-  return useMemo(() => ({
-    // Core contracts
-    vault: process.env.REACT_APP_VAULT_CONTRACT_ADDRESS,
-    strategyManager: process.env.REACT_APP_STRATEGY_MANAGER_ADDRESS,
+export const useContractAddresses = (chainId) => {
+  const [addresses, setAddresses] = useState(EMPTY_ADDRESSES);
 
-    // Strategy contracts
-    aaveStrategy: process.env.REACT_APP_AAVE_STRATEGY_ADDRESS,
-    compoundStrategy: process.env.REACT_APP_COMPOUND_STRATEGY_ADDRESS,
-    liquidStakingStrategy: process.env.REACT_APP_LIQUID_STAKING_STRATEGY_ADDRESS,
-    liquidityProvidingStrategy: process.env.REACT_APP_LIQUIDITY_PROVIDING_STRATEGY_ADDRESS,
-    uniswapV4FairFlowStrategy: process.env.REACT_APP_UNISWAP_V4_FAIRFLOW_STRATEGY_ADDRESS,
+  useEffect(() => {
+    let cancelled = false;
 
-    // EIP-7702 Gasless Transaction contracts
-    smartAccount: process.env.REACT_APP_SMART_ACCOUNT_ADDRESS,
-    bundler: process.env.REACT_APP_EIP7702_BUNDLER_ADDRESS,
-    paymaster: process.env.REACT_APP_EIP7702_PAYMASTER_ADDRESS,
+    loadContractAddresses(chainId)
+      .then((loaded) => {
+        if (!cancelled) setAddresses(loaded);
+      })
+      .catch((error) => {
+        console.error('Failed to load contract addresses:', error);
+      });
 
-    // zkVM Social Verification contracts
-    socialAccountRegistry: process.env.REACT_APP_SOCIAL_ACCOUNT_REGISTRY_ADDRESS,
-    riscZeroSocialVerifier: process.env.REACT_APP_RISC_ZERO_SOCIAL_VERIFIER_ADDRESS,
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId]);
 
-    // Token contracts
-    usdc: process.env.REACT_APP_USDC_CONTRACT_ADDRESS,
-  }), []);
+  return addresses;
 };
 
 /**
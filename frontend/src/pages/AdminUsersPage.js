@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  InputAdornment,
+  LinearProgress,
+  Pagination
+} from '@mui/material';
+import { Search, People } from '@mui/icons-material';
+import { format } from 'date-fns';
+import adminService from '../services/adminService';
+import { useUser } from '../contexts/UserContext';
+import { hasPermission, PERMISSIONS } from '../utils/permissions';
+import AuditLogTable from '../components/admin/AuditLogTable';
+import UserDetailDialog, { STATUS_COLORS } from '../components/admin/UserDetailDialog';
+
+const PAGE_SIZE = 20;
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '-');
+
+const AdminUsersPage = () => {
+  const { user } = useUser();
+  const [tab, setTab] = useState(0);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [selectedUserId, setSelectedUserId] = useState(null);
+
+  const canReadAudit = hasPermission(user, PERMISSIONS.AUDIT_READ);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await adminService.searchUsers({
+        q: query || undefined,
+        status: status || undefined,
+        page,
+        limit: PAGE_SIZE
+      });
+      setUsers(data.users);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error('Failed to search users:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [query, status, page]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // Search on Enter rather than on every keystroke
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setPage(1);
+    setQuery(searchTerm.trim());
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h4" sx={{ fontWeight: 'bold', mb: 1 }}>
+          User Management
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          Find accounts, review their activity and moderate them. Every change is recorded in the audit log.
+        </Typography>
+      </Box>
+
+      {canReadAudit && (
+        <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab label="Users" />
+          <Tab label="Audit Log" />
+        </Tabs>
+      )}
+
+      {tab === 0 && (
+        <Card>
+          <CardContent sx={{ p: 0 }}>
+            {/* Filters */}
+            <Box component="form" onSubmit={handleSearch} sx={{ p: 3, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              <TextField
+                size="small"
+                placeholder="Email, name, wallet or phone"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <Search />
+                    </InputAdornment>
+                  ),
+                }}
+                sx={{ flex: 1, minWidth: 260 }}
+              />
+              <TextField
+                select
+                size="small"
+                label="Status"
+                value={status}
+                onChange={(e) => {
+                  setPage(1);
+                  setStatus(e.target.value);
+                }}
+                sx={{ minWidth: 160 }}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="active">Active</MenuItem>
+                <MenuItem value="suspended">Suspended</MenuItem>
+                <MenuItem value="deleted">Deleted</MenuItem>
+              </TextField>
+            </Box>
+
+            {loading && <LinearProgress />}
+
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>User</TableCell>
+                    <TableCell>Wallet</TableCell>
+                    <TableCell>Phone</TableCell>
+                    <TableCell>Roles</TableCell>
+                    <TableCell>KYC</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Joined</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {users.map((account) => (
+                    <TableRow
+                      key={account.id}
+                      hover
+                      sx={{ cursor: 'pointer' }}
+                      onClick={() => setSelectedUserId(account.id)}
+                    >
+                      <TableCell>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                          {account.name || '-'}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {account.email}
+                        </Typography>
+                      </TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{shortAddress(account.walletAddress)}</TableCell>
+                      <TableCell>{account.phone || '-'}</TableCell>
+                      <TableCell>
+                        {account.roles.map((role) => (
+                          <Chip key={role} label={role} size="small" sx={{ mr: 0.5 }} />
+                        ))}
+                      </TableCell>
+                      <TableCell>{account.kycStatus}</TableCell>
+                      <TableCell>
+                        <Chip label={account.status} color={STATUS_COLORS[account.status]} size="small" />
+                      </TableCell>
+                      <TableCell>{format(new Date(account.createdAt), 'MM/dd/yyyy')}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+                <Pagination
+                  count={pagination.pages}
+                  page={page}
+                  onChange={(event, value) => setPage(value)}
+                  color="primary"
+                />
+              </Box>
+            )}
+
+            {/* Empty State */}
+            {!loading && users.length === 0 && (
+              <Box sx={{ textAlign: 'center', py: 8 }}>
+                <People sx={{ fontSize: 64, color: 'grey.400', mb: 2 }} />
+                <Typography variant="h6" color="text.secondary">
+                  No users found
+                </Typography>
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {tab === 1 && canReadAudit && (
+        <Card>
+          <CardContent>
+            <AuditLogTable />
+          </CardContent>
+        </Card>
+      )}
+
+      <UserDetailDialog
+        userId={selectedUserId}
+        open={!!selectedUserId}
+        onClose={() => setSelectedUserId(null)}
+        onChanged={loadUsers}
+      />
+    </Box>
+  );
+};
+
+export default AdminUsersPage;
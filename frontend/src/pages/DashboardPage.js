@@ -24,10 +24,12 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContai
 import { useUser } from '../contexts/UserContext';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
+import { formatCurrency, parse, percentage, ROUNDING } from '../utils/money';
+import { rateService, toVnd } from '../services/rateService';
 
 // Mock data for demo
 const mockPortfolio = {
-  totalBalance: 1250000, // VND
+  totalBalance: 1250000, // USD
   totalDeposits: 1000000,
   earnedYield: 250000,
   currentAPY: 8.2,
@@ -63,6 +65,7 @@ const DashboardPage = () => {
   const { user, portfolio, refreshPortfolio } = useUser();
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [displayPortfolio, setDisplayPortfolio] = useState(mockPortfolio);
+  const [vndRate, setVndRate] = useState(null);
 
   useEffect(() => {
     // Use real portfolio data if available, otherwise use mock data
@@ -71,6 +74,13 @@ const DashboardPage = () => {
     }
   }, [portfolio]);
 
+  useEffect(() => {
+    // VND equivalent is informational: keep the dashboard working without it
+    rateService.getRate()
+      .then(({ data }) => setVndRate(data))
+      .catch(() => setVndRate(null));
+  }, []);
+
   const handleRefresh = async () => {
     setIsRefreshing(true);
     try {
@@ -83,16 +93,10 @@ const DashboardPage = () => {
     }
   };
 
-  const formatUSD = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount);
-  };
-
-  const yieldPercentage = displayPortfolio.totalDeposits > 0 
-    ? (displayPortfolio.earnedYield / displayPortfolio.totalDeposits) * 100 
-    : 0;
+  const yieldPercentage = percentage(
+    parse(displayPortfolio.earnedYield ?? 0, 'USDC', ROUNDING.HALF_UP),
+    parse(displayPortfolio.totalDeposits ?? 0, 'USDC', ROUNDING.HALF_UP)
+  );
 
   return (
     <Box>
@@ -150,6 +154,12 @@ const DashboardPage = () => {
                     suffix=" USD"
                   />
                 </Typography>
+                {vndRate && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: -1.5, mb: 2 }}>
+                    ≈ {formatCurrency(toVnd(displayPortfolio.totalBalance ?? 0, vndRate.rate), { currency: 'VND' })}
+                    {' '}(1 USD = {formatCurrency(vndRate.rate, { currency: 'VND' })}{vndRate.stale ? ', outdated' : ''})
+                  </Typography>
+                )}
                 
                 <Box sx={{ display: 'flex', gap: 4, mb: 3 }}>
                   <Box>
@@ -157,7 +167,7 @@ const DashboardPage = () => {
                       Deposits
                     </Typography>
                     <Typography variant="h6" sx={{ fontWeight: 'bold' }}>
-                      {formatUSD(displayPortfolio.totalDeposits)}
+                      {formatCurrency(displayPortfolio.totalDeposits)}
                     </Typography>
                   </Box>
                   <Box>
@@ -165,7 +175,7 @@ const DashboardPage = () => {
                       Profit
                     </Typography>
                     <Typography variant="h6" sx={{ fontWeight: 'bold', color: 'success.main' }}>
-                      +{formatUSD(displayPortfolio.earnedYield)}
+                      +{formatCurrency(displayPortfolio.earnedYield)}
                     </Typography>
                   </Box>
                   <Box>
@@ -213,7 +223,7 @@ const DashboardPage = () => {
                       <XAxis dataKey="date" />
                       <YAxis />
                       <Tooltip 
-                        formatter={(value) => [formatUSD(value), 'Profit']}
+                        formatter={(value) => [formatCurrency(value), 'Profit']}
                         labelFormatter={(label) => `Month ${label}`}
                       />
                       <Line 
@@ -10,14 +10,19 @@ import {
   Dialog,
   Chip
 } from '@mui/material';
-import { Google, Apple, Phone, Security, Star } from '@mui/icons-material';
+import { Google, Apple, Phone, Security, Star, AccountBalanceWallet } from '@mui/icons-material';
 import { motion } from 'framer-motion';
+import { ethers } from 'ethers';
 import { useNavigate } from 'react-router-dom';
 import { useWeb3Auth } from '../contexts/Web3AuthContext';
 import AntiAbuseEducation from '../components/security/AntiAbuseEducation';
 import PasskeyAuthentication from '../components/PasskeyAuthentication';
 import PasskeyRegistration from '../components/PasskeyRegistration';
+import TwoFactorCodeDialog from '../components/TwoFactorCodeDialog';
+import AccountRecoveryDialog from '../components/AccountRecoveryDialog';
 import { authService } from '../services/authService';
+import { setAuthTokens } from '../services/api';
+import { createSiweMessage } from '../utils/siwe';
 import toast from 'react-hot-toast';
 
 const LoginPage = () => {
@@ -29,8 +34,43 @@ const LoginPage = () => {
   const [show2FA, setShow2FA] = useState(false);
   const [showPasskeySetup, setShowPasskeySetup] = useState(false);
   const [temporaryToken, setTemporaryToken] = useState('');
+  const [twoFactorMethods, setTwoFactorMethods] = useState([]);
+  const [twoFactorMode, setTwoFactorMode] = useState('passkey'); // 'passkey' or 'code'
+  const [showRecovery, setShowRecovery] = useState(false);
   const [loginSuggestions, setLoginSuggestions] = useState(null);
 
+  // Route a backend login response: account recovery, 2FA, or a new session
+  const handleLoginResult = (result) => {
+    if (result.recoveryRequired) {
+      // 2FA is enabled but no factor is left: only account recovery can continue
+      setTemporaryToken(result.temporaryToken);
+      setShowRecovery(true);
+      return;
+    }
+
+    if (result.requires2FA) {
+      // User needs to complete 2FA with a passkey, authenticator or recovery code
+      const methods = result.methods || ['passkey'];
+      setTemporaryToken(result.temporaryToken);
+      setTwoFactorMethods(methods);
+      setTwoFactorMode(methods.includes('passkey') ? 'passkey' : 'code');
+      setShow2FA(true);
+      toast('Please complete two-factor authentication');
+      return;
+    }
+
+    // Login successful - store tokens and redirect
+    setAuthTokens(result);
+
+    // Check for setup suggestions
+    if (result.suggestions) {
+      setLoginSuggestions(result.suggestions);
+    }
+
+    toast.success('Login successful! Welcome to Abunfi.');
+    navigate('/dashboard');
+  };
+
   const handleSocialLogin = async (provider) => {
     try {
       setIsLoading(true);
@@ -49,31 +89,70 @@ const LoginPage = () => {
         avatar: web3AuthResult.userInfo.profileImage
       };
 
-      const result = await authService.socialLogin(loginData);
+      handleLoginResult(await authService.socialLogin(loginData));
 
-      if (result.requires2FA) {
-        // User needs to complete 2FA
-        setTemporaryToken(result.temporaryToken);
-        setShow2FA(true);
-        toast.info('Please complete passkey authentication');
-        return;
-      }
+    } catch (error) {
+      console.error('Login error:', error);
+      setError('Login failed. Please try again.');
+      toast.error('Login failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Sign-In With Ethereum with the browser's injected (EIP-1193) wallet
+  const handleWalletLogin = async () => {
+    const ethereum = window.ethereum;
+    if (!ethereum) {
+      toast.error('No browser wallet found. Install MetaMask or another Ethereum wallet.');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
 
-      // Login successful - store token and redirect
-      localStorage.setItem('authToken', result.token);
+      // Step 1: Get the wallet account and a sign-in nonce
+      const [account] = await ethereum.request({ method: 'eth_requestAccounts' });
+      const params = await authService.getSiweNonce();
 
-      // Check for setup suggestions
-      if (result.suggestions) {
-        setLoginSuggestions(result.suggestions);
+      // Step 2: Make sure the wallet is on a chain the backend supports
+      let chainId = Number(await ethereum.request({ method: 'eth_chainId' }));
+      if (!params.chainIds.includes(chainId)) {
+        chainId = params.chainIds[0];
+        await ethereum.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: `0x${chainId.toString(16)}` }]
+        });
       }
 
-      toast.success('Login successful! Welcome to Abunfi.');
-      navigate('/dashboard');
+      // Step 3: Sign the EIP-4361 message and log in with it
+      const message = createSiweMessage({
+        domain: params.domain,
+        address: ethers.getAddress(account),
+        statement: params.statement,
+        uri: params.uri,
+        version: params.version,
+        chainId,
+        nonce: params.nonce,
+        issuedAt: params.issuedAt,
+        expirationTime: params.expirationTime
+      });
+      const signature = await ethereum.request({
+        method: 'personal_sign',
+        params: [ethers.hexlify(ethers.toUtf8Bytes(message)), account]
+      });
+
+      handleLoginResult(await authService.siweLogin(message, signature));
 
     } catch (error) {
-      console.error('Login error:', error);
-      setError('Login failed. Please try again.');
-      toast.error('Login failed');
+      console.error('Wallet login error:', error);
+      // 4001: the user rejected the request in their wallet
+      const message = error.code === 4001
+        ? 'Wallet request was rejected.'
+        : error.response?.data?.error || 'Wallet login failed. Please try again.';
+      setError(message);
+      toast.error('Wallet login failed');
     } finally {
       setIsLoading(false);
     }
@@ -90,6 +169,17 @@ const LoginPage = () => {
     }
   };
 
+  const handleStartRecovery = () => {
+    setShow2FA(false);
+    setShowRecovery(true);
+  };
+
+  const handleRecovered = () => {
+    setShowRecovery(false);
+    toast.success('Account recovered. Set up a new passkey or authenticator app.');
+    navigate('/security');
+  };
+
   const handlePasskeySetupComplete = (result) => {
     setShowPasskeySetup(false);
     setLoginSuggestions(null);
@@ -214,6 +304,27 @@ const LoginPage = () => {
                 Login with Apple
               </Button>
 
+              <Button
+                fullWidth
+                variant="outlined"
+                size="large"
+                startIcon={<AccountBalanceWallet />}
+                onClick={handleWalletLogin}
+                disabled={isLoading}
+                sx={{
+                  mb: 2,
+                  py: 1.5,
+                  borderColor: '#f6851b',
+                  color: '#f6851b',
+                  '&:hover': {
+                    borderColor: '#f6851b',
+                    bgcolor: 'rgba(246, 133, 27, 0.04)'
+                  }
+                }}
+              >
+                Sign in with Ethereum Wallet
+              </Button>
+
               <Button
                 fullWidth
                 variant="outlined"
@@ -280,16 +391,34 @@ const LoginPage = () => {
         onClose={() => setShowSecurityInfo(false)}
       />
 
-      {/* 2FA Authentication Dialog */}
+      {/* 2FA Authentication Dialogs */}
       <PasskeyAuthentication
-        open={show2FA}
+        open={show2FA && twoFactorMode === 'passkey'}
         onClose={() => setShow2FA(false)}
         onSuccess={handle2FAComplete}
+        onUseAlternative={twoFactorMethods.length > 1 ? () => setTwoFactorMode('code') : handleStartRecovery}
         temporaryToken={temporaryToken}
         title="Complete Login"
         subtitle="Use your passkey to complete the login process"
       />
 
+      <TwoFactorCodeDialog
+        open={show2FA && twoFactorMode === 'code'}
+        onClose={() => setShow2FA(false)}
+        onSuccess={handle2FAComplete}
+        onUsePasskey={twoFactorMethods.includes('passkey') ? () => setTwoFactorMode('passkey') : undefined}
+        onStartRecovery={handleStartRecovery}
+        temporaryToken={temporaryToken}
+        methods={twoFactorMethods}
+      />
+
+      <AccountRecoveryDialog
+        open={showRecovery}
+        onClose={() => setShowRecovery(false)}
+        onRecovered={handleRecovered}
+        temporaryToken={temporaryToken}
+      />
+
       {/* Passkey Setup Suggestion Dialog */}
       {loginSuggestions?.setup2FA && (
         <Dialog
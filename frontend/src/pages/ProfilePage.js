@@ -26,6 +26,7 @@ import {
 import { motion } from 'framer-motion';
 import { useUser } from '../contexts/UserContext';
 import { useWeb3Auth } from '../contexts/Web3AuthContext';
+import { authService } from '../services/authService';
 import toast from 'react-hot-toast';
 
 const ProfilePage = () => {
@@ -73,6 +74,17 @@ const ProfilePage = () => {
     }
   };
 
+  const canVerifyEmail = !!user?.email && !user.is_email_verified && !user.email.endsWith('@abunfi.local');
+
+  const handleSendVerification = async () => {
+    try {
+      await authService.sendVerificationEmail();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Unable to send verification email');
+    }
+  };
+
   const handleCancel = () => {
     setFormData({
       name: user?.name || '',
@@ -156,6 +168,11 @@ const ProfilePage = () => {
                       onChange={(e) => handleInputChange('email', e.target.value)}
                       disabled={!isEditing}
                     />
+                    {canVerifyEmail && !isEditing && (
+                      <Button size="small" sx={{ mt: 0.5 }} onClick={handleSendVerification}>
+                        Verify email
+                      </Button>
+                    )}
                   </Grid>
                   <Grid item xs={12} sm={6}>
                     <TextField
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Container, Paper, Typography, Alert, Button, CircularProgress } from '@mui/material';
+import { Security } from '@mui/icons-material';
+import { format } from 'date-fns';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { authService } from '../services/authService';
+
+// Landing page for the account recovery confirmation email
+const RecoveryConfirmPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [request, setRequest] = useState(null);
+  const [error, setError] = useState(token ? '' : 'This confirmation link is incomplete.');
+  const [isLoading, setIsLoading] = useState(!!token);
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    authService.confirmAccountRecovery(token)
+      .then(setRequest)
+      .catch(err => setError(err.response?.data?.error || 'Failed to confirm the recovery request'))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', bgcolor: 'background.default' }}>
+      <Container maxWidth="sm">
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Security color="primary" sx={{ fontSize: 48, mb: 2 }} />
+          <Typography variant="h5" gutterBottom>
+            Account recovery
+          </Typography>
+
+          {isLoading && <CircularProgress sx={{ my: 2 }} />}
+
+          {request && (
+            <Alert severity="success" sx={{ textAlign: 'left' }}>
+              Your email is confirmed. For your protection the request can only be reviewed after{' '}
+              {format(new Date(request.coolingOffEndsAt), 'PPpp')}. If you did not ask to recover
+              your account, sign in and cancel the request from any device you are still signed in on.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ textAlign: 'left' }}>
+              {error}
+            </Alert>
+          )}
+
+          <Button variant="contained" sx={{ mt: 3 }} onClick={() => navigate('/login')}>
+            Back to login
+          </Button>
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default RecoveryConfirmPage;
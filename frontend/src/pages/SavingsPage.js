@@ -23,6 +23,7 @@ import BatchingSystemInfo from '../components/BatchingSystemInfo';
 import { useSecurityAuth } from '../services/securityAuthService';
 import { useWeb3Auth } from '../contexts/Web3AuthContext';
 import blockchainService from '../services/blockchainService';
+import { assetsForShares, convert, format, formatCurrency, isValid, parse, sharesForAssets } from '../utils/money';
 
 const SavingsPage = () => {
   const { walletAddress, provider } = useWeb3Auth();
@@ -144,8 +145,15 @@ const SavingsPage = () => {
     }
   };
 
-  const estimatedShares = depositAmount ? (parseFloat(depositAmount) / sharePrice).toFixed(4) : '0';
-  const estimatedWithdrawAmount = withdrawShares ? (parseFloat(withdrawShares) * sharePrice).toLocaleString() : '0';
+  // One share priced at sharePrice, as vault totals for the share conversions
+  const sharePriceTotals = { totalAssets: parse(sharePrice, 'USDC'), totalShares: parse(1, 'SHARES') };
+
+  const estimatedShares = isValid(depositAmount, 'USDC')
+    ? format(convert(sharesForAssets(parse(depositAmount, 'USDC'), sharePriceTotals), 'SHARES', 4), 4)
+    : '0';
+  const estimatedWithdrawAmount = isValid(withdrawShares, 'SHARES')
+    ? formatCurrency(format(assetsForShares(parse(withdrawShares, 'SHARES'), sharePriceTotals), 'USDC'))
+    : formatCurrency(0);
 
   return (
     <Box>
@@ -315,7 +323,7 @@ const SavingsPage = () => {
                           Estimated to receive:
                         </Typography>
                         <Typography variant="h6" sx={{ fontWeight: 'bold' }}>
-                          ${estimatedWithdrawAmount}
+                          {estimatedWithdrawAmount}
                         </Typography>
                       </Box>
                     )}
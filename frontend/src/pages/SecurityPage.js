@@ -2,6 +2,8 @@ import React from 'react';
 import { Box, Container, Typography } from '@mui/material';
 import { Security } from '@mui/icons-material';
 import SecurityDashboard from '../components/SecurityDashboard';
+import SessionManagement from '../components/security/SessionManagement';
+import TotpManagement from '../components/security/TotpManagement';
 
 const SecurityPage = () => {
   return (
@@ -15,10 +17,14 @@ const SecurityPage = () => {
         </Box>
         
         <Typography variant="body1" color="text.secondary" mb={4}>
-          Manage your account security, passkeys, and view security achievements.
+          Manage your account security, passkeys, signed-in devices, and view security achievements.
         </Typography>
         
         <SecurityDashboard />
+
+        <TotpManagement />
+
+        <SessionManagement />
       </Box>
     </Container>
   );
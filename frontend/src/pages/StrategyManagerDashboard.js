@@ -32,6 +32,7 @@ import StrategyPerformanceGrid from '../components/strategy/StrategyPerformanceG
 import APYComparisonChart from '../components/strategy/APYComparisonChart';
 import AllocationControls from '../components/strategy/AllocationControls';
 import strategyManagerService from '../services/strategyManagerService';
+import { hasPermission, PERMISSIONS } from '../utils/permissions';
 import toast from 'react-hot-toast';
 
 const StrategyManagerDashboard = () => {
@@ -55,7 +56,9 @@ const StrategyManagerDashboard = () => {
   });
 
   // Check if user has access
-  const hasAccess = user?.role === 'strategy_manager' || user?.role === 'admin';
+  const hasAccess = hasPermission(user, PERMISSIONS.STRATEGIES_READ);
+  // Allocation changes need strategies:write; read-only viewers don't get the tab
+  const canManageAllocation = hasPermission(user, PERMISSIONS.STRATEGIES_WRITE);
 
   useEffect(() => {
     if (hasAccess) {
@@ -309,7 +312,7 @@ const StrategyManagerDashboard = () => {
           <Tab label="Fund Distribution" />
           <Tab label="Performance Analytics" />
           <Tab label="Compound Interest" />
-          <Tab label="Allocation Management" />
+          {canManageAllocation && <Tab label="Allocation Management" />}
         </Tabs>
       </Card>
 
@@ -355,7 +358,7 @@ const StrategyManagerDashboard = () => {
         </Grid>
       )}
 
-      {tabValue === 4 && (
+      {tabValue === 4 && canManageAllocation && (
         <Grid container spacing={3}>
           <Grid item xs={12}>
             <AllocationControls strategies={overview?.strategies || []} />
@@ -29,6 +29,7 @@ import {
 import { motion } from 'framer-motion';
 import { format } from 'date-fns';
 import { enUS } from 'date-fns/locale';
+import { formatCurrency } from '../utils/money';
 
 // Mock transaction data
 const mockTransactions = [
@@ -143,13 +144,6 @@ const TransactionsPage = () => {
     }
   };
 
-  const formatUSD = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount);
-  };
-
   const filteredTransactions = mockTransactions.filter(tx => {
     const matchesSearch = tx.txHash?.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          getTypeName(tx.type).toLowerCase().includes(searchTerm.toLowerCase());
@@ -249,7 +243,7 @@ const TransactionsPage = () => {
                           }}
                         >
                           {transaction.type === 'withdraw' ? '-' : '+'}
-                          {formatUSD(transaction.amount)}
+                          {formatCurrency(transaction.amount)}
                         </Typography>
                       </TableCell>
                       
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Container, Paper, Typography, Alert, Button, CircularProgress } from '@mui/material';
+import { MarkEmailRead } from '@mui/icons-material';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { authService } from '../services/authService';
+
+// Landing page for the email verification link
+const VerifyEmailPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [verified, setVerified] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  const [isLoading, setIsLoading] = useState(!!token);
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    authService.verifyEmail(token)
+      .then(() => setVerified(true))
+      .catch(err => setError(err.response?.data?.error || 'Failed to verify your email'))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', bgcolor: 'background.default' }}>
+      <Container maxWidth="sm">
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <MarkEmailRead color="primary" sx={{ fontSize: 48, mb: 2 }} />
+          <Typography variant="h5" gutterBottom>
+            Email verification
+          </Typography>
+
+          {isLoading && <CircularProgress sx={{ my: 2 }} />}
+
+          {verified && (
+            <Alert severity="success" sx={{ textAlign: 'left' }}>
+              Your email is verified. You will now receive deposit, withdrawal and security emails.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ textAlign: 'left' }}>
+              {error}
+            </Alert>
+          )}
+
+          <Button variant="contained" sx={{ mt: 3 }} onClick={() => navigate('/dashboard')}>
+            Continue
+          </Button>
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default VerifyEmailPage;
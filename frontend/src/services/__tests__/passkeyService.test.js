@@ -293,7 +293,7 @@ describe('PasskeyService', () => {
   });
 
   describe('complete2FA', () => {
-    it('completes 2FA with temporary token', async () => {
+    it('completes 2FA with the temporary token and passkey proof', async () => {
       api.post.mockResolvedValue({
         data: { 
           success: true, 
@@ -302,10 +302,12 @@ describe('PasskeyService', () => {
         }
       });
 
-      const result = await passkeyService.complete2FA('temp-token');
+      const result = await passkeyService.complete2FA('temp-token', 'passkey-proof');
 
       expect(api.post).toHaveBeenCalledWith('/auth/complete-2fa', {
-        temporaryToken: 'temp-token'
+        temporaryToken: 'temp-token',
+        method: 'passkey',
+        passkeyProof: 'passkey-proof'
       });
       expect(result).toEqual({
         success: true,
@@ -0,0 +1,67 @@
+import api from './api';
+
+const adminService = {
+  // Search users: { q, status, role, page, limit }
+  searchUsers: async (params = {}) => {
+    const response = await api.get('/admin/users', { params });
+    return response.data;
+  },
+
+  // Account details, balance and transaction totals
+  getUser: async (userId) => {
+    const response = await api.get(`/admin/users/${userId}`);
+    return response.data;
+  },
+
+  getUserTransactions: async (userId, params = {}) => {
+    const response = await api.get(`/admin/users/${userId}/transactions`, { params });
+    return response.data;
+  },
+
+  // Pass the previous page's nextCursor to load older events
+  getUserSecurityEvents: async (userId, params = {}) => {
+    const response = await api.get(`/admin/users/${userId}/security-events`, { params });
+    return response.data;
+  },
+
+  suspendUser: async (userId, reason) => {
+    const response = await api.post(`/admin/users/${userId}/suspend`, { reason });
+    return response.data;
+  },
+
+  reactivateUser: async (userId, notes) => {
+    const response = await api.post(`/admin/users/${userId}/reactivate`, notes ? { notes } : {});
+    return response.data;
+  },
+
+  // Revoke every session of the user
+  forceLogout: async (userId) => {
+    const response = await api.post(`/admin/users/${userId}/logout`);
+    return response.data;
+  },
+
+  updateKycStatus: async (userId, kycStatus, notes) => {
+    const response = await api.put(`/admin/users/${userId}/kyc`, { kycStatus, notes });
+    return response.data;
+  },
+
+  // Roles with their permissions
+  getRoles: async () => {
+    const response = await api.get('/admin/roles');
+    return response.data;
+  },
+
+  // Replace the user's roles
+  setUserRoles: async (userId, roles) => {
+    const response = await api.put(`/admin/users/${userId}/roles`, { roles });
+    return response.data;
+  },
+
+  // Admin actions: { userId, actorId, action, page, limit }
+  getAuditLog: async (params = {}) => {
+    const response = await api.get('/admin/audit-log', { params });
+    return response.data;
+  }
+};
+
+export default adminService;
@@ -1,6 +1,9 @@
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
+const ACCESS_TOKEN_KEY = 'abunfi_token';
+const REFRESH_TOKEN_KEY = 'abunfi_refresh_token';
+
 // Create axios instance
 const api = axios.create({
   baseURL: process.env.REACT_APP_API_URL || '/api',
@@ -10,11 +13,99 @@ const api = axios.create({
   },
 });
 
+// Store the tokens returned by login, 2FA completion and refresh
+export const setAuthTokens = ({ token, refreshToken }) => {
+  if (token) {
+    localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  }
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+};
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Refresh tokens are single-use, so concurrent 401s share one refresh request
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+
+    refreshPromise = axios.post(`${api.defaults.baseURL}/auth/refresh-token`, { refreshToken })
+      .then(({ data }) => {
+        setAuthTokens(data);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// A 401 from these means bad credentials or a dead refresh token, not an expired access token
+const NO_REFRESH_ENDPOINTS = [
+  '/auth/refresh-token',
+  '/auth/social-login',
+  '/auth/phone-login',
+  '/auth/complete-2fa'
+];
+
+const isNoRefreshEndpoint = (url = '') => (
+  NO_REFRESH_ENDPOINTS.includes(url) || url.startsWith('/auth/siwe/')
+);
+
+const canRefresh = (config) => (
+  config &&
+  !config._retried &&
+  !isNoRefreshEndpoint(config.url) &&
+  !!localStorage.getItem(REFRESH_TOKEN_KEY)
+);
+
+// Endpoints whose latest response carried demo data (`dataSource: 'demo'`)
+const demoEndpoints = new Set();
+const demoDataListeners = new Set();
+
+export const isShowingDemoData = () => demoEndpoints.size > 0;
+
+const trackDataSource = (response) => {
+  const dataSource = response.data?.dataSource;
+  if (!dataSource) {
+    return;
+  }
+
+  const endpoint = response.config.url;
+  const wasDemo = isShowingDemoData();
+
+  if (dataSource === 'demo') {
+    demoEndpoints.add(endpoint);
+  } else {
+    demoEndpoints.delete(endpoint);
+  }
+
+  const isDemo = isShowingDemoData();
+  if (wasDemo !== isDemo) {
+    demoDataListeners.forEach(listener => listener(isDemo));
+  }
+};
+
+// Subscribe to changes of isShowingDemoData(); returns the unsubscribe function
+export const subscribeDemoData = (listener) => {
+  demoDataListeners.add(listener);
+  return () => demoDataListeners.delete(listener);
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('abunfi_token');
-    if (token) {
+    // Requests made with a temporary 2FA token set their own header
+    const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+    if (token && !config.headers.Authorization) {
       config.headers.Authorization = `Bearer ${token}`;
     }
     return config;
@@ -27,18 +118,31 @@ api.interceptors.request.use(
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
+    trackDataSource(response);
     return response;
   },
-  (error) => {
-    const { response } = error;
-    
+  async (error) => {
+    const { response, config } = error;
+
+    // Expired access token - refresh once and replay the request
+    if (response?.status === 401 && canRefresh(config)) {
+      try {
+        const token = await refreshAccessToken();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        // Fall through to the regular 401 handling
+      }
+    }
+
     if (response) {
       const { status, data } = response;
       
       switch (status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
-          localStorage.removeItem('abunfi_token');
+          // Unauthorized - clear tokens and redirect to login
+          clearAuthTokens();
           toast.error('Authentication failed. Please login again.');
 
           // Temporarily comment out redirect to see what's happening
@@ -46,6 +150,11 @@ api.interceptors.response.use(
           break;
           
         case 403:
+          if (data?.code === 'ACCOUNT_SUSPENDED') {
+            clearAuthTokens();
+            toast.error('Your account has been suspended. Please contact support.');
+            break;
+          }
           toast.error('You do not have permission to perform this action');
           break;
 
@@ -60,6 +169,12 @@ api.interceptors.response.use(
         case 500:
           toast.error('Server error, please try again later');
           break;
+
+        case 503:
+          toast.error(data?.code === 'CHAIN_UNAVAILABLE'
+            ? 'Blockchain data is temporarily unavailable, please try again shortly'
+            : 'Service unavailable, please try again later');
+          break;
           
         default:
           const errorMessage = data?.error || data?.message || 'Có lỗi xảy ra';
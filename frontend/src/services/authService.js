@@ -1,5 +1,10 @@
 import api from './api';
 
+// Authorize a request with the temporary token issued while 2FA is pending
+const withToken = (temporaryToken) => (
+  temporaryToken ? { headers: { Authorization: `Bearer ${temporaryToken}` } } : undefined
+);
+
 export const authService = {
   // Social login (Google, Apple, Facebook)
   socialLogin: async (loginData) => {
@@ -19,6 +24,81 @@ export const authService = {
     return response.data;
   },
 
+  // Sign-In With Ethereum: nonce and message parameters
+  getSiweNonce: async () => {
+    const response = await api.post('/auth/siwe/nonce');
+    return response.data;
+  },
+
+  // Sign-In With Ethereum: login with the signed message
+  siweLogin: async (message, signature) => {
+    const response = await api.post('/auth/siwe/verify', { message, signature });
+    return response.data;
+  },
+
+  // Complete login with an authenticator or recovery code
+  complete2FA: async (temporaryToken, method, code) => {
+    const response = await api.post('/auth/complete-2fa', { temporaryToken, method, code });
+    return response.data;
+  },
+
+  // Two-factor methods of the current user
+  get2FAStatus: async () => {
+    const response = await api.get('/auth/2fa/status');
+    return response.data.data;
+  },
+
+  // Start authenticator app setup
+  setupTotp: async () => {
+    const response = await api.post('/auth/2fa/totp/setup');
+    return response.data.data;
+  },
+
+  // Confirm authenticator app setup with its first code
+  verifyTotpSetup: async (code) => {
+    const response = await api.post('/auth/2fa/totp/verify', { code });
+    return response.data.data;
+  },
+
+  // Remove the authenticator app
+  disableTotp: async (code) => {
+    const response = await api.delete('/auth/2fa/totp', { data: { code } });
+    return response.data;
+  },
+
+  // Replace recovery codes
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', code ? { code } : {});
+    return response.data.data;
+  },
+
+  // Account recovery (lost second factors). These accept the temporary token from login.
+  requestAccountRecovery: async (temporaryToken, reason) => {
+    const response = await api.post('/auth/recovery/request', { reason }, withToken(temporaryToken));
+    return response.data.data;
+  },
+
+  getAccountRecoveryStatus: async (temporaryToken) => {
+    const response = await api.get('/auth/recovery/status', withToken(temporaryToken));
+    return response.data.data;
+  },
+
+  cancelAccountRecovery: async (temporaryToken) => {
+    const response = await api.post('/auth/recovery/cancel', {}, withToken(temporaryToken));
+    return response.data;
+  },
+
+  completeAccountRecovery: async (temporaryToken) => {
+    const response = await api.post('/auth/recovery/complete', {}, withToken(temporaryToken));
+    return response.data;
+  },
+
+  // Confirm a recovery request from the emailed link
+  confirmAccountRecovery: async (token) => {
+    const response = await api.post('/auth/recovery/confirm', { token });
+    return response.data.data;
+  },
+
   // Refresh token
   refreshToken: async (refreshToken) => {
     const response = await api.post('/auth/refresh-token', { refreshToken });
@@ -31,6 +111,30 @@ export const authService = {
     return response.data;
   },
 
+  // Active sessions and devices
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data.data;
+  },
+
+  // Revoke a single session
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Sign out of every other session (or all of them with includeCurrent)
+  revokeAllSessions: async (includeCurrent = false) => {
+    const response = await api.delete('/auth/sessions', { data: { includeCurrent } });
+    return response.data;
+  },
+
+  // Email a verification link to the signed-in user
+  sendVerificationEmail: async () => {
+    const response = await api.post('/auth/verify-email');
+    return response.data;
+  },
+
   // Verify email
   verifyEmail: async (token) => {
     const response = await api.get(`/auth/verify-email/${token}`);
@@ -6,6 +6,7 @@ import CompoundStrategyABI from '../../contracts-submodule/exports/CompoundStrat
 import LiquidStakingStrategyABI from '../../contracts-submodule/exports/LiquidStakingStrategy.json';
 import LiquidityProvidingStrategyABI from '../../contracts-submodule/exports/LiquidityProvidingStrategy.json';
 import MockERC20ABI from '../../contracts-submodule/exports/MockERC20.json';
+import { loadContractAddresses } from './chainService';
 
 const ABIS = {
   AbunfiVault: AbunfiVaultABI,
@@ -26,14 +27,8 @@ class BlockchainService {
     this.provider = null;
     this.signer = null;
     this.contracts = {};
-    this.addresses = {
-      vault: process.env.REACT_APP_VAULT_CONTRACT_ADDRESS,
-      aaveStrategy: process.env.REACT_APP_AAVE_STRATEGY_ADDRESS,
-      compoundStrategy: process.env.REACT_APP_COMPOUND_STRATEGY_ADDRESS,
-      liquidStakingStrategy: process.env.REACT_APP_LIQUID_STAKING_STRATEGY_ADDRESS,
-      liquidityProvidingStrategy: process.env.REACT_APP_LIQUIDITY_PROVIDING_STRATEGY_ADDRESS,
-      usdc: process.env.REACT_APP_USDC_CONTRACT_ADDRESS,
-    };
+    // Loaded from the backend chain registry on initialize
+    this.addresses = {};
   }
 
   /**
@@ -59,6 +54,8 @@ class BlockchainService {
    */
   async initializeContracts() {
     try {
+      this.addresses = await loadContractAddresses();
+
       // Initialize vault contract
       if (this.addresses.vault) {
         this.contracts.vault = new ethers.Contract(
@@ -0,0 +1,81 @@
+import api from './api';
+
+// Chain the app runs on; without REACT_APP_CHAIN_ID the backend's default chain is used
+const APP_CHAIN_ID = process.env.REACT_APP_CHAIN_ID ? Number(process.env.REACT_APP_CHAIN_ID) : null;
+
+// Contract addresses per chain, loaded once and shared by every caller
+const addressCache = new Map();
+
+export const chainService = {
+  // Get all chains from the backend chain registry
+  getChains: async () => {
+    const response = await api.get('/chains');
+    return response.data;
+  },
+
+  // Get one chain's deployment
+  getChain: async (chainId) => {
+    const response = await api.get(`/chains/${chainId}`);
+    return response.data;
+  }
+};
+
+/**
+ * Flatten a registry deployment into the address names the contract hooks use
+ */
+export const toContractAddresses = (deployment) => {
+  const contracts = deployment?.contracts || {};
+  const strategies = contracts.strategies || {};
+
+  return {
+    chainId: deployment?.chainId,
+
+    // Core contracts
+    vault: contracts.vault,
+    strategyManager: contracts.strategyManager,
+
+    // Strategy contracts
+    aaveStrategy: strategies.aave,
+    compoundStrategy: strategies.compound,
+    liquidStakingStrategy: strategies.liquidStaking,
+    liquidityProvidingStrategy: strategies.liquidityProviding,
+    uniswapV4FairFlowStrategy: strategies.uniswapV4FairFlow,
+
+    // EIP-7702 Gasless Transaction contracts
+    smartAccount: contracts.smartAccount,
+    bundler: contracts.bundler,
+    paymaster: contracts.paymaster,
+
+    // zkVM Social Verification contracts
+    socialAccountRegistry: contracts.socialAccountRegistry,
+    riscZeroSocialVerifier: contracts.riscZeroSocialVerifier,
+
+    // Token contracts
+    usdc: contracts.usdc
+  };
+};
+
+/**
+ * Contract addresses of a chain (default: the app's chain), cached after the first load
+ * @param {number} chainId
+ * @returns {Promise<Object>} See toContractAddresses
+ */
+export const loadContractAddresses = (chainId = APP_CHAIN_ID) => {
+  const key = chainId || 'default';
+
+  if (!addressCache.has(key)) {
+    const load = chainId
+      ? chainService.getChain(chainId).then(({ data }) => data)
+      : chainService.getChains().then(({ data }) => data.chains.find(chain => chain.chainId === data.defaultChainId));
+
+    addressCache.set(key, load
+      .then(toContractAddresses)
+      .catch((error) => {
+        // Let the next caller retry
+        addressCache.delete(key);
+        throw error;
+      }));
+  }
+
+  return addressCache.get(key);
+};
@@ -144,7 +144,8 @@ class PasskeyService {
       return {
         success: true,
         verified: verificationResponse.data.verified,
-        message: verificationResponse.data.message
+        message: verificationResponse.data.message,
+        passkeyProof: verificationResponse.data.passkeyProof
       };
 
     } catch (error) {
@@ -246,12 +247,14 @@ class PasskeyService {
   }
 
   /**
-   * Complete 2FA after social login
+   * Complete 2FA after social login with the proof from authenticateWithPasskey
    */
-  async complete2FA(temporaryToken) {
+  async complete2FA(temporaryToken, passkeyProof) {
     try {
       const response = await api.post('/auth/complete-2fa', {
-        temporaryToken
+        temporaryToken,
+        method: 'passkey',
+        passkeyProof
       });
       
       if (!response.data.success) {
@@ -0,0 +1,34 @@
+/* global BigInt */
+import api from './api';
+import { DECIMALS, ROUNDING, format, mulDiv, parse } from '../utils/money';
+
+// Decimals the backend returns rates with
+const RATE_DECIMALS = 10;
+
+export const rateService = {
+  // Get the current rate, or the rate in effect at a given time
+  getRate: async ({ base = 'USD', quote = 'VND', at } = {}) => {
+    const response = await api.get('/rates', { params: { base, quote, at } });
+    return response.data;
+  },
+
+  // Get rate history for a period (1d, 7d, 30d, 90d, 1y)
+  getHistory: async ({ base = 'USD', quote = 'VND', period = '30d' } = {}) => {
+    const response = await api.get('/rates/history', { params: { base, quote, period } });
+    return response.data;
+  }
+};
+
+/**
+ * USDC amount in VND at a rate, rounded to the nearest dong (same rounding as the backend)
+ * @returns {string} VND decimal string
+ */
+export const toVnd = (amount, rate) => {
+  const vnd = mulDiv(
+    parse(amount, 'USDC', ROUNDING.HALF_UP),
+    parse(rate, RATE_DECIMALS, ROUNDING.HALF_UP),
+    10n ** BigInt(DECIMALS.USDC + RATE_DECIMALS),
+    ROUNDING.HALF_UP
+  );
+  return format(vnd, 'VND');
+};
@@ -25,16 +25,29 @@ const strategyManagerService = {
     return response.data;
   },
 
-  // Update strategy allocation (future feature)
-  updateStrategyAllocation: async (strategyAddress, newAllocation) => {
+  // Propose a new allocation: [{ strategyAddress, allocation }] covering every strategy
+  updateStrategyAllocation: async (allocations) => {
     const response = await api.post('/admin/strategies/update-allocation', {
-      strategyAddress,
-      newAllocation
+      allocations
     });
     return response.data;
   },
 
-  // Rebalance strategies (future feature)
+  // Get recent allocation proposals
+  getStrategyProposals: async (status) => {
+    const response = await api.get('/admin/strategies/proposals', {
+      params: status ? { status } : {}
+    });
+    return response.data;
+  },
+
+  // Sign and broadcast a queued proposal with the admin signer
+  submitStrategyProposal: async (proposalId) => {
+    const response = await api.post(`/admin/strategies/proposals/${proposalId}/submit`);
+    return response.data;
+  },
+
+  // Propose a rebalance to the current target allocation
   rebalanceStrategies: async () => {
     const response = await api.post('/admin/strategies/rebalance');
     return response.data;
@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
+import api from './api';
 
 /**
  * zkVM Service for RISC Zero social verification
@@ -7,8 +8,6 @@ import toast from 'react-hot-toast';
  */
 class ZkVMService {
   constructor() {
-    // Use backend API for zkVM verification
-    this.verificationServiceUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
     this.supportedPlatforms = {
       TWITTER: { id: 0, name: 'Twitter', icon: '🐦', minAge: 30, minFollowers: 10 },
       DISCORD: { id: 1, name: 'Discord', icon: '💬', minAge: 14, minFollowers: 0 },
@@ -95,25 +94,13 @@ class ZkVMService {
   async startZkVerification(platform, oauthToken, walletAddress, requestId) {
     try {
       // Call the backend zkVM API
-      const response = await fetch(`${this.verificationServiceUrl}/zkvm/verify`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          platform: platform.toLowerCase(),
-          oauth_token: oauthToken,
-          wallet_address: walletAddress,
-          request_id: requestId
-        })
+      const { data: result } = await api.post('/zkvm/verify', {
+        platform: platform.toLowerCase(),
+        oauth_token: oauthToken,
+        wallet_address: walletAddress,
+        request_id: requestId
       });
 
-      if (!response.ok) {
-        throw new Error(`Verification service error: ${response.statusText}`);
-      }
-
-      const result = await response.json();
-      
       if (!result.success) {
         throw new Error(result.error || 'Verification failed');
       }
@@ -127,6 +114,23 @@ class ZkVMService {
     }
   }
 
+  /**
+   * Get the backend proof generation status for a request
+   * @param {string} requestId - Verification request ID
+   * @returns {Promise<Object|null>} Job status, or null if the backend does not know it
+   */
+  async getProofStatus(requestId) {
+    try {
+      const response = await api.get(`/zkvm/status/${requestId}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Check verification status
    * @param {string} requestId - Verification request ID
@@ -136,13 +140,11 @@ class ZkVMService {
   async checkVerificationStatus(requestId, contracts) {
     try {
       // First check backend zkVM service for proof generation status
-      const backendResponse = await fetch(`${this.verificationServiceUrl}/zkvm/status/${requestId}`);
-
-      if (backendResponse.ok) {
-        const backendStatus = await backendResponse.json();
+      const backendStatus = await this.getProofStatus(requestId);
 
-        // If backend verification is still pending, return pending status
-        if (backendStatus.status === 'pending') {
+      if (backendStatus) {
+        // If backend verification is still queued or proving, return pending status
+        if (['queued', 'running'].includes(backendStatus.status)) {
           return {
             isVerified: false,
             isCompleted: false,
@@ -150,8 +152,8 @@ class ZkVMService {
           };
         }
 
-        // If backend verification failed, return failed status
-        if (backendStatus.status === 'failed') {
+        // If backend verification failed or timed out, return failed status
+        if (['failed', 'timed_out'].includes(backendStatus.status)) {
           return {
             isVerified: false,
             isCompleted: true,
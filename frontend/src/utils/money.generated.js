@@ -0,0 +1,238 @@
+/* global BigInt */
+// Generated from backend/src/utils/money.js by scripts/generate-frontend-money.js.
+// Do not edit: change the backend module and run the script again.
+
+/**
+ * Money - Exact decimal amounts as bigint base units
+ * Amounts come in as decimal strings, numbers or bigint base units and go out as
+ * decimal strings; everything in between is bigint arithmetic with explicit rounding.
+ * The frontend imports a copy generated by scripts/generate-frontend-money.js;
+ * run it after changing this file.
+ */
+
+// Decimals of each unit: USDC as the vault's asset, vault shares, and VND (no minor unit)
+const DECIMALS = {
+  USDC: 6,
+  SHARES: 18,
+  VND: 0
+};
+
+const ROUNDING = {
+  EXACT: 'exact', // Throw if the value does not fit
+  FLOOR: 'floor', // Toward negative infinity
+  CEIL: 'ceil', // Toward positive infinity
+  HALF_UP: 'halfUp' // Nearest, ties away from zero
+};
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// Bounds checked before any bigint work, so a value like "1e50000000" cannot
+// stall on a huge power of ten; 80 digits covers a uint256
+const MAX_EXPONENT = 30;
+const MAX_DIGITS = 80;
+
+const moneyError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_AMOUNT';
+  return error;
+};
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+function decimalsOf(unit) {
+  if (Number.isInteger(unit) && unit >= 0) return unit;
+  if (DECIMALS[unit] === undefined) {
+    throw moneyError(`Unknown money unit: ${unit}`);
+  }
+  return DECIMALS[unit];
+}
+
+/**
+ * numerator / denominator as a bigint, rounded as asked
+ */
+function divide(numerator, denominator, rounding = ROUNDING.FLOOR) {
+  if (denominator === 0n) {
+    throw moneyError('Division by zero');
+  }
+
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = n / d;
+  const remainder = n % d;
+
+  if (remainder === 0n) {
+    return negative ? -quotient : quotient;
+  }
+
+  switch (rounding) {
+    case ROUNDING.EXACT:
+      throw moneyError(`${numerator}/${denominator} is not exact`);
+    case ROUNDING.FLOOR:
+      return negative ? -(quotient + 1n) : quotient;
+    case ROUNDING.CEIL:
+      return negative ? -quotient : quotient + 1n;
+    case ROUNDING.HALF_UP: {
+      const rounded = remainder * 2n >= d ? quotient + 1n : quotient;
+      return negative ? -rounded : rounded;
+    }
+    default:
+      throw moneyError(`Unknown rounding: ${rounding}`);
+  }
+}
+
+/**
+ * a * b / denominator without intermediate rounding
+ */
+function mulDiv(a, b, denominator, rounding = ROUNDING.FLOOR) {
+  return divide(BigInt(a) * BigInt(b), BigInt(denominator), rounding);
+}
+
+/**
+ * Decimal amount to base units
+ * @param {string|number|bigint} value - Decimal string or number; a bigint is taken as base units already
+ * @param {string|number} unit - 'USDC', 'SHARES', 'VND' or a number of decimals
+ * @param {string} rounding - What to do with digits past the unit's decimals (default: reject them)
+ * @returns {bigint}
+ */
+function parse(value, unit, rounding = ROUNDING.EXACT) {
+  if (typeof value === 'bigint') return value;
+
+  const decimals = decimalsOf(unit);
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw moneyError(`Invalid amount: ${value}`);
+  }
+
+  // String() of a number is its shortest round-trip form, so 0.1 parses as exactly 0.1
+  const match = typeof value === 'number' || typeof value === 'string'
+    ? DECIMAL_PATTERN.exec(String(value).trim())
+    : null;
+
+  if (!match || (!match[2] && !match[3])) {
+    throw moneyError(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole = '', fraction = '', exponent = '0'] = match;
+  if (Math.abs(Number(exponent)) > MAX_EXPONENT || whole.length + fraction.length > MAX_DIGITS) {
+    throw moneyError(`Amount out of range: ${value}`);
+  }
+
+  const digits = BigInt(`${sign === '-' ? '-' : ''}${whole}${fraction}` || '0');
+  const scale = decimals - fraction.length + Number(exponent);
+
+  if (scale < 0 && rounding === ROUNDING.EXACT && digits % pow10(-scale) !== 0n) {
+    throw moneyError(`${value} has more than ${decimals} decimals`);
+  }
+
+  return scale >= 0
+    ? digits * pow10(scale)
+    : divide(digits, pow10(-scale), rounding);
+}
+
+/**
+ * Base units to a decimal string ("1.5", "4.0", "25000" for VND)
+ */
+function format(units, unit) {
+  const decimals = decimalsOf(unit);
+  const value = BigInt(units);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+  const text = decimals === 0 ? whole : `${whole}.${fraction || '0'}`;
+  return negative ? `-${text}` : text;
+}
+
+/**
+ * Decimal string with exactly the unit's decimals, as DECIMAL columns store it
+ */
+function toFixed(units, unit) {
+  const decimals = decimalsOf(unit);
+  const [whole, fraction = ''] = format(units, unit).split('.');
+  return decimals === 0 ? whole : `${whole}.${fraction.padEnd(decimals, '0')}`;
+}
+
+/**
+ * Rescale base units from one unit to another
+ */
+function convert(units, from, to, rounding = ROUNDING.FLOOR) {
+  const shift = decimalsOf(to) - decimalsOf(from);
+  return shift >= 0
+    ? BigInt(units) * pow10(shift)
+    : divide(BigInt(units), pow10(-shift), rounding);
+}
+
+/**
+ * Sum of decimal amounts, in base units
+ */
+function sum(values, unit) {
+  return values.reduce((total, value) => total + parse(value ?? 0, unit), 0n);
+}
+
+/**
+ * Re-express a decimal amount in its canonical form, rounding extra digits as asked
+ * @returns {string}
+ */
+function normalize(value, unit, rounding = ROUNDING.EXACT) {
+  return format(parse(value, unit, rounding), unit);
+}
+
+function isValid(value, unit) {
+  try {
+    parse(value, unit);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Share of `part` in `total` in percent, with `precision` decimals (for display)
+ */
+function percentage(part, total, precision = 2) {
+  if (BigInt(total) === 0n) return 0;
+  return Number(format(mulDiv(part, 100n * pow10(precision), total, ROUNDING.HALF_UP), precision));
+}
+
+/**
+ * Shares minted for a deposit, rounded down as the vault does
+ * Without vault totals (or an empty vault) the vault's initial price applies: one share per USDC.
+ * @param {bigint} assets - USDC base units
+ * @param {{ totalAssets: bigint, totalShares: bigint }} vault
+ */
+function sharesForAssets(assets, { totalAssets = 0n, totalShares = 0n } = {}) {
+  if (totalAssets === 0n || totalShares === 0n) {
+    return convert(assets, 'USDC', 'SHARES');
+  }
+  return mulDiv(assets, totalShares, totalAssets, ROUNDING.FLOOR);
+}
+
+/**
+ * USDC paid out for redeeming shares, rounded down as the vault does
+ */
+function assetsForShares(shares, { totalAssets = 0n, totalShares = 0n } = {}) {
+  if (totalAssets === 0n || totalShares === 0n) {
+    return convert(shares, 'SHARES', 'USDC', ROUNDING.FLOOR);
+  }
+  return mulDiv(shares, totalAssets, totalShares, ROUNDING.FLOOR);
+}
+
+export {
+  DECIMALS,
+  ROUNDING,
+  parse,
+  format,
+  toFixed,
+  normalize,
+  isValid,
+  convert,
+  divide,
+  mulDiv,
+  sum,
+  percentage,
+  sharesForAssets,
+  assetsForShares
+};
@@ -0,0 +1,34 @@
+// Exact decimal amounts as bigint base units
+// The arithmetic is the backend module, generated into money.generated.js by
+// scripts/generate-frontend-money.js; only display helpers live here. The API
+// sends amounts as decimal strings, which are parsed, computed on as bigint and
+// formatted only for display.
+import { format, parse, ROUNDING } from './money.generated';
+
+export * from './money.generated';
+
+// Display locale per currency
+const LOCALES = {
+  USD: 'en-US',
+  VND: 'vi-VN'
+};
+
+/**
+ * Format a decimal amount as currency without going through a float
+ * The amount is rounded half-up to the displayed digits first, so Intl only sees
+ * a value it can represent exactly.
+ * @param {string|number} amount - Decimal amount (USD for USDC balances)
+ * @param {Object} options - currency ('USD' | 'VND'), fractionDigits, compact
+ */
+export const formatCurrency = (amount, { currency = 'USD', fractionDigits, compact = false } = {}) => {
+  const digits = fractionDigits ?? (currency === 'VND' ? 0 : 2);
+  const rounded = format(parse(amount ?? 0, digits, ROUNDING.HALF_UP), digits);
+
+  return new Intl.NumberFormat(LOCALES[currency] || 'en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: compact ? 0 : digits,
+    maximumFractionDigits: compact ? 1 : digits,
+    notation: compact ? 'compact' : 'standard'
+  }).format(rounded);
+};
@@ -0,0 +1,23 @@
+// Permission checks on the signed-in user
+// Mirrors backend/src/utils/permissions.js: the API returns `permissions` (granted
+// by all of the user's roles) on the user object; the backend still enforces them.
+
+export const PERMISSIONS = {
+  STRATEGIES_READ: 'strategies:read',
+  STRATEGIES_WRITE: 'strategies:write',
+  BATCHING_TRIGGER: 'batching:trigger',
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  ROLES_ASSIGN: 'roles:assign',
+  KYC_REVIEW: 'kyc:review',
+  RECOVERY_REVIEW: 'recovery:review',
+  SECURITY_READ: 'security:read',
+  SECURITY_WRITE: 'security:write',
+  AUDIT_READ: 'audit:read'
+};
+
+// Whether the user holds every listed permission
+export const hasPermission = (user, ...permissions) => {
+  const granted = (user && user.permissions) || [];
+  return permissions.every((permission) => granted.includes(permission));
+};
@@ -0,0 +1,40 @@
+// EIP-4361 Sign-In With Ethereum message
+// Mirrors formatSiweMessage in backend/src/utils/siwe.js: the backend parses the
+// signed text line by line, so the layout here must match it exactly.
+
+const FIELDS = [
+  ['uri', 'URI'],
+  ['version', 'Version'],
+  ['chainId', 'Chain ID'],
+  ['nonce', 'Nonce'],
+  ['issuedAt', 'Issued At'],
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore', 'Not Before'],
+  ['requestId', 'Request ID']
+];
+
+export const createSiweMessage = (fields) => {
+  const lines = [
+    `${fields.domain} wants you to sign in with your Ethereum account:`,
+    fields.address,
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  } else {
+    lines.push('');
+  }
+
+  FIELDS.forEach(([property, label]) => {
+    if (fields[property] !== undefined && fields[property] !== null) {
+      lines.push(`${label}: ${fields[property]}`);
+    }
+  });
+
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map((resource) => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,49 @@
+-- Add account recovery requests for users who lost every second factor
+-- Flow: pending_email -> (email link) cooling_off -> (admin, after the cooling-off
+-- period) approved -> (user) completed. Open requests can be cancelled by the
+-- account owner and rejected by an admin.
+
+CREATE TABLE IF NOT EXISTS account_recovery_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending_email' CHECK (status IN (
+        'pending_email', 'cooling_off', 'approved', 'completed', 'rejected', 'cancelled', 'expired'
+    )),
+    reason TEXT,
+
+    -- Email confirmation (SHA-256 of the emailed token)
+    email_token_hash VARCHAR(64),
+    email_token_expires_at TIMESTAMP,
+    email_confirmed_at TIMESTAMP,
+
+    -- Earliest time an admin may approve the request
+    cooling_off_ends_at TIMESTAMP,
+
+    -- Admin review
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+
+    -- Requester context
+    ip_address INET,
+    user_agent TEXT,
+
+    -- Timestamps
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One open request per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_recovery_open
+    ON account_recovery_requests(user_id)
+    WHERE status IN ('pending_email', 'cooling_off', 'approved');
+
+CREATE INDEX IF NOT EXISTS idx_account_recovery_status ON account_recovery_requests(status, cooling_off_ends_at);
+CREATE INDEX IF NOT EXISTS idx_account_recovery_token ON account_recovery_requests(email_token_hash);
+
+CREATE TRIGGER update_account_recovery_requests_updated_at BEFORE UPDATE ON account_recovery_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE account_recovery_requests IS 'Email-confirmed, admin-reviewed recovery of accounts that lost their second factors';
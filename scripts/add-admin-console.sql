@@ -0,0 +1,41 @@
+-- Admin user console: account suspension and an audit log of admin actions
+-- Apply after add-permissions.sql. Suspension is kept apart from is_active,
+-- which the API treats as a deleted account: suspended users can still be
+-- looked up and reactivated, but cannot sign in or use existing sessions.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS suspended_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_users_suspended ON users(suspended_at) WHERE suspended_at IS NOT NULL;
+
+-- Every change made through the admin API, written by the API only
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- e.g. user_suspended, user_reactivated, sessions_revoked, roles_changed, kyc_status_changed
+    action VARCHAR(50) NOT NULL,
+    target_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor_id, created_at DESC);
+
+INSERT INTO permissions (name, description) VALUES
+    ('users:write', 'Suspend and reactivate users and sign them out'),
+    ('audit:read', 'Read the admin audit log')
+ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO role_permissions (role, permission) VALUES
+    ('admin', 'users:write'),
+    ('admin', 'audit:read')
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE admin_audit_log IS 'Actions taken through the admin user console';
+COMMENT ON COLUMN users.suspended_at IS 'Set while an admin has suspended the account';
@@ -0,0 +1,38 @@
+-- Add batch allocation history
+-- One row per triggerBatchAllocation transaction sent by the admin signer,
+-- with the pending amounts it was sent for and the outcome from its receipt.
+
+CREATE TABLE IF NOT EXISTS batch_allocations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Transaction
+    tx_hash VARCHAR(66) UNIQUE NOT NULL,
+    nonce INTEGER,
+    block_number BIGINT,
+    status VARCHAR(20) NOT NULL DEFAULT 'submitted' CHECK (status IN ('submitted', 'confirmed', 'failed')),
+    error_message TEXT,
+
+    -- Pending amounts when the batch was sent (USDC)
+    total_amount DECIMAL(30,6) NOT NULL,
+    low_risk_amount DECIMAL(30,6) NOT NULL DEFAULT 0,
+    medium_risk_amount DECIMAL(30,6) NOT NULL DEFAULT 0,
+    high_risk_amount DECIMAL(30,6) NOT NULL DEFAULT 0,
+    user_count INTEGER,
+
+    -- Gas
+    gas_used BIGINT,
+    gas_price DECIMAL(30,0), -- wei
+    gas_fee DECIMAL(30,18), -- ETH
+
+    -- Why and by whom it was triggered
+    trigger_reason VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (trigger_reason IN ('manual', 'threshold', 'interval', 'emergency')),
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    confirmed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_allocations_created_at ON batch_allocations(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_batch_allocations_status ON batch_allocations(status);
+
+COMMENT ON TABLE batch_allocations IS 'Vault batch allocation transactions sent by the backend';
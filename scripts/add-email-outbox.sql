@@ -0,0 +1,47 @@
+-- Add the transactional email outbox
+-- Emails are rendered and stored here in the same request that triggers them,
+-- then sent by the backend's outbox worker. A row is leased while it is being
+-- sent (locked_until), so sends interrupted by a crash are picked up again, and
+-- failed sends are retried with backoff until max_attempts.
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Message
+    to_address VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    locale VARCHAR(5) NOT NULL DEFAULT 'vi',
+    subject TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    html_body TEXT NOT NULL,
+
+    -- Same key = same email: repeated triggers (e.g. re-confirming a transaction) send once
+    dedupe_key VARCHAR(255) UNIQUE,
+
+    -- Delivery
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 8,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    locked_until TIMESTAMP,
+    last_error TEXT,
+    transport VARCHAR(20),
+    message_id VARCHAR(255),
+    sent_at TIMESTAMP,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+    ON email_outbox(next_attempt_at)
+    WHERE status IN ('pending', 'sending');
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_user ON email_outbox(user_id, created_at DESC);
+
+CREATE TRIGGER update_email_outbox_updated_at BEFORE UPDATE ON email_outbox
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE email_outbox IS 'Rendered transactional emails awaiting or past delivery (retried with backoff)';
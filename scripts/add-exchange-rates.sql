@@ -0,0 +1,24 @@
+-- Add exchange rate snapshots
+-- Filled by the exchange rate service at a fixed cadence; transactions are stamped
+-- with the rate in effect when they are created and confirmed (exchange_rate, amount_vnd).
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Pair: 1 base = rate quote (e.g. 1 USD = 25400 VND)
+    base_currency VARCHAR(10) NOT NULL,
+    quote_currency VARCHAR(10) NOT NULL,
+    rate DECIMAL(30,10) NOT NULL CHECK (rate > 0),
+
+    -- Where the rate came from and when the source quoted it
+    source VARCHAR(50) NOT NULL,
+    quoted_at TIMESTAMP NOT NULL,
+
+    fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    UNIQUE (base_currency, quote_currency, fetched_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair_time ON exchange_rates(base_currency, quote_currency, fetched_at);
+
+COMMENT ON TABLE exchange_rates IS 'Periodic exchange rate snapshots, used for historical lookup and transaction stamping';
@@ -0,0 +1,80 @@
+-- Replace the single users.role string with named permissions bundled into roles
+-- Routes check permissions (requirePermission in middleware/auth.js); roles are
+-- only a way to grant several at once, and a user may hold any number of them.
+-- Apply after add-user-roles.sql: existing strategy managers and admins keep
+-- their access through user_roles.
+
+CREATE TABLE IF NOT EXISTS permissions (
+    -- <resource>:<action>, e.g. strategies:write
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+    permission VARCHAR(50) NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+    PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    granted_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+
+INSERT INTO permissions (name, description) VALUES
+    ('strategies:read', 'View strategy dashboards, proposals and risk metrics'),
+    ('strategies:write', 'Propose strategy allocations and rebalances'),
+    ('batching:trigger', 'Trigger batch allocation of pending deposits'),
+    ('users:read', 'View user accounts and their roles'),
+    ('roles:assign', 'Assign roles to users'),
+    ('kyc:review', 'Review KYC submissions'),
+    ('recovery:review', 'Approve or reject account recovery requests'),
+    ('security:read', 'Read the security events of any wallet'),
+    ('security:write', 'Record security events for any wallet')
+ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO roles (name, description) VALUES
+    ('strategy_manager', 'Monitors strategies and manages fund allocation'),
+    ('admin', 'Full administrative access')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+    ('strategy_manager', 'strategies:read'),
+    ('strategy_manager', 'strategies:write'),
+    ('strategy_manager', 'batching:trigger')
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role, permission)
+SELECT 'admin', name FROM permissions
+ON CONFLICT DO NOTHING;
+
+-- Carry over the old role column, then drop it
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'role'
+    ) THEN
+        INSERT INTO user_roles (user_id, role)
+        SELECT id, role FROM users WHERE role IN ('strategy_manager', 'admin')
+        ON CONFLICT DO NOTHING;
+
+        DROP INDEX IF EXISTS idx_users_role;
+        ALTER TABLE users DROP COLUMN role;
+    END IF;
+END $$;
+
+COMMENT ON TABLE permissions IS 'Named permissions checked by the API';
+COMMENT ON TABLE roles IS 'Bundles of permissions assigned to users';
+COMMENT ON TABLE user_roles IS 'Roles held by each user';
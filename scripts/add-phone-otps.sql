@@ -0,0 +1,35 @@
+-- Add one-time codes for phone (SMS) login
+-- Codes are stored as HMACs bound to the phone number. Sending a new code
+-- supersedes the previous one; a code is consumed by the first correct check
+-- and locked after too many wrong ones.
+
+CREATE TABLE IF NOT EXISTS phone_otps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- E.164, e.g. +84912345678
+    phone VARCHAR(20) NOT NULL,
+    purpose VARCHAR(20) NOT NULL DEFAULT 'login',
+    code_hash VARCHAR(64) NOT NULL,
+
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    superseded_at TIMESTAMP,
+
+    -- SMS delivery
+    provider VARCHAR(20),
+    provider_message_id VARCHAR(100),
+
+    -- Requester context
+    ip_address INET,
+
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_otps_active
+    ON phone_otps(phone, purpose, created_at DESC)
+    WHERE consumed_at IS NULL AND superseded_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_phone_otps_expires ON phone_otps(expires_at);
+
+COMMENT ON TABLE phone_otps IS 'SMS one-time codes for phone login (HMAC of phone and code)';
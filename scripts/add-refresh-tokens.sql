@@ -0,0 +1,52 @@
+-- Add server-side auth sessions with rotating refresh tokens
+-- Each sign-in creates a refresh token family (one per device). Refresh tokens
+-- are opaque, stored as SHA-256 hashes and single-use: every refresh replaces
+-- the token, and presenting a used token revokes the whole family.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    -- Family ID; also carried as `sid` in access tokens
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Device context
+    device_label VARCHAR(100),
+    user_agent TEXT,
+    ip_address INET,
+
+    -- Whether the session was established with a second factor
+    verified_2fa BOOLEAN NOT NULL DEFAULT false,
+
+    -- Revocation
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50), -- 'logout', 'reuse_detected', 'logout_all', ...
+
+    -- Timestamps
+    last_used_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    family_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+
+    -- SHA-256 of the opaque token; the token itself is never stored
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+
+    -- Set when the token is exchanged; a second exchange is a reuse
+    used_at TIMESTAMP,
+    replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+
+CREATE TRIGGER update_auth_sessions_updated_at BEFORE UPDATE ON auth_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE auth_sessions IS 'Signed-in devices; one refresh token family per session';
+COMMENT ON TABLE refresh_tokens IS 'Hashed single-use refresh tokens, rotated on every refresh';
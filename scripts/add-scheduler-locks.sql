@@ -0,0 +1,11 @@
+-- Add leases for scheduled jobs that must run on a single backend instance
+-- A lock is held by `owner` until `expires_at`; expired leases can be taken over.
+
+CREATE TABLE IF NOT EXISTS scheduler_locks (
+    name VARCHAR(100) PRIMARY KEY,
+    owner VARCHAR(255) NOT NULL,
+    acquired_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL
+);
+
+COMMENT ON TABLE scheduler_locks IS 'Cross-instance leases for scheduled jobs (e.g. batch allocation)';
@@ -0,0 +1,17 @@
+-- Add severity and wallet context to security events
+-- Events reported through POST /api/security/events used to live in the
+-- security controller's memory cache; they are now stored here next to the
+-- events logged by the auth and passkey controllers.
+
+ALTER TABLE security_events
+    ADD COLUMN IF NOT EXISTS severity VARCHAR(20) NOT NULL DEFAULT 'info' CHECK (severity IN ('info', 'warning', 'error', 'critical')),
+    ADD COLUMN IF NOT EXISTS wallet_address VARCHAR(42),
+    ADD COLUMN IF NOT EXISTS message TEXT;
+
+-- Existing failures were logged without a severity
+UPDATE security_events SET severity = 'warning' WHERE event_status = 'failure' AND severity = 'info';
+
+-- Keyset pagination walks (created_at, id) newest first
+CREATE INDEX IF NOT EXISTS idx_security_events_user_created ON security_events(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_wallet_created ON security_events(wallet_address, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_severity ON security_events(severity);
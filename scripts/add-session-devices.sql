@@ -0,0 +1,9 @@
+-- Add device details to auth sessions for the sessions & devices view
+-- Sessions completed with a passkey remember which passkey was used, and the
+-- first session from an unseen user agent is flagged as a new device.
+
+ALTER TABLE auth_sessions
+    ADD COLUMN IF NOT EXISTS passkey_id UUID REFERENCES user_passkeys(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS new_device BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_agent ON auth_sessions(user_id, user_agent);
@@ -0,0 +1,13 @@
+-- Store vault shares at full precision
+-- Shares have 18 decimals on-chain; DECIMAL(20,6) silently rounded them.
+-- Amounts are written by the money module (src/utils/money.js) as exact decimal strings.
+
+ALTER TABLE transactions
+    ALTER COLUMN shares TYPE DECIMAL(38,18);
+
+ALTER TABLE user_balances
+    ALTER COLUMN total_shares TYPE DECIMAL(38,18);
+
+-- VND has no minor unit
+ALTER TABLE transactions
+    ALTER COLUMN amount_vnd TYPE DECIMAL(20,0) USING ROUND(amount_vnd);
@@ -0,0 +1,28 @@
+-- Add Sign-In With Ethereum (EIP-4361) login
+-- Nonces are issued by POST /api/auth/siwe/nonce and consumed by the first
+-- successful verification. Accounts created by wallet login use the
+-- 'wallet' social provider with the lowercase address as social_id.
+
+CREATE TABLE IF NOT EXISTS siwe_nonces (
+    nonce VARCHAR(64) PRIMARY KEY,
+
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+
+    -- Set when consumed
+    wallet_address VARCHAR(42),
+    chain_id INTEGER,
+
+    -- Requester context
+    ip_address INET,
+
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_siwe_nonces_expires ON siwe_nonces(expires_at);
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_social_provider_check;
+ALTER TABLE users ADD CONSTRAINT users_social_provider_check
+    CHECK (social_provider IN ('google', 'apple', 'facebook', 'phone', 'wallet'));
+
+COMMENT ON TABLE siwe_nonces IS 'Single-use nonces for Sign-In With Ethereum messages';
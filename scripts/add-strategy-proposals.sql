@@ -0,0 +1,42 @@
+-- Add strategy allocation proposals
+-- Records every allocation change or rebalance requested by a strategy manager,
+-- together with the before/after diff and the admin transactions that carry it out.
+-- Transactions are stored unsigned and only signed when the proposal is submitted,
+-- so they take their nonces from the same queue as every other admin send.
+
+CREATE TABLE IF NOT EXISTS strategy_allocation_proposals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    proposed_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('allocation', 'rebalance')),
+
+    -- 'queued': waiting to be submitted
+    -- 'submitting': transactions are being signed and broadcast
+    -- 'executed': every transaction was broadcast
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'submitting', 'executed', 'rejected')),
+
+    -- Per-strategy before/after allocation in percent
+    diff JSONB NOT NULL DEFAULT '[]',
+
+    -- Unsigned admin transactions ({ to, data })
+    transactions JSONB NOT NULL DEFAULT '[]',
+
+    -- Transactions broadcast so far ({ to, data, nonce, hash })
+    signed_transactions JSONB NOT NULL DEFAULT '[]',
+    signing_error TEXT,
+
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    submitted_at TIMESTAMP,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_strategy_proposals_status ON strategy_allocation_proposals(status);
+CREATE INDEX IF NOT EXISTS idx_strategy_proposals_created_at ON strategy_allocation_proposals(created_at);
+
+CREATE TRIGGER update_strategy_allocation_proposals_updated_at BEFORE UPDATE ON strategy_allocation_proposals
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE strategy_allocation_proposals IS 'Strategy allocation changes and rebalances proposed by strategy managers';
@@ -0,0 +1,26 @@
+-- Add strategy APY/TVL time series
+-- Filled by the strategy snapshot sampler at a fixed cadence and queried
+-- (downsampled) by the strategy performance and vault yield history endpoints.
+
+CREATE TABLE IF NOT EXISTS strategy_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Strategy identity
+    strategy_address VARCHAR(42) NOT NULL,
+    strategy_type VARCHAR(50),
+    strategy_name VARCHAR(255) NOT NULL,
+
+    -- Sampled values
+    total_assets DECIMAL(30,6) NOT NULL, -- USDC
+    apy DECIMAL(10,4) NOT NULL, -- percent
+    allocation DECIMAL(7,4) NOT NULL, -- percent of the vault's strategy assets
+
+    sampled_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    UNIQUE (strategy_address, sampled_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_strategy_snapshots_address_time ON strategy_snapshots(strategy_address, sampled_at);
+CREATE INDEX IF NOT EXISTS idx_strategy_snapshots_sampled_at ON strategy_snapshots(sampled_at);
+
+COMMENT ON TABLE strategy_snapshots IS 'Periodic per-strategy TVL, APY and allocation samples';
@@ -0,0 +1,24 @@
+-- Add TOTP authenticator apps and recovery codes as 2FA methods
+-- The TOTP secret lives in users.two_factor_secret; it only counts as a 2FA
+-- method once the first code has been verified (totp_confirmed_at).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_confirmed_at TIMESTAMP;
+-- Last accepted time step; codes for this step or earlier are rejected as replays
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- SHA-256 of the normalized code; codes are shown to the user once
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(user_id, code_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+COMMENT ON TABLE user_recovery_codes IS 'Hashed single-use 2FA recovery codes';
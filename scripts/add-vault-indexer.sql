@@ -0,0 +1,73 @@
+-- Add on-chain vault event indexer support
+-- Stores the indexer's block cursor and the vault events it has matched against
+-- pending transactions, so it can resume after restarts and detect chain reorgs.
+
+-- Last processed block per indexer
+CREATE TABLE IF NOT EXISTS indexer_cursors (
+    name VARCHAR(50) PRIMARY KEY, -- e.g. 'vault'
+    last_block BIGINT NOT NULL,
+    last_block_hash VARCHAR(66), -- NULL right after a rewind
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Deposit/Withdraw events seen on the vault contract
+CREATE TABLE IF NOT EXISTS vault_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Event identity
+    event_name VARCHAR(20) NOT NULL CHECK (event_name IN ('Deposit', 'Withdraw')),
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+
+    -- Block the event was included in (re-written if the event is re-mined after a reorg)
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+
+    -- Event payload (raw base units: 6 decimals for assets, 18 for shares)
+    owner_address VARCHAR(42) NOT NULL,
+    assets NUMERIC(78,0) NOT NULL,
+    shares NUMERIC(78,0) NOT NULL,
+
+    -- Matched pending transaction
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+
+    -- Set when the block containing the event was reorged out
+    removed BOOLEAN DEFAULT false,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vault_events_block_number ON vault_events(block_number);
+CREATE INDEX IF NOT EXISTS idx_vault_events_owner ON vault_events(owner_address);
+CREATE INDEX IF NOT EXISTS idx_vault_events_transaction_id ON vault_events(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_pending_block ON transactions(status, block_number);
+
+CREATE TRIGGER update_vault_events_updated_at BEFORE UPDATE ON vault_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Let callers annotate transaction_history entries.
+-- TransactionRepository.updateStatus sets abunfi.changed_by / abunfi.change_reason
+-- with set_config(..., true) so the values only live for the current transaction.
+CREATE OR REPLACE FUNCTION log_transaction_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status IS DISTINCT FROM NEW.status THEN
+        INSERT INTO transaction_history (transaction_id, previous_status, new_status, changed_by, change_reason)
+        VALUES (
+            NEW.id,
+            OLD.status,
+            NEW.status,
+            COALESCE(NULLIF(current_setting('abunfi.changed_by', true), ''), 'system'),
+            COALESCE(NULLIF(current_setting('abunfi.change_reason', true), ''), 'Status updated')
+        );
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+COMMENT ON TABLE indexer_cursors IS 'Last processed block per on-chain indexer';
+COMMENT ON TABLE vault_events IS 'Vault Deposit/Withdraw events reconciled against transactions';
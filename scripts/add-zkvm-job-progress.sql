@@ -0,0 +1,10 @@
+-- Add ownership and on-chain submission to zkVM verification jobs
+-- The owner receives live progress over the WebSocket channel; the submission
+-- columns are filled when the proof is reported as submitted to the verifier.
+
+ALTER TABLE zkvm_verification_jobs
+    ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS submitted_tx_hash VARCHAR(66),
+    ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_zkvm_jobs_user_id ON zkvm_verification_jobs(user_id);
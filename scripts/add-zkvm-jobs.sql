@@ -0,0 +1,40 @@
+-- Add durable zkVM verification jobs
+-- Replaces the in-memory request map in ZkVMService so in-flight social
+-- verifications survive backend restarts and can be retried.
+
+CREATE TABLE IF NOT EXISTS zkvm_verification_jobs (
+    -- Blockchain request ID when provided by the client, otherwise a UUID
+    id VARCHAR(100) PRIMARY KEY,
+
+    platform VARCHAR(20) NOT NULL,
+    wallet_address VARCHAR(42) NOT NULL,
+
+    -- Needed to (re)run the prover; cleared once the job reaches a final state
+    oauth_token TEXT,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'timed_out')),
+
+    -- Retry bookkeeping
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    next_run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    locked_by VARCHAR(255), -- hostname:pid of the worker running the job
+
+    -- Outcome
+    result JSONB,
+    error TEXT,
+
+    -- Timestamps
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_zkvm_jobs_runnable ON zkvm_verification_jobs(status, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_zkvm_jobs_wallet ON zkvm_verification_jobs(wallet_address);
+
+CREATE TRIGGER update_zkvm_verification_jobs_updated_at BEFORE UPDATE ON zkvm_verification_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE zkvm_verification_jobs IS 'Queued and completed zkVM social verification jobs';
@@ -157,7 +157,9 @@ USE_MEMORY_CACHE=true
 # =============================================================================
 # JWT Secret (development - not for production!)
 JWT_SECRET=$JWT_SECRET
-JWT_EXPIRE=7d
+JWT_ACCESS_EXPIRE=15m
+REFRESH_TOKEN_TTL_DAYS=30
+SESSION_REVOCATION_CACHE_SECONDS=30
 
 # =============================================================================
 # BLOCKCHAIN CONFIGURATION - $NETWORK_NAME
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Generate the frontend copy of the money module from backend/src/utils/money.js
+ * The frontend is built from its own directory, so it cannot import the backend
+ * module; this copy is regenerated instead of edited, and the backend tests fail
+ * when it is out of date.
+ *
+ *   node scripts/generate-frontend-money.js
+ */
+
+const SOURCE = path.join(__dirname, '..', 'backend', 'src', 'utils', 'money.js');
+const TARGET = path.join(__dirname, '..', 'frontend', 'src', 'utils', 'money.generated.js');
+
+const HEADER = `/* global BigInt */
+// Generated from backend/src/utils/money.js by scripts/generate-frontend-money.js.
+// Do not edit: change the backend module and run the script again.
+
+`;
+
+const EXPORTS_PATTERN = /^module\.exports = \{\n([\s\S]*?)\n\};\s*$/m;
+
+// CommonJS source to the ES module the frontend imports
+function generate(source = fs.readFileSync(SOURCE, 'utf8')) {
+  if (!EXPORTS_PATTERN.test(source)) {
+    throw new Error('backend money module must end with a `module.exports = { ... };` list');
+  }
+
+  return HEADER + source.replace(EXPORTS_PATTERN, 'export {\n$1\n};\n');
+}
+
+if (require.main === module) {
+  fs.writeFileSync(TARGET, generate());
+  console.log(`✅ Wrote ${path.relative(process.cwd(), TARGET)}`);
+}
+
+module.exports = { generate, SOURCE, TARGET };
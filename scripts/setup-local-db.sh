@@ -164,6 +164,59 @@ EOF
 
 print_status "Test users created"
 
+# Move the test users' roles to permission-based roles
+echo "🔐 Adding roles and permissions..."
+if [ -f "scripts/add-permissions.sql" ]; then
+    psql -h $DB_HOST -p $DB_PORT -U $DB_USER -d $DB_NAME -f scripts/add-permissions.sql
+    print_status "Roles and permissions added"
+else
+    print_error "scripts/add-permissions.sql not found"
+    exit 1
+fi
+
+# Account suspension and the admin audit log
+echo "📋 Adding admin console tables..."
+if [ -f "scripts/add-admin-console.sql" ]; then
+    psql -h $DB_HOST -p $DB_PORT -U $DB_USER -d $DB_NAME -f scripts/add-admin-console.sql
+    print_status "Admin console tables added"
+else
+    print_error "scripts/add-admin-console.sql not found"
+    exit 1
+fi
+
+# Feature migrations, in dependency order
+MIGRATIONS=(
+    "add-vault-indexer.sql"
+    "add-strategy-proposals.sql"
+    "add-strategy-snapshots.sql"
+    "add-zkvm-jobs.sql"
+    "add-zkvm-job-progress.sql"
+    "add-refresh-tokens.sql"
+    "add-passkey-2fa.sql"
+    "add-session-devices.sql"
+    "add-totp-2fa.sql"
+    "add-account-recovery.sql"
+    "add-batch-allocations.sql"
+    "add-scheduler-locks.sql"
+    "add-security-event-severity.sql"
+    "add-share-precision.sql"
+    "add-exchange-rates.sql"
+    "add-phone-otps.sql"
+    "add-email-outbox.sql"
+    "add-siwe-login.sql"
+)
+
+echo "🧱 Applying feature migrations..."
+for migration in "${MIGRATIONS[@]}"; do
+    if [ -f "scripts/$migration" ]; then
+        psql -h $DB_HOST -p $DB_PORT -U $DB_USER -d $DB_NAME -f "scripts/$migration"
+        print_status "Applied $migration"
+    else
+        print_error "scripts/$migration not found"
+        exit 1
+    fi
+done
+
 # Verify setup
 echo "🔍 Verifying setup..."
 USER_COUNT=$(psql -h $DB_HOST -p $DB_PORT -U $DB_USER -d $DB_NAME -t -c "SELECT COUNT(*) FROM users;")